@@ -0,0 +1,214 @@
+import asyncHandler from 'express-async-handler';
+import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import Activity, { MANUAL_ACTIVITY_TYPES } from '../models/Activity.js';
+import Contact from '../models/Contact.js';
+
+// Rules for the optional activity fields
+const optionalActivityFields = [
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Details cannot exceed 5000 characters'),
+  body('direction')
+    .optional()
+    .isIn(['inbound', 'outbound'])
+    .withMessage('Direction must be inbound or outbound'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Duration must be a positive number of minutes'),
+  body('occurredAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Occurred at must be a valid date')
+];
+
+// Validation rules for logging an activity
+export const validateActivity = [
+  body('type')
+    .isIn(MANUAL_ACTIVITY_TYPES)
+    .withMessage(`Type must be one of: ${MANUAL_ACTIVITY_TYPES.join(', ')}`),
+  body('summary')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Summary must be between 1 and 200 characters'),
+  ...optionalActivityFields
+];
+
+// Validation rules for editing an activity
+export const validateActivityUpdate = [
+  body('summary')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Summary must be between 1 and 200 characters'),
+  ...optionalActivityFields
+];
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Load a manually logged activity that belongs to the contact in the URL
+const findManualActivity = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.activityId)) return null;
+
+  return Activity.findOne({
+    _id: req.params.activityId,
+    contact: req.params.id,
+    type: { $in: MANUAL_ACTIVITY_TYPES }
+  });
+};
+
+// @desc    Get a contact's activity timeline
+// @route   GET /api/admin/contacts/:id/activities
+// @access  Private
+export const getContactActivities = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const contact = await Contact.findById(req.params.id).select('_id');
+
+  if (!contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Contact submission not found'
+    });
+  }
+
+  const query = { contact: contact._id };
+  if (req.query.type && req.query.type !== 'all') {
+    query.type = { $in: req.query.type.split(',') };
+  }
+
+  const [activities, total] = await Promise.all([
+    Activity.find(query)
+      .sort({ occurredAt: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('admin', 'name email'),
+    Activity.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      activities,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Log a note, call, email or meeting on a contact
+// @route   POST /api/admin/contacts/:id/activities
+// @access  Private
+export const createContactActivity = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contact = await Contact.findById(req.params.id);
+
+  if (!contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Contact submission not found'
+    });
+  }
+
+  const { type, summary, details, direction, durationMinutes, occurredAt } = req.body;
+
+  const activity = await Activity.create({
+    contact: contact._id,
+    type,
+    summary,
+    details,
+    direction: ['call', 'email'].includes(type) ? direction || 'outbound' : null,
+    durationMinutes,
+    occurredAt: occurredAt ? new Date(occurredAt) : new Date(),
+    admin: req.admin.id
+  });
+
+  await activity.populate('admin', 'name email');
+
+  // Inbound calls and emails count towards engagement
+  if (activity.direction === 'inbound') {
+    await contact.save();
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Activity logged successfully',
+    data: { activity }
+  });
+});
+
+// @desc    Update a logged activity
+// @route   PUT /api/admin/contacts/:id/activities/:activityId
+// @access  Private
+export const updateContactActivity = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const activity = await findManualActivity(req);
+
+  if (!activity) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Activity not found'
+    });
+  }
+
+  const { summary, details, direction, durationMinutes, occurredAt } = req.body;
+
+  if (summary !== undefined) activity.summary = summary;
+  if (details !== undefined) activity.details = details;
+  if (direction !== undefined && ['call', 'email'].includes(activity.type)) activity.direction = direction;
+  if (durationMinutes !== undefined) activity.durationMinutes = durationMinutes;
+  if (occurredAt !== undefined) activity.occurredAt = new Date(occurredAt);
+
+  await activity.save();
+  await activity.populate('admin', 'name email');
+
+  res.json({
+    status: 'success',
+    message: 'Activity updated successfully',
+    data: { activity }
+  });
+});
+
+// @desc    Delete a logged activity
+// @route   DELETE /api/admin/contacts/:id/activities/:activityId
+// @access  Private
+export const deleteContactActivity = asyncHandler(async (req, res) => {
+  const activity = await findManualActivity(req);
+
+  if (!activity) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Activity not found'
+    });
+  }
+
+  await activity.deleteOne();
+
+  res.json({
+    status: 'success',
+    message: 'Activity deleted successfully'
+  });
+});
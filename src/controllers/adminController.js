@@ -3,6 +3,7 @@ import Admin from '../models/Admin.js';
 import Contact from '../models/Contact.js';
 import Review from '../models/Review.js';
 import { SocialLinks } from '../models/Content.js';
+import { invalidateStructuredData } from '../utils/reviewStructuredData.js';
 
 // Dashboard Statistics
 export const getDashboardStats = async (req, res, next) => {
@@ -184,6 +185,9 @@ export const updateSocialLinks = async (req, res, next) => {
       }
     }
     
+    // The venue JSON-LD lists these as sameAs
+    invalidateStructuredData();
+
     // Get all active social links
     const socialLinks = await SocialLinks.find({ isActive: true });
 
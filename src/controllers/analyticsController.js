@@ -4,6 +4,13 @@ import Contact from '../models/Contact.js';
 import Review from '../models/Review.js';
 import Gallery from '../models/Gallery.js';
 import Admin from '../models/Admin.js';
+import Touchpoint from '../models/Touchpoint.js';
+import {
+  recordPageTouchpoint,
+  buildAttributionReport,
+  ATTRIBUTION_MODELS,
+  ATTRIBUTION_DIMENSIONS
+} from '../utils/attribution.js';
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/analytics/dashboard
@@ -393,6 +400,13 @@ export const trackPageView = asyncHandler(async (req, res) => {
     userAgent: req.get('User-Agent'),
     ipAddress: req.ip
   });
+
+  // The visitor's journey feeds attribution; never fail the beacon over it
+  try {
+    await recordPageTouchpoint(req, res, { page, referrer, sessionId });
+  } catch (error) {
+    console.error('Error recording touchpoint:', error);
+  }
   
   res.json({
     status: 'success',
@@ -492,3 +506,75 @@ export const exportAnalytics = asyncHandler(async (req, res) => {
     });
   }
 });
+
+// @desc    Credit leads, bookings and revenue to marketing touchpoints
+// @route   GET /api/analytics/attribution
+// @access  Private/Admin
+export const getAttributionReport = asyncHandler(async (req, res) => {
+  const { startDate, endDate, dimension = 'source', model } = req.query;
+
+  if (!ATTRIBUTION_DIMENSIONS.includes(dimension)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Dimension must be one of: ${ATTRIBUTION_DIMENSIONS.join(', ')}`
+    });
+  }
+
+  const models = model ? String(model).split(',').map(name => name.trim()) : ATTRIBUTION_MODELS;
+  if (models.length === 0 || models.some(name => !ATTRIBUTION_MODELS.includes(name))) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Model must be one or more of: ${ATTRIBUTION_MODELS.join(', ')}`
+    });
+  }
+
+  const start = startDate ? new Date(startDate) : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+  const end = endDate ? new Date(endDate) : new Date();
+  if (isNaN(start) || isNaN(end)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid date range'
+    });
+  }
+
+  const report = await buildAttributionReport({ from: start, to: end, dimension, models });
+
+  res.json({
+    status: 'success',
+    data: {
+      ...report,
+      period: {
+        startDate: start.toISOString(),
+        endDate: end.toISOString()
+      }
+    }
+  });
+});
+
+// @desc    Get the touchpoints that led to a contact
+// @route   GET /api/analytics/attribution/contacts/:id
+// @access  Private/Admin
+export const getContactJourney = asyncHandler(async (req, res) => {
+  const contact = await Contact.findById(req.params.id).select('name email createdAt utm refCode visitorId');
+
+  if (!contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Contact not found'
+    });
+  }
+
+  const touchpoints = await Touchpoint.find({ contact: contact._id })
+    .sort({ occurredAt: 1 })
+    .populate('partner', 'name code type')
+    .lean();
+
+  res.json({
+    status: 'success',
+    data: {
+      contact,
+      touchpoints,
+      entryTouches: touchpoints.filter(touch => touch.isEntry).length
+    }
+  });
+});
@@ -0,0 +1,252 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Booking, { toDateKey } from '../models/Booking.js';
+import Contact from '../models/Contact.js';
+
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 90;
+const DEFAULT_HOLD_DAYS = 7;
+
+// Resolve the from/to query params into a bounded date range
+const resolveRange = (from, to) => {
+  const fromKey = toDateKey(from || new Date());
+  const start = new Date(`${fromKey}T00:00:00.000Z`);
+
+  let toKey = toDateKey(to);
+  if (!toKey) {
+    const end = new Date(start);
+    end.setUTCDate(end.getUTCDate() + DEFAULT_RANGE_DAYS);
+    toKey = toDateKey(end);
+  }
+
+  const days = Math.round((new Date(`${toKey}T00:00:00.000Z`) - start) / (24 * 60 * 60 * 1000));
+
+  return { fromKey, toKey, days };
+};
+
+// @desc    Get open, held and booked dates for a range
+// @route   GET /api/availability
+// @access  Public
+export const getAvailability = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { fromKey, toKey, days } = resolveRange(req.query.from, req.query.to);
+
+  if (days < 0 || days > MAX_RANGE_DAYS) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Date range must be between 0 and ${MAX_RANGE_DAYS} days`
+    });
+  }
+
+  const calendar = await Booking.getAvailability(fromKey, toKey);
+
+  res.json({
+    status: 'success',
+    data: {
+      from: fromKey,
+      to: toKey,
+      days: calendar
+    }
+  });
+});
+
+// @desc    Check whether a single date/time block is open
+// @route   GET /api/availability/check
+// @access  Public
+export const checkAvailability = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { date, timeBlock = 'full_day' } = req.query;
+  const conflicts = await Booking.findConflicts(date, timeBlock);
+
+  res.json({
+    status: 'success',
+    data: {
+      date: toDateKey(date),
+      timeBlock,
+      available: conflicts.length === 0
+    }
+  });
+});
+
+// @desc    Get calendar entries with client details
+// @route   GET /api/availability/admin/entries
+// @access  Private/Admin
+export const getCalendarEntries = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { status } = req.query;
+  const { fromKey, toKey } = resolveRange(req.query.from, req.query.to);
+
+  await Booking.releaseExpiredHolds();
+
+  const query = {
+    date: { $gte: fromKey, $lte: toKey }
+  };
+
+  if (status && status !== 'all') {
+    query.status = status;
+  } else if (!status) {
+    query.blocking = true;
+  }
+
+  const entries = await Booking.find(query)
+    .sort({ date: 1, timeBlock: 1 })
+    .populate('contact', 'name email phone eventType guestCount')
+    .populate('createdBy', 'name email');
+
+  res.json({
+    status: 'success',
+    data: {
+      from: fromKey,
+      to: toKey,
+      entries
+    }
+  });
+});
+
+// @desc    Place a soft hold on a date for a contact
+// @route   POST /api/availability/admin/holds
+// @access  Private/Admin
+export const createHold = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { contactId, date, timeBlock = 'full_day', holdDays = DEFAULT_HOLD_DAYS, expiresAt, notes } = req.body;
+
+  const contact = await Contact.findById(contactId);
+  if (!contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Contact submission not found'
+    });
+  }
+
+  const expiry = expiresAt
+    ? new Date(expiresAt)
+    : new Date(Date.now() + parseInt(holdDays) * 24 * 60 * 60 * 1000);
+
+  try {
+    const hold = await Booking.placeHold({
+      contactId: contact._id,
+      date: date || contact.eventDate,
+      timeBlock,
+      expiresAt: expiry,
+      notes,
+      adminId: req.admin.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Hold placed on ${hold.date} until ${expiry.toISOString()}`,
+      data: { hold }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+});
+
+// @desc    Extend a hold or update its notes
+// @route   PATCH /api/availability/admin/holds/:id
+// @access  Private/Admin
+export const updateHold = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { expiresAt, notes } = req.body;
+
+  await Booking.releaseExpiredHolds();
+  const hold = await Booking.findOne({ _id: req.params.id, status: 'hold' });
+
+  if (!hold) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Active hold not found'
+    });
+  }
+
+  if (expiresAt) hold.holdExpiresAt = new Date(expiresAt);
+  if (notes !== undefined) hold.notes = notes;
+
+  await hold.save();
+
+  res.json({
+    status: 'success',
+    message: 'Hold updated successfully',
+    data: { hold }
+  });
+});
+
+// @desc    Release a hold
+// @route   DELETE /api/availability/admin/holds/:id
+// @access  Private/Admin
+export const releaseHold = asyncHandler(async (req, res) => {
+  const hold = await Booking.findById(req.params.id);
+
+  if (!hold) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Calendar entry not found'
+    });
+  }
+
+  if (hold.status === 'booked') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Bookings are cancelled through the contact lead status, not released'
+    });
+  }
+
+  if (hold.status === 'hold') {
+    hold.status = 'released';
+    hold.releasedAt = new Date();
+    hold.releaseReason = req.body?.reason || 'Released by admin';
+    await hold.save();
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Hold released successfully',
+    data: { hold }
+  });
+});
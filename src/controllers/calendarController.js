@@ -0,0 +1,269 @@
+import asyncHandler from 'express-async-handler';
+import Admin from '../models/Admin.js';
+import Booking, { TIME_BLOCK_HOURS, toDateKey } from '../models/Booking.js';
+import Contact from '../models/Contact.js';
+import Settings, { defaultSettings } from '../models/Settings.js';
+import { buildCalendar } from '../utils/ics.js';
+
+export const FEED_TYPES = ['bookings', 'holds', 'tours', 'all'];
+
+const FEED_NAMES = {
+  bookings: 'The White Barn FL - Bookings',
+  holds: 'The White Barn FL - Date Holds',
+  tours: 'The White Barn FL - Tours',
+  all: 'The White Barn FL - Venue Calendar'
+};
+
+// Past events kept in feeds so recent history stays visible on phones
+const FEED_HISTORY_DAYS = 90;
+const TOUR_DURATION_MINUTES = 60;
+const UID_DOMAIN = 'thewhitebarnfl.com';
+
+const CONTACT_FIELDS = 'name email phone eventType guestCount eventDate';
+
+// Deep link into the admin contact view
+const contactLink = (contactId) => {
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+  return `${baseUrl}/admin/contacts/${contactId}`;
+};
+
+// Venue address used as the event location
+const getVenueLocation = async () => {
+  const general = await Settings.getByCategory('general');
+  return general.address || defaultSettings.general.address.value;
+};
+
+// Human readable client line, e.g. "Jane Doe - Wedding (120 guests)"
+const describeClient = (contact) => {
+  if (!contact) return 'Unassigned';
+
+  const eventType = contact.eventType
+    ? contact.eventType.charAt(0).toUpperCase() + contact.eventType.slice(1)
+    : 'Event';
+  const guests = contact.guestCount ? ` (${contact.guestCount} guests)` : '';
+
+  return `${contact.name} - ${eventType}${guests}`;
+};
+
+// Shared description lines for a client
+const clientDetails = (contact) => {
+  if (!contact) return [];
+
+  return [
+    `Client: ${contact.name}`,
+    contact.email && `Email: ${contact.email}`,
+    contact.phone && `Phone: ${contact.phone}`,
+    `Event type: ${contact.eventType || 'other'}`,
+    `Guest count: ${contact.guestCount || 'Not specified'}`
+  ].filter(Boolean);
+};
+
+// Map a booking/hold calendar entry to an iCalendar event
+const calendarEntryToEvent = (entry, location) => {
+  const contact = entry.contact;
+  const isHold = entry.status === 'hold';
+  const hours = TIME_BLOCK_HOURS[entry.timeBlock];
+
+  const description = [
+    ...clientDetails(contact),
+    `Time block: ${entry.timeBlock.replace('_', ' ')}`,
+    isHold && entry.holdExpiresAt && `Hold expires: ${entry.holdExpiresAt.toISOString()}`,
+    entry.notes && `Notes: ${entry.notes}`,
+    contact && `Admin: ${contactLink(contact._id)}`
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `${isHold ? 'hold' : 'booking'}-${entry._id}@${UID_DOMAIN}`,
+    updatedAt: entry.updatedAt,
+    date: entry.date,
+    allDay: !hours,
+    localStart: hours?.start,
+    localEnd: hours?.end,
+    summary: `${isHold ? 'HOLD' : 'Booked'}: ${describeClient(contact)}`,
+    description,
+    location,
+    url: contact ? contactLink(contact._id) : undefined,
+    status: isHold ? 'TENTATIVE' : 'CONFIRMED',
+    categories: [isHold ? 'Hold' : 'Booking']
+  };
+};
+
+// Map a contact's scheduled tour to an iCalendar event
+const tourToEvent = (contact, location) => {
+  const start = new Date(contact.tourDate);
+  const end = new Date(start.getTime() + TOUR_DURATION_MINUTES * 60 * 1000);
+
+  const description = [
+    ...clientDetails(contact),
+    contact.eventDate && `Event date: ${toDateKey(contact.eventDate)}`,
+    `Admin: ${contactLink(contact._id)}`
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `tour-${contact._id}@${UID_DOMAIN}`,
+    updatedAt: contact.updatedAt,
+    start,
+    end,
+    summary: `Tour: ${describeClient(contact)}`,
+    description,
+    location,
+    url: contactLink(contact._id),
+    status: 'CONFIRMED',
+    categories: ['Tour']
+  };
+};
+
+// Collect the events for a feed type
+const collectFeedEvents = async (type, location) => {
+  const since = new Date();
+  since.setDate(since.getDate() - FEED_HISTORY_DAYS);
+
+  await Booking.releaseExpiredHolds();
+
+  const events = [];
+
+  if (type !== 'tours') {
+    const statuses = {
+      bookings: ['booked'],
+      holds: ['hold'],
+      all: ['booked', 'hold']
+    }[type];
+
+    const entries = await Booking.find({
+      status: { $in: statuses },
+      date: { $gte: toDateKey(since) }
+    })
+      .sort({ date: 1 })
+      .populate('contact', CONTACT_FIELDS);
+
+    events.push(...entries.map(entry => calendarEntryToEvent(entry, location)));
+  }
+
+  if (type === 'tours' || type === 'all') {
+    const contacts = await Contact.find({
+      tourScheduled: true,
+      tourDate: { $gte: since }
+    })
+      .sort({ tourDate: 1 })
+      .select(`${CONTACT_FIELDS} tourDate updatedAt`);
+
+    events.push(...contacts.map(contact => tourToEvent(contact, location)));
+  }
+
+  return events;
+};
+
+// Send an iCalendar payload
+const sendCalendar = (res, ics, filename, disposition = 'inline') => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(ics);
+};
+
+// Absolute feed URLs for an admin's token
+const buildFeedUrls = (req, token) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+  return FEED_TYPES.reduce((acc, type) => {
+    acc[type] = `${baseUrl}/api/calendar/feed/${token}/${type}.ics`;
+    return acc;
+  }, {});
+};
+
+// @desc    iCalendar subscription feed
+// @route   GET /api/calendar/feed/:token/:type.ics
+// @access  Public (secret token)
+export const getCalendarFeed = asyncHandler(async (req, res) => {
+  const { token, type } = req.params;
+
+  if (!FEED_TYPES.includes(type)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Unknown calendar feed'
+    });
+  }
+
+  const admin = token
+    ? await Admin.findOne({ calendarFeedToken: token }).select('+calendarFeedToken isActive')
+    : null;
+
+  if (!admin || !admin.isActive) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Calendar feed not found'
+    });
+  }
+
+  const location = await getVenueLocation();
+  const events = await collectFeedEvents(type, location);
+
+  sendCalendar(res, buildCalendar({ name: FEED_NAMES[type], events }), `${type}.ics`);
+});
+
+// @desc    Get the current admin's feed URLs (creating a token on first use)
+// @route   GET /api/calendar/admin/feeds
+// @access  Private/Admin
+export const getFeedUrls = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.admin.id).select('+calendarFeedToken');
+
+  if (!admin.calendarFeedToken) {
+    admin.generateCalendarFeedToken();
+    await admin.save({ validateBeforeSave: false });
+  }
+
+  res.json({
+    status: 'success',
+    data: { feeds: buildFeedUrls(req, admin.calendarFeedToken) }
+  });
+});
+
+// @desc    Rotate the current admin's feed token, invalidating old subscriptions
+// @route   POST /api/calendar/admin/feeds/rotate
+// @access  Private/Admin
+export const rotateFeedToken = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.admin.id).select('+calendarFeedToken');
+
+  admin.generateCalendarFeedToken();
+  await admin.save({ validateBeforeSave: false });
+
+  res.json({
+    status: 'success',
+    message: 'Calendar feed token rotated. Existing subscriptions will stop updating.',
+    data: { feeds: buildFeedUrls(req, admin.calendarFeedToken) }
+  });
+});
+
+// @desc    Download a single booking, hold or tour as an .ics file
+// @route   GET /api/calendar/admin/events/:kind/:id.ics
+// @access  Private/Admin
+export const downloadEvent = asyncHandler(async (req, res) => {
+  const { kind, id } = req.params;
+  const location = await getVenueLocation();
+
+  let event;
+
+  if (kind === 'booking' || kind === 'hold') {
+    const entry = await Booking.findById(id).populate('contact', CONTACT_FIELDS);
+    if (entry && ['booked', 'hold'].includes(entry.status)) {
+      event = calendarEntryToEvent(entry, location);
+    }
+  } else if (kind === 'tour') {
+    const contact = await Contact.findById(id).select(`${CONTACT_FIELDS} tourDate tourScheduled updatedAt`);
+    if (contact && contact.tourScheduled && contact.tourDate) {
+      event = tourToEvent(contact, location);
+    }
+  }
+
+  if (!event) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Calendar event not found'
+    });
+  }
+
+  const ics = buildCalendar({ name: FEED_NAMES.all, events: [event] });
+  sendCalendar(res, ics, `${kind}-${id}.ics`, 'attachment');
+});
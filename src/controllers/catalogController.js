@@ -0,0 +1,217 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import CatalogItem from '../models/CatalogItem.js';
+import PricingRule from '../models/PricingRule.js';
+
+const CATALOG_FIELDS = [
+  'name', 'code', 'description', 'kind', 'category', 'pricingType', 'price',
+  'defaultHours', 'includedGuests', 'minGuests', 'maxGuests', 'taxable', 'active', 'sortOrder'
+];
+
+const RULE_FIELDS = [
+  'name', 'description', 'appliesTo', 'items', 'daysOfWeek', 'seasonStart', 'seasonEnd',
+  'adjustmentType', 'adjustmentValue', 'priority', 'active'
+];
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Copy the allowed fields from the request body
+const pickFields = (body, fields) => {
+  const data = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// @desc    Get active packages and add-ons for the website
+// @route   GET /api/quotes/catalog
+// @access  Public
+export const getPublicCatalog = asyncHandler(async (req, res) => {
+  const items = await CatalogItem.find({ active: true })
+    .sort({ kind: 1, sortOrder: 1, name: 1 })
+    .select('name code description kind category pricingType price defaultHours includedGuests minGuests maxGuests');
+
+  res.json({
+    status: 'success',
+    data: {
+      packages: items.filter(item => item.kind === 'package'),
+      addons: items.filter(item => item.kind === 'addon')
+    }
+  });
+});
+
+// @desc    Get all catalog items
+// @route   GET /api/quotes/admin/catalog
+// @access  Private/Admin
+export const getCatalogItems = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.kind) query.kind = req.query.kind;
+  if (req.query.active !== undefined) query.active = req.query.active === 'true';
+
+  const items = await CatalogItem.find(query).sort({ kind: 1, sortOrder: 1, name: 1 });
+
+  res.json({
+    status: 'success',
+    data: { items }
+  });
+});
+
+// @desc    Create a catalog item
+// @route   POST /api/quotes/admin/catalog
+// @access  Private/Admin
+export const createCatalogItem = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const existing = await CatalogItem.exists({ code: req.body.code.toLowerCase() });
+  if (existing) {
+    return res.status(400).json({
+      status: 'error',
+      message: `A catalog item with code "${req.body.code}" already exists`
+    });
+  }
+
+  const item = await CatalogItem.create(pickFields(req.body, CATALOG_FIELDS));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Catalog item created successfully',
+    data: { item }
+  });
+});
+
+// @desc    Update a catalog item
+// @route   PUT /api/quotes/admin/catalog/:id
+// @access  Private/Admin
+export const updateCatalogItem = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const item = await CatalogItem.findById(req.params.id);
+
+  if (!item) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Catalog item not found'
+    });
+  }
+
+  // Codes are referenced from saved quotes, so they stay fixed
+  const { code, ...updates } = pickFields(req.body, CATALOG_FIELDS);
+  Object.assign(item, updates);
+  await item.save();
+
+  res.json({
+    status: 'success',
+    message: 'Catalog item updated successfully',
+    data: { item }
+  });
+});
+
+// @desc    Retire a catalog item (existing quotes keep their copy)
+// @route   DELETE /api/quotes/admin/catalog/:id
+// @access  Private/Admin
+export const deleteCatalogItem = asyncHandler(async (req, res) => {
+  const item = await CatalogItem.findByIdAndUpdate(
+    req.params.id,
+    { active: false },
+    { new: true }
+  );
+
+  if (!item) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Catalog item not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Catalog item deactivated successfully',
+    data: { item }
+  });
+});
+
+// @desc    Get pricing rules
+// @route   GET /api/quotes/admin/pricing-rules
+// @access  Private/Admin
+export const getPricingRules = asyncHandler(async (req, res) => {
+  const rules = await PricingRule.find()
+    .sort({ priority: -1, createdAt: 1 })
+    .populate('items', 'name code');
+
+  res.json({
+    status: 'success',
+    data: { rules }
+  });
+});
+
+// @desc    Create a pricing rule
+// @route   POST /api/quotes/admin/pricing-rules
+// @access  Private/Admin
+export const createPricingRule = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const rule = await PricingRule.create(pickFields(req.body, RULE_FIELDS));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Pricing rule created successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Update a pricing rule
+// @route   PUT /api/quotes/admin/pricing-rules/:id
+// @access  Private/Admin
+export const updatePricingRule = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const rule = await PricingRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Pricing rule not found'
+    });
+  }
+
+  Object.assign(rule, pickFields(req.body, RULE_FIELDS));
+  await rule.save();
+
+  res.json({
+    status: 'success',
+    message: 'Pricing rule updated successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Delete a pricing rule
+// @route   DELETE /api/quotes/admin/pricing-rules/:id
+// @access  Private/Admin
+export const deletePricingRule = asyncHandler(async (req, res) => {
+  const rule = await PricingRule.findByIdAndDelete(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Pricing rule not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Pricing rule deleted successfully'
+  });
+});
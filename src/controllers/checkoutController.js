@@ -0,0 +1,231 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import PaymentSchedule from '../models/PaymentSchedule.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { verifySignedToken } from '../utils/signedToken.js';
+import { getPaymentProvider, isFakeProviderEnabled } from '../utils/paymentProviders/index.js';
+import {
+  readCheckoutSession,
+  completeCheckout,
+  renderCheckoutPage
+} from '../utils/paymentProviders/fakeProvider.js';
+import { createScheduleCheckout, processPaymentEvent } from '../utils/paymentReconciliation.js';
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Surface provider and reconciliation errors with their status code
+const sendPaymentError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+// Base URL of this API, used for provider callbacks
+const getApiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+// Resolve the schedule referenced by a client pay link
+const findScheduleByToken = async (token) => {
+  const decoded = verifySignedToken(token, 'payment');
+  if (!decoded) return null;
+
+  return PaymentSchedule.findById(decoded.scheduleId)
+    .populate('contact', 'name email')
+    .populate('booking', 'date timeBlock status');
+};
+
+// What the client sees through the pay link
+const toPublicSchedule = (schedule) => ({
+  clientName: schedule.contact?.name,
+  eventDate: schedule.booking?.date,
+  currency: schedule.currency,
+  status: schedule.status,
+  totalAmount: schedule.totalAmount,
+  amountCollected: schedule.amountCollected,
+  balanceDue: schedule.balanceDue,
+  nextDueDate: schedule.nextDueDate,
+  installments: schedule.installments.map(installment => ({
+    _id: installment._id,
+    label: installment.label,
+    dueDate: installment.dueDate,
+    amount: installment.amount,
+    amountPaid: installment.amountPaid,
+    status: installment.status
+  }))
+});
+
+// @desc    Get a payment schedule through a client pay link
+// @route   GET /api/payments/public/:token
+// @access  Public (signed link)
+export const getPublicSchedule = asyncHandler(async (req, res) => {
+  const schedule = await findScheduleByToken(req.params.token);
+
+  if (!schedule) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { schedule: toPublicSchedule(schedule) }
+  });
+});
+
+// @desc    Start an online checkout for the next (or chosen) installment
+// @route   POST /api/payments/public/:token/checkout
+// @access  Public (signed link)
+export const createPublicCheckout = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const schedule = await findScheduleByToken(req.params.token);
+
+  if (!schedule) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+  const returnUrl = `${baseUrl}/payments/pay?token=${req.params.token}`;
+
+  try {
+    const provider = getPaymentProvider();
+    if (provider.name === 'fake' && !isFakeProviderEnabled()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Online payments are not available right now'
+      });
+    }
+
+    const checkout = await createScheduleCheckout(provider, schedule, schedule.contact, {
+      installmentId: req.body.installment,
+      successUrl: `${returnUrl}&result=success`,
+      cancelUrl: `${returnUrl}&result=cancelled`,
+      apiBaseUrl: getApiBaseUrl(req)
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { checkout }
+    });
+  } catch (error) {
+    return sendPaymentError(res, error);
+  }
+});
+
+// @desc    Receive a payment provider webhook
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (signature verified)
+export const handlePaymentWebhook = asyncHandler(async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    // The fake gateway's events are only accepted where its checkout runs
+    if (provider.name === 'fake' && !isFakeProviderEnabled()) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Unknown payment provider: ${provider.name}`
+      });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const event = await provider.verifyWebhook(rawBody, req.headers);
+    const { event: log, duplicate } = await processPaymentEvent(provider.name, event);
+
+    res.json({
+      status: 'success',
+      data: { received: true, duplicate, eventStatus: log.status }
+    });
+  } catch (error) {
+    return sendPaymentError(res, error);
+  }
+});
+
+// @desc    Get the payment event log
+// @route   GET /api/payments/admin/events
+// @access  Private/Admin
+export const getPaymentEvents = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.schedule) query.schedule = req.query.schedule;
+  if (req.query.contact) query.contact = req.query.contact;
+  if (req.query.provider) query.provider = req.query.provider;
+  if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+
+  const [events, total] = await Promise.all([
+    PaymentEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    PaymentEvent.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Test checkout page of the local fake gateway
+// @route   GET /api/payments/fake/checkout
+// @access  Public (development only)
+export const showFakeCheckout = asyncHandler(async (req, res) => {
+  const session = isFakeProviderEnabled() && readCheckoutSession(req.query.session);
+
+  if (!session) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Checkout session not found or expired'
+    });
+  }
+
+  res.type('html').send(renderCheckoutPage(session, req.query.session));
+});
+
+// @desc    Pay or decline on the fake gateway's checkout page
+// @route   POST /api/payments/fake/checkout/complete
+// @access  Public (development only)
+export const submitFakeCheckout = asyncHandler(async (req, res) => {
+  const session = isFakeProviderEnabled() && readCheckoutSession(req.body.session);
+
+  if (!session) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Checkout session not found or expired'
+    });
+  }
+
+  const redirectUrl = await completeCheckout(session, {
+    outcome: req.body.outcome,
+    apiBaseUrl: getApiBaseUrl(req)
+  });
+
+  res.redirect(303, redirectUrl);
+});
@@ -0,0 +1,407 @@
+import mongoose from 'mongoose';
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Partner from '../models/Partner.js';
+import CommissionRule from '../models/CommissionRule.js';
+import CommissionEntry from '../models/CommissionEntry.js';
+import PayoutRun from '../models/PayoutRun.js';
+import {
+  voidCommission,
+  clawBackCommission,
+  approveCommissions,
+  createPayoutRun as batchPayoutRun,
+  markPayoutRunPaid,
+  cancelPayoutRun as cancelRun,
+  buildRemittanceCsv
+} from '../utils/commissions.js';
+
+const RULE_FIELDS = [
+  'name', 'description', 'partner', 'partnerType', 'calculation', 'value',
+  'tiers', 'tierPeriod', 'priority', 'active'
+];
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Ledger rules are thrown with a statusCode; anything else is unexpected
+const sendCommissionError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+// Copy the allowed fields from the request body
+const pickFields = (body, fields) => {
+  const data = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+const notFound = (res, what) => res.status(404).json({
+  status: 'error',
+  message: `${what} not found`
+});
+
+// @desc    Get commission rules
+// @route   GET /api/commissions/rules
+// @access  Private/Admin
+export const getCommissionRules = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.partner) query.partner = req.query.partner;
+  if (req.query.active !== undefined) query.active = req.query.active === 'true';
+
+  const rules = await CommissionRule.find(query)
+    .sort({ partner: -1, partnerType: -1, priority: -1, createdAt: 1 })
+    .populate('partner', 'name code type');
+
+  res.json({
+    status: 'success',
+    data: { rules }
+  });
+});
+
+// @desc    Create a commission rule
+// @route   POST /api/commissions/rules
+// @access  Private/Admin
+export const createCommissionRule = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  if (req.body.partner && !(await Partner.exists({ _id: req.body.partner }))) {
+    return notFound(res, 'Partner');
+  }
+
+  const rule = await CommissionRule.create(pickFields(req.body, RULE_FIELDS));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Commission rule created successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Update a commission rule (existing ledger entries keep their amounts)
+// @route   PUT /api/commissions/rules/:id
+// @access  Private/Admin
+export const updateCommissionRule = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const rule = await CommissionRule.findById(req.params.id);
+  if (!rule) return notFound(res, 'Commission rule');
+
+  if (req.body.partner && !(await Partner.exists({ _id: req.body.partner }))) {
+    return notFound(res, 'Partner');
+  }
+
+  Object.assign(rule, pickFields(req.body, RULE_FIELDS));
+  await rule.save();
+
+  res.json({
+    status: 'success',
+    message: 'Commission rule updated successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Delete a commission rule
+// @route   DELETE /api/commissions/rules/:id
+// @access  Private/Admin
+export const deleteCommissionRule = asyncHandler(async (req, res) => {
+  const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+  if (!rule) return notFound(res, 'Commission rule');
+
+  res.json({
+    status: 'success',
+    message: 'Commission rule deleted successfully'
+  });
+});
+
+// @desc    Get commission ledger entries
+// @route   GET /api/commissions/entries
+// @access  Private/Admin
+export const getCommissionEntries = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.partner) query.partner = req.query.partner;
+  if (req.query.contact) query.contact = req.query.contact;
+  if (req.query.kind) query.kind = req.query.kind;
+  if (req.query.payoutRun) query.payoutRun = req.query.payoutRun;
+  if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+
+  const [entries, total] = await Promise.all([
+    CommissionEntry.find(query)
+      .sort({ accruedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('partner', 'name code type')
+      .populate('contact', 'name email bookingDate')
+      .populate('payoutRun', 'number status'),
+    CommissionEntry.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get ledger totals per partner
+// @route   GET /api/commissions/summary
+// @access  Private/Admin
+export const getCommissionSummary = asyncHandler(async (req, res) => {
+  const match = {};
+  if (req.query.partner) match.partner = new mongoose.Types.ObjectId(req.query.partner);
+
+  const totals = await CommissionEntry.getTotals(match);
+  const partners = await Partner.find({ _id: { $in: Object.keys(totals) } }).select('name code type');
+
+  const summary = partners
+    .map(partner => {
+      const partnerTotals = totals[partner._id.toString()];
+      return {
+        partner,
+        ...partnerTotals,
+        // Everything not yet paid or voided is still owed
+        outstanding: Math.round((partnerTotals.accrued + partnerTotals.approved) * 100) / 100
+      };
+    })
+    .sort((a, b) => b.outstanding - a.outstanding);
+
+  res.json({
+    status: 'success',
+    data: { summary }
+  });
+});
+
+// @desc    Add a manual bonus or deduction to a partner's ledger
+// @route   POST /api/commissions/entries
+// @access  Private/Admin
+export const createCommissionAdjustment = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const partner = await Partner.findById(req.body.partner);
+  if (!partner) return notFound(res, 'Partner');
+
+  const entry = await CommissionEntry.create({
+    partner: partner._id,
+    refCode: partner.code,
+    contact: req.body.contact,
+    kind: 'adjustment',
+    calculation: 'manual',
+    amount: Math.round(parseFloat(req.body.amount) * 100) / 100,
+    description: req.body.description
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Commission adjustment added successfully',
+    data: { entry }
+  });
+});
+
+// @desc    Approve accrued entries for payout
+// @route   POST /api/commissions/entries/approve
+// @access  Private/Admin
+export const approveCommissionEntries = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const approved = await approveCommissions(req.body.ids, req.admin?.id);
+
+  res.json({
+    status: 'success',
+    message: `Approved ${approved} commission(s)`,
+    data: { approved }
+  });
+});
+
+// @desc    Void an unpaid commission entry
+// @route   POST /api/commissions/entries/:id/void
+// @access  Private/Admin
+export const voidCommissionEntry = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const entry = await CommissionEntry.findById(req.params.id);
+  if (!entry) return notFound(res, 'Commission entry');
+
+  try {
+    await voidCommission(entry, { adminId: req.admin?.id, reason: req.body.reason });
+  } catch (error) {
+    return sendCommissionError(res, error);
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Commission voided successfully',
+    data: { entry }
+  });
+});
+
+// @desc    Claw back a paid commission entry
+// @route   POST /api/commissions/entries/:id/clawback
+// @access  Private/Admin
+export const clawBackCommissionEntry = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const entry = await CommissionEntry.findById(req.params.id);
+  if (!entry) return notFound(res, 'Commission entry');
+
+  let clawback;
+  try {
+    clawback = await clawBackCommission(entry, { adminId: req.admin?.id, reason: req.body.reason });
+  } catch (error) {
+    return sendCommissionError(res, error);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Commission clawed back successfully',
+    data: { entry, clawback }
+  });
+});
+
+// @desc    Get payout runs
+// @route   GET /api/commissions/payout-runs
+// @access  Private/Admin
+export const getPayoutRuns = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+
+  const runs = await PayoutRun.find(query)
+    .sort({ createdAt: -1 })
+    .select('-remittances.entries')
+    .populate('createdBy', 'name')
+    .populate('paidBy', 'name');
+
+  res.json({
+    status: 'success',
+    data: { runs }
+  });
+});
+
+// @desc    Get a payout run with its entries
+// @route   GET /api/commissions/payout-runs/:id
+// @access  Private/Admin
+export const getPayoutRun = asyncHandler(async (req, res) => {
+  const run = await PayoutRun.findById(req.params.id)
+    .populate('createdBy', 'name')
+    .populate('paidBy', 'name');
+  if (!run) return notFound(res, 'Payout run');
+
+  const entries = await CommissionEntry.find({ payoutRun: run._id })
+    .sort({ partner: 1, accruedAt: 1 })
+    .populate('contact', 'name email bookingDate');
+
+  res.json({
+    status: 'success',
+    data: { run, entries }
+  });
+});
+
+// @desc    Batch approved commissions into a payout run
+// @route   POST /api/commissions/payout-runs
+// @access  Private/Admin
+export const createPayoutRun = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  let run;
+  try {
+    run = await batchPayoutRun({
+      partner: req.body.partner,
+      periodEnd: req.body.periodEnd ? new Date(req.body.periodEnd) : new Date(),
+      notes: req.body.notes,
+      adminId: req.admin?.id
+    });
+  } catch (error) {
+    return sendCommissionError(res, error);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: `Payout run ${run.number} created for ${run.remittances.length} partner(s)`,
+    data: { run }
+  });
+});
+
+// @desc    Mark a payout run as paid
+// @route   POST /api/commissions/payout-runs/:id/paid
+// @access  Private/Admin
+export const payPayoutRun = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const run = await PayoutRun.findById(req.params.id);
+  if (!run) return notFound(res, 'Payout run');
+
+  try {
+    await markPayoutRunPaid(run, {
+      adminId: req.admin?.id,
+      paidAt: req.body.paidAt ? new Date(req.body.paidAt) : new Date(),
+      references: req.body.references || {}
+    });
+  } catch (error) {
+    return sendCommissionError(res, error);
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Payout run marked as paid',
+    data: { run }
+  });
+});
+
+// @desc    Cancel a pending payout run
+// @route   POST /api/commissions/payout-runs/:id/cancel
+// @access  Private/Admin
+export const cancelPayoutRun = asyncHandler(async (req, res) => {
+  const run = await PayoutRun.findById(req.params.id);
+  if (!run) return notFound(res, 'Payout run');
+
+  try {
+    await cancelRun(run, req.admin?.id);
+  } catch (error) {
+    return sendCommissionError(res, error);
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Payout run cancelled; its entries are back in the approved pool',
+    data: { run }
+  });
+});
+
+// @desc    Download a payout run's remittance as CSV
+// @route   GET /api/commissions/payout-runs/:id/remittance
+// @access  Private/Admin
+export const getPayoutRemittance = asyncHandler(async (req, res) => {
+  const run = await PayoutRun.findById(req.params.id);
+  if (!run) return notFound(res, 'Payout run');
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=remittance-${run.number}.csv`);
+  res.send(buildRemittanceCsv(run));
+});
@@ -1,8 +1,24 @@
 import { body, validationResult } from 'express-validator';
 import Contact from '../models/Contact.js';
 import Partner from '../models/Partner.js';
+import Booking from '../models/Booking.js';
+import Activity from '../models/Activity.js';
+import Touchpoint from '../models/Touchpoint.js';
+import { creditPartner } from '../utils/partnerCredit.js';
+import { advanceContactStage } from '../utils/pipeline.js';
+import { rescoreContacts } from '../utils/leadScoring.js';
+import { mergeContacts, undoContactMerge } from '../utils/contactMerge.js';
+import { reserveContactBooking, recordBookingChange } from '../utils/bookings.js';
+import { reverseCommission, updateCommissionBasis } from '../utils/commissions.js';
+import { resolveReferral, linkReferralClick } from '../utils/referrals.js';
+import { getVisitorId, linkTouchpoints } from '../utils/attribution.js';
+import ContactMerge from '../models/ContactMerge.js';
+import { screenReferral, buildReferralHold } from '../utils/referralFraud.js';
+import { buildOpenPixelUrl, recordEmailOpen, TRACKING_PIXEL } from '../utils/emailTracking.js';
 import { sendContactEmail, sendAutoReplyEmail } from '../utils/email.js';
 
+const getApiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
 // Validation rules for contact form
 export const validateContactForm = [
   body('name')
@@ -97,15 +113,40 @@ export const submitContactForm = async (req, res, next) => {
       utmTerm
     } = req.body;
 
-    // Determine referral source if refCode is provided
+    // Link repeat submissions from the same client to their first one
+    const duplicate = await Contact.findLikelyDuplicate({ email, phone, name });
+
+    // Determine referral source from the refCode, or a recent short-link click. Codes of
+    // pending, rejected or inactive partners aren't kept, so they never earn credit later.
+    // Suspicious referrals are held for review without crediting the partner.
+    const referral = resolveReferral(req, refCode);
     let refSource = null;
-    if (refCode) {
+    let leadCreditedAt = null;
+    let referralHold = null;
+    if (referral.code) {
       try {
-        const partner = await Partner.findByCode(refCode);
-        if (partner) {
+        const partner = await Partner.findByCode(referral.code);
+        const flags = partner && await screenReferral(partner, {
+          email,
+          phone,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          visitorId: getVisitorId(req)
+        });
+        if (partner && flags.length > 0) {
+          referralHold = buildReferralHold(partner, flags);
+        } else if (partner) {
           refSource = partner.type;
-          // Update partner stats
-          await partner.updateStats('lead');
+          // Update partner stats, unless this client was already credited to the partner
+          const alreadyCredited = duplicate && await Contact.exists({
+            $or: [{ _id: duplicate.contact._id }, { duplicateOf: duplicate.contact._id }],
+            refCode: partner.code,
+            'partnerCredits.lead': { $ne: null }
+          });
+          if (!alreadyCredited) {
+            await partner.updateStats('lead');
+            leadCreditedAt = new Date();
+          }
         }
       } catch (error) {
         console.error('Error looking up partner:', error);
@@ -126,7 +167,19 @@ export const submitContactForm = async (req, res, next) => {
       budget: budget || 'not-specified',
       // Referral tracking fields
       refSource,
-      refCode: refCode ? refCode.toUpperCase() : null,
+      refCode: refSource ? referral.code : null,
+      refAttribution: refSource || referralHold ? referral.source : null,
+      referralClick: refSource || referralHold ? referral.clickId : null,
+      ...referralHold,
+      visitorId: getVisitorId(req),
+      partnerCredits: {
+        lead: leadCreditedAt
+      },
+      emailEngagement: {
+        trackingSince: new Date()
+      },
+      duplicateOf: duplicate ? duplicate.contact._id : null,
+      duplicateReason: duplicate ? duplicate.reason : null,
       utm: {
         source: utmSource || null,
         medium: utmMedium || null,
@@ -140,11 +193,42 @@ export const submitContactForm = async (req, res, next) => {
     };
 
     const contact = await Contact.create(contactData);
+    if (refSource || referralHold) {
+      await linkReferralClick(referral.clickId, contact._id);
+    }
+    await linkTouchpoints(contact.visitorId, contact._id);
+
+    if (duplicate) {
+      await Activity.record({
+        contact: duplicate.contact._id,
+        type: 'system',
+        summary: 'Submitted the contact form again',
+        details: message,
+        metadata: { duplicateId: contact._id, reason: duplicate.reason }
+      });
+    }
+
+    if (referralHold) {
+      await Activity.record({
+        contact: contact._id,
+        type: 'system',
+        summary: `Referral credit for partner ${referralHold.referralReview.code} held for review`,
+        details: referralHold.referralReview.flags.map(flag => flag.detail).join('\n')
+      });
+    }
 
     // Send emails (don't wait for them to complete)
     Promise.all([
       sendContactEmail(contactData),
-      sendAutoReplyEmail(contactData)
+      sendAutoReplyEmail({
+        ...contactData,
+        openPixelUrl: buildOpenPixelUrl(getApiBaseUrl(req), contact._id)
+      }).then(() => Activity.record({
+        contact: contact._id,
+        type: 'email',
+        direction: 'outbound',
+        summary: 'Sent inquiry auto-reply'
+      }))
     ]).catch(error => {
       console.error('Email sending failed:', error);
       // Log the error but don't fail the request
@@ -163,6 +247,25 @@ export const submitContactForm = async (req, res, next) => {
   }
 };
 
+// @desc    Record an open of the inquiry auto-reply
+// @route   GET /api/contact/opened/:token.gif
+// @access  Public
+export const trackEmailOpen = async (req, res) => {
+  try {
+    await recordEmailOpen(req.params.token);
+  } catch (error) {
+    console.error('Error recording email open:', error);
+  }
+
+  // Always answer with the image so the email renders normally
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  res.send(TRACKING_PIXEL);
+};
+
 // @desc    Get all contact submissions (admin only)
 // @route   GET /api/contact
 // @access  Private
@@ -178,6 +281,11 @@ export const getContactSubmissions = async (req, res, next) => {
     if (status) {
       query.status = status;
     }
+    if (req.query.duplicates === 'only') {
+      query.duplicateOf = { $ne: null };
+    } else if (req.query.duplicates === 'exclude') {
+      query.duplicateOf = null;
+    }
 
     // Get contacts with pagination
     const contacts = await Contact.find(query)
@@ -219,9 +327,9 @@ export const getContactSubmission = async (req, res, next) => {
       });
     }
 
-    // Mark as read if it's new
-    if (contact.status === 'new') {
-      contact.status = 'read';
+    // Mark as read if it's new; saving also scores contacts from before lead scoring
+    if (contact.status === 'new' || !contact.leadScoredAt) {
+      if (contact.status === 'new') contact.status = 'read';
       await contact.save();
     }
 
@@ -248,11 +356,7 @@ export const updateContactStatus = async (req, res, next) => {
       });
     }
 
-    const contact = await Contact.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    );
+    const contact = await Contact.findById(req.params.id);
 
     if (!contact) {
       return res.status(404).json({
@@ -261,6 +365,10 @@ export const updateContactStatus = async (req, res, next) => {
       });
     }
 
+    // Saved through the document so the lead score picks up replies
+    contact.status = status;
+    await contact.save();
+
     res.status(200).json({
       status: 'success',
       data: { contact }
@@ -284,6 +392,12 @@ export const deleteContactSubmission = async (req, res, next) => {
       });
     }
 
+    // Free any dates the contact was holding and clear its timeline and journey
+    await Booking.releaseForContact(contact._id, { status: 'cancelled', reason: 'Contact deleted' });
+    await reverseCommission(contact, { adminId: req.admin?.id, reason: 'Contact deleted' });
+    await Activity.deleteMany({ contact: contact._id });
+    await Touchpoint.deleteMany({ contact: contact._id });
+
     res.status(200).json({
       status: 'success',
       message: 'Contact submission deleted successfully'
@@ -358,7 +472,7 @@ export const getContactsByPartner = async (req, res, next) => {
 // @access  Private
 export const updateContactLeadStatus = async (req, res, next) => {
   try {
-    const { tourScheduled, tourDate, booked, bookingDate, bookingAmount } = req.body;
+    const { tourScheduled, tourDate, booked, bookingDate, bookingAmount, timeBlock } = req.body;
     
     const contact = await Contact.findById(req.params.id);
     
@@ -369,6 +483,9 @@ export const updateContactLeadStatus = async (req, res, next) => {
       });
     }
 
+    const wasTourScheduled = contact.tourScheduled;
+    const wasBooked = contact.booked;
+
     // Update tour status
     if (tourScheduled !== undefined) {
       contact.tourScheduled = tourScheduled;
@@ -377,15 +494,8 @@ export const updateContactLeadStatus = async (req, res, next) => {
       }
       
       // Update partner stats if this is a new tour
-      if (tourScheduled && !contact.tourScheduled && contact.refCode) {
-        try {
-          const partner = await Partner.findByCode(contact.refCode);
-          if (partner) {
-            await partner.updateStats('tour');
-          }
-        } catch (error) {
-          console.error('Error updating partner tour stats:', error);
-        }
+      if (tourScheduled && !wasTourScheduled) {
+        await creditPartner(contact, 'tour');
       }
     }
 
@@ -398,22 +508,48 @@ export const updateContactLeadStatus = async (req, res, next) => {
       if (bookingAmount) {
         contact.bookingAmount = parseFloat(bookingAmount);
       }
-      
-      // Update partner stats if this is a new booking
-      if (booked && !contact.booked && contact.refCode) {
+
+      // Reserve the calendar before committing the booking so double-bookings are rejected
+      if (booked && (!wasBooked || bookingDate || timeBlock)) {
         try {
-          const partner = await Partner.findByCode(contact.refCode);
-          if (partner) {
-            await partner.updateStats('booking');
-          }
+          await reserveContactBooking(contact, { timeBlock, adminId: req.admin?.id });
         } catch (error) {
-          console.error('Error updating partner booking stats:', error);
+          if (error.statusCode) {
+            return res.status(error.statusCode).json({
+              status: 'error',
+              message: error.message
+            });
+          }
+          throw error;
         }
+      } else if (booked && bookingAmount) {
+        await updateCommissionBasis(contact._id, contact.bookingAmount);
+      }
+
+      // Free the date and take back the partner's commission when a booking falls through
+      if (!booked && wasBooked) {
+        await Booking.releaseForContact(contact._id, { status: 'cancelled', reason: 'Booking cancelled' });
+        await reverseCommission(contact, { adminId: req.admin?.id });
       }
     }
 
     await contact.save();
 
+    const adminId = req.admin?.id || null;
+    if (contact.tourScheduled && !wasTourScheduled) {
+      await Activity.record({
+        contact: contact._id,
+        type: 'tour',
+        summary: 'Tour scheduled',
+        admin: adminId,
+        metadata: { tourDate: contact.tourDate }
+      });
+      await advanceContactStage(contact, 'tour_booked', { adminId });
+    }
+    if (booked !== undefined && contact.booked !== wasBooked) {
+      await recordBookingChange(contact, { adminId });
+    }
+
     res.status(200).json({
       status: 'success',
       data: { contact }
@@ -422,3 +558,155 @@ export const updateContactLeadStatus = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Recalculate lead scores after scoring rules change (admin only)
+// @route   POST /api/admin/contacts/rescore
+// @access  Private
+export const rescoreContactSubmissions = async (req, res, next) => {
+  try {
+    const filter = req.body?.includeArchived ? {} : { status: { $ne: 'archived' } };
+    const { rescored } = await rescoreContacts(filter);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Recalculated ${rescored} lead score(s)`,
+      data: { rescored }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get linked and likely duplicates of a contact (admin only)
+// @route   GET /api/admin/contacts/:id/duplicates
+// @access  Private
+export const getContactDuplicates = async (req, res, next) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Contact submission not found'
+      });
+    }
+
+    const primaryId = contact.duplicateOf || contact._id;
+    const linked = await Contact.find({
+      $or: [{ _id: primaryId }, { duplicateOf: primaryId }],
+      _id: { $ne: contact._id }
+    })
+      .sort({ createdAt: 1 })
+      .select('-ipAddress -userAgent');
+
+    // Also surface a likely match that was not linked at submission time
+    const detected = await Contact.findLikelyDuplicate({
+      email: contact.email,
+      phone: contact.phone,
+      name: contact.name,
+      excludeId: contact._id
+    });
+    const suggestions = detected && !linked.some(item => item._id.equals(detected.contact._id))
+      ? [{ contact: detected.contact, reason: detected.reason }]
+      : [];
+
+    const merges = await ContactMerge.find({ target: contact._id })
+      .sort({ createdAt: -1 })
+      .select('sources mergedBy undoExpiresAt undoneAt createdAt')
+      .populate('mergedBy', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        linked,
+        suggestions,
+        merges: merges.map(merge => ({ ...merge.toObject(), canUndo: merge.canUndo }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Merge duplicate contacts into one (admin only)
+// @route   POST /api/admin/contacts/:id/merge
+// @access  Private
+export const mergeContactSubmissions = async (req, res, next) => {
+  try {
+    const { sourceIds } = req.body;
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'sourceIds must list the contacts to merge'
+      });
+    }
+
+    const [target, sources] = await Promise.all([
+      Contact.findById(req.params.id),
+      Contact.find({ _id: { $in: sourceIds } })
+    ]);
+
+    if (!target || sources.length !== new Set(sourceIds.map(String)).size) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'One or more contact submissions were not found'
+      });
+    }
+
+    const { contact, merge } = await mergeContacts(target, sources, req.admin.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Merged ${sources.length} contact(s). This can be undone until ${merge.undoExpiresAt.toISOString()}.`,
+      data: {
+        contact,
+        mergeId: merge._id,
+        undoExpiresAt: merge.undoExpiresAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Undo a contact merge within its undo window (admin only)
+// @route   POST /api/admin/contacts/merges/:mergeId/undo
+// @access  Private
+export const undoContactSubmissionMerge = async (req, res, next) => {
+  try {
+    const merge = await ContactMerge.findById(req.params.mergeId);
+
+    if (!merge) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Merge not found'
+      });
+    }
+
+    const contact = await undoContactMerge(merge, req.admin.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Merge undone successfully',
+      data: {
+        contact,
+        restored: merge.sources
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
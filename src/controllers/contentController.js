@@ -5,6 +5,7 @@ import {
   SocialLinks,
   PropertyDetails
 } from '../models/Content.js';
+import { invalidateStructuredData } from '../utils/reviewStructuredData.js';
 
 // @desc    Get contact details
 // @route   GET /api/content/contact-details
@@ -125,6 +126,8 @@ export const updateContactDetails = async (req, res, next) => {
       req.body,
       { new: true, upsert: true, runValidators: true }
     );
+    // The venue JSON-LD is built from these details
+    invalidateStructuredData();
 
     res.status(200).json({
       status: 'success',
@@ -185,6 +188,7 @@ export const updatePropertyDetails = async (req, res, next) => {
       req.body,
       { new: true, upsert: true, runValidators: true }
     );
+    invalidateStructuredData();
 
     res.status(200).json({
       status: 'success',
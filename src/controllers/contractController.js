@@ -0,0 +1,567 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Contract from '../models/Contract.js';
+import Quote from '../models/Quote.js';
+import Contact from '../models/Contact.js';
+import Document from '../models/Document.js';
+import Activity from '../models/Activity.js';
+import Booking from '../models/Booking.js';
+import { verifySignedToken } from '../utils/signedToken.js';
+import { getBranding } from '../utils/pdfRenderer.js';
+import {
+  resolveQuoteVersion,
+  resolveDocumentPath,
+  prepareContractTerms,
+  generateSignableContractDocument,
+  storeSignatureImage
+} from '../utils/documents.js';
+import { markContactBooked } from '../utils/bookings.js';
+import {
+  buildContractUrl,
+  notifyContractSent,
+  notifyContractSigned,
+  notifyContractExecuted
+} from '../utils/contractNotifications.js';
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Surface contract errors (missing versions, calendar clashes) with their status code
+const sendContractError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+// Fire-and-forget email so a mail outage never fails the request
+const sendInBackground = (promise) => {
+  promise.catch(error => {
+    console.error('Contract email failed:', error.message);
+  });
+};
+
+const notFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Contract not found'
+});
+
+// Where a request came from, for the audit trail
+const requestOrigin = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')?.slice(0, 300)
+});
+
+const getApiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+// SHA-256 of the terms, so a signature is tied to exactly what was shown
+const hashTerms = (contract) => {
+  const terms = {
+    number: contract.number,
+    eventDate: contract.eventDate,
+    guestCount: contract.guestCount,
+    total: contract.total,
+    currency: contract.currency,
+    clauses: contract.clauses.map(({ heading, body }) => ({ heading, body }))
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(terms)).digest('hex');
+};
+
+// Render the contract's current PDF and point the contract at it
+const refreshDocument = async (contract, contact, adminId) => {
+  const document = await generateSignableContractDocument(contract, contact, { adminId });
+  contract.document = document._id;
+  return document;
+};
+
+// Resolve the contract referenced by a public signing link
+const findContractByToken = async (token) => {
+  const decoded = verifySignedToken(token, 'contract');
+  if (!decoded) return null;
+
+  return Contract.findById(decoded.contractId);
+};
+
+// What the client sees through the signing link
+const toPublicContract = (contract, contact) => ({
+  number: contract.number,
+  title: contract.title,
+  status: contract.status,
+  clientName: contact?.name,
+  eventDate: contract.eventDate,
+  guestCount: contract.guestCount,
+  total: contract.total,
+  currency: contract.currency,
+  clauses: contract.clauses,
+  contentHash: contract.contentHash,
+  clientSignature: contract.clientSignature && {
+    name: contract.clientSignature.name,
+    signedAt: contract.clientSignature.signedAt
+  },
+  executedAt: contract.executedAt
+});
+
+// @desc    Get contracts
+// @route   GET /api/contracts/admin
+// @access  Private/Admin
+export const getContracts = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.contact) query.contact = req.query.contact;
+  if (req.query.quote) query.quote = req.query.quote;
+  if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+
+  const [contracts, total] = await Promise.all([
+    Contract.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-clauses -audit')
+      .populate('contact', 'name email eventDate'),
+    Contract.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      contracts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get a contract with its audit trail
+// @route   GET /api/contracts/admin/:id
+// @access  Private/Admin
+export const getContract = asyncHandler(async (req, res) => {
+  const contract = await Contract.findById(req.params.id)
+    .populate('contact', 'name email phone eventDate stage booked')
+    .populate('quote', 'quoteNumber title status')
+    .populate('document signedDocument', 'version fileName fileSize checksum createdAt')
+    .populate('audit.admin countersignature.admin', 'name email');
+
+  if (!contract) return notFound(res);
+
+  res.json({
+    status: 'success',
+    data: {
+      contract,
+      signingUrl: contract.isSignable ? buildContractUrl(contract) : null
+    }
+  });
+});
+
+// @desc    Create a contract from a quote
+// @route   POST /api/contracts/admin
+// @access  Private/Admin
+export const createContract = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const quote = await Quote.findById(req.body.quote);
+  const contact = quote && await Contact.findById(quote.contact);
+
+  if (!quote || !contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Quote not found'
+    });
+  }
+
+  const open = await Contract.exists({ quote: quote._id, status: { $ne: 'void' } });
+  if (open) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'This quote already has a contract. Void it before creating another.'
+    });
+  }
+
+  try {
+    const version = resolveQuoteVersion(quote, req.body.version);
+    const branding = await getBranding();
+    const terms = prepareContractTerms(quote, version, contact, branding, req.body.clauses);
+
+    const contract = new Contract({
+      ...terms,
+      contact: contact._id,
+      quote: quote._id,
+      quoteVersion: version.version,
+      number: await Document.generateNumber('contract'),
+      title: req.body.title || undefined,
+      timeBlock: req.body.timeBlock,
+      createdBy: req.admin.id
+    });
+    contract.contentHash = hashTerms(contract);
+    contract.logAudit('created', { admin: req.admin.id, details: `From quote ${quote.quoteNumber} (v${version.version})` });
+
+    await refreshDocument(contract, contact, req.admin.id);
+    await contract.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Contract created successfully',
+      data: { contract }
+    });
+  } catch (error) {
+    return sendContractError(res, error);
+  }
+});
+
+// @desc    Edit a contract's clauses before it is signed
+// @route   PUT /api/contracts/admin/:id
+// @access  Private/Admin
+export const updateContract = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contract = await Contract.findById(req.params.id);
+  if (!contract) return notFound(res);
+
+  if (!['draft', 'sent', 'viewed'].includes(contract.status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `A ${contract.status} contract can no longer be edited`
+    });
+  }
+
+  const contact = await Contact.findById(contract.contact);
+  const { clauses, title, timeBlock } = req.body;
+
+  if (clauses) contract.clauses = clauses;
+  if (title !== undefined) contract.title = title;
+  if (timeBlock !== undefined) contract.timeBlock = timeBlock;
+
+  contract.contentHash = hashTerms(contract);
+  // Changed terms have to be sent again before the client can sign
+  contract.status = 'draft';
+  contract.logAudit('updated', { admin: req.admin.id });
+
+  await refreshDocument(contract, contact, req.admin.id);
+  await contract.save();
+
+  res.json({
+    status: 'success',
+    message: 'Contract updated successfully',
+    data: { contract }
+  });
+});
+
+// @desc    Email the contract to the client for signature
+// @route   POST /api/contracts/admin/:id/send
+// @access  Private/Admin
+export const sendContract = asyncHandler(async (req, res) => {
+  const contract = await Contract.findById(req.params.id);
+  if (!contract) return notFound(res);
+
+  if (!['draft', 'sent', 'viewed'].includes(contract.status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `A ${contract.status} contract cannot be sent`
+    });
+  }
+
+  const contact = await Contact.findById(contract.contact);
+  if (!contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Contact submission not found'
+    });
+  }
+
+  if (contract.status === 'draft') contract.status = 'sent';
+  contract.sentAt = new Date();
+  contract.logAudit('sent', { admin: req.admin.id, details: `Sent to ${contact.email}` });
+  await contract.save();
+
+  sendInBackground(notifyContractSent(contract, contact, { adminId: req.admin.id }));
+
+  res.json({
+    status: 'success',
+    message: 'Contract sent successfully',
+    data: {
+      contract,
+      signingUrl: buildContractUrl(contract)
+    }
+  });
+});
+
+// @desc    Countersign a client-signed contract and freeze the signed PDF
+// @route   POST /api/contracts/admin/:id/countersign
+// @access  Private/Admin
+export const countersignContract = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contract = await Contract.findById(req.params.id);
+  if (!contract) return notFound(res);
+
+  if (contract.status !== 'signed') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Only contracts signed by the client can be countersigned'
+    });
+  }
+
+  const contact = await Contact.findById(contract.contact);
+  const origin = requestOrigin(req);
+
+  try {
+    contract.countersignature = {
+      name: req.body.name,
+      imagePath: req.body.signature
+        ? await storeSignatureImage(contact, `${contract._id}-venue`, req.body.signature)
+        : undefined,
+      admin: req.admin.id,
+      signedAt: new Date(),
+      contentHash: contract.contentHash,
+      ...origin
+    };
+  } catch (error) {
+    return sendContractError(res, error);
+  }
+
+  contract.status = 'executed';
+  contract.executedAt = new Date();
+  contract.logAudit('countersigned', { admin: req.admin.id, ...origin, details: `Countersigned by ${req.body.name}` });
+
+  // Freeze the fully signed copy and keep its fingerprint
+  const document = await refreshDocument(contract, contact, req.admin.id);
+  contract.signedDocument = document._id;
+  contract.signedHash = document.checksum;
+  contract.logAudit('executed', {
+    admin: req.admin.id,
+    details: `Signed PDF ${document.fileName} frozen with SHA-256 ${document.checksum}`
+  });
+  await contract.save();
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'system',
+    summary: `Contract ${contract.number} countersigned`,
+    admin: req.admin.id,
+    metadata: { contractId: contract._id, documentId: document._id, sha256: document.checksum }
+  });
+
+  sendInBackground(notifyContractExecuted(contract, contact, document, {
+    apiBaseUrl: getApiBaseUrl(req),
+    adminId: req.admin.id
+  }));
+
+  res.json({
+    status: 'success',
+    message: 'Contract countersigned successfully',
+    data: { contract }
+  });
+});
+
+// @desc    Void a contract
+// @route   POST /api/contracts/admin/:id/void
+// @access  Private/Admin
+export const voidContract = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contract = await Contract.findById(req.params.id);
+  if (!contract) return notFound(res);
+
+  if (contract.status === 'void') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'This contract is already void'
+    });
+  }
+
+  contract.status = 'void';
+  contract.voidedAt = new Date();
+  contract.voidReason = req.body.reason;
+  contract.logAudit('voided', { admin: req.admin.id, details: req.body.reason });
+  await contract.save();
+
+  await Activity.record({
+    contact: contract.contact,
+    type: 'system',
+    summary: `Contract ${contract.number} voided`,
+    details: req.body.reason,
+    admin: req.admin.id,
+    metadata: { contractId: contract._id }
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Contract voided successfully',
+    data: { contract }
+  });
+});
+
+// @desc    Get a contract through a client signing link
+// @route   GET /api/contracts/public/:token
+// @access  Public (signed link)
+export const getPublicContract = asyncHandler(async (req, res) => {
+  const contract = await findContractByToken(req.params.token);
+
+  if (!contract || contract.status === 'draft') {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  if (contract.status === 'sent') {
+    contract.status = 'viewed';
+    contract.viewedAt = new Date();
+    contract.logAudit('viewed', requestOrigin(req));
+    await contract.save();
+  }
+
+  const contact = await Contact.findById(contract.contact).select('name');
+
+  res.json({
+    status: 'success',
+    data: { contract: toPublicContract(contract, contact) }
+  });
+});
+
+// @desc    Download the contract PDF through a client signing link
+// @route   GET /api/contracts/public/:token/pdf
+// @access  Public (signed link)
+export const getPublicContractPdf = asyncHandler(async (req, res) => {
+  const contract = await findContractByToken(req.params.token);
+  const document = contract && contract.status !== 'draft' &&
+    await Document.findById(contract.signedDocument || contract.document);
+
+  if (!document) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  const file = resolveDocumentPath(document);
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Document file is missing'
+    });
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${contract.number}.pdf"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.sendFile(file);
+});
+
+// @desc    Sign a contract through a client signing link
+// @route   POST /api/contracts/public/:token/sign
+// @access  Public (signed link)
+export const signContract = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contract = await findContractByToken(req.params.token);
+
+  if (!contract || contract.status === 'draft') {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  if (!contract.isSignable) {
+    return res.status(400).json({
+      status: 'error',
+      message: contract.status === 'void' ? 'This contract has been withdrawn' : 'This contract has already been signed'
+    });
+  }
+
+  // The client must be signing the terms they were shown
+  if (req.body.contentHash !== contract.contentHash) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'This contract has changed since you opened it. Please review the latest version.'
+    });
+  }
+
+  const contact = await Contact.findById(contract.contact);
+  if (!contact) return notFound(res);
+
+  const origin = requestOrigin(req);
+  const signedAt = new Date();
+
+  try {
+    // Check the date is still free before accepting the signature, so a date
+    // taken in the meantime is reported instead of double-booked
+    await Booking.checkBookable(contact, { date: contract.eventDate, timeBlock: contract.timeBlock });
+
+    const imagePath = await storeSignatureImage(contact, `${contract._id}-client`, req.body.signature);
+
+    contract.clientSignature = {
+      name: req.body.name,
+      imagePath,
+      signedAt,
+      contentHash: contract.contentHash,
+      ...origin
+    };
+  } catch (error) {
+    return sendContractError(res, error);
+  }
+
+  contract.status = 'signed';
+  contract.logAudit('signed', { ...origin, details: `Signed by ${req.body.name} (${contact.email})` });
+  await refreshDocument(contract, contact);
+  await contract.save();
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'system',
+    summary: `Contract ${contract.number} signed by client`,
+    metadata: { contractId: contract._id, ip: origin.ip }
+  });
+
+  // Reserve the date and credit the partner only once the signed contract is
+  // stored. The client has signed either way, so a clash that slipped in since
+  // the check above is left on the timeline for the team to resolve.
+  try {
+    await markContactBooked(contact, {
+      bookingDate: contract.eventDate,
+      bookingAmount: contract.total,
+      timeBlock: contract.timeBlock,
+      summary: `Event booked (contract ${contract.number} signed)`
+    });
+  } catch (error) {
+    console.error(`Booking after contract ${contract.number} was signed failed:`, error.message);
+    await Activity.record({
+      contact: contact._id,
+      type: 'system',
+      summary: `Contract ${contract.number} signed, but the date could not be booked`,
+      details: error.message,
+      metadata: { contractId: contract._id }
+    });
+  }
+
+  sendInBackground(notifyContractSigned(contract, contact));
+
+  res.json({
+    status: 'success',
+    message: 'Thank you! Your contract has been signed.',
+    data: { contract: toPublicContract(contract, contact) }
+  });
+});
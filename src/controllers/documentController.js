@@ -0,0 +1,245 @@
+import fs from 'fs';
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Document from '../models/Document.js';
+import Quote from '../models/Quote.js';
+import Contact from '../models/Contact.js';
+import { verifySignedToken } from '../utils/signedToken.js';
+import {
+  resolveDocumentPath,
+  buildDocumentUrl,
+  generateQuoteDocument,
+  generateInvoiceDocument,
+  generateContractDocument
+} from '../utils/documents.js';
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Surface generation errors (missing versions, races) with their status code
+const sendDocumentError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+// Load a quote and its contact for generation, or answer 404
+const loadQuoteAndContact = async (quoteId, res) => {
+  const quote = await Quote.findById(quoteId);
+  const contact = quote && await Contact.findById(quote.contact);
+
+  if (!quote || !contact) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Quote not found'
+    });
+    return {};
+  }
+
+  return { quote, contact };
+};
+
+// Stream a stored PDF, inline for the browser or as an attachment
+const sendDocumentFile = (res, document, disposition = 'attachment') => {
+  const file = resolveDocumentPath(document);
+
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Document file is missing'
+    });
+  }
+
+  const downloadName = `${document.number || document.type}-v${document.version}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${downloadName}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.sendFile(file);
+};
+
+// @desc    Get generated documents
+// @route   GET /api/documents/admin
+// @access  Private/Admin
+export const getDocuments = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.contact) query.contact = req.query.contact;
+  if (req.query.quote) query.quote = req.query.quote;
+  if (req.query.type && req.query.type !== 'all') query.type = req.query.type;
+
+  const [documents, total] = await Promise.all([
+    Document.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-data')
+      .populate('contact', 'name email')
+      .populate('generatedBy', 'name email'),
+    Document.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      documents,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Generate a PDF of a quote version
+// @route   POST /api/documents/admin/quotes/:quoteId
+// @access  Private/Admin
+export const createQuoteDocument = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { quote, contact } = await loadQuoteAndContact(req.params.quoteId, res);
+  if (!quote) return;
+
+  try {
+    const document = await generateQuoteDocument(quote, contact, {
+      version: req.body?.version,
+      adminId: req.admin.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Quote PDF generated successfully',
+      data: { document }
+    });
+  } catch (error) {
+    return sendDocumentError(res, error);
+  }
+});
+
+// @desc    Generate an invoice from a quote
+// @route   POST /api/documents/admin/invoices
+// @access  Private/Admin
+export const createInvoiceDocument = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { quote, contact } = await loadQuoteAndContact(req.body.quote, res);
+  if (!quote) return;
+
+  try {
+    const document = await generateInvoiceDocument(quote, contact, {
+      version: req.body.version,
+      dueDate: req.body.dueDate,
+      amountPaid: req.body.amountPaid,
+      notes: req.body.notes,
+      paymentInstructions: req.body.paymentInstructions,
+      adminId: req.admin.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Invoice generated successfully',
+      data: { document }
+    });
+  } catch (error) {
+    return sendDocumentError(res, error);
+  }
+});
+
+// @desc    Generate an event agreement from a quote
+// @route   POST /api/documents/admin/contracts
+// @access  Private/Admin
+export const createContractDocument = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { quote, contact } = await loadQuoteAndContact(req.body.quote, res);
+  if (!quote) return;
+
+  try {
+    const document = await generateContractDocument(quote, contact, {
+      version: req.body.version,
+      clauses: req.body.clauses,
+      adminId: req.admin.id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Contract generated successfully',
+      data: { document }
+    });
+  } catch (error) {
+    return sendDocumentError(res, error);
+  }
+});
+
+// @desc    Download a generated document
+// @route   GET /api/documents/admin/:id/download
+// @access  Private/Admin
+export const downloadDocument = asyncHandler(async (req, res) => {
+  const document = await Document.findById(req.params.id);
+
+  if (!document) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Document not found'
+    });
+  }
+
+  sendDocumentFile(res, document, req.query.inline === 'true' ? 'inline' : 'attachment');
+});
+
+// @desc    Get a signed download link to share with the client
+// @route   GET /api/documents/admin/:id/link
+// @access  Private/Admin
+export const getDocumentLink = asyncHandler(async (req, res) => {
+  const document = await Document.findById(req.params.id);
+
+  if (!document) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Document not found'
+    });
+  }
+
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+  res.json({
+    status: 'success',
+    data: { url: buildDocumentUrl(document, baseUrl) }
+  });
+});
+
+// @desc    Download a document through a signed client link
+// @route   GET /api/documents/public/:token
+// @access  Public (signed link)
+export const downloadPublicDocument = asyncHandler(async (req, res) => {
+  const decoded = verifySignedToken(req.params.token, 'document');
+  const document = decoded && await Document.findById(decoded.documentId);
+
+  if (!document) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  sendDocumentFile(res, document, 'inline');
+});
@@ -1,6 +1,8 @@
 import Partner from '../models/Partner.js';
 import Contact from '../models/Contact.js';
-import QRCode from 'qrcode';
+import { parseQrOptions, renderPartnerQr, buildPartnerQrKit, qrFileName } from '../utils/qrKit.js';
+import { buildPartnerAnalytics } from '../utils/partnerAnalytics.js';
+import { notifyPartnerApplication, notifyPartnerApproved, notifyPartnerRejected } from '../utils/partnerNotifications.js';
 
 // @desc    Get partner by code (public endpoint)
 // @route   GET /api/partners/lookup/:code
@@ -51,7 +53,6 @@ export const lookupPartner = async (req, res) => {
 export const generatePartnerQR = async (req, res) => {
   try {
     const { code } = req.params;
-    const { page = 'weddings' } = req.query;
     
     if (!code) {
       return res.status(400).json({
@@ -60,6 +61,15 @@ export const generatePartnerQR = async (req, res) => {
       });
     }
 
+    // Format, size, error correction, colours, logo, caption and campaign
+    const { options, error } = parseQrOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
     // Verify partner exists and is active
     const partner = await Partner.findByCode(code);
     
@@ -70,29 +80,17 @@ export const generatePartnerQR = async (req, res) => {
       });
     }
     
-    // Generate referral URL with UTM parameters
-    const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
-    const referralUrl = `${baseUrl}/${page}?ref=${code.toUpperCase()}&utm_source=affiliate&utm_medium=qr&utm_campaign=${partner.type}-${code.toLowerCase()}`;
-    
-    // Generate QR code
-    const qrBuffer = await QRCode.toBuffer(referralUrl, {
-      type: 'png',
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
+    // Generate QR code for the referral URL with UTM parameters
+    const qr = await renderPartnerQr(partner, options);
     
     res.set({
-      'Content-Type': 'image/png',
-      'Content-Length': qrBuffer.length,
+      'Content-Type': qr.contentType,
+      'Content-Length': qr.buffer.length,
       'Cache-Control': 'public, max-age=86400', // 24 hour cache
-      'Content-Disposition': `inline; filename="partner-qr-${code}.png"`
+      'Content-Disposition': `inline; filename="${qrFileName(partner, options)}"`
     });
     
-    res.send(qrBuffer);
+    res.send(qr.buffer);
   } catch (error) {
     console.error('QR generation error:', error);
     res.status(500).json({
@@ -102,12 +100,58 @@ export const generatePartnerQR = async (req, res) => {
   }
 };
 
-// @desc    Create new partner
+// @desc    Download every QR code variant for a partner as a ZIP
+// @route   GET /api/partners/qr/:code/kit
+// @access  Public
+export const generatePartnerQrKit = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { campaign } = req.query;
+
+    const { error } = parseQrOptions({ campaign });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    const partner = await Partner.findByCode(code);
+
+    if (!partner) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Partner not found or inactive'
+      });
+    }
+
+    const kit = await buildPartnerQrKit(partner, { campaign });
+    const fileName = ['partner-qr-kit', partner.code, campaign].filter(Boolean).join('-');
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Length': kit.length,
+      'Cache-Control': 'public, max-age=86400',
+      'Content-Disposition': `attachment; filename="${fileName}.zip"`
+    });
+
+    res.send(kit);
+  } catch (error) {
+    console.error('QR kit generation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate QR code kit'
+    });
+  }
+};
+
+// @desc    Apply to become a partner (public) or create an approved partner (admin)
 // @route   POST /api/partners
-// @access  Private/Admin
+// @access  Public
 export const createPartner = async (req, res) => {
   try {
-    const { name, type, email, social, phone, notes } = req.body;
+    const { name, type, email, social, phone, notes, audienceSize, motivation } = req.body;
+    const isAdmin = ['admin', 'super_admin'].includes(req.admin?.role);
     
     // Validate required fields
     if (!name || !type || !email) {
@@ -117,12 +161,21 @@ export const createPartner = async (req, res) => {
       });
     }
 
+    if (!isAdmin && (!motivation || motivation.trim().length < 20)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please tell us a little about why you want to partner (at least 20 characters)'
+      });
+    }
+
     // Check if partner with email already exists
     const existingPartner = await Partner.findOne({ email: email.toLowerCase() });
     if (existingPartner) {
       return res.status(400).json({
         status: 'error',
-        message: 'Partner with this email already exists'
+        message: existingPartner.status === 'pending'
+          ? 'An application with this email is already being reviewed'
+          : 'Partner with this email already exists'
       });
     }
 
@@ -132,8 +185,33 @@ export const createPartner = async (req, res) => {
       email: email.toLowerCase().trim(),
       social: social || {},
       phone: phone?.trim(),
-      notes: notes?.trim()
+      notes: isAdmin ? notes?.trim() : undefined,
+      // Public applications stay inactive until an admin approves them
+      status: isAdmin ? 'approved' : 'pending',
+      active: isAdmin,
+      application: {
+        audienceSize: audienceSize !== undefined && audienceSize !== '' ? parseInt(audienceSize) : undefined,
+        motivation: motivation?.trim(),
+        submittedAt: new Date(),
+        ipAddress: req.ip
+      },
+      ...(isAdmin && { review: { reviewedBy: req.admin._id, reviewedAt: new Date() } })
     });
+
+    if (!isAdmin) {
+      notifyPartnerApplication(partner).catch(error => {
+        console.error('Partner application alert failed:', error.message);
+      });
+
+      return res.status(201).json({
+        status: 'success',
+        message: 'Thank you for applying! We will review your application and be in touch soon.',
+        data: {
+          id: partner._id,
+          status: partner.status
+        }
+      });
+    }
     
     res.status(201).json({
       status: 'success',
@@ -164,6 +242,123 @@ export const createPartner = async (req, res) => {
   }
 };
 
+// @desc    Approve a partner application
+// @route   PUT /api/partners/:id/approve
+// @access  Private/Admin
+export const approvePartner = async (req, res) => {
+  try {
+    const partner = await Partner.findById(req.params.id);
+    
+    if (!partner) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Partner not found'
+      });
+    }
+
+    if (partner.status === 'approved') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This partner is already approved'
+      });
+    }
+
+    partner.status = 'approved';
+    partner.active = true;
+    partner.review = {
+      reviewedBy: req.admin._id,
+      reviewedAt: new Date(),
+      reason: req.body.reason?.trim()
+    };
+    await partner.save();
+
+    const apiBaseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    notifyPartnerApproved(partner, { apiBaseUrl }).catch(error => {
+      console.error('Partner approval email failed:', error.message);
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: `Partner approved with code ${partner.code}`,
+      data: { partner }
+    });
+  } catch (error) {
+    console.error('Approve partner error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to approve partner'
+    });
+  }
+};
+
+// @desc    Reject a partner application
+// @route   PUT /api/partners/:id/reject
+// @access  Private/Admin
+export const rejectPartner = async (req, res) => {
+  try {
+    const { reason, message, notify = true } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A reason is required to reject an application'
+      });
+    }
+
+    const partner = await Partner.findById(req.params.id);
+    
+    if (!partner) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Partner not found'
+      });
+    }
+
+    if (partner.status !== 'pending') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Only pending applications can be rejected; deactivate ${partner.status} partners instead`
+      });
+    }
+
+    partner.status = 'rejected';
+    partner.active = false;
+    partner.review = {
+      reviewedBy: req.admin._id,
+      reviewedAt: new Date(),
+      reason: reason.trim()
+    };
+    await partner.save();
+
+    if (notify) {
+      notifyPartnerRejected(partner, { message: message?.trim() }).catch(error => {
+        console.error('Partner rejection email failed:', error.message);
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Partner application rejected',
+      data: { partner }
+    });
+  } catch (error) {
+    console.error('Reject partner error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        status: 'error',
+        message: messages.join(', ')
+      });
+    }
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reject partner'
+    });
+  }
+};
+
 // @desc    Get all partners
 // @route   GET /api/partners
 // @access  Private/Admin
@@ -174,6 +369,7 @@ export const getPartners = async (req, res) => {
       limit = 20, 
       type, 
       active, 
+      status,
       search,
       sortBy = 'createdAt',
       sortOrder = 'desc'
@@ -189,6 +385,10 @@ export const getPartners = async (req, res) => {
     if (active !== undefined) {
       filter.active = active === 'true';
     }
+
+    if (status) {
+      filter.status = status === 'approved' ? { $in: ['approved', null] } : status;
+    }
     
     if (search) {
       filter.$or = [
@@ -311,7 +511,7 @@ export const getPartner = async (req, res) => {
 // @access  Private/Admin
 export const updatePartner = async (req, res) => {
   try {
-    const { name, type, email, social, phone, notes, active } = req.body;
+    const { name, type, email, social, phone, notes, active, monthlyStatements } = req.body;
     
     const partner = await Partner.findById(req.params.id);
     
@@ -344,7 +544,17 @@ export const updatePartner = async (req, res) => {
     if (social) partner.social = { ...partner.social, ...social };
     if (phone !== undefined) partner.phone = phone?.trim();
     if (notes !== undefined) partner.notes = notes?.trim();
-    if (active !== undefined) partner.active = active;
+    if (monthlyStatements !== undefined) partner.set('preferences.monthlyStatements', Boolean(monthlyStatements));
+    if (active !== undefined) {
+      // Applications go live through the approval endpoint, never by toggling active
+      if (active && partner.status && partner.status !== 'approved') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Approve this application before activating the partner'
+        });
+      }
+      partner.active = active;
+    }
 
     await partner.save();
     
@@ -501,111 +711,11 @@ export const getPartnerAnalytics = async (req, res) => {
       if (dateTo) dateFilter.$lte = new Date(dateTo);
     }
 
-    // Build aggregation pipeline
-    const matchStage = {
-      refCode: { $exists: true, $ne: null }
-    };
-    
-    if (Object.keys(dateFilter).length > 0) {
-      matchStage.createdAt = dateFilter;
-    }
-
-    const pipeline = [
-      { $match: matchStage },
-      {
-        $lookup: {
-          from: 'partners',
-          localField: 'refCode',
-          foreignField: 'code',
-          as: 'partner'
-        }
-      },
-      { $unwind: '$partner' }
-    ];
-
-    // Add partner type filter if specified
-    if (partnerType) {
-      pipeline.push({
-        $match: { 'partner.type': partnerType }
-      });
-    }
-
-    // Group by time period and partner
-    const groupByStage = {
-      _id: {
-        partnerCode: '$refCode',
-        partnerName: '$partner.name',
-        partnerType: '$partner.type'
-      },
-      totalLeads: { $sum: 1 },
-      totalTours: { 
-        $sum: { $cond: [{ $eq: ['$tourScheduled', true] }, 1, 0] }
-      },
-      totalBookings: { 
-        $sum: { $cond: [{ $eq: ['$booked', true] }, 1, 0] }
-      },
-      totalRevenue: { 
-        $sum: { $ifNull: ['$bookingAmount', 0] }
-      }
-    };
-
-    if (groupBy === 'month') {
-      groupByStage._id.year = { $year: '$createdAt' };
-      groupByStage._id.month = { $month: '$createdAt' };
-    } else if (groupBy === 'week') {
-      groupByStage._id.year = { $year: '$createdAt' };
-      groupByStage._id.week = { $week: '$createdAt' };
-    }
-
-    pipeline.push(
-      { $group: groupByStage },
-      {
-        $addFields: {
-          conversionRate: {
-            $cond: [
-              { $gt: ['$totalLeads', 0] },
-              { $multiply: [{ $divide: ['$totalBookings', '$totalLeads'] }, 100] },
-              0
-            ]
-          }
-        }
-      },
-      { $sort: { '_id.year': -1, '_id.month': -1, '_id.week': -1 } }
-    );
-
-    const analytics = await Contact.aggregate(pipeline);
-
-    // Get overall summary
-    const summary = await Contact.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: null,
-          totalLeads: { $sum: 1 },
-          totalTours: { 
-            $sum: { $cond: [{ $eq: ['$tourScheduled', true] }, 1, 0] }
-          },
-          totalBookings: { 
-            $sum: { $cond: [{ $eq: ['$booked', true] }, 1, 0] }
-          },
-          totalRevenue: { 
-            $sum: { $ifNull: ['$bookingAmount', 0] }
-          }
-        }
-      }
-    ]);
+    const data = await buildPartnerAnalytics({ dateFilter, partnerType, groupBy });
 
     res.status(200).json({
       status: 'success',
-      data: {
-        analytics,
-        summary: summary[0] || {
-          totalLeads: 0,
-          totalTours: 0,
-          totalBookings: 0,
-          totalRevenue: 0
-        }
-      }
+      data
     });
   } catch (error) {
     console.error('Get partner analytics error:', error);
@@ -0,0 +1,337 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Partner from '../models/Partner.js';
+import Contact from '../models/Contact.js';
+import Tour from '../models/Tour.js';
+import CommissionEntry from '../models/CommissionEntry.js';
+import { generatePartnerToken, PARTNER_SESSION_HOURS } from '../middleware/partnerAuth.js';
+import {
+  REFERRAL_PAGES,
+  buildReferralUrl,
+  sendPartnerLoginLink,
+  redeemPartnerLoginToken,
+  maskName,
+  maskContact
+} from '../utils/partnerPortal.js';
+import { unsubscribeFromStatements } from '../utils/partnerStatements.js';
+
+// Contact fields a partner's views are built from
+const CONTACT_FIELDS = 'name email eventType eventDate guestCount stage tourScheduled tourDate booked bookingDate createdAt';
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Fire-and-forget email so a mail outage never fails the request
+const sendInBackground = (promise) => {
+  promise.catch(error => {
+    console.error('Partner login email failed:', error.message);
+  });
+};
+
+const getApiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+const getPagination = (req, defaultLimit = 20) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || defaultLimit, 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Public view of the signed-in partner
+const partnerProfile = (partner) => ({
+  id: partner._id,
+  name: partner.name,
+  type: partner.type,
+  email: partner.email,
+  code: partner.code,
+  stats: {
+    totalLeads: partner.stats.totalLeads,
+    totalTours: partner.stats.totalTours,
+    totalBookings: partner.stats.totalBookings,
+    conversionRate: partner.conversionRate
+  },
+  preferences: {
+    monthlyStatements: partner.preferences?.monthlyStatements !== false
+  },
+  lastLoginAt: partner.portal?.lastLoginAt
+});
+
+// @desc    Email a partner a sign-in link
+// @route   POST /api/partner-portal/auth/request-link
+// @access  Public
+export const requestLoginLink = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const partner = await Partner.findOne({ email: req.body.email.toLowerCase(), active: true });
+  if (partner) {
+    sendInBackground(sendPartnerLoginLink(partner));
+  }
+
+  // Same answer either way so the form can't be used to discover partner emails
+  res.json({
+    status: 'success',
+    message: 'If that email belongs to an active partner, a sign-in link is on its way'
+  });
+});
+
+// @desc    Exchange a sign-in link for a partner session
+// @route   POST /api/partner-portal/auth/verify
+// @access  Public
+export const verifyLoginLink = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const partner = await redeemPartnerLoginToken(req.body.token);
+  if (!partner) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'This sign-in link is invalid, expired or has already been used'
+    });
+  }
+
+  const token = generatePartnerToken(partner);
+
+  res.cookie('partner_token', token, {
+    expires: new Date(Date.now() + PARTNER_SESSION_HOURS * 60 * 60 * 1000),
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Signed in successfully',
+    token,
+    data: { partner: partnerProfile(partner) }
+  });
+});
+
+// @desc    Sign out of every partner session
+// @route   POST /api/partner-portal/auth/logout
+// @access  Private/Partner
+export const logoutPartner = asyncHandler(async (req, res) => {
+  await Partner.updateOne({ _id: req.partner._id }, { $inc: { 'portal.sessionVersion': 1 } });
+
+  res.cookie('partner_token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Logged out successfully'
+  });
+});
+
+// @desc    Get the signed-in partner's profile and headline stats
+// @route   GET /api/partner-portal/me
+// @access  Private/Partner
+export const getPartnerMe = asyncHandler(async (req, res) => {
+  res.json({
+    status: 'success',
+    data: { partner: partnerProfile(req.partner) }
+  });
+});
+
+// @desc    Get leads the partner referred (client details masked)
+// @route   GET /api/partner-portal/leads
+// @access  Private/Partner
+export const getPartnerLeads = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPagination(req);
+  const query = { refCode: req.partner.code };
+
+  const [contacts, total] = await Promise.all([
+    Contact.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select(CONTACT_FIELDS)
+      .lean(),
+    Contact.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      leads: contacts.map(maskContact),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get tours booked by the partner's referrals
+// @route   GET /api/partner-portal/tours
+// @access  Private/Partner
+export const getPartnerTours = asyncHandler(async (req, res) => {
+  const contacts = await Contact.find({ refCode: req.partner.code }).select('name').lean();
+  const names = new Map(contacts.map(contact => [contact._id.toString(), maskName(contact.name)]));
+
+  const tours = await Tour.find({ contact: { $in: contacts.map(contact => contact._id) } })
+    .sort({ startsAt: -1 })
+    .limit(200)
+    .select('contact startsAt endsAt status')
+    .lean();
+
+  res.json({
+    status: 'success',
+    data: {
+      tours: tours.map(tour => ({
+        id: tour._id,
+        client: names.get(tour.contact.toString()),
+        startsAt: tour.startsAt,
+        endsAt: tour.endsAt,
+        status: tour.status
+      }))
+    }
+  });
+});
+
+// @desc    Get bookings from the partner's referrals
+// @route   GET /api/partner-portal/bookings
+// @access  Private/Partner
+export const getPartnerBookings = asyncHandler(async (req, res) => {
+  const contacts = await Contact.find({ refCode: req.partner.code, booked: true })
+    .sort({ bookingDate: -1 })
+    .select(CONTACT_FIELDS)
+    .lean();
+
+  const commissions = await CommissionEntry.find({
+    partner: req.partner._id,
+    contact: { $in: contacts.map(contact => contact._id) },
+    kind: 'commission',
+    open: true
+  }).select('contact amount status').lean();
+  const byContact = new Map(commissions.map(entry => [entry.contact.toString(), entry]));
+
+  res.json({
+    status: 'success',
+    data: {
+      bookings: contacts.map(contact => {
+        const commission = byContact.get(contact._id.toString());
+        return {
+          client: maskName(contact.name),
+          eventType: contact.eventType,
+          bookingDate: contact.bookingDate,
+          commission: commission ? { amount: commission.amount, status: commission.status } : null
+        };
+      })
+    }
+  });
+});
+
+// @desc    Get the partner's commission balance and ledger
+// @route   GET /api/partner-portal/commissions
+// @access  Private/Partner
+export const getPartnerCommissions = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPagination(req, 50);
+  const query = { partner: req.partner._id, status: { $ne: 'voided' } };
+
+  const [totals, entries, total] = await Promise.all([
+    CommissionEntry.getTotals({ partner: req.partner._id }),
+    CommissionEntry.find(query)
+      .sort({ accruedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('contact', 'name')
+      .populate('payoutRun', 'number paidAt')
+      .lean(),
+    CommissionEntry.countDocuments(query)
+  ]);
+
+  const partnerTotals = totals[req.partner._id.toString()] || { accrued: 0, approved: 0, paid: 0 };
+
+  res.json({
+    status: 'success',
+    data: {
+      balance: {
+        pending: partnerTotals.accrued,
+        approved: partnerTotals.approved,
+        paid: partnerTotals.paid,
+        owed: Math.round((partnerTotals.accrued + partnerTotals.approved) * 100) / 100
+      },
+      entries: entries.map(entry => ({
+        id: entry._id,
+        kind: entry.kind,
+        status: entry.status,
+        amount: entry.amount,
+        description: entry.kind === 'adjustment' ? entry.description : undefined,
+        client: entry.contact ? maskName(entry.contact.name) : null,
+        accruedAt: entry.accruedAt,
+        paidAt: entry.paidAt,
+        payout: entry.payoutRun?.number
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get the partner's referral links and QR codes
+// @route   GET /api/partner-portal/links
+// @access  Private/Partner
+export const getPartnerLinks = asyncHandler(async (req, res) => {
+  const { partner } = req;
+  const qrBase = `${getApiBaseUrl(req)}/api/partners/qr/${partner.code}`;
+
+  res.json({
+    status: 'success',
+    data: {
+      code: partner.code,
+      // Add ?campaign=<name> to the kit URL for codes tagged with a campaign
+      qrKitUrl: `${qrBase}/kit`,
+      links: REFERRAL_PAGES.map(page => ({
+        page,
+        url: buildReferralUrl(partner, { page }),
+        shortUrl: `${getApiBaseUrl(req)}/r/${partner.code}/${page}`,
+        qrUrl: `${qrBase}?page=${page}`
+      }))
+    }
+  });
+});
+
+// @desc    Stop monthly statements from an email link
+// @route   GET /api/partner-portal/statements/unsubscribe
+// @access  Public
+export const unsubscribeStatements = asyncHandler(async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+  const partner = await unsubscribeFromStatements(req.query.token);
+
+  res.redirect(`${frontendUrl}/partners/login?${partner ? 'unsubscribed=statements' : 'error=invalid_link'}`);
+});
+
+// @desc    Update the signed-in partner's email preferences
+// @route   PUT /api/partner-portal/preferences
+// @access  Private/Partner
+export const updatePartnerPreferences = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const partner = req.partner;
+  if (req.body.monthlyStatements !== undefined) {
+    partner.set('preferences.monthlyStatements', req.body.monthlyStatements);
+  }
+  await partner.save();
+
+  res.json({
+    status: 'success',
+    message: 'Preferences updated',
+    data: { partner: partnerProfile(partner) }
+  });
+});
@@ -0,0 +1,199 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Partner from '../models/Partner.js';
+import PartnerStatement from '../models/PartnerStatement.js';
+import {
+  resolveStatementPeriod,
+  buildPartnerStatement,
+  buildStatementEmailData,
+  renderStatementPdf,
+  statementFileName,
+  sendPartnerStatement,
+  sendMonthlyStatements
+} from '../utils/partnerStatements.js';
+import { renderPartnerStatementEmail } from '../utils/email.js';
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Period rules are thrown with a statusCode; anything else is unexpected
+const sendStatementError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+const partnerNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Partner not found'
+});
+
+// @desc    Get statements sent for a month
+// @route   GET /api/partners/statements
+// @access  Private/Admin
+export const getStatements = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  let period;
+  try {
+    period = resolveStatementPeriod(req.query.month);
+  } catch (error) {
+    return sendStatementError(res, error);
+  }
+
+  const statements = await PartnerStatement.find({ period: period.key })
+    .sort({ kind: 1, sentAt: -1 })
+    .populate('partner', 'name email code type')
+    .populate('sentBy', 'name email');
+
+  const counts = statements
+    .filter(statement => statement.kind === 'partner')
+    .reduce((totals, statement) => {
+      totals[statement.status] = (totals[statement.status] || 0) + 1;
+      return totals;
+    }, {});
+
+  res.json({
+    status: 'success',
+    data: {
+      period: period.key,
+      statements,
+      counts
+    }
+  });
+});
+
+// @desc    Send a month's statements now instead of waiting for the daily job
+// @route   POST /api/partners/statements/run
+// @access  Private/Admin
+export const runStatements = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  let result;
+  try {
+    result = await sendMonthlyStatements({ month: req.body.month, adminId: req.admin?.id });
+  } catch (error) {
+    return sendStatementError(res, error);
+  }
+
+  res.json({
+    status: 'success',
+    message: `Sent ${result.sent} statement(s) for ${result.period}`,
+    data: result
+  });
+});
+
+// @desc    Get a partner's statement history
+// @route   GET /api/partners/:id/statements
+// @access  Private/Admin
+export const getPartnerStatements = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const partner = await Partner.findById(req.params.id).select('name email code preferences');
+  if (!partner) return partnerNotFound(res);
+
+  const statements = await PartnerStatement.find({ kind: 'partner', partner: partner._id })
+    .sort({ period: -1 })
+    .populate('sentBy', 'name email');
+
+  res.json({
+    status: 'success',
+    data: {
+      partner,
+      statements
+    }
+  });
+});
+
+// @desc    Preview a partner's statement as data, the email or the PDF
+// @route   GET /api/partners/:id/statements/preview
+// @access  Private/Admin
+export const previewPartnerStatement = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const partner = await Partner.findById(req.params.id);
+  if (!partner) return partnerNotFound(res);
+
+  let period;
+  try {
+    period = resolveStatementPeriod(req.query.month);
+  } catch (error) {
+    return sendStatementError(res, error);
+  }
+
+  const statement = await buildPartnerStatement(partner, period);
+  const format = req.query.format || 'json';
+
+  if (format === 'pdf') {
+    const pdf = await renderStatementPdf(statement);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${statementFileName(statement)}"`
+    });
+    return res.send(pdf);
+  }
+
+  if (format === 'html') {
+    const email = renderPartnerStatementEmail(buildStatementEmailData(statement));
+    return res.type('html').send(email.html);
+  }
+
+  res.json({
+    status: 'success',
+    data: { statement }
+  });
+});
+
+// @desc    Send (or resend) a partner's statement
+// @route   POST /api/partners/:id/statements/send
+// @access  Private/Admin
+export const sendStatement = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const partner = await Partner.findById(req.params.id);
+  if (!partner) return partnerNotFound(res);
+
+  if (partner.preferences?.monthlyStatements === false) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'This partner has opted out of monthly statements'
+    });
+  }
+
+  let period;
+  try {
+    period = resolveStatementPeriod(req.body.month);
+  } catch (error) {
+    return sendStatementError(res, error);
+  }
+
+  const record = await sendPartnerStatement(partner, period, { adminId: req.admin?.id });
+
+  if (record.status !== 'sent') {
+    return res.status(502).json({
+      status: 'error',
+      message: `Statement could not be sent: ${record.error}`,
+      data: { statement: record }
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: `Statement for ${period.label} sent to ${partner.email}`,
+    data: { statement: record }
+  });
+});
@@ -0,0 +1,465 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import PaymentSchedule from '../models/PaymentSchedule.js';
+import Booking from '../models/Booking.js';
+import Contact from '../models/Contact.js';
+import Quote from '../models/Quote.js';
+import Activity from '../models/Activity.js';
+import { buildInstallmentPlan } from '../utils/paymentSchedule.js';
+import { formatMoney } from '../utils/quoteNotifications.js';
+import { notifyPaymentReceived, buildPaymentUrl } from '../utils/paymentNotifications.js';
+import { getPaymentProvider } from '../utils/paymentProviders/index.js';
+import { addProviderRefund } from '../utils/paymentReconciliation.js';
+import { updateCommissionBasis } from '../utils/commissions.js';
+
+const INSTALLMENT_FIELDS = ['label', 'kind', 'dueDate', 'amount'];
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Fire-and-forget email so a mail outage never fails the request
+const sendInBackground = (promise) => {
+  promise.catch(error => {
+    console.error('Payment email failed:', error.message);
+  });
+};
+
+const notFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Payment schedule not found'
+});
+
+// Installments from the request, keeping reminder history for ones that already existed
+const mergeInstallments = (existing, incoming) => {
+  return incoming.map(entry => {
+    const data = {};
+    INSTALLMENT_FIELDS.forEach(field => {
+      if (entry[field] !== undefined) data[field] = entry[field];
+    });
+
+    const current = entry._id && existing.find(installment => installment._id.equals(entry._id));
+    return current ? { ...data, _id: current._id, reminders: current.reminders } : data;
+  });
+};
+
+// Keep the contact's headline booking amount (and any commission on it) in step with the schedule
+const syncBookingAmount = async (schedule) => {
+  await Contact.updateOne({ _id: schedule.contact }, { bookingAmount: schedule.totalAmount });
+  await updateCommissionBasis(schedule.contact, schedule.totalAmount);
+};
+
+// @desc    Get payment schedules
+// @route   GET /api/payments/admin/schedules
+// @access  Private/Admin
+export const getPaymentSchedules = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.contact) query.contact = req.query.contact;
+  if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+  if (req.query.dueBefore) query.nextDueDate = { $ne: null, $lte: new Date(req.query.dueBefore) };
+
+  const [schedules, total] = await Promise.all([
+    PaymentSchedule.find(query)
+      .sort({ nextDueDate: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-installments.reminders')
+      .populate('contact', 'name email')
+      .populate('booking', 'date timeBlock status'),
+    PaymentSchedule.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      schedules,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get collected, outstanding and overdue totals
+// @route   GET /api/payments/admin/summary
+// @access  Private/Admin
+export const getPaymentSummary = asyncHandler(async (req, res) => {
+  const [summary] = await PaymentSchedule.aggregate([
+    { $match: { status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: null,
+        schedules: { $sum: 1 },
+        totalBooked: { $sum: '$totalAmount' },
+        totalCollected: { $sum: '$amountCollected' },
+        totalRefunded: { $sum: '$amountRefunded' },
+        totalOutstanding: { $sum: '$balanceDue' },
+        totalOverdue: { $sum: '$overdueAmount' },
+        overdueSchedules: { $sum: { $cond: [{ $eq: ['$status', 'overdue'] }, 1, 0] } }
+      }
+    },
+    { $project: { _id: 0 } }
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      summary: summary || {
+        schedules: 0,
+        totalBooked: 0,
+        totalCollected: 0,
+        totalRefunded: 0,
+        totalOutstanding: 0,
+        totalOverdue: 0,
+        overdueSchedules: 0
+      }
+    }
+  });
+});
+
+// @desc    Get a payment schedule with payments and refunds
+// @route   GET /api/payments/admin/schedules/:id
+// @access  Private/Admin
+export const getPaymentSchedule = asyncHandler(async (req, res) => {
+  const schedule = await PaymentSchedule.findById(req.params.id)
+    .populate('contact', 'name email phone eventDate')
+    .populate('booking', 'date timeBlock status')
+    .populate('quote', 'quoteNumber title')
+    .populate('payments.recordedBy refunds.recordedBy', 'name email');
+
+  if (!schedule) return notFound(res);
+
+  res.json({
+    status: 'success',
+    data: { schedule }
+  });
+});
+
+// @desc    Create the payment schedule for a booking
+// @route   POST /api/payments/admin/schedules
+// @access  Private/Admin
+export const createPaymentSchedule = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const booking = await Booking.findById(req.body.booking);
+
+  if (!booking || !booking.contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Booking not found'
+    });
+  }
+
+  if (!['hold', 'booked'].includes(booking.status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Cannot schedule payments for a ${booking.status} booking`
+    });
+  }
+
+  if (await PaymentSchedule.exists({ booking: booking._id })) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'This booking already has a payment schedule'
+    });
+  }
+
+  const contact = await Contact.findById(booking.contact);
+  const quote = req.body.quote ? await Quote.findById(req.body.quote) : null;
+
+  if (req.body.quote && !quote) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Quote not found'
+    });
+  }
+
+  // Default the total to the accepted quote, then to the booked amount
+  const acceptedVersion = quote?.versions.find(version => version.version === quote.acceptedVersion);
+  const totalAmount = req.body.totalAmount ?? acceptedVersion?.total ?? contact?.bookingAmount;
+
+  if (!totalAmount) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A total amount is required when there is no accepted quote or booking amount'
+    });
+  }
+
+  const installments = req.body.installments?.length
+    ? mergeInstallments([], req.body.installments)
+    : buildInstallmentPlan({ ...req.body.plan, totalAmount, eventDate: booking.date });
+
+  const schedule = await PaymentSchedule.create({
+    booking: booking._id,
+    contact: booking.contact,
+    quote: quote?._id || null,
+    currency: quote?.currency || 'USD',
+    totalAmount,
+    installments,
+    notes: req.body.notes,
+    createdBy: req.admin.id
+  });
+
+  await syncBookingAmount(schedule);
+  await Activity.record({
+    contact: schedule.contact,
+    type: 'payment',
+    summary: `Payment schedule created (${formatMoney(schedule.totalAmount, schedule.currency)}, ${schedule.installments.length} installment(s))`,
+    admin: req.admin.id,
+    metadata: { scheduleId: schedule._id }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Payment schedule created successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Update a payment schedule's total, installments or notes, or cancel it
+// @route   PUT /api/payments/admin/schedules/:id
+// @access  Private/Admin
+export const updatePaymentSchedule = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const schedule = await PaymentSchedule.findById(req.params.id);
+  if (!schedule) return notFound(res);
+
+  const { totalAmount, installments, notes, cancelled } = req.body;
+
+  if (totalAmount !== undefined) schedule.totalAmount = totalAmount;
+  if (installments) schedule.installments = mergeInstallments(schedule.installments, installments);
+  if (notes !== undefined) schedule.notes = notes;
+
+  if (cancelled === true && schedule.status !== 'cancelled') {
+    schedule.status = 'cancelled';
+    schedule.cancelledAt = new Date();
+  } else if (cancelled === false && schedule.status === 'cancelled') {
+    // Recalculated on save
+    schedule.status = 'scheduled';
+    schedule.cancelledAt = undefined;
+  }
+
+  await schedule.save();
+
+  if (totalAmount !== undefined) {
+    await syncBookingAmount(schedule);
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Payment schedule updated successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Record a payment
+// @route   POST /api/payments/admin/schedules/:id/payments
+// @access  Private/Admin
+export const recordPayment = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const schedule = await PaymentSchedule.findById(req.params.id).populate('contact', 'name email');
+  if (!schedule) return notFound(res);
+
+  const { amount, method, reference, paidAt, note, sendReceipt = true } = req.body;
+
+  schedule.payments.push({
+    amount,
+    method,
+    reference,
+    paidAt: paidAt ? new Date(paidAt) : new Date(),
+    note,
+    recordedBy: req.admin.id
+  });
+  await schedule.save();
+
+  const payment = schedule.payments[schedule.payments.length - 1];
+
+  if (schedule.contact) {
+    await Activity.record({
+      contact: schedule.contact._id,
+      type: 'payment',
+      summary: `Payment received: ${formatMoney(payment.amount, schedule.currency)} by ${payment.method.replace('_', ' ')}`,
+      details: payment.note,
+      admin: req.admin.id,
+      metadata: { scheduleId: schedule._id, paymentId: payment._id, balanceDue: schedule.balanceDue }
+    });
+
+    if (sendReceipt) {
+      sendInBackground(notifyPaymentReceived(schedule, payment, schedule.contact));
+    }
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Payment recorded successfully',
+    data: { schedule, payment }
+  });
+});
+
+// @desc    Remove a payment recorded by mistake
+// @route   DELETE /api/payments/admin/schedules/:id/payments/:paymentId
+// @access  Private/Admin
+export const deletePayment = asyncHandler(async (req, res) => {
+  const schedule = await PaymentSchedule.findById(req.params.id);
+  if (!schedule) return notFound(res);
+
+  const payment = schedule.payments.id(req.params.paymentId);
+  if (!payment) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Payment not found'
+    });
+  }
+
+  if (schedule.refunds.some(refund => refund.payment?.equals(payment._id))) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'This payment has refunds recorded against it'
+    });
+  }
+
+  payment.deleteOne();
+  await schedule.save();
+
+  await Activity.record({
+    contact: schedule.contact,
+    type: 'payment',
+    summary: `Payment of ${formatMoney(payment.amount, schedule.currency)} removed`,
+    admin: req.admin.id,
+    metadata: { scheduleId: schedule._id, paymentId: payment._id }
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Payment removed successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Record a refund
+// @route   POST /api/payments/admin/schedules/:id/refunds
+// @access  Private/Admin
+export const recordRefund = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  let schedule = await PaymentSchedule.findById(req.params.id);
+  if (!schedule) return notFound(res);
+
+  const { amount, payment: paymentId, reason, reference, refundedAt, viaProvider = true } = req.body;
+  let providerRefund = null;
+
+  if (paymentId) {
+    const payment = schedule.payments.id(paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Payment not found'
+      });
+    }
+
+    const refundedAlready = schedule.refunds
+      .filter(refund => refund.payment?.equals(payment._id))
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    if (refundedAlready + amount - payment.amount >= 0.01) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Refund exceeds the amount of that payment'
+      });
+    }
+
+    // Online payments are refunded through the provider that took them
+    if (payment.providerPaymentId && viaProvider) {
+      try {
+        const provider = getPaymentProvider(payment.provider);
+        providerRefund = await provider.refund({
+          paymentId: payment.providerPaymentId,
+          amount,
+          reason,
+          apiBaseUrl: process.env.API_URL || `${req.protocol}://${req.get('host')}`
+        });
+        providerRefund.provider = provider.name;
+      } catch (error) {
+        return res.status(error.statusCode || 502).json({
+          status: 'error',
+          message: `Refund failed: ${error.message}`
+        });
+      }
+    }
+  }
+
+  const refundData = {
+    payment: paymentId || null,
+    amount,
+    reason,
+    reference: reference || providerRefund?.refundId,
+    refundedAt: refundedAt ? new Date(refundedAt) : new Date(),
+    recordedBy: req.admin.id
+  };
+
+  let refund;
+  let recorded = true;
+  if (providerRefund) {
+    // The provider's webhook may have recorded (and logged) it already
+    const updated = await addProviderRefund(schedule._id, {
+      ...refundData,
+      provider: providerRefund.provider,
+      providerRefundId: providerRefund.refundId
+    });
+    recorded = !!updated;
+    schedule = updated || await PaymentSchedule.findById(schedule._id);
+    refund = schedule.refunds.find(entry => entry.providerRefundId === providerRefund.refundId);
+  } else {
+    schedule.refunds.push(refundData);
+    await schedule.save();
+    refund = schedule.refunds[schedule.refunds.length - 1];
+  }
+
+  if (recorded) {
+    await Activity.record({
+      contact: schedule.contact,
+      type: 'payment',
+      summary: `Refund issued: ${formatMoney(refund.amount, schedule.currency)}`,
+      details: refund.reason,
+      admin: req.admin.id,
+      metadata: { scheduleId: schedule._id, refundId: refund._id }
+    });
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Refund recorded successfully',
+    data: { schedule, refund }
+  });
+});
+
+// @desc    Get the client's online payment link
+// @route   GET /api/payments/admin/schedules/:id/link
+// @access  Private/Admin
+export const getPaymentLink = asyncHandler(async (req, res) => {
+  const schedule = await PaymentSchedule.findById(req.params.id).select('_id');
+  if (!schedule) return notFound(res);
+
+  res.json({
+    status: 'success',
+    data: { url: buildPaymentUrl(schedule) }
+  });
+});
@@ -0,0 +1,404 @@
+import asyncHandler from 'express-async-handler';
+import { body, validationResult } from 'express-validator';
+import PipelineStage, { DEFAULT_STAGE } from '../models/PipelineStage.js';
+import Contact from '../models/Contact.js';
+import { moveContactToStage } from '../utils/pipeline.js';
+
+const DEFAULT_BOARD_LIMIT = 25;
+
+// Budget ranges on the inquiry form have no exact figure, so the board values
+// them at the range midpoint (lower bound for open-ended ranges) until a booking
+// amount is recorded.
+const BUDGET_ESTIMATES = {
+  'under-5k': 2500,
+  '5k-10k': 7500,
+  '10k-15k': 12500,
+  '15k-25k': 20000,
+  '25k-plus': 25000,
+  'not-specified': 0
+};
+
+// Validation rules for creating a stage
+export const validatePipelineStage = [
+  body('key')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_]{1,39}$/)
+    .withMessage('Stage key must be 2-40 lowercase letters, numbers and underscores'),
+  body('label')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Label must be between 1 and 50 characters'),
+  body('type')
+    .optional()
+    .isIn(['open', 'won', 'lost'])
+    .withMessage('Type must be open, won or lost'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #7c9a6d'),
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a positive number')
+];
+
+// Validation rules for editing a stage
+export const validatePipelineStageUpdate = [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Label must be between 1 and 50 characters'),
+  body('type')
+    .optional()
+    .isIn(['open', 'won', 'lost'])
+    .withMessage('Type must be open, won or lost'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #7c9a6d'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+];
+
+// Validation rules for reordering stages
+export const validateStageOrder = [
+  body('keys')
+    .isArray({ min: 1 })
+    .withMessage('Keys must be a list of stage keys')
+];
+
+// Validation rules for moving a contact between stages
+export const validateContactStage = [
+  body('stage')
+    .trim()
+    .notEmpty()
+    .withMessage('Stage is required'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  body('lostReason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Lost reason cannot exceed 500 characters')
+];
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// @desc    Get pipeline stages
+// @route   GET /api/admin/pipeline/stages
+// @access  Private
+export const getPipelineStages = asyncHandler(async (req, res) => {
+  const stages = await PipelineStage.getStages({ includeInactive: req.query.includeInactive === 'true' });
+
+  res.json({
+    status: 'success',
+    data: { stages }
+  });
+});
+
+// @desc    Create a pipeline stage
+// @route   POST /api/admin/pipeline/stages
+// @access  Private
+export const createPipelineStage = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { key, label, type, color } = req.body;
+  const stages = await PipelineStage.getStages({ includeInactive: true });
+
+  if (stages.some(stage => stage.key === key)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `A stage with key "${key}" already exists`
+    });
+  }
+
+  // New stages go to the end unless a position is given
+  const order = req.body.order !== undefined ? parseInt(req.body.order) : stages.length;
+  await PipelineStage.updateMany({ order: { $gte: order } }, { $inc: { order: 1 } });
+
+  const stage = await PipelineStage.create({ key, label, type, color, order });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Pipeline stage created successfully',
+    data: { stage }
+  });
+});
+
+// @desc    Update a pipeline stage
+// @route   PUT /api/admin/pipeline/stages/:key
+// @access  Private
+export const updatePipelineStage = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const stage = await PipelineStage.findOne({ key: req.params.key });
+
+  if (!stage) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Pipeline stage not found'
+    });
+  }
+
+  const { label, type, color, active } = req.body;
+
+  if (active === false && stage.key === DEFAULT_STAGE) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'The default stage for new inquiries cannot be deactivated'
+    });
+  }
+
+  if (label !== undefined) stage.label = label;
+  if (type !== undefined) stage.type = type;
+  if (color !== undefined) stage.color = color;
+  if (active !== undefined) stage.active = active;
+
+  await stage.save();
+
+  res.json({
+    status: 'success',
+    message: 'Pipeline stage updated successfully',
+    data: { stage }
+  });
+});
+
+// @desc    Reorder pipeline stages
+// @route   PUT /api/admin/pipeline/stages/order
+// @access  Private
+export const reorderPipelineStages = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { keys } = req.body;
+  const stages = await PipelineStage.getStages({ includeInactive: true });
+  const existingKeys = stages.map(stage => stage.key);
+
+  if (keys.length !== existingKeys.length || !existingKeys.every(key => keys.includes(key))) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Stage order must list every stage key exactly once'
+    });
+  }
+
+  await PipelineStage.bulkWrite(keys.map((key, index) => ({
+    updateOne: {
+      filter: { key },
+      update: { $set: { order: index } }
+    }
+  })));
+
+  res.json({
+    status: 'success',
+    message: 'Pipeline stages reordered successfully',
+    data: { stages: await PipelineStage.getStages({ includeInactive: true }) }
+  });
+});
+
+// @desc    Delete a pipeline stage
+// @route   DELETE /api/admin/pipeline/stages/:key
+// @access  Private
+export const deletePipelineStage = asyncHandler(async (req, res) => {
+  const stage = await PipelineStage.findOne({ key: req.params.key });
+
+  if (!stage) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Pipeline stage not found'
+    });
+  }
+
+  if (stage.key === DEFAULT_STAGE) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'The default stage for new inquiries cannot be deleted'
+    });
+  }
+
+  const contactCount = await Contact.countDocuments({ stage: stage.key });
+  if (contactCount > 0) {
+    return res.status(409).json({
+      status: 'error',
+      message: `Move the ${contactCount} contact(s) in this stage before deleting it, or deactivate it instead`
+    });
+  }
+
+  await stage.deleteOne();
+  await PipelineStage.updateMany({ order: { $gt: stage.order } }, { $inc: { order: -1 } });
+
+  res.json({
+    status: 'success',
+    message: 'Pipeline stage deleted successfully'
+  });
+});
+
+// @desc    Get the pipeline board grouped by stage
+// @route   GET /api/admin/contacts/pipeline
+// @access  Private
+export const getPipelineBoard = asyncHandler(async (req, res) => {
+  const { eventType, from, to, includeArchived } = req.query;
+  const perStage = Math.min(parseInt(req.query.limit) || DEFAULT_BOARD_LIMIT, 100);
+
+  const match = {};
+  if (includeArchived !== 'true') {
+    match.status = { $ne: 'archived' };
+  }
+  if (eventType) {
+    match.eventType = eventType;
+  }
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const [stages, groups] = await Promise.all([
+    PipelineStage.getStages({ includeInactive: true }),
+    Contact.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          stageKey: { $ifNull: ['$stage', DEFAULT_STAGE] },
+          budgetValue: {
+            $ifNull: [
+              '$bookingAmount',
+              {
+                $switch: {
+                  branches: Object.entries(BUDGET_ESTIMATES).map(([budget, value]) => ({
+                    case: { $eq: ['$budget', budget] },
+                    then: value
+                  })),
+                  default: 0
+                }
+              }
+            ]
+          }
+        }
+      },
+      { $sort: { stageChangedAt: -1, createdAt: -1 } },
+      {
+        $group: {
+          _id: '$stageKey',
+          count: { $sum: 1 },
+          totalBudget: { $sum: '$budgetValue' },
+          contacts: {
+            $push: {
+              _id: '$_id',
+              name: '$name',
+              email: '$email',
+              eventType: '$eventType',
+              eventDate: '$eventDate',
+              guestCount: '$guestCount',
+              budget: '$budget',
+              budgetValue: '$budgetValue',
+              leadScore: '$leadScore',
+              stageChangedAt: '$stageChangedAt',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      {
+        $project: {
+          count: 1,
+          totalBudget: 1,
+          contacts: { $slice: ['$contacts', perStage] }
+        }
+      }
+    ])
+  ]);
+
+  const groupsByStage = new Map(groups.map(group => [group._id, group]));
+
+  // Inactive stages only show up while they still hold contacts
+  const board = stages
+    .filter(stage => stage.active || groupsByStage.has(stage.key))
+    .map(stage => {
+      const group = groupsByStage.get(stage.key);
+      return {
+        key: stage.key,
+        label: stage.label,
+        type: stage.type,
+        color: stage.color,
+        active: stage.active,
+        count: group ? group.count : 0,
+        totalBudget: group ? group.totalBudget : 0,
+        contacts: group ? group.contacts : []
+      };
+    });
+
+  const totals = board.reduce((acc, stage) => {
+    acc.count += stage.count;
+    acc.totalBudget += stage.totalBudget;
+    if (stage.type === 'open') {
+      acc.openBudget += stage.totalBudget;
+    }
+    return acc;
+  }, { count: 0, totalBudget: 0, openBudget: 0 });
+
+  res.json({
+    status: 'success',
+    data: {
+      stages: board,
+      totals
+    }
+  });
+});
+
+// @desc    Move a contact to a pipeline stage
+// @route   PUT /api/admin/contacts/:id/stage
+// @access  Private
+export const updateContactStage = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contact = await Contact.findById(req.params.id);
+
+  if (!contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Contact submission not found'
+    });
+  }
+
+  const { stage, note, lostReason } = req.body;
+
+  try {
+    const changed = await moveContactToStage(contact, stage, {
+      adminId: req.admin.id,
+      note,
+      lostReason
+    });
+
+    res.json({
+      status: 'success',
+      message: changed ? 'Contact stage updated successfully' : 'Contact is already in that stage',
+      data: { contact }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+});
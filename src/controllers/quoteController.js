@@ -0,0 +1,511 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Quote from '../models/Quote.js';
+import Contact from '../models/Contact.js';
+import Activity from '../models/Activity.js';
+import PipelineStage from '../models/PipelineStage.js';
+import { buildQuoteVersion } from '../utils/quoteCalculator.js';
+import { verifySignedToken } from '../utils/signedToken.js';
+import { advanceContactStage, moveContactToStage } from '../utils/pipeline.js';
+import {
+  buildQuoteUrl,
+  notifyQuoteSent,
+  notifyQuoteResponse
+} from '../utils/quoteNotifications.js';
+
+const DEFAULT_VALID_DAYS = 30;
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Surface pricing errors (unknown items, guest limits) with their status code
+const sendQuoteError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+// Fire-and-forget email so a mail outage never fails the request
+const sendInBackground = (promise) => {
+  promise.catch(error => {
+    console.error('Quote email failed:', error.message);
+  });
+};
+
+// Resolve the quote referenced by a public link token. Quotes left behind by
+// a deleted contact are treated as an invalid link.
+const findQuoteByToken = async (token) => {
+  const decoded = verifySignedToken(token, 'quote');
+  if (!decoded) return null;
+
+  const quote = await Quote.findById(decoded.quoteId).populate('contact', 'name email');
+  return quote?.contact ? quote : null;
+};
+
+// Mark lapsed offers as expired so they can no longer be answered
+const expireIfLapsed = async (quote) => {
+  if (quote.isExpired && quote.status !== 'expired') {
+    quote.status = 'expired';
+    await quote.save();
+  }
+};
+
+// What the client sees through the shared link
+const toPublicQuote = (quote) => {
+  const version = quote.sent;
+
+  return {
+    quoteNumber: quote.quoteNumber,
+    title: quote.title,
+    status: quote.status,
+    currency: quote.currency,
+    validUntil: quote.validUntil,
+    clientName: quote.contact?.name,
+    version: version && {
+      version: version.version,
+      eventDate: version.eventDate,
+      guestCount: version.guestCount,
+      lineItems: version.lineItems.map(line => ({
+        kind: line.kind,
+        name: line.name,
+        description: line.description,
+        pricingType: line.pricingType,
+        unitPrice: line.unitPrice,
+        quantity: line.quantity,
+        baseAmount: line.baseAmount,
+        adjustments: line.adjustments.map(({ name, amount }) => ({ name, amount })),
+        amount: line.amount
+      })),
+      discounts: version.discounts,
+      subtotal: version.subtotal,
+      discountTotal: version.discountTotal,
+      taxRate: version.taxRate,
+      taxTotal: version.taxTotal,
+      total: version.total,
+      notes: version.notes
+    },
+    acceptedVersion: quote.acceptedVersion,
+    respondedAt: quote.respondedAt
+  };
+};
+
+// @desc    Price a quote without saving it
+// @route   POST /api/quotes/admin/preview
+// @access  Private/Admin
+export const previewQuote = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const version = await buildQuoteVersion(req.body, { adminId: req.admin.id });
+
+    res.json({
+      status: 'success',
+      data: { version }
+    });
+  } catch (error) {
+    return sendQuoteError(res, error);
+  }
+});
+
+// @desc    Get quotes
+// @route   GET /api/quotes/admin
+// @access  Private/Admin
+export const getQuotes = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.contact) query.contact = req.query.contact;
+  if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+
+  const [quotes, total] = await Promise.all([
+    Quote.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-versions.lineItems')
+      .populate('contact', 'name email eventDate'),
+    Quote.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      quotes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get a quote with all versions
+// @route   GET /api/quotes/admin/:id
+// @access  Private/Admin
+export const getQuote = asyncHandler(async (req, res) => {
+  const quote = await Quote.findById(req.params.id)
+    .populate('contact', 'name email phone eventDate guestCount stage')
+    .populate('versions.createdBy', 'name email');
+
+  if (!quote) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Quote not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      quote,
+      shareUrl: quote.sentVersion ? buildQuoteUrl(quote) : null
+    }
+  });
+});
+
+// @desc    Create a quote for a contact
+// @route   POST /api/quotes/admin
+// @access  Private/Admin
+export const createQuote = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contact = await Contact.findById(req.body.contact);
+
+  if (!contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Contact submission not found'
+    });
+  }
+
+  // Default the event details to what the client told us
+  const input = {
+    ...req.body,
+    eventDate: req.body.eventDate || contact.eventDate,
+    guestCount: req.body.guestCount !== undefined ? req.body.guestCount : contact.guestCount
+  };
+
+  let version;
+  try {
+    version = await buildQuoteVersion(input, { version: 1, adminId: req.admin.id });
+  } catch (error) {
+    return sendQuoteError(res, error);
+  }
+
+  const quote = await Quote.create({
+    contact: contact._id,
+    title: req.body.title,
+    versions: [version],
+    currentVersion: 1,
+    validUntil: req.body.validUntil ? new Date(req.body.validUntil) : undefined,
+    createdBy: req.admin.id
+  });
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'system',
+    summary: `Drafted quote ${quote.quoteNumber}`,
+    admin: req.admin.id,
+    metadata: { quoteId: quote._id, total: version.total }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Quote created successfully',
+    data: { quote }
+  });
+});
+
+// @desc    Add a new version to a quote
+// @route   POST /api/quotes/admin/:id/versions
+// @access  Private/Admin
+export const createQuoteVersion = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const quote = await Quote.findById(req.params.id);
+
+  if (!quote) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Quote not found'
+    });
+  }
+
+  if (quote.status === 'accepted') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Accepted quotes cannot be revised. Create a new quote instead.'
+    });
+  }
+
+  const previous = quote.current;
+  const input = {
+    ...req.body,
+    eventDate: req.body.eventDate || previous?.eventDate,
+    guestCount: req.body.guestCount !== undefined ? req.body.guestCount : previous?.guestCount
+  };
+
+  let version;
+  try {
+    const nextVersion = Math.max(...quote.versions.map(item => item.version)) + 1;
+    version = await buildQuoteVersion(input, { version: nextVersion, adminId: req.admin.id });
+  } catch (error) {
+    return sendQuoteError(res, error);
+  }
+
+  quote.versions.push(version);
+  quote.currentVersion = version.version;
+  if (req.body.title !== undefined) quote.title = req.body.title;
+  if (req.body.validUntil) quote.validUntil = new Date(req.body.validUntil);
+  await quote.save();
+
+  res.status(201).json({
+    status: 'success',
+    message: `Quote version ${version.version} created`,
+    data: { quote }
+  });
+});
+
+// @desc    Send the current version of a quote to the client
+// @route   POST /api/quotes/admin/:id/send
+// @access  Private/Admin
+export const sendQuote = asyncHandler(async (req, res) => {
+  const quote = await Quote.findById(req.params.id).populate('contact');
+
+  if (!quote || !quote.contact) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Quote not found'
+    });
+  }
+
+  if (quote.status === 'accepted') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'This quote has already been accepted'
+    });
+  }
+
+  const revised = !!quote.sentVersion;
+  const validUntil = req.body?.validUntil ? new Date(req.body.validUntil) : quote.validUntil;
+
+  quote.sentVersion = quote.currentVersion;
+  quote.sentAt = new Date();
+  quote.status = 'sent';
+  quote.validUntil = validUntil && validUntil > Date.now()
+    ? validUntil
+    : new Date(Date.now() + DEFAULT_VALID_DAYS * 24 * 60 * 60 * 1000);
+  quote.declineReason = undefined;
+  quote.respondedAt = undefined;
+  await quote.save();
+
+  // A new offer reopens a lead that was lost on an earlier one
+  const contact = quote.contact;
+  const stages = await PipelineStage.getStages();
+  const currentStage = stages.find(stage => stage.key === contact.stage);
+  if (currentStage?.type === 'lost' && stages.some(stage => stage.key === 'proposal_sent')) {
+    await moveContactToStage(contact, 'proposal_sent', { adminId: req.admin.id, note: `Sent quote ${quote.quoteNumber}` });
+  } else {
+    await advanceContactStage(contact, 'proposal_sent', { adminId: req.admin.id });
+  }
+
+  sendInBackground(notifyQuoteSent(quote, contact, { revised, adminId: req.admin.id }));
+
+  res.json({
+    status: 'success',
+    message: 'Quote sent to the client',
+    data: {
+      quote,
+      shareUrl: buildQuoteUrl(quote)
+    }
+  });
+});
+
+// @desc    Delete a quote that was never sent
+// @route   DELETE /api/quotes/admin/:id
+// @access  Private/Admin
+export const deleteQuote = asyncHandler(async (req, res) => {
+  const quote = await Quote.findById(req.params.id);
+
+  if (!quote) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Quote not found'
+    });
+  }
+
+  if (quote.status !== 'draft') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Only draft quotes can be deleted'
+    });
+  }
+
+  await quote.deleteOne();
+
+  res.json({
+    status: 'success',
+    message: 'Quote deleted successfully'
+  });
+});
+
+// @desc    View a quote from its shared link
+// @route   GET /api/quotes/public/:token
+// @access  Public (signed token)
+export const getPublicQuote = asyncHandler(async (req, res) => {
+  const quote = await findQuoteByToken(req.params.token);
+
+  if (!quote || !quote.sentVersion) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Quote link is invalid or has expired'
+    });
+  }
+
+  await expireIfLapsed(quote);
+
+  if (quote.status === 'sent') {
+    quote.status = 'viewed';
+    quote.viewedAt = new Date();
+    await quote.save();
+
+    await Activity.record({
+      contact: quote.contact._id,
+      type: 'system',
+      summary: `Viewed quote ${quote.quoteNumber}`,
+      metadata: { quoteId: quote._id, version: quote.sentVersion }
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { quote: toPublicQuote(quote) }
+  });
+});
+
+// Shared checks before a client answers a quote
+const loadRespondableQuote = async (req, res) => {
+  const quote = await findQuoteByToken(req.params.token);
+
+  if (!quote || !quote.sentVersion) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Quote link is invalid or has expired'
+    });
+    return null;
+  }
+
+  await expireIfLapsed(quote);
+
+  if (quote.status === 'expired') {
+    res.status(410).json({
+      status: 'error',
+      message: 'This quote has expired. Please contact us for an updated quote.'
+    });
+    return null;
+  }
+
+  if (!['sent', 'viewed'].includes(quote.status)) {
+    res.status(400).json({
+      status: 'error',
+      message: `This quote has already been ${quote.status}`
+    });
+    return null;
+  }
+
+  return quote;
+};
+
+// @desc    Accept a quote from its shared link
+// @route   POST /api/quotes/public/:token/accept
+// @access  Public (signed token)
+export const acceptQuote = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const quote = await loadRespondableQuote(req, res);
+  if (!quote) return;
+
+  quote.status = 'accepted';
+  quote.acceptedVersion = quote.sentVersion;
+  quote.acceptedByName = req.body.name;
+  quote.respondedAt = new Date();
+  quote.responseIp = req.ip;
+  await quote.save();
+
+  const contact = await Contact.findById(quote.contact._id);
+  if (contact) {
+    await Activity.record({
+      contact: contact._id,
+      type: 'system',
+      summary: `Accepted quote ${quote.quoteNumber} (version ${quote.acceptedVersion})`,
+      details: `Accepted by ${req.body.name}`,
+      metadata: { quoteId: quote._id, total: quote.sent.total }
+    });
+    await advanceContactStage(contact, 'proposal_accepted');
+    sendInBackground(notifyQuoteResponse(quote, contact, { accepted: true }));
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Thank you! Your quote has been accepted and our team will be in touch shortly.',
+    data: { quote: toPublicQuote(quote) }
+  });
+});
+
+// @desc    Decline a quote from its shared link
+// @route   POST /api/quotes/public/:token/decline
+// @access  Public (signed token)
+export const declineQuote = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const quote = await loadRespondableQuote(req, res);
+  if (!quote) return;
+
+  const reason = req.body.reason;
+
+  quote.status = 'declined';
+  quote.declineReason = reason;
+  quote.respondedAt = new Date();
+  quote.responseIp = req.ip;
+  await quote.save();
+
+  const contact = await Contact.findById(quote.contact._id);
+  if (contact) {
+    await Activity.record({
+      contact: contact._id,
+      type: 'system',
+      summary: `Declined quote ${quote.quoteNumber}`,
+      details: reason,
+      metadata: { quoteId: quote._id }
+    });
+    await advanceContactStage(contact, { type: 'lost' }, {
+      note: `Declined quote ${quote.quoteNumber}`,
+      lostReason: reason || 'Declined quote'
+    });
+    sendInBackground(notifyQuoteResponse(quote, contact, { accepted: false, reason }));
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Thank you for letting us know. We hope to work with you in the future.',
+    data: { quote: toPublicQuote(quote) }
+  });
+});
@@ -0,0 +1,31 @@
+import asyncHandler from 'express-async-handler';
+import Partner from '../models/Partner.js';
+import { recordReferralClick } from '../utils/referrals.js';
+
+const PARTNER_CODE_PATTERN = /^TWBFL-[A-Z0-9]{4,10}$/i;
+
+// @desc    Follow a partner short link: log the click, set the attribution cookie and redirect
+// @route   GET /r/:code/:slug?
+// @access  Public
+export const followReferralLink = asyncHandler(async (req, res) => {
+  const { code, slug } = req.params;
+  const frontendUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+  const partner = PARTNER_CODE_PATTERN.test(code) ? await Partner.findByCode(code) : null;
+
+  // Printed links outlive partnerships, so unknown codes still land somewhere useful
+  if (!partner) {
+    return res.redirect(302, `${frontendUrl}/`);
+  }
+
+  let landingUrl;
+  try {
+    landingUrl = await recordReferralClick(req, res, partner, slug?.toLowerCase());
+  } catch (error) {
+    console.error('Error recording referral click:', error);
+    return res.redirect(302, `${frontendUrl}/`);
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, landingUrl);
+});
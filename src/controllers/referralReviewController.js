@@ -0,0 +1,134 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Contact from '../models/Contact.js';
+import Partner from '../models/Partner.js';
+import { approveReferral, rejectReferral } from '../utils/referralFraud.js';
+
+const REVIEW_FIELDS = 'name email phone eventType eventDate stage tourScheduled booked bookingAmount ipAddress userAgent refAttribution emailEngagement referralReview createdAt';
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Review rules are thrown with a statusCode; anything else is unexpected
+const sendReviewError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+const notFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Contact not found'
+});
+
+// @desc    Get referred leads held for review
+// @route   GET /api/referral-reviews
+// @access  Private/Admin
+export const getReferralReviews = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const status = req.query.status || 'held';
+  const query = status === 'all'
+    ? { 'referralReview.status': { $ne: null } }
+    : { 'referralReview.status': status };
+  if (req.query.code) query['referralReview.code'] = req.query.code.toUpperCase();
+  if (req.query.rule) query['referralReview.flags.rule'] = req.query.rule;
+
+  const [contacts, total, counts] = await Promise.all([
+    Contact.find(query)
+      .sort({ 'referralReview.heldAt': -1 })
+      .skip(skip)
+      .limit(limit)
+      .select(REVIEW_FIELDS)
+      .populate('referralReview.reviewedBy', 'name email'),
+    Contact.countDocuments(query),
+    Contact.aggregate([
+      { $match: { 'referralReview.status': { $ne: null } } },
+      { $group: { _id: '$referralReview.status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  // Partner details for the codes on this page
+  const codes = [...new Set(contacts.map(contact => contact.referralReview.code))];
+  const partners = await Partner.find({ code: { $in: codes } }).select('name email phone code type status active');
+  const partnersByCode = Object.fromEntries(partners.map(partner => [partner.code, partner]));
+
+  res.json({
+    status: 'success',
+    data: {
+      reviews: contacts.map(contact => ({
+        contact,
+        partner: partnersByCode[contact.referralReview.code] || null
+      })),
+      counts: Object.fromEntries(counts.map(row => [row._id, row.count])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Release a held referral to the partner
+// @route   PUT /api/referral-reviews/:id/approve
+// @access  Private/Admin
+export const approveReferralReview = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) return notFound(res);
+
+  try {
+    await approveReferral(contact, { adminId: req.admin?.id, notes: req.body.notes });
+  } catch (error) {
+    return sendReviewError(res, error);
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Referral approved and credited to the partner',
+    data: { contact }
+  });
+});
+
+// @desc    Refuse a held referral
+// @route   PUT /api/referral-reviews/:id/reject
+// @access  Private/Admin
+export const rejectReferralReview = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) return notFound(res);
+
+  try {
+    await rejectReferral(contact, { adminId: req.admin?.id, notes: req.body.notes });
+  } catch (error) {
+    return sendReviewError(res, error);
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Referral rejected',
+    data: { contact }
+  });
+});
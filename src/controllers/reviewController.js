@@ -1,7 +1,84 @@
+import path from 'path';
+import mongoose from 'mongoose';
 import asyncHandler from 'express-async-handler';
 import { validationResult } from 'express-validator';
 import Review from '../models/Review.js';
 import { Analytics } from '../models/Analytics.js';
+import { sendReviewResponseEmail } from '../utils/email.js';
+import {
+  resolveReviewInvitation,
+  buildInvitationPrefill,
+  markInvitationReviewed
+} from '../utils/reviewInvitations.js';
+import { moderateReview } from '../utils/reviewModeration.js';
+import {
+  createPhotoUploadToken,
+  isValidPhotoUploadToken,
+  discardUploads,
+  removeReviewPhotoFiles,
+  attachReviewPhotos,
+  promoteReviewPhoto,
+  setPhotoStatus,
+  settlePendingPhotos,
+  locatePhotoFile
+} from '../utils/reviewPhotos.js';
+import { detectReviewSource, parseReviewExport, importExternalReviews } from '../utils/reviewImport.js';
+import { getVenueStructuredData, invalidateStructuredData } from '../utils/reviewStructuredData.js';
+
+const invalidInvitation = (res) => res.status(400).json({
+  status: 'error',
+  message: 'This review link is invalid or has expired'
+});
+
+const reviewNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Review not found'
+});
+
+// Public fields for reviews shown on the site
+const PUBLIC_EXCLUDED_FIELDS = '-adminNotes -moderatedBy -ipAddress -userAgent -clientEmail -booking -contact -moderation -response.history -removedResponses';
+
+// Email the reviewer about our reply. A mail outage shouldn't lose the response.
+const notifyReviewer = async (review) => {
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+  try {
+    await sendReviewResponseEmail({
+      name: review.clientName,
+      email: review.clientEmail,
+      title: review.title,
+      response: review.response.body,
+      reviewUrl: `${baseUrl}/reviews/${review._id}`
+    });
+    review.response.notifiedAt = new Date();
+    await review.save();
+    return true;
+  } catch (error) {
+    console.error(`Review response email failed for ${review._id}:`, error.message);
+    return false;
+  }
+};
+
+// Uploaded photos waiting on moderation stay off the site
+const hidePendingPhotos = (review) => {
+  review.photos = review.getPublicPhotos();
+  return review;
+};
+
+// Photo and import rules are thrown with a statusCode; anything else is unexpected
+const sendRuleError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+const alreadyReviewed = (res) => res.status(409).json({
+  status: 'error',
+  message: 'A review has already been submitted for this event'
+});
 
 // @desc    Get all reviews (public - approved only)
 // @route   GET /api/reviews
@@ -23,7 +100,9 @@ export const getReviews = asyncHandler(async (req, res) => {
     .sort({ isFeatured: -1, createdAt: -1 })
     .limit(parseInt(limit))
     .skip(parseInt(skip))
-    .select('-adminNotes -moderatedBy -ipAddress -userAgent -clientEmail');
+    .select(PUBLIC_EXCLUDED_FIELDS)
+    .populate('response.author', 'name');
+  reviews.forEach(hidePendingPhotos);
   
   const total = await Review.countDocuments(query);
   
@@ -46,7 +125,8 @@ export const getReviews = asyncHandler(async (req, res) => {
 // @access  Public
 export const getReview = asyncHandler(async (req, res) => {
   const review = await Review.findById(req.params.id)
-    .select('-adminNotes -moderatedBy -ipAddress -userAgent -clientEmail');
+    .select(PUBLIC_EXCLUDED_FIELDS)
+    .populate('response.author', 'name');
   
   if (!review) {
     return res.status(404).json({
@@ -57,7 +137,37 @@ export const getReview = asyncHandler(async (req, res) => {
   
   res.json({
     status: 'success',
-    data: { review }
+    data: { review: hidePendingPhotos(review) }
+  });
+});
+
+// @desc    Get schema.org JSON-LD for the venue with its rating and reviews
+// @route   GET /api/reviews/structured-data
+// @access  Public
+export const getStructuredData = asyncHandler(async (req, res) => {
+  const { data, generatedAt } = await getVenueStructuredData();
+
+  // Kept short because invalidation can't reach copies cached downstream
+  res.set({
+    'Cache-Control': 'public, max-age=300',
+    'Last-Modified': generatedAt.toUTCString()
+  });
+  res.type('application/ld+json').send(JSON.stringify(data));
+});
+
+// @desc    Get the prefilled details for a review invitation link
+// @route   GET /api/reviews/invitation/:token
+// @access  Public
+export const getReviewInvitation = asyncHandler(async (req, res) => {
+  const booking = await resolveReviewInvitation(req.params.token);
+  if (!booking) return invalidInvitation(res);
+
+  res.json({
+    status: 'success',
+    data: {
+      invitation: buildInvitationPrefill(booking),
+      reviewed: !!booking.reviewInvitation?.review
+    }
   });
 });
 
@@ -82,21 +192,44 @@ export const createReview = asyncHandler(async (req, res) => {
     rating,
     title,
     review,
-    photos = []
+    photos = [],
+    invitationToken
   } = req.body;
+
+  // Reviews sent in through an invitation are tied to the booked event, so the
+  // email and event details come from the booking rather than the form
+  let booking = null;
+  if (invitationToken) {
+    booking = await resolveReviewInvitation(invitationToken);
+    if (!booking) return invalidInvitation(res);
+    if (booking.reviewInvitation?.review) return alreadyReviewed(res);
+  }
+
+  const prefill = booking ? buildInvitationPrefill(booking) : {};
   
-  const newReview = await Review.create({
+  const newReview = new Review({
     clientName,
-    clientEmail,
-    eventType,
-    eventDate,
+    clientEmail: prefill.clientEmail || clientEmail,
+    eventType: prefill.eventType || eventType,
+    eventDate: prefill.eventDate || eventDate,
     rating,
     title,
     review,
     photos,
+    verified: !!booking,
+    booking: booking?._id,
+    contact: booking?.contact._id,
     ipAddress: req.ip,
     userAgent: req.get('User-Agent')
   });
+
+  await moderateReview(newReview);
+  await newReview.save();
+  if (newReview.status === 'approved') invalidateStructuredData();
+
+  if (booking) {
+    await markInvitationReviewed(booking, newReview);
+  }
   
   // Track analytics
   await Analytics.create({
@@ -105,14 +238,91 @@ export const createReview = asyncHandler(async (req, res) => {
     ipAddress: req.ip,
     metadata: {
       reviewId: newReview._id,
-      rating: rating
+      rating: rating,
+      verified: newReview.verified,
+      moderationVerdict: newReview.moderation?.verdict
     }
   });
+
+  // Moderation details stay private so they can't be used to tune spam
+  const { moderation, adminNotes, ...submitted } = newReview.toObject();
   
   res.status(201).json({
     status: 'success',
-    message: 'Review submitted successfully and is pending approval',
-    data: { review: newReview }
+    message: newReview.status === 'approved'
+      ? 'Thank you! Your review has been published'
+      : 'Review submitted successfully and is pending approval',
+    data: {
+      review: submitted,
+      // Lets the guest attach their own photos to this review
+      photoUploadToken: newReview.status === 'rejected' ? null : createPhotoUploadToken(newReview)
+    }
+  });
+});
+
+// @desc    Check the review and its photo upload token before any file is accepted
+// @route   POST /api/reviews/:id/photos
+// @access  Public (with the review's photo upload token)
+export const checkPhotoUploadAccess = asyncHandler(async (req, res, next) => {
+  const review = mongoose.Types.ObjectId.isValid(req.params.id) && await Review.findById(req.params.id);
+  if (!review) return reviewNotFound(res);
+
+  // Multipart bodies haven't been read yet, so the token comes in a header
+  if (!isValidPhotoUploadToken(req.get('X-Review-Token'), review)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'This photo upload link is invalid or has expired'
+    });
+  }
+
+  req.review = review;
+  next();
+});
+
+// @desc    Upload photos for a submitted review
+// @route   POST /api/reviews/:id/photos
+// @access  Public (with the review's photo upload token)
+export const uploadReviewPhotos = asyncHandler(async (req, res) => {
+  const files = req.files || [];
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    discardUploads(files);
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'No usable photos were uploaded'
+    });
+  }
+
+  const { review } = req;
+
+  let photos;
+  try {
+    photos = attachReviewPhotos(review, files, [].concat(req.body.captions || []));
+    await review.save();
+  } catch (error) {
+    discardUploads(files);
+    return sendRuleError(res, error);
+  }
+
+  // No URLs until the photos are approved and published
+  res.status(201).json({
+    status: 'success',
+    message: `${photos.length} photo(s) uploaded and awaiting approval`,
+    data: {
+      photos: photos.map(photo => ({
+        _id: photo._id,
+        caption: photo.caption,
+        status: photo.status
+      }))
+    }
   });
 });
 
@@ -120,15 +330,28 @@ export const createReview = asyncHandler(async (req, res) => {
 // @route   GET /api/admin/reviews
 // @access  Private/Admin
 export const getAdminReviews = asyncHandler(async (req, res) => {
-  const { status, limit = 20, skip = 0, sort = '-createdAt' } = req.query;
+  const { status, limit = 20, skip = 0, sort = '-createdAt', verified, verdict, source } = req.query;
   
   let query = {};
   if (status && status !== 'all') {
     query.status = status;
   }
+
+  if (verified !== undefined) {
+    query.verified = verified === 'true';
+  }
+
+  if (verdict) {
+    query['moderation.verdict'] = verdict;
+  }
+
+  if (source) {
+    query.source = source;
+  }
   
   const reviews = await Review.find(query)
     .populate('moderatedBy', 'name email')
+    .populate('response.author', 'name email')
     .sort(sort)
     .limit(parseInt(limit))
     .skip(parseInt(skip));
@@ -189,6 +412,7 @@ export const updateReviewStatus = asyncHandler(async (req, res) => {
   
   // Update fields
   if (status) {
+    if (status !== 'pending') await settlePendingPhotos(review, status);
     review.status = status;
     review.moderatedBy = adminId;
     review.moderatedAt = new Date();
@@ -203,6 +427,7 @@ export const updateReviewStatus = asyncHandler(async (req, res) => {
   }
   
   await review.save();
+  invalidateStructuredData();
   
   await review.populate('moderatedBy', 'name email');
   
@@ -213,6 +438,263 @@ export const updateReviewStatus = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Publicly respond to a review
+// @route   POST /api/reviews/admin/:id/response
+// @access  Private/Admin
+export const createReviewResponse = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const review = await Review.findById(req.params.id);
+  if (!review) return reviewNotFound(res);
+
+  if (review.response) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'This review already has a response; edit it instead'
+    });
+  }
+
+  await review.setResponse(req.body.body, req.admin.id);
+  const notified = req.body.notifyReviewer ? await notifyReviewer(review) : false;
+  await review.populate('response.author', 'name email');
+
+  res.status(201).json({
+    status: 'success',
+    message: notified ? 'Response published and the reviewer notified' : 'Response published',
+    data: { review, notified }
+  });
+});
+
+// @desc    Edit our response to a review
+// @route   PUT /api/reviews/admin/:id/response
+// @access  Private/Admin
+export const updateReviewResponse = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const review = await Review.findById(req.params.id);
+  if (!review) return reviewNotFound(res);
+
+  if (!review.response) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This review has no response to edit'
+    });
+  }
+
+  await review.setResponse(req.body.body, req.admin.id);
+  const notified = req.body.notifyReviewer ? await notifyReviewer(review) : false;
+  await review.populate('response.author', 'name email');
+
+  res.json({
+    status: 'success',
+    message: 'Response updated',
+    data: { review, notified }
+  });
+});
+
+// @desc    Remove our response to a review
+// @route   DELETE /api/reviews/admin/:id/response
+// @access  Private/Admin
+export const deleteReviewResponse = asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
+  if (!review) return reviewNotFound(res);
+
+  if (!review.response) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'This review has no response to remove'
+    });
+  }
+
+  await review.removeResponse(req.admin.id);
+
+  res.json({
+    status: 'success',
+    message: 'Response removed',
+    data: { review }
+  });
+});
+
+// @desc    Approve or reject a photo uploaded with a review
+// @route   PATCH /api/reviews/admin/:id/photos/:photoId
+// @access  Private/Admin
+export const updateReviewPhoto = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const review = await Review.findById(req.params.id);
+  if (!review) return reviewNotFound(res);
+
+  const photo = review.photos.id(req.params.photoId);
+  if (!photo) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Photo not found'
+    });
+  }
+
+  const { status, caption } = req.body;
+  try {
+    if (status) await setPhotoStatus(photo, status);
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+  if (caption !== undefined) photo.caption = caption;
+  await review.save();
+
+  res.json({
+    status: 'success',
+    message: 'Photo updated',
+    data: { review }
+  });
+});
+
+// @desc    Get an uploaded review photo (or a thumbnail), including ones awaiting approval
+// @route   GET /api/reviews/admin/:id/photos/:photoId/file
+// @access  Private/Admin
+export const getReviewPhotoFile = asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id).select('photos');
+  const photo = review?.photos.id(req.params.photoId);
+  const { size } = req.query;
+  const urlPath = ['small', 'medium', 'large'].includes(size) ? photo?.thumbnails?.[size]?.path : photo?.url;
+  const file = photo?.filename && urlPath && locatePhotoFile(urlPath);
+
+  if (!file) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Photo not found'
+    });
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.sendFile(path.resolve(file));
+});
+
+// @desc    Add a review photo to the gallery
+// @route   POST /api/reviews/admin/:id/photos/:photoId/gallery
+// @access  Private/Admin
+export const promoteReviewPhotoToGallery = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const review = await Review.findById(req.params.id);
+  if (!review) return reviewNotFound(res);
+
+  const photo = review.photos.id(req.params.photoId);
+  if (!photo) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Photo not found'
+    });
+  }
+
+  let image;
+  try {
+    image = await promoteReviewPhoto(review, photo, {
+      category: req.body.category,
+      title: req.body.title,
+      alt: req.body.alt,
+      adminId: req.admin.id
+    });
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Photo added to the gallery',
+    data: { image, review }
+  });
+});
+
+// @desc    Import reviews from a Google or Facebook export file
+// @route   POST /api/reviews/admin/import
+// @access  Private/Admin
+export const importReviews = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let data = req.body.data;
+  if (req.file) {
+    try {
+      data = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Import file is not valid JSON'
+      });
+    }
+  }
+
+  if (!data) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Upload an export file or send its contents as data'
+    });
+  }
+
+  const source = req.body.source || detectReviewSource(data);
+  if (!source) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Could not tell whether this is a Google or Facebook export; please give the source'
+    });
+  }
+
+  let items;
+  try {
+    items = parseReviewExport(data, source);
+  } catch (error) {
+    return sendRuleError(res, error);
+  }
+
+  const dryRun = req.body.dryRun === true;
+  const report = await importExternalReviews(items, {
+    source,
+    dryRun,
+    status: req.body.status || 'approved'
+  });
+  if (!dryRun) invalidateStructuredData();
+
+  res.status(dryRun ? 200 : 201).json({
+    status: 'success',
+    message: `${dryRun ? 'Dry run: would create' : 'Created'} ${report.created}, ${dryRun ? 'update' : 'updated'} ${report.updated}, skipped ${report.skipped}, ${report.errors} error(s)`,
+    data: report
+  });
+});
+
 // @desc    Delete review
 // @route   DELETE /api/admin/reviews/:id
 // @access  Private/Admin
@@ -227,6 +709,8 @@ export const deleteReview = asyncHandler(async (req, res) => {
   }
   
   await review.deleteOne();
+  removeReviewPhotoFiles(review);
+  invalidateStructuredData();
   
   res.json({
     status: 'success',
@@ -329,6 +813,15 @@ export const bulkUpdateReviews = asyncHandler(async (req, res) => {
     { _id: { $in: reviewIds } },
     updateData
   );
+
+  if (updateData.status && updateData.status !== 'pending') {
+    const withPendingPhotos = await Review.find({ _id: { $in: reviewIds }, 'photos.status': 'pending' });
+    for (const review of withPendingPhotos) {
+      await settlePendingPhotos(review, updateData.status);
+      await review.save();
+    }
+  }
+  invalidateStructuredData();
   
   res.json({
     status: 'success',
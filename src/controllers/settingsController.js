@@ -1,6 +1,42 @@
 import asyncHandler from 'express-async-handler';
 import { validationResult } from 'express-validator';
-import Settings, { defaultSettings } from '../models/Settings.js';
+import Settings, { defaultSettings, SETTINGS_CATEGORIES } from '../models/Settings.js';
+import { validateScoringSetting } from '../utils/leadScoring.js';
+import { validateModerationSetting } from '../utils/reviewModeration.js';
+
+// Categories whose rules have a fixed shape beyond the stored validation
+const RULE_VALIDATORS = {
+  leadScoring: validateScoringSetting,
+  reviewModeration: validateModerationSetting
+};
+
+// Metadata for a setting that has not been stored yet, taken from the defaults
+const defaultSettingOptions = (category, key) => {
+  const config = defaultSettings[category]?.[key];
+  if (!config) return {};
+
+  return {
+    type: config.type,
+    description: config.description,
+    isPublic: config.isPublic,
+    isRequired: config.isRequired,
+    validation: config.validation
+  };
+};
+
+// Check a value against the stored setting, or against its default before the
+// first write. Scoring rules have a fixed shape, so they are checked beyond that.
+const validateSettingValue = (category, key, value, existingSetting) => {
+  if (RULE_VALIDATORS[category]) {
+    const validation = RULE_VALIDATORS[category](key, value);
+    if (!validation.isValid) return validation;
+  }
+
+  const setting = existingSetting || (defaultSettings[category]?.[key] &&
+    new Settings({ category, key, ...defaultSettingOptions(category, key) }));
+
+  return setting ? setting.validateValue(value) : { isValid: true };
+};
 
 // @desc    Get all settings grouped by category
 // @route   GET /api/admin/settings
@@ -20,9 +56,7 @@ export const getAllSettings = asyncHandler(async (req, res) => {
 export const getSettingsByCategory = asyncHandler(async (req, res) => {
   const { category } = req.params;
   
-  const validCategories = ['general', 'email', 'security', 'notifications', 'backup', 'analytics'];
-  
-  if (!validCategories.includes(category)) {
+  if (!SETTINGS_CATEGORIES.includes(category)) {
     return res.status(400).json({
       status: 'error',
       message: 'Invalid category'
@@ -73,17 +107,15 @@ export const updateSettings = asyncHandler(async (req, res) => {
         // Get existing setting for validation
         const existingSetting = await Settings.findOne({ category, key });
         
-        if (existingSetting) {
-          // Validate the new value
-          const validation = existingSetting.validateValue(value);
-          if (!validation.isValid) {
-            errors_list.push({
-              category,
-              key,
-              error: validation.error
-            });
-            continue;
-          }
+        // Validate the new value
+        const validation = validateSettingValue(category, key, value, existingSetting);
+        if (!validation.isValid) {
+          errors_list.push({
+            category,
+            key,
+            error: validation.error
+          });
+          continue;
         }
         
         // Update or create the setting
@@ -98,7 +130,7 @@ export const updateSettings = asyncHandler(async (req, res) => {
             isPublic: existingSetting.isPublic,
             isRequired: existingSetting.isRequired,
             validation: existingSetting.validation
-          } : {}
+          } : defaultSettingOptions(category, key)
         );
         
         updatedSettings[category][key] = updatedSetting.value;
@@ -137,9 +169,7 @@ export const updateSingleSetting = asyncHandler(async (req, res) => {
   const { value } = req.body;
   const adminId = req.admin.id;
   
-  const validCategories = ['general', 'email', 'security', 'notifications', 'backup', 'analytics'];
-  
-  if (!validCategories.includes(category)) {
+  if (!SETTINGS_CATEGORIES.includes(category)) {
     return res.status(400).json({
       status: 'error',
       message: 'Invalid category'
@@ -157,15 +187,13 @@ export const updateSingleSetting = asyncHandler(async (req, res) => {
     // Get existing setting for validation
     const existingSetting = await Settings.findOne({ category, key });
     
-    if (existingSetting) {
-      // Validate the new value
-      const validation = existingSetting.validateValue(value);
-      if (!validation.isValid) {
-        return res.status(400).json({
-          status: 'error',
-          message: validation.error
-        });
-      }
+    // Validate the new value
+    const validation = validateSettingValue(category, key, value, existingSetting);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: validation.error
+      });
     }
     
     // Update or create the setting
@@ -180,7 +208,7 @@ export const updateSingleSetting = asyncHandler(async (req, res) => {
         isPublic: existingSetting.isPublic,
         isRequired: existingSetting.isRequired,
         validation: existingSetting.validation
-      } : {}
+      } : defaultSettingOptions(category, key)
     );
     
     res.json({
@@ -216,7 +244,7 @@ export const resetSettings = asyncHandler(async (req, res) => {
   const { category } = req.body;
   const adminId = req.admin.id;
   
-  if (category && !['general', 'email', 'security', 'notifications', 'backup', 'analytics'].includes(category)) {
+  if (category && !SETTINGS_CATEGORIES.includes(category)) {
     return res.status(400).json({
       status: 'error',
       message: 'Invalid category'
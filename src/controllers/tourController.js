@@ -0,0 +1,552 @@
+import asyncHandler from 'express-async-handler';
+import { validationResult } from 'express-validator';
+import Tour from '../models/Tour.js';
+import TourSchedule from '../models/TourSchedule.js';
+import Contact from '../models/Contact.js';
+import Partner from '../models/Partner.js';
+import Activity from '../models/Activity.js';
+import { getAvailableSlots, findAvailableSlot } from '../utils/tourSlots.js';
+import { verifySignedToken } from '../utils/signedToken.js';
+import { creditPartner } from '../utils/partnerCredit.js';
+import { advanceContactStage } from '../utils/pipeline.js';
+import { resolveReferral, linkReferralClick } from '../utils/referrals.js';
+import { screenReferral, buildReferralHold } from '../utils/referralFraud.js';
+import { getVisitorId, linkTouchpoints } from '../utils/attribution.js';
+import {
+  createTourToken,
+  notifyTourConfirmed,
+  notifyTourCancelled
+} from '../utils/tourNotifications.js';
+
+const MAX_SLOT_RANGE_DAYS = 62;
+
+// Shared validation error response
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Fire-and-forget email so a mail outage never fails the booking
+const sendInBackground = (promise) => {
+  promise.catch(error => {
+    console.error('Tour email failed:', error.message);
+  });
+};
+
+// Keep the contact's tour flags in step with its tours
+const syncContactTour = async (contact) => {
+  // Prefer the next scheduled tour, falling back to the latest completed one
+  const tour = await Tour.findOne({ contact: contact._id, status: 'scheduled' }).sort({ startsAt: 1 })
+    || await Tour.findOne({ contact: contact._id, status: 'completed' }).sort({ startsAt: -1 });
+
+  contact.tourScheduled = !!tour;
+  contact.tourDate = tour ? tour.startsAt : undefined;
+};
+
+// Public view of a tour for the manage page
+const toPublicTour = (tour, schedule) => ({
+  id: tour._id,
+  startsAt: tour.startsAt,
+  endsAt: tour.endsAt,
+  status: tour.status,
+  timezone: schedule.timezone
+});
+
+// Resolve the tour referenced by a manage-link token
+const findTourByToken = async (token) => {
+  const decoded = verifySignedToken(token, 'tour');
+  if (!decoded) return null;
+
+  return Tour.findById(decoded.tourId).populate('contact');
+};
+
+// @desc    List bookable tour slots
+// @route   GET /api/tours/slots
+// @access  Public
+export const getTourSlots = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const schedule = await TourSchedule.getSchedule();
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to
+    ? new Date(req.query.to)
+    : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+  if ((to - from) / (24 * 60 * 60 * 1000) > MAX_SLOT_RANGE_DAYS) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Date range cannot exceed ${MAX_SLOT_RANGE_DAYS} days`
+    });
+  }
+
+  const days = await getAvailableSlots(schedule, from, to);
+
+  res.json({
+    status: 'success',
+    data: {
+      timezone: schedule.timezone,
+      days
+    }
+  });
+});
+
+// @desc    Book a tour slot for an existing or new contact
+// @route   POST /api/tours/book
+// @access  Public
+export const bookTour = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const {
+    startsAt,
+    name,
+    email,
+    phone,
+    eventType,
+    eventDate,
+    guestCount,
+    message,
+    refCode
+  } = req.body;
+
+  const schedule = await TourSchedule.getSchedule();
+  const slot = await findAvailableSlot(schedule, startsAt);
+
+  if (!slot) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'That tour time is no longer available. Please choose another slot.'
+    });
+  }
+
+  // Tours attach to the client's latest inquiry when there is one
+  let contact = await Contact.findOne({ email }).sort({ createdAt: -1 });
+
+  if (contact) {
+    const upcoming = await Tour.findOne({
+      contact: contact._id,
+      status: 'scheduled',
+      startsAt: { $gt: new Date() }
+    });
+
+    if (upcoming) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'You already have a tour scheduled. Use the link in your confirmation email to reschedule it.'
+      });
+    }
+
+    if (phone && !contact.phone) contact.phone = phone;
+  } else {
+    const referral = resolveReferral(req, refCode);
+    let refSource = null;
+    let referralHold = null;
+
+    if (referral.code) {
+      try {
+        const partner = await Partner.findByCode(referral.code);
+        const flags = partner && await screenReferral(partner, {
+          email,
+          phone,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          visitorId: getVisitorId(req)
+        });
+        if (partner && flags.length > 0) {
+          referralHold = buildReferralHold(partner, flags);
+        } else if (partner) {
+          refSource = partner.type;
+        }
+      } catch (error) {
+        console.error('Error looking up partner:', error);
+      }
+    }
+
+    contact = new Contact({
+      name,
+      email,
+      phone,
+      message: message || 'Requested a venue tour through online scheduling.',
+      eventType: eventType || 'other',
+      eventDate: eventDate ? new Date(eventDate) : null,
+      guestCount: guestCount ? parseInt(guestCount) : null,
+      refSource,
+      refCode: refSource ? referral.code : null,
+      refAttribution: refSource || referralHold ? referral.source : null,
+      referralClick: refSource || referralHold ? referral.clickId : null,
+      ...referralHold,
+      visitorId: getVisitorId(req),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
+  let tour;
+  try {
+    tour = await Tour.create({
+      contact: contact._id,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      source: 'self_service',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    // Another client took the slot between the availability check and the insert
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'That tour time is no longer available. Please choose another slot.'
+      });
+    }
+    throw error;
+  }
+
+  const isNewContact = contact.isNew;
+  contact.tourScheduled = true;
+  contact.tourDate = tour.startsAt;
+  await contact.save();
+
+  // Partners are only credited once the contact is stored, so a lost slot
+  // never counts as a lead
+  const creditedLead = isNewContact && await creditPartner(contact, 'lead');
+  const creditedTour = await creditPartner(contact, 'tour');
+  if (creditedLead || creditedTour) await contact.save();
+  await linkReferralClick(contact.referralClick, contact._id);
+  // Returning clients keep the contact they already had; link this visit to it too
+  await linkTouchpoints(getVisitorId(req), contact._id);
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'tour',
+    summary: 'Booked a venue tour online',
+    metadata: { tourId: tour._id, startsAt: tour.startsAt }
+  });
+  await advanceContactStage(contact, 'tour_booked');
+
+  sendInBackground(notifyTourConfirmed(tour, contact, schedule));
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Your tour is booked! A confirmation email is on its way.',
+    data: {
+      tour: toPublicTour(tour, schedule),
+      manageToken: createTourToken(tour)
+    }
+  });
+});
+
+// @desc    Get a tour from its manage link
+// @route   GET /api/tours/manage/:token
+// @access  Public (signed token)
+export const getManagedTour = asyncHandler(async (req, res) => {
+  const tour = await findTourByToken(req.params.token);
+
+  if (!tour) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Tour link is invalid or has expired'
+    });
+  }
+
+  const schedule = await TourSchedule.getSchedule();
+
+  res.json({
+    status: 'success',
+    data: {
+      tour: {
+        ...toPublicTour(tour, schedule),
+        name: tour.contact?.name
+      }
+    }
+  });
+});
+
+// @desc    Reschedule a tour from its manage link
+// @route   PUT /api/tours/manage/:token
+// @access  Public (signed token)
+export const rescheduleTour = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const tour = await findTourByToken(req.params.token);
+
+  if (!tour || tour.status !== 'scheduled') {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Scheduled tour not found for this link'
+    });
+  }
+
+  const schedule = await TourSchedule.getSchedule();
+  const slot = await findAvailableSlot(schedule, req.body.startsAt, { excludeTourId: tour._id });
+
+  if (!slot) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'That tour time is not available. Please choose another slot.'
+    });
+  }
+
+  tour.rescheduleHistory.push({
+    startsAt: tour.startsAt,
+    endsAt: tour.endsAt,
+    changedBy: 'client'
+  });
+  tour.startsAt = slot.startsAt;
+  tour.endsAt = slot.endsAt;
+  tour.reminderSentAt = undefined;
+
+  try {
+    await tour.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'That tour time is no longer available. Please choose another slot.'
+      });
+    }
+    throw error;
+  }
+
+  const contact = tour.contact;
+  if (contact) {
+    contact.tourDate = tour.startsAt;
+    await contact.save();
+    await Activity.record({
+      contact: contact._id,
+      type: 'tour',
+      summary: 'Rescheduled their venue tour',
+      metadata: { tourId: tour._id, startsAt: tour.startsAt }
+    });
+    sendInBackground(notifyTourConfirmed(tour, contact, schedule, { rescheduled: true }));
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Your tour has been rescheduled.',
+    data: { tour: toPublicTour(tour, schedule) }
+  });
+});
+
+// @desc    Cancel a tour from its manage link
+// @route   DELETE /api/tours/manage/:token
+// @access  Public (signed token)
+export const cancelTour = asyncHandler(async (req, res) => {
+  const tour = await findTourByToken(req.params.token);
+
+  if (!tour || tour.status !== 'scheduled') {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Scheduled tour not found for this link'
+    });
+  }
+
+  tour.status = 'cancelled';
+  tour.cancelledAt = new Date();
+  tour.cancelReason = req.body?.reason || 'Cancelled by client';
+  await tour.save();
+
+  const schedule = await TourSchedule.getSchedule();
+  const contact = tour.contact;
+  if (contact) {
+    await syncContactTour(contact);
+    await contact.save();
+    await Activity.record({
+      contact: contact._id,
+      type: 'tour',
+      summary: 'Cancelled their venue tour',
+      details: tour.cancelReason,
+      metadata: { tourId: tour._id }
+    });
+    sendInBackground(notifyTourCancelled(tour, contact, schedule));
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Your tour has been cancelled.'
+  });
+});
+
+// @desc    Get tours for the admin calendar
+// @route   GET /api/tours/admin
+// @access  Private/Admin
+export const getTours = asyncHandler(async (req, res) => {
+  const { from, to, status } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (status && status !== 'all') {
+    query.status = status;
+  }
+  if (from || to) {
+    query.startsAt = {};
+    if (from) query.startsAt.$gte = new Date(from);
+    if (to) query.startsAt.$lte = new Date(to);
+  }
+
+  const [tours, total] = await Promise.all([
+    Tour.find(query)
+      .sort({ startsAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('contact', 'name email phone eventType guestCount eventDate'),
+    Tour.countDocuments(query)
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      tours,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Update a tour's status (completed, no-show, cancelled)
+// @route   PATCH /api/tours/admin/:id
+// @access  Private/Admin
+export const updateTourStatus = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { status, notes } = req.body;
+  const tour = await Tour.findById(req.params.id).populate('contact');
+
+  if (!tour) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Tour not found'
+    });
+  }
+
+  if (status) {
+    tour.status = status;
+    if (status === 'cancelled') {
+      tour.cancelledAt = new Date();
+      tour.cancelReason = 'Cancelled by admin';
+    }
+  }
+  if (notes !== undefined) tour.notes = notes;
+
+  await tour.save();
+
+  if (status && tour.contact) {
+    await syncContactTour(tour.contact);
+    await tour.contact.save();
+    await Activity.record({
+      contact: tour.contact._id,
+      type: 'tour',
+      summary: `Marked tour as ${status.replace('_', ' ')}`,
+      admin: req.admin.id,
+      metadata: { tourId: tour._id, status }
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Tour updated successfully',
+    data: { tour }
+  });
+});
+
+// @desc    Get the tour availability schedule
+// @route   GET /api/tours/admin/schedule
+// @access  Private/Admin
+export const getTourSchedule = asyncHandler(async (req, res) => {
+  const schedule = await TourSchedule.getSchedule();
+
+  res.json({
+    status: 'success',
+    data: { schedule }
+  });
+});
+
+// @desc    Update the tour availability schedule
+// @route   PUT /api/tours/admin/schedule
+// @access  Private/Admin
+export const updateTourSchedule = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { windows, timezone, minNoticeHours, maxAdvanceDays, reminderHours } = req.body;
+  const schedule = await TourSchedule.getSchedule();
+
+  if (windows) schedule.windows = windows;
+  if (timezone) schedule.timezone = timezone;
+  if (minNoticeHours !== undefined) schedule.minNoticeHours = minNoticeHours;
+  if (maxAdvanceDays !== undefined) schedule.maxAdvanceDays = maxAdvanceDays;
+  if (reminderHours !== undefined) schedule.reminderHours = reminderHours;
+  schedule.lastModifiedBy = req.admin.id;
+
+  await schedule.save();
+
+  res.json({
+    status: 'success',
+    message: 'Tour schedule updated successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Add a blackout date to the tour schedule
+// @route   POST /api/tours/admin/schedule/blackouts
+// @access  Private/Admin
+export const addBlackoutDate = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { date, reason } = req.body;
+  const schedule = await TourSchedule.getSchedule();
+
+  if (schedule.isBlackedOut(date)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `${date} is already blacked out`
+    });
+  }
+
+  schedule.blackoutDates.push({ date, reason });
+  schedule.lastModifiedBy = req.admin.id;
+  await schedule.save();
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Blackout date added',
+    data: { schedule }
+  });
+});
+
+// @desc    Remove a blackout date from the tour schedule
+// @route   DELETE /api/tours/admin/schedule/blackouts/:blackoutId
+// @access  Private/Admin
+export const removeBlackoutDate = asyncHandler(async (req, res) => {
+  const schedule = await TourSchedule.getSchedule();
+  const blackout = schedule.blackoutDates.id(req.params.blackoutId);
+
+  if (!blackout) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Blackout date not found'
+    });
+  }
+
+  blackout.deleteOne();
+  schedule.lastModifiedBy = req.admin.id;
+  await schedule.save();
+
+  res.json({
+    status: 'success',
+    message: 'Blackout date removed',
+    data: { schedule }
+  });
+});
@@ -0,0 +1,25 @@
+import { registerJob, startScheduler } from '../utils/scheduler.js';
+import { sendTourReminders } from './tourReminders.js';
+import { refreshLeadScores } from './leadScores.js';
+import { sendPaymentReminders } from './paymentReminders.js';
+import { holdUnengagedReferrals } from './referralEngagement.js';
+import { sendPartnerStatements } from './partnerStatements.js';
+import { sendReviewInvitations } from './reviewInvitations.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Register and start all background jobs
+export const startJobs = () => {
+  registerJob('tour-reminders', 15 * MINUTE, sendTourReminders);
+  registerJob('lead-scores', DAY, refreshLeadScores);
+  registerJob('payment-reminders', 6 * HOUR, sendPaymentReminders);
+  registerJob('referral-engagement', DAY, holdUnengagedReferrals);
+  registerJob('partner-statements', DAY, sendPartnerStatements);
+  registerJob('review-invitations', 6 * HOUR, sendReviewInvitations);
+
+  startScheduler();
+};
+
+export default startJobs;
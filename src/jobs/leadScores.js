@@ -0,0 +1,8 @@
+import { rescoreContacts } from '../utils/leadScoring.js';
+
+// Refresh scores for open leads so date-based rules stay current
+export const refreshLeadScores = () => {
+  return rescoreContacts({ status: { $ne: 'archived' }, booked: { $ne: true } });
+};
+
+export default refreshLeadScores;
@@ -0,0 +1,9 @@
+import { sendMonthlyStatements } from '../utils/partnerStatements.js';
+
+// Send last month's statements to partners who haven't had one yet. Runs daily
+// so a missed or failed send goes out the next day.
+export const sendPartnerStatements = () => {
+  return sendMonthlyStatements();
+};
+
+export default sendPartnerStatements;
@@ -0,0 +1,46 @@
+import PaymentSchedule from '../models/PaymentSchedule.js';
+import { PAYMENT_REMINDER_DAYS, reminderDue } from '../utils/paymentSchedule.js';
+import { notifyPaymentReminder } from '../utils/paymentNotifications.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Flag overdue installments and email reminders before (and once after) each due date
+export const sendPaymentReminders = async () => {
+  const now = Date.now();
+  const horizon = new Date(now + Math.max(...PAYMENT_REMINDER_DAYS) * DAY);
+  const schedules = await PaymentSchedule.findDueBy(horizon);
+
+  let sent = 0;
+  let overdue = 0;
+  for (const schedule of schedules) {
+    // Saving refreshes installment statuses so lapsed ones become overdue
+    schedule.recalculate(now);
+    if (schedule.status === 'overdue') overdue++;
+
+    // Don't chase payments for bookings that fell through
+    const remind = schedule.contact && schedule.booking?.status === 'booked';
+
+    for (const installment of schedule.installments) {
+      const reminder = remind && reminderDue(installment, now);
+      if (!reminder) continue;
+
+      try {
+        await notifyPaymentReminder(schedule, installment, schedule.contact, { overdue: reminder.kind === 'overdue' });
+        installment.reminders.push({ ...reminder, sentAt: new Date() });
+        sent++;
+      } catch (error) {
+        console.error(`Payment reminder failed for ${schedule._id}:`, error.message);
+      }
+    }
+
+    try {
+      await schedule.save();
+    } catch (error) {
+      console.error(`Payment schedule update failed for ${schedule._id}:`, error.message);
+    }
+  }
+
+  return { sent, overdue };
+};
+
+export default sendPaymentReminders;
@@ -0,0 +1,8 @@
+import { holdUnengagedReferrals as holdReferrals } from '../utils/referralFraud.js';
+
+// Hold referral credit for leads that never engaged after their inquiry
+export const holdUnengagedReferrals = () => {
+  return holdReferrals();
+};
+
+export default holdUnengagedReferrals;
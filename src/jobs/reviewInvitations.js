@@ -0,0 +1,8 @@
+import { sendReviewInvitations as sendInvitations } from '../utils/reviewInvitations.js';
+
+// Ask booked clients to review their event, with one reminder
+export const sendReviewInvitations = () => {
+  return sendInvitations();
+};
+
+export default sendReviewInvitations;
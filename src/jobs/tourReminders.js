@@ -0,0 +1,27 @@
+import Tour from '../models/Tour.js';
+import TourSchedule from '../models/TourSchedule.js';
+import { notifyTourReminder } from '../utils/tourNotifications.js';
+
+// Email clients whose tour starts within the schedule's reminder window
+export const sendTourReminders = async () => {
+  const schedule = await TourSchedule.getSchedule();
+  const tours = await Tour.findDueReminders(schedule.reminderHours);
+
+  let sent = 0;
+  for (const tour of tours) {
+    if (!tour.contact) continue;
+
+    try {
+      await notifyTourReminder(tour, tour.contact, schedule);
+      tour.reminderSentAt = new Date();
+      await tour.save();
+      sent++;
+    } catch (error) {
+      console.error(`Tour reminder failed for ${tour._id}:`, error.message);
+    }
+  }
+
+  return { sent };
+};
+
+export default sendTourReminders;
@@ -0,0 +1,60 @@
+import Partner from '../models/Partner.js';
+import { signToken, verifySignedToken } from '../utils/signedToken.js';
+
+// Partner sessions are short; a new magic link is only an email away
+export const PARTNER_SESSION_HOURS = 12;
+
+// Generate a partner portal session token. It is signed with the link secret
+// rather than JWT_SECRET, so `protect` rejects it on every admin route.
+export const generatePartnerToken = (partner) => {
+  return signToken('partner-session', {
+    id: partner._id.toString(),
+    sv: partner.portal?.sessionVersion || 0
+  }, `${PARTNER_SESSION_HOURS}h`);
+};
+
+// Verify a partner session token and load the partner onto the request
+export const protectPartner = async (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
+      token = req.headers.authorization.split(' ')[1];
+    } else if (req.cookies && req.cookies.partner_token) {
+      token = req.cookies.partner_token;
+    }
+
+    const decoded = verifySignedToken(token, 'partner-session');
+    if (!decoded) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Not authorized, please sign in again'
+      });
+    }
+
+    const partner = await Partner.findById(decoded.id);
+
+    if (!partner || !partner.active) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Partner account not found or inactive'
+      });
+    }
+
+    if ((partner.portal?.sessionVersion || 0) !== decoded.sv) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has ended, please sign in again'
+      });
+    }
+
+    req.partner = partner;
+    next();
+  } catch (error) {
+    console.error('Partner auth middleware error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Server error in authentication'
+    });
+  }
+};
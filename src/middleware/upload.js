@@ -11,7 +11,12 @@ const createUploadDirs = () => {
     'uploads/gallery',
     'uploads/gallery/thumbnails',
     'uploads/avatars',
-    'uploads/temp'
+    'uploads/reviews',
+    'uploads/reviews/thumbnails',
+    'uploads/temp',
+    // Guest review photos wait here, out of public reach, until approved
+    'storage/reviews',
+    'storage/reviews/thumbnails'
   ];
   
   dirs.forEach(dir => {
@@ -23,6 +28,35 @@ const createUploadDirs = () => {
 
 createUploadDirs();
 
+// Guest photos attached to a review (POST /api/reviews/:id/photos)
+const isReviewPhotoRoute = (req) => req.route.path.endsWith('/photos');
+
+// Longest side of a stored review photo
+const REVIEW_PHOTO_MAX_SIZE = 2048;
+
+// Re-encode a guest photo as a JPEG no larger than we need. Sharp drops EXIF
+// (including GPS) and other metadata unless asked to keep it, and rotate()
+// applies the camera orientation first so nothing comes out sideways.
+const normalizeReviewPhoto = async (file) => {
+  const fileName = `${path.parse(file.filename).name}.jpg`;
+  const outputPath = path.join(path.dirname(file.path), fileName);
+  const buffer = await sharp(file.path)
+    .rotate()
+    .resize(REVIEW_PHOTO_MAX_SIZE, REVIEW_PHOTO_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 88 })
+    .toBuffer();
+
+  await fs.promises.writeFile(outputPath, buffer);
+  if (outputPath !== file.path) {
+    await fs.promises.unlink(file.path);
+  }
+
+  file.filename = fileName;
+  file.path = outputPath;
+  file.size = buffer.length;
+  file.mimetype = 'image/jpeg';
+};
+
 // Configure multer storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -32,6 +66,8 @@ const storage = multer.diskStorage({
       uploadPath = 'uploads/gallery';
     } else if (req.route.path.includes('avatar')) {
       uploadPath = 'uploads/avatars';
+    } else if (isReviewPhotoRoute(req)) {
+      uploadPath = 'storage/reviews';
     }
     
     cb(null, uploadPath);
@@ -127,6 +163,42 @@ export const uploadMultiple = (fieldName, maxCount = 10) => {
   };
 };
 
+// Export files (e.g. review imports) are parsed in memory, never stored
+const jsonUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || path.extname(file.originalname).toLowerCase() === '.json') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON files are allowed'), false);
+    }
+  }
+});
+
+// Middleware for a single JSON file upload
+export const uploadJsonFile = (fieldName) => {
+  return (req, res, next) => {
+    jsonUpload.single(fieldName)(req, res, (err) => {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'File too large. Maximum size is 10MB.'
+        });
+      } else if (err) {
+        return res.status(400).json({
+          status: 'error',
+          message: err.message
+        });
+      }
+      next();
+    });
+  };
+};
+
 // Image processing middleware
 export const processImages = async (req, res, next) => {
   try {
@@ -137,14 +209,27 @@ export const processImages = async (req, res, next) => {
     const files = req.files || [req.file];
     const processedFiles = [];
 
+    const reviewPhotos = isReviewPhotoRoute(req);
+    let thumbnailArea = null;
+    if (req.route.path.includes('gallery')) {
+      thumbnailArea = 'gallery';
+    } else if (reviewPhotos) {
+      thumbnailArea = 'reviews';
+    }
+
     for (const file of files) {
       try {
+        if (reviewPhotos) {
+          await normalizeReviewPhoto(file);
+        }
+
         // Get image metadata
         const metadata = await sharp(file.path).metadata();
         
-        // Generate thumbnails for gallery images
-        if (req.route.path.includes('gallery')) {
-          const thumbnailDir = 'uploads/gallery/thumbnails';
+        // Generate thumbnails for gallery images and review photos
+        if (thumbnailArea) {
+          // Review photo thumbnails wait with the photo; their paths are where they'll be published
+          const thumbnailDir = reviewPhotos ? 'storage/reviews/thumbnails' : `uploads/${thumbnailArea}/thumbnails`;
           const fileNameWithoutExt = path.parse(file.filename).name;
           
           // Small thumbnail (150x150)
@@ -171,17 +256,17 @@ export const processImages = async (req, res, next) => {
           // Add thumbnail info to file object
           file.thumbnails = {
             small: {
-              path: `/uploads/gallery/thumbnails/${smallThumb}`,
+              path: `/uploads/${thumbnailArea}/thumbnails/${smallThumb}`,
               width: 150,
               height: 150
             },
             medium: {
-              path: `/uploads/gallery/thumbnails/${mediumThumb}`,
+              path: `/uploads/${thumbnailArea}/thumbnails/${mediumThumb}`,
               width: 300,
               height: 300
             },
             large: {
-              path: `/uploads/gallery/thumbnails/${largeThumb}`,
+              path: `/uploads/${thumbnailArea}/thumbnails/${largeThumb}`,
               width: 600,
               height: 600
             }
@@ -201,6 +286,10 @@ export const processImages = async (req, res, next) => {
         processedFiles.push(file);
       } catch (error) {
         console.error('Error processing image:', error);
+        // Guest uploads that aren't usable images aren't kept
+        if (reviewPhotos && fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
         // Continue with other files if one fails
       }
     }
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// Activity types admins can log by hand; the rest are recorded by the system
+export const MANUAL_ACTIVITY_TYPES = ['note', 'call', 'email', 'meeting'];
+export const ACTIVITY_TYPES = [...MANUAL_ACTIVITY_TYPES, 'stage_change', 'tour', 'booking', 'payment', 'system'];
+
+const activitySchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: [true, 'Activity type is required']
+  },
+  summary: {
+    type: String,
+    required: [true, 'Summary is required'],
+    trim: true,
+    maxlength: [200, 'Summary cannot exceed 200 characters']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Details cannot exceed 5000 characters']
+  },
+  // Calls and emails can go either way
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound', null],
+    default: null
+  },
+  durationMinutes: {
+    type: Number,
+    min: 0
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Null when the system recorded the activity
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+activitySchema.index({ contact: 1, occurredAt: -1 });
+activitySchema.index({ type: 1, occurredAt: -1 });
+
+// Static method to record an activity without failing the caller
+activitySchema.statics.record = async function(data) {
+  try {
+    return await this.create(data);
+  } catch (error) {
+    console.error('Error recording activity:', error.message);
+    return null;
+  }
+};
+
+// Prevent model overwrite error
+const Activity = mongoose.models.Activity || mongoose.model('Activity', activitySchema);
+export default Activity;
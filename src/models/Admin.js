@@ -86,6 +86,11 @@ const adminSchema = new mongoose.Schema({
   }],
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Secret for the admin's iCalendar subscription feeds
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
   emailVerificationToken: String,
   emailVerified: {
     type: Boolean,
@@ -168,6 +173,12 @@ adminSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// Method to generate (or rotate) the calendar feed token
+adminSchema.methods.generateCalendarFeedToken = function() {
+  this.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarFeedToken;
+};
+
 // Method to check permissions
 adminSchema.methods.hasPermission = function(resource, action) {
   if (this.role === 'super_admin') return true;
@@ -184,5 +195,6 @@ adminSchema.statics.findByIdWithPermissions = function(id) {
 // Index for efficient querying
 adminSchema.index({ isActive: 1 });
 adminSchema.index({ role: 1 });
+adminSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 export default mongoose.model('Admin', adminSchema);
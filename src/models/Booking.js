@@ -0,0 +1,313 @@
+import mongoose from 'mongoose';
+
+// Time blocks a date can be reserved in. A full-day entry occupies every block.
+export const TIME_BLOCKS = ['morning', 'afternoon', 'evening'];
+export const BOOKING_BLOCKS = [...TIME_BLOCKS, 'full_day'];
+export const BOOKING_STATUSES = ['hold', 'booked', 'released', 'cancelled'];
+
+// Local venue hours covered by each time block
+export const TIME_BLOCK_HOURS = {
+  morning: { start: '08:00', end: '12:00' },
+  afternoon: { start: '12:00', end: '17:00' },
+  evening: { start: '17:00', end: '23:00' }
+};
+
+// Statuses that keep a date off the market
+const BLOCKING_STATUSES = ['hold', 'booked'];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Normalise a Date or date string into a YYYY-MM-DD calendar key
+export const toDateKey = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string' && DATE_KEY_PATTERN.test(value)) return value;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return date.toISOString().split('T')[0];
+};
+
+const bookingSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [DATE_KEY_PATTERN, 'Date must be in YYYY-MM-DD format']
+  },
+  timeBlock: {
+    type: String,
+    enum: {
+      values: BOOKING_BLOCKS,
+      message: `Time block must be one of: ${BOOKING_BLOCKS.join(', ')}`
+    },
+    default: 'full_day'
+  },
+  status: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    default: 'hold'
+  },
+  // Maintained by the pre-save hook; backs the unique index below
+  blocking: {
+    type: Boolean,
+    default: true
+  },
+  holdExpiresAt: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  releasedAt: {
+    type: Date
+  },
+  releaseReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Release reason cannot exceed 200 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Post-event review request sent to the client
+  reviewInvitation: {
+    sentAt: Date,
+    reminderSentAt: Date,
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Review'
+    },
+    reviewedAt: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for calendar lookups
+bookingSchema.index({ date: 1, status: 1 });
+bookingSchema.index({ contact: 1, status: 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+bookingSchema.index({ status: 1, date: 1, 'reviewInvitation.sentAt': 1 });
+// Last line of defence against two concurrent writes for the same block
+bookingSchema.index(
+  { date: 1, timeBlock: 1 },
+  { unique: true, partialFilterExpression: { blocking: true } }
+);
+
+// Virtual for hold expiry state
+bookingSchema.virtual('isExpired').get(function() {
+  return this.status === 'hold' && !!this.holdExpiresAt && this.holdExpiresAt <= Date.now();
+});
+
+bookingSchema.pre('save', function(next) {
+  this.blocking = BLOCKING_STATUSES.includes(this.status);
+  next();
+});
+
+// Build a status error the controllers can surface directly
+const calendarError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Static method to release holds whose expiry has passed
+bookingSchema.statics.releaseExpiredHolds = function() {
+  return this.updateMany(
+    { status: 'hold', holdExpiresAt: { $lte: new Date() } },
+    {
+      status: 'released',
+      blocking: false,
+      releasedAt: new Date(),
+      releaseReason: 'Hold expired'
+    }
+  );
+};
+
+// Static method to find entries that would clash with a date/time block
+bookingSchema.statics.findConflicts = async function(date, timeBlock = 'full_day', excludeId = null) {
+  await this.releaseExpiredHolds();
+
+  const query = {
+    date: toDateKey(date),
+    blocking: true
+  };
+
+  // A full-day request clashes with anything on that date
+  if (timeBlock !== 'full_day') {
+    query.timeBlock = { $in: [timeBlock, 'full_day'] };
+  }
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query);
+};
+
+// Static method to place an expiring soft hold on a date
+bookingSchema.statics.placeHold = async function({ contactId, date, timeBlock = 'full_day', expiresAt, notes, adminId }) {
+  const dateKey = toDateKey(date);
+  if (!dateKey) {
+    throw calendarError('A valid date is required', 400);
+  }
+
+  const conflicts = await this.findConflicts(dateKey, timeBlock);
+  if (conflicts.length > 0) {
+    throw calendarError(`${dateKey} (${timeBlock}) is already ${conflicts[0].status === 'booked' ? 'booked' : 'on hold'}`);
+  }
+
+  return this.create({
+    contact: contactId,
+    date: dateKey,
+    timeBlock,
+    status: 'hold',
+    holdExpiresAt: expiresAt,
+    notes,
+    createdBy: adminId
+  });
+};
+
+// Static method to check a contact can book a date without writing anything.
+// Returns the date, the block and the contact's own entry for that date.
+bookingSchema.statics.checkBookable = async function(contact, { date, timeBlock } = {}) {
+  const dateKey = toDateKey(date || contact.bookingDate || contact.eventDate);
+  if (!dateKey) {
+    throw calendarError('A booking date is required to reserve the calendar', 400);
+  }
+
+  await this.releaseExpiredHolds();
+
+  const existing = await this.findOne({
+    contact: contact._id,
+    date: dateKey,
+    blocking: true,
+    ...(timeBlock && { timeBlock })
+  });
+
+  const block = timeBlock || existing?.timeBlock || 'full_day';
+  const conflicts = await this.findConflicts(dateKey, block, existing?._id);
+  const clash = conflicts.find(entry => !entry.contact || !entry.contact.equals(contact._id));
+  if (clash) {
+    throw calendarError(`${dateKey} (${block}) is already ${clash.status === 'booked' ? 'booked' : 'on hold'} for another client`);
+  }
+
+  return { dateKey, block, existing };
+};
+
+// Static method to book a date for a contact, converting its hold if one exists
+bookingSchema.statics.bookForContact = async function(contact, { date, timeBlock, adminId } = {}) {
+  const { dateKey, block, existing } = await this.checkBookable(contact, { date, timeBlock });
+
+  const booking = existing || new this({
+    contact: contact._id,
+    date: dateKey,
+    createdBy: adminId
+  });
+
+  booking.timeBlock = block;
+  booking.status = 'booked';
+  booking.holdExpiresAt = undefined;
+  booking.confirmedAt = new Date();
+
+  await booking.save();
+
+  // The client has settled on a date, so any other holds or an earlier booking are freed
+  await this.releaseForContact(contact._id, {
+    status: 'released',
+    reason: 'Superseded by booking',
+    exceptId: booking._id
+  });
+
+  return booking;
+};
+
+// Static method to free every live calendar entry held by a contact
+bookingSchema.statics.releaseForContact = function(contactId, { status = 'cancelled', reason, exceptId } = {}) {
+  return this.updateMany(
+    {
+      contact: contactId,
+      blocking: true,
+      ...(exceptId && { _id: { $ne: exceptId } })
+    },
+    {
+      status,
+      blocking: false,
+      releasedAt: new Date(),
+      releaseReason: reason
+    }
+  );
+};
+
+// Static method to build a per-day availability map for a date range
+bookingSchema.statics.getAvailability = async function(from, to) {
+  await this.releaseExpiredHolds();
+
+  const fromKey = toDateKey(from);
+  const toKey = toDateKey(to);
+
+  const entries = await this.find({
+    date: { $gte: fromKey, $lte: toKey },
+    blocking: true
+  }).lean();
+
+  const byDate = entries.reduce((acc, entry) => {
+    (acc[entry.date] = acc[entry.date] || []).push(entry);
+    return acc;
+  }, {});
+
+  const days = [];
+  const cursor = new Date(`${fromKey}T00:00:00.000Z`);
+  const end = new Date(`${toKey}T00:00:00.000Z`);
+
+  while (cursor <= end) {
+    const dateKey = cursor.toISOString().split('T')[0];
+    const blocks = TIME_BLOCKS.reduce((acc, block) => {
+      acc[block] = 'open';
+      return acc;
+    }, {});
+
+    (byDate[dateKey] || []).forEach(entry => {
+      const state = entry.status === 'booked' ? 'booked' : 'held';
+      const targets = entry.timeBlock === 'full_day' ? TIME_BLOCKS : [entry.timeBlock];
+
+      targets.forEach(block => {
+        // A booking outranks a hold on the same block
+        if (blocks[block] !== 'booked') {
+          blocks[block] = state;
+        }
+      });
+    });
+
+    const states = Object.values(blocks);
+    let status = 'open';
+    if (states.every(state => state === 'booked')) {
+      status = 'booked';
+    } else if (states.every(state => state !== 'open')) {
+      status = 'held';
+    } else if (states.some(state => state !== 'open')) {
+      status = 'partial';
+    }
+
+    days.push({ date: dateKey, status, blocks });
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return days;
+};
+
+// Prevent model overwrite error
+const Booking = mongoose.models.Booking || mongoose.model('Booking', bookingSchema);
+export default Booking;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+export const PRICING_TYPES = ['flat', 'per_guest', 'per_hour'];
+
+// Packages and add-ons that quotes are built from
+const catalogItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9-]{1,49}$/, 'Code must be lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  kind: {
+    type: String,
+    enum: ['package', 'addon'],
+    required: [true, 'Kind is required']
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+  pricingType: {
+    type: String,
+    enum: PRICING_TYPES,
+    default: 'flat'
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Default hours for per-hour items when the quote does not say otherwise
+  defaultHours: {
+    type: Number,
+    min: 0
+  },
+  // Guests covered by a package before per-guest items apply
+  includedGuests: {
+    type: Number,
+    min: 0
+  },
+  minGuests: {
+    type: Number,
+    min: 0
+  },
+  maxGuests: {
+    type: Number,
+    min: 0
+  },
+  taxable: {
+    type: Boolean,
+    default: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+catalogItemSchema.index({ kind: 1, active: 1, sortOrder: 1 });
+
+// Prevent model overwrite error
+const CatalogItem = mongoose.models.CatalogItem || mongoose.model('CatalogItem', catalogItemSchema);
+export default CatalogItem;
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+
+export const COMMISSION_STATUSES = ['accrued', 'approved', 'paid', 'voided'];
+export const COMMISSION_KINDS = ['commission', 'clawback', 'adjustment'];
+
+// One line in a partner's commission ledger. Bookings accrue a commission;
+// a cancellation voids it, or adds a negative clawback once it has been paid.
+const commissionEntrySchema = new mongoose.Schema({
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: [true, 'Partner is required']
+  },
+  refCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  kind: {
+    type: String,
+    enum: COMMISSION_KINDS,
+    default: 'commission'
+  },
+  status: {
+    type: String,
+    enum: COMMISSION_STATUSES,
+    default: 'accrued'
+  },
+  // How the amount was worked out, kept so later rule changes don't rewrite history
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommissionRule'
+  },
+  ruleName: String,
+  calculation: {
+    type: String,
+    enum: ['flat', 'percent', 'manual']
+  },
+  rate: Number,
+  bookingAmount: Number,
+  bookingCount: Number,
+  // Negative for clawbacks
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Clawbacks point at the commission they reverse, and vice versa
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommissionEntry'
+  },
+  clawback: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommissionEntry'
+  },
+  // Still owed for a live booking (not voided or clawed back)
+  open: {
+    type: Boolean,
+    default: true
+  },
+  payoutRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutRun',
+    default: null
+  },
+  accruedAt: {
+    type: Date,
+    default: Date.now
+  },
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  paidAt: Date,
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Void reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for ledgers and payout batching
+commissionEntrySchema.index({ partner: 1, status: 1, accruedAt: -1 });
+commissionEntrySchema.index({ contact: 1, kind: 1, open: 1 });
+commissionEntrySchema.index({ status: 1, payoutRun: 1 });
+
+commissionEntrySchema.pre('save', function(next) {
+  this.open = this.kind === 'commission' && this.status !== 'voided' && !this.clawback;
+  next();
+});
+
+// Static method to count a partner's commissioned bookings for volume tiers
+commissionEntrySchema.statics.countBookings = function(partnerId, since = null) {
+  return this.countDocuments({
+    partner: partnerId,
+    kind: 'commission',
+    open: true,
+    ...(since && { accruedAt: { $gte: since } })
+  });
+};
+
+// Static method to total a partner's ledger by status
+commissionEntrySchema.statics.getTotals = async function(match = {}) {
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { partner: '$partner', status: '$status' },
+        amount: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const totals = {};
+  rows.forEach(row => {
+    const key = row._id.partner.toString();
+    totals[key] = totals[key] || { accrued: 0, approved: 0, paid: 0, voided: 0, count: 0 };
+    totals[key][row._id.status] = Math.round(row.amount * 100) / 100;
+    totals[key].count += row.count;
+  });
+
+  return totals;
+};
+
+// Prevent model overwrite error
+const CommissionEntry = mongoose.models.CommissionEntry || mongoose.model('CommissionEntry', commissionEntrySchema);
+export default CommissionEntry;
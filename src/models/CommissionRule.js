@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+
+export const COMMISSION_CALCULATIONS = ['flat', 'percent'];
+export const PARTNER_TYPES = ['affiliate', 'influencer', 'vendor'];
+
+// Higher volume tiers replace the base rate once a partner reaches them
+const tierSchema = new mongoose.Schema({
+  minBookings: {
+    type: Number,
+    required: true,
+    min: [1, 'Tier minimum must be at least 1 booking']
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Tier value cannot be negative']
+  }
+}, { _id: false });
+
+// How much a referral partner earns for each booking they send us. The most
+// specific active rule wins: one partner, then one partner type, then everyone.
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    default: null
+  },
+  partnerType: {
+    type: String,
+    enum: [...PARTNER_TYPES, null],
+    default: null
+  },
+  // Flat amount per booking, or a percent of the booking amount
+  calculation: {
+    type: String,
+    enum: COMMISSION_CALCULATIONS,
+    default: 'flat'
+  },
+  value: {
+    type: Number,
+    required: [true, 'Commission value is required'],
+    min: [0, 'Commission value cannot be negative']
+  },
+  tiers: [tierSchema],
+  // Bookings counted towards a tier: this calendar year or all time
+  tierPeriod: {
+    type: String,
+    enum: ['year', 'lifetime'],
+    default: 'year'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.index({ active: 1, partner: 1, partnerType: 1 });
+
+commissionRuleSchema.pre('validate', function(next) {
+  // A partner rule already implies the partner's type
+  if (this.partner) this.partnerType = null;
+
+  if (this.calculation === 'percent') {
+    const rates = [this.value, ...this.tiers.map(tier => tier.value)];
+    if (rates.some(rate => rate > 100)) {
+      this.invalidate('value', 'Percent commissions cannot exceed 100');
+    }
+  }
+
+  const minimums = this.tiers.map(tier => tier.minBookings);
+  if (new Set(minimums).size !== minimums.length) {
+    this.invalidate('tiers', 'Each tier needs a different minimum booking count');
+  }
+
+  next();
+});
+
+// Virtual for how narrowly the rule is scoped (higher wins)
+commissionRuleSchema.virtual('specificity').get(function() {
+  if (this.partner) return 2;
+  if (this.partnerType) return 1;
+  return 0;
+});
+
+// Method to get the rate for a partner's booking volume
+commissionRuleSchema.methods.rateFor = function(bookingCount) {
+  const tier = [...this.tiers]
+    .sort((a, b) => b.minBookings - a.minBookings)
+    .find(entry => bookingCount >= entry.minBookings);
+
+  return tier ? tier.value : this.value;
+};
+
+// Method to work out the commission on a booking
+commissionRuleSchema.methods.calculate = function(bookingAmount, bookingCount) {
+  const rate = this.rateFor(bookingCount);
+  const amount = this.calculation === 'percent'
+    ? (Number(bookingAmount) || 0) * rate / 100
+    : rate;
+
+  return {
+    rate,
+    amount: Math.round(amount * 100) / 100
+  };
+};
+
+// Static method to find the rule that applies to a partner
+commissionRuleSchema.statics.findForPartner = async function(partner) {
+  const rules = await this.find({
+    active: true,
+    $or: [
+      { partner: partner._id },
+      { partner: null, partnerType: partner.type },
+      { partner: null, partnerType: null }
+    ]
+  });
+
+  rules.sort((a, b) => (b.specificity - a.specificity) || (b.priority - a.priority) || (a.createdAt - b.createdAt));
+  return rules[0] || null;
+};
+
+// Prevent model overwrite error
+const CommissionRule = mongoose.models.CommissionRule || mongoose.model('CommissionRule', commissionRuleSchema);
+export default CommissionRule;
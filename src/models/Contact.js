@@ -1,4 +1,25 @@
 import mongoose from 'mongoose';
+import { applyLeadScore } from '../utils/leadScoring.js';
+import { normalizeEmail, normalizePhone, nameSimilarity } from '../utils/duplicates.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How far back a new submission is compared against earlier ones
+export const DUPLICATE_WINDOW_DAYS = 90;
+// Name-only matches need the submissions to be close together
+export const NAME_MATCH_WINDOW_HOURS = 72;
+export const NAME_MATCH_THRESHOLD = 0.85;
+
+export const REFERRAL_REVIEW_STATUSES = ['held', 'approved', 'rejected'];
+export const REFERRAL_FLAG_RULES = [
+  'partner_email',
+  'partner_phone',
+  'partner_ip',
+  'repeated_ip',
+  'repeated_user_agent',
+  'burst',
+  'no_email_engagement'
+];
 
 const contactSchema = new mongoose.Schema({
   name: {
@@ -79,6 +100,23 @@ const contactSchema = new mongoose.Schema({
       message: 'Invalid referral code format'
     }
   },
+  // How the referral was picked up: a code sent with the form, or a short-link cookie
+  refAttribution: {
+    type: String,
+    enum: ['code', 'cookie', null],
+    default: null
+  },
+  referralClick: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReferralClick',
+    default: null
+  },
+  // Anonymous visitor cookie the inquiry came from (see Touchpoint)
+  visitorId: {
+    type: String,
+    trim: true,
+    default: null
+  },
   // UTM parameter tracking
   utm: {
     source: { type: String, trim: true },
@@ -94,6 +132,16 @@ const contactSchema = new mongoose.Schema({
     max: 100,
     default: 50
   },
+  // Rules that produced the current lead score
+  leadScoreBreakdown: [{
+    _id: false,
+    rule: { type: String },
+    points: { type: Number },
+    detail: { type: String }
+  }],
+  leadScoredAt: {
+    type: Date
+  },
   tourScheduled: {
     type: Boolean,
     default: false
@@ -111,6 +159,126 @@ const contactSchema = new mongoose.Schema({
   bookingAmount: {
     type: Number,
     min: 0
+  },
+  // Sales pipeline position (keys come from PipelineStage)
+  stage: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'inquiry'
+  },
+  stageChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stageHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  }],
+  lostReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Lost reason cannot exceed 500 characters']
+  },
+  // Duplicate detection keys, kept in step with email/phone on save
+  normalizedEmail: {
+    type: String
+  },
+  phoneDigits: {
+    type: String
+  },
+  // Earlier submission from the same client this one was linked to
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  duplicateReason: {
+    type: String,
+    enum: ['email', 'phone', 'name', null],
+    default: null
+  },
+  // Messages and UTM data carried over from merged duplicates
+  additionalMessages: [{
+    message: { type: String, trim: true },
+    submittedAt: { type: Date },
+    contact: { type: mongoose.Schema.Types.ObjectId }
+  }],
+  utmHistory: [{
+    source: { type: String, trim: true },
+    medium: { type: String, trim: true },
+    campaign: { type: String, trim: true },
+    content: { type: String, trim: true },
+    term: { type: String, trim: true },
+    capturedAt: { type: Date }
+  }],
+  mergedFrom: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // When the referring partner was credited for this contact (each at most once)
+  partnerCredits: {
+    lead: { type: Date },
+    tour: { type: Date },
+    booking: { type: Date }
+  },
+  // Referral credit held back because the lead looks like self-referral or abuse.
+  // While held (or once rejected) the partner code lives here instead of refCode,
+  // so the lead earns no stats or commission.
+  referralReview: {
+    status: {
+      type: String,
+      enum: [...REFERRAL_REVIEW_STATUSES, null],
+      default: null
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    partnerType: {
+      type: String,
+      enum: ['affiliate', 'influencer', 'vendor']
+    },
+    flags: [{
+      _id: false,
+      rule: {
+        type: String,
+        enum: REFERRAL_FLAG_RULES
+      },
+      detail: String
+    }],
+    heldAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    reviewedAt: Date,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+    }
+  },
+  // Opens of the tracked inquiry auto-reply
+  emailEngagement: {
+    trackingSince: Date,
+    opens: {
+      type: Number,
+      default: 0
+    },
+    firstOpenedAt: Date,
+    lastOpenedAt: Date
   }
 }, {
   timestamps: true,
@@ -125,8 +293,84 @@ contactSchema.index({ email: 1 });
 // New indexes for referral tracking
 contactSchema.index({ refCode: 1 });
 contactSchema.index({ refSource: 1, refCode: 1 });
+contactSchema.index({ 'referralReview.status': 1, 'referralReview.heldAt': -1 });
 contactSchema.index({ 'utm.source': 1, 'utm.campaign': 1 });
 contactSchema.index({ eventType: 1, createdAt: -1 });
 contactSchema.index({ tourScheduled: 1, booked: 1 });
+contactSchema.index({ stage: 1, stageChangedAt: -1 });
+contactSchema.index({ normalizedEmail: 1, createdAt: -1 });
+contactSchema.index({ phoneDigits: 1, createdAt: -1 });
+contactSchema.index({ duplicateOf: 1 });
+
+// Keep duplicate detection keys current
+contactSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('email')) {
+    this.normalizedEmail = normalizeEmail(this.email);
+  }
+  if (this.isNew || this.isModified('phone')) {
+    this.phoneDigits = normalizePhone(this.phone);
+  }
+  next();
+});
+
+// Static method to find an earlier submission from the same client.
+// Returns the primary contact (never another duplicate) and why it matched.
+contactSchema.statics.findLikelyDuplicate = async function({ email, phone, name, excludeId = null }) {
+  const now = Date.now();
+  const normalizedEmail = normalizeEmail(email);
+  const phoneDigits = normalizePhone(phone);
+  const nameSince = new Date(now - NAME_MATCH_WINDOW_HOURS * 60 * 60 * 1000);
+  const excluded = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  const toPrimary = async (candidate, reason) => {
+    const primary = candidate.duplicateOf ? await this.findById(candidate.duplicateOf) : candidate;
+    return { contact: primary || candidate, reason };
+  };
+
+  // Exact matches are looked up on their own so a busy week of other leads
+  // can never push them out of the results
+  const exactConditions = [];
+  if (normalizedEmail) {
+    exactConditions.push({ normalizedEmail }, { email: email.trim().toLowerCase() });
+  }
+  if (phoneDigits) {
+    exactConditions.push({ phoneDigits });
+  }
+
+  if (exactConditions.length > 0) {
+    const [match] = await this.find({
+      createdAt: { $gte: new Date(now - DUPLICATE_WINDOW_DAYS * DAY) },
+      ...excluded,
+      $or: exactConditions
+    })
+      .sort({ createdAt: 1 })
+      .limit(1);
+
+    if (match) {
+      const sameEmail = normalizedEmail && (match.normalizedEmail || normalizeEmail(match.email)) === normalizedEmail;
+      return toPrimary(match, sameEmail ? 'email' : 'phone');
+    }
+  }
+
+  // Similar names only count for recent leads, newest first
+  const recent = await this.find({ createdAt: { $gte: nameSince }, ...excluded })
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  const sameName = recent.find(candidate => nameSimilarity(candidate.name, name) >= NAME_MATCH_THRESHOLD);
+  return sameName ? toPrimary(sameName, 'name') : null;
+};
+
+// Recalculate the lead score whenever a contact is created or updated
+contactSchema.pre('save', async function(next) {
+  try {
+    // Bulk rescoring passes the rules in so they are loaded once
+    await applyLeadScore(this, this.$locals.scoringRules);
+  } catch (error) {
+    // A scoring failure should never block saving the contact
+    console.error('Error scoring lead:', error.message);
+  }
+  next();
+});
 
 export default mongoose.model('Contact', contactSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// How long an admin can undo a merge
+export const MERGE_UNDO_HOURS = 72;
+
+// A record that pointed at one contact before the merge
+const movedRecordSchema = new mongoose.Schema({
+  id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  contact: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // Documents are renumbered on the target; this is the version they had
+  version: Number
+}, { _id: false });
+
+// Record of a contact merge, holding enough to put everything back
+const contactMergeSchema = new mongoose.Schema({
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  sources: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Raw documents as they were before the merge
+  targetSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  sourceSnapshots: [{
+    type: mongoose.Schema.Types.Mixed
+  }],
+  // Records re-pointed from the sources to the target
+  moved: {
+    activities: [movedRecordSchema],
+    bookings: [movedRecordSchema],
+    tours: [movedRecordSchema],
+    paymentSchedules: [movedRecordSchema],
+    commissionEntries: [movedRecordSchema],
+    touchpoints: [movedRecordSchema],
+    quotes: [movedRecordSchema],
+    contracts: [movedRecordSchema],
+    documents: [movedRecordSchema],
+    referralClicks: [movedRecordSchema],
+    reviews: [movedRecordSchema],
+    duplicates: [movedRecordSchema]
+  },
+  // Partner credits taken back because they counted the same client twice
+  creditAdjustments: [{
+    _id: false,
+    refCode: String,
+    type: { type: String, enum: ['lead', 'tour', 'booking'] },
+    count: Number
+  }],
+  mergeActivity: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  undoExpiresAt: {
+    type: Date,
+    required: true
+  },
+  undoneAt: {
+    type: Date
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+contactMergeSchema.index({ target: 1, createdAt: -1 });
+
+// Virtual for whether the merge can still be undone
+contactMergeSchema.virtual('canUndo').get(function() {
+  return !this.undoneAt && this.undoExpiresAt > Date.now();
+});
+
+// Prevent model overwrite error
+const ContactMerge = mongoose.models.ContactMerge || mongoose.model('ContactMerge', contactMergeSchema);
+export default ContactMerge;
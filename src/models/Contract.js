@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+
+export const CONTRACT_STATUSES = ['draft', 'sent', 'viewed', 'signed', 'executed', 'void'];
+
+const clauseSchema = new mongoose.Schema({
+  heading: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [150, 'Clause heading cannot exceed 150 characters']
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [5000, 'Clause text cannot exceed 5000 characters']
+  }
+}, { _id: false });
+
+// Who signed, how and from where
+const signatureSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Drawn signature image, relative to the uploads folder
+  imagePath: {
+    type: String
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  signedAt: {
+    type: Date,
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  // Hash of the terms the signer agreed to
+  contentHash: String
+}, { _id: false });
+
+const auditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['created', 'updated', 'sent', 'viewed', 'signed', 'countersigned', 'executed', 'voided']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  ip: String,
+  userAgent: String,
+  details: String
+}, { _id: false });
+
+// An event agreement sent to a client for e-signature
+const contractSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: [true, 'Quote is required']
+  },
+  quoteVersion: {
+    type: Number
+  },
+  number: {
+    type: String,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: CONTRACT_STATUSES,
+    default: 'draft'
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'Event Agreement'
+  },
+  eventDate: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Event date must be in YYYY-MM-DD format']
+  },
+  timeBlock: {
+    type: String
+  },
+  guestCount: {
+    type: Number
+  },
+  total: {
+    type: Number
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  clauses: [clauseSchema],
+  // SHA-256 of the terms as sent; signatures record the hash they agreed to
+  contentHash: {
+    type: String
+  },
+  sentAt: { type: Date },
+  viewedAt: { type: Date },
+  clientSignature: signatureSchema,
+  countersignature: signatureSchema,
+  // Latest rendered PDF, and the frozen copy once both parties have signed
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  signedDocument: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  signedHash: {
+    type: String
+  },
+  executedAt: {
+    type: Date
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  audit: [auditEntrySchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+contractSchema.index({ contact: 1, createdAt: -1 });
+contractSchema.index({ quote: 1 });
+
+// Method to append an entry to the audit trail
+contractSchema.methods.logAudit = function(action, { admin, ip, userAgent, details } = {}) {
+  this.audit.push({ action, at: new Date(), admin, ip, userAgent, details });
+  return this;
+};
+
+// Virtual for whether the client can still sign
+contractSchema.virtual('isSignable').get(function() {
+  return ['sent', 'viewed'].includes(this.status);
+});
+
+// Prevent model overwrite error
+const Contract = mongoose.models.Contract || mongoose.model('Contract', contractSchema);
+export default Contract;
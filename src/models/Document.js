@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+export const DOCUMENT_TYPES = ['quote', 'invoice', 'contract'];
+
+// Number prefixes for documents that don't carry their own number
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  contract: 'CT'
+};
+
+// A generated PDF stored under storage/documents, versioned per contact and type
+const documentSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: [true, 'Document type is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  number: {
+    type: String,
+    trim: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  // Relative to the uploads folder, e.g. documents/<contactId>/invoice-v2.pdf
+  filePath: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  checksum: {
+    type: String
+  },
+  // Quote and version the document was built from
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  quoteVersion: {
+    type: Number
+  },
+  total: {
+    type: Number
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Values the template was rendered with (due date, clauses...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+documentSchema.index({ contact: 1, type: 1, version: -1 }, { unique: true });
+documentSchema.index({ quote: 1 });
+
+// Generate a readable document number, e.g. INV-2610-7KD2
+const generateDocumentNumber = (type) => {
+  const now = new Date();
+  const period = `${String(now.getUTCFullYear()).slice(2)}${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const suffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+
+  return `${NUMBER_PREFIXES[type]}-${period}-${suffix}`;
+};
+
+// Static method to reserve an unused invoice or contract number
+documentSchema.statics.generateNumber = async function(type) {
+  for (let attempts = 0; attempts < 10; attempts++) {
+    const candidate = generateDocumentNumber(type);
+    const existing = await this.exists({ type, number: candidate });
+
+    if (!existing) return candidate;
+  }
+
+  throw new Error('Unable to generate unique document number');
+};
+
+// Pre-save middleware to number invoices and contracts
+documentSchema.pre('save', async function(next) {
+  if (this.number || !NUMBER_PREFIXES[this.type]) return next();
+
+  try {
+    this.number = await this.constructor.generateNumber(this.type);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static method to get the next version number for a contact's documents of a type
+documentSchema.statics.nextVersion = async function(contactId, type) {
+  const latest = await this.findOne({ contact: contactId, type })
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+
+  return (latest?.version || 0) + 1;
+};
+
+// Prevent model overwrite error
+const Document = mongoose.models.Document || mongoose.model('Document', documentSchema);
+export default Document;
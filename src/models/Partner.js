@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import validator from 'validator';
 
+export const PARTNER_STATUSES = ['pending', 'approved', 'rejected'];
+
 const partnerSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -72,6 +74,37 @@ const partnerSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Public applications wait for review; only approved partners earn credit
+  status: {
+    type: String,
+    enum: PARTNER_STATUSES,
+    default: 'approved'
+  },
+  application: {
+    audienceSize: {
+      type: Number,
+      min: [0, 'Audience size cannot be negative']
+    },
+    motivation: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Motivation cannot exceed 2000 characters']
+    },
+    submittedAt: Date,
+    ipAddress: String
+  },
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    reviewedAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+  },
   // Performance tracking
   stats: {
     totalLeads: { type: Number, default: 0 },
@@ -93,6 +126,19 @@ const partnerSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Partner portal sign-in (passwordless)
+  portal: {
+    // Hash of the nonce in the latest emailed login link; cleared once used
+    loginNonce: { type: String, select: false },
+    loginRequestedAt: Date,
+    lastLoginAt: Date,
+    // Bumped on logout to revoke every session token issued before it
+    sessionVersion: { type: Number, default: 0 }
+  },
+  // Emails the partner has chosen to receive
+  preferences: {
+    monthlyStatements: { type: Boolean, default: true }
   }
 }, {
   timestamps: true,
@@ -104,6 +150,7 @@ const partnerSchema = new mongoose.Schema({
 partnerSchema.index({ code: 1 }, { unique: true });
 partnerSchema.index({ email: 1 }, { unique: true });
 partnerSchema.index({ type: 1, active: 1 });
+partnerSchema.index({ status: 1, createdAt: -1 });
 partnerSchema.index({ 'stats.lastActivityAt': -1 });
 
 // Generate unique partner code from name
@@ -112,7 +159,7 @@ const generatePartnerCode = (name) => {
   const cleanName = name
     .replace(/[^a-zA-Z0-9]/g, '')
     .toUpperCase()
-    .substring(0, 8);
+    .substring(0, 7);
   
   // Add random suffix to ensure uniqueness
   const randomSuffix = Math.random().toString(36).substring(2, 5).toUpperCase();
@@ -120,8 +167,8 @@ const generatePartnerCode = (name) => {
   return `TWBFL-${cleanName}${randomSuffix}`;
 };
 
-// Pre-save middleware to generate code
-partnerSchema.pre('save', async function(next) {
+// Pre-validate middleware to generate code (the code is required, so this has to run before validation)
+partnerSchema.pre('validate', async function(next) {
   if (!this.code && this.name) {
     let attempts = 0;
     const maxAttempts = 10;
@@ -175,11 +222,13 @@ partnerSchema.statics.findActive = function() {
   return this.find({ active: true }).sort({ 'stats.lastActivityAt': -1 });
 };
 
-// Static method to find by code (case insensitive)
+// Static method to find by code (case insensitive). Partners created before
+// applications were reviewed have no status and count as approved.
 partnerSchema.statics.findByCode = function(code) {
   return this.findOne({ 
     code: code.toUpperCase(), 
-    active: true 
+    active: true,
+    status: { $in: ['approved', null] }
   });
 };
 
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+export const STATEMENT_KINDS = ['partner', 'summary'];
+export const STATEMENT_STATUSES = ['sent', 'failed', 'skipped'];
+
+// A monthly performance statement emailed to a partner, or the roll-up of every
+// partner sent to the marketing team. One record per partner (or summary) per month.
+const partnerStatementSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: STATEMENT_KINDS,
+    default: 'partner'
+  },
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    default: null
+  },
+  // Calendar month covered, e.g. 2024-05
+  period: {
+    type: String,
+    required: [true, 'Statement period is required'],
+    match: [/^\d{4}-\d{2}$/, 'Statement period must be YYYY-MM']
+  },
+  status: {
+    type: String,
+    enum: STATEMENT_STATUSES,
+    required: true
+  },
+  sentTo: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  sentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  // Admin who last sent it by hand (the monthly job leaves this empty)
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  // Figures as they were when the statement was built
+  metrics: mongoose.Schema.Types.Mixed,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes for the monthly run and statement history
+partnerStatementSchema.index({ kind: 1, partner: 1, period: 1 }, { unique: true });
+partnerStatementSchema.index({ period: 1, status: 1 });
+
+// Prevent model overwrite error
+const PartnerStatement = mongoose.models.PartnerStatement || mongoose.model('PartnerStatement', partnerStatementSchema);
+export default PartnerStatement;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_EVENT_STATUSES = ['received', 'processed', 'ignored', 'failed'];
+
+// Audit log of every webhook event received from a payment provider.
+// The provider/eventId pair is unique so redelivered events are only applied once.
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  eventId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_EVENT_STATUSES,
+    default: 'received'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // What processing did with the event
+  result: {
+    type: String,
+    trim: true
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentSchedule',
+    default: null
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Times the provider sent this event
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ schedule: 1, createdAt: -1 });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+// Prevent model overwrite error
+const PaymentEvent = mongoose.models.PaymentEvent || mongoose.model('PaymentEvent', paymentEventSchema);
+export default PaymentEvent;
@@ -0,0 +1,297 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_METHODS = ['card', 'bank_transfer', 'check', 'cash', 'other'];
+export const INSTALLMENT_KINDS = ['retainer', 'installment', 'final'];
+export const SCHEDULE_STATUSES = ['scheduled', 'partial', 'paid', 'overdue', 'cancelled'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// One amount due on a date. amountPaid and status are derived from the payments.
+const installmentSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Installment label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: INSTALLMENT_KINDS,
+    default: 'installment'
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Installment amount is required'],
+    min: [0.01, 'Installment amount must be positive']
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partial', 'paid', 'overdue'],
+    default: 'pending'
+  },
+  paidAt: {
+    type: Date
+  },
+  // Reminder emails already sent for this installment
+  reminders: [{
+    _id: false,
+    kind: { type: String, enum: ['upcoming', 'overdue'] },
+    daysBefore: Number,
+    sentAt: { type: Date, default: Date.now }
+  }]
+});
+
+const paymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be positive']
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  // Set for payments taken online through a payment provider
+  provider: {
+    type: String,
+    trim: true
+  },
+  providerPaymentId: {
+    type: String,
+    trim: true
+  },
+  checkoutSessionId: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true });
+
+const refundSchema = new mongoose.Schema({
+  // Payment the money went back against, when known
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be positive']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now
+  },
+  provider: {
+    type: String,
+    trim: true
+  },
+  providerRefundId: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true });
+
+// Retainer, installments and final balance for a booking, with what has been collected
+const paymentScheduleSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required'],
+    unique: true
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0.01, 'Total amount must be positive']
+  },
+  installments: [installmentSchema],
+  payments: [paymentSchema],
+  refunds: [refundSchema],
+  // Totals below are maintained by recalculate()
+  amountPaid: { type: Number, default: 0 },
+  amountRefunded: { type: Number, default: 0 },
+  // Money actually kept: payments less refunds
+  amountCollected: { type: Number, default: 0 },
+  balanceDue: { type: Number, default: 0 },
+  overdueAmount: { type: Number, default: 0 },
+  nextDueDate: { type: Date, default: null },
+  status: {
+    type: String,
+    enum: SCHEDULE_STATUSES,
+    default: 'scheduled'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+paymentScheduleSchema.index({ contact: 1 });
+paymentScheduleSchema.index({ status: 1, nextDueDate: 1 });
+paymentScheduleSchema.index({ 'payments.providerPaymentId': 1 }, { sparse: true });
+
+// An installment is overdue once its due date has fully passed
+const isPastDue = (dueDate, now) => new Date(dueDate).getTime() + DAY <= now;
+
+// Method to derive installment progress and schedule totals from payments and refunds.
+// Collected money is applied to installments in due-date order.
+paymentScheduleSchema.methods.recalculate = function(now = Date.now()) {
+  this.amountPaid = roundMoney(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+  this.amountRefunded = roundMoney(this.refunds.reduce((sum, refund) => sum + refund.amount, 0));
+  this.amountCollected = roundMoney(this.amountPaid - this.amountRefunded);
+  this.balanceDue = roundMoney(Math.max(0, this.totalAmount - this.amountCollected));
+
+  const paymentDates = this.payments
+    .map(payment => payment.paidAt)
+    .sort((a, b) => a - b);
+
+  let remaining = this.amountCollected;
+  let overdue = 0;
+  let nextDueDate = null;
+
+  [...this.installments]
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .forEach(installment => {
+      const applied = roundMoney(Math.min(installment.amount, Math.max(0, remaining)));
+      remaining = roundMoney(remaining - applied);
+      installment.amountPaid = applied;
+
+      if (applied >= installment.amount) {
+        installment.status = 'paid';
+        installment.paidAt = installment.paidAt || paymentDates[paymentDates.length - 1] || new Date(now);
+        return;
+      }
+
+      installment.paidAt = undefined;
+      if (!nextDueDate) nextDueDate = installment.dueDate;
+
+      if (isPastDue(installment.dueDate, now)) {
+        installment.status = 'overdue';
+        overdue += installment.amount - applied;
+      } else {
+        installment.status = applied > 0 ? 'partial' : 'pending';
+      }
+    });
+
+  this.overdueAmount = roundMoney(overdue);
+  this.nextDueDate = nextDueDate;
+
+  if (this.status === 'cancelled') return this;
+
+  if (this.balanceDue === 0) {
+    this.status = 'paid';
+  } else if (this.overdueAmount > 0) {
+    this.status = 'overdue';
+  } else {
+    this.status = this.amountCollected > 0 ? 'partial' : 'scheduled';
+  }
+
+  return this;
+};
+
+// Installments must add up to the total, and refunds can't exceed what was paid
+paymentScheduleSchema.pre('validate', function(next) {
+  if (this.installments.length === 0) {
+    this.invalidate('installments', 'At least one installment is required');
+  }
+
+  const scheduled = roundMoney(this.installments.reduce((sum, installment) => sum + installment.amount, 0));
+  if (this.installments.length > 0 && Math.abs(scheduled - this.totalAmount) >= 0.01) {
+    this.invalidate('installments', `Installments add up to ${scheduled} but the total is ${this.totalAmount}`);
+  }
+
+  const paid = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const refunded = this.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  if (refunded - paid >= 0.01) {
+    this.invalidate('refunds', 'Refunds cannot exceed the amount paid');
+  }
+
+  next();
+});
+
+// Pre-save middleware to keep the derived totals current
+paymentScheduleSchema.pre('save', function(next) {
+  this.recalculate();
+  next();
+});
+
+// Static method to find open schedules with an installment due on or before a date
+paymentScheduleSchema.statics.findDueBy = function(date) {
+  return this.find({
+    status: { $in: ['scheduled', 'partial', 'overdue'] },
+    nextDueDate: { $ne: null, $lte: date }
+  })
+    .populate('contact', 'name email')
+    .populate('booking', 'date status');
+};
+
+// Prevent model overwrite error
+const PaymentSchedule = mongoose.models.PaymentSchedule || mongoose.model('PaymentSchedule', paymentScheduleSchema);
+export default PaymentSchedule;
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+export const PAYOUT_STATUSES = ['pending', 'paid', 'cancelled'];
+
+// What one partner is owed in a payout run
+const remittanceSchema = new mongoose.Schema({
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true
+  },
+  name: String,
+  email: String,
+  code: String,
+  entries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommissionEntry'
+  }],
+  entryCount: Number,
+  amount: Number,
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+// A batch of approved commission entries paid out together
+const payoutRunSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    unique: true,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: PAYOUT_STATUSES,
+    default: 'pending'
+  },
+  // Only entries approved on or before this date were included
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  remittances: [remittanceSchema],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+payoutRunSchema.index({ status: 1, createdAt: -1 });
+
+// Generate a payout number such as PO-2405-K3ZQ
+const generatePayoutNumber = () => {
+  const now = new Date();
+  const period = `${String(now.getUTCFullYear()).slice(2)}${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const suffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+
+  return `PO-${period}-${suffix}`;
+};
+
+// Pre-save middleware to number new runs and keep the totals in step
+payoutRunSchema.pre('save', async function(next) {
+  this.remittances.forEach(remittance => {
+    remittance.entryCount = remittance.entries.length;
+  });
+  this.entryCount = this.remittances.reduce((sum, remittance) => sum + remittance.entryCount, 0);
+  this.totalAmount = Math.round(this.remittances.reduce((sum, remittance) => sum + remittance.amount, 0) * 100) / 100;
+
+  if (this.number) return next();
+
+  for (let attempts = 0; attempts < 10; attempts++) {
+    const candidate = generatePayoutNumber();
+    if (!(await this.constructor.exists({ number: candidate }))) {
+      this.number = candidate;
+      return next();
+    }
+  }
+
+  next(new Error('Unable to generate unique payout number'));
+});
+
+// Prevent model overwrite error
+const PayoutRun = mongoose.models.PayoutRun || mongoose.model('PayoutRun', payoutRunSchema);
+export default PayoutRun;
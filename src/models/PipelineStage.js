@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const pipelineStageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Stage key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Stage key must be lowercase letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Stage label is required'],
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  // open stages are still in play; won/lost close the lead
+  type: {
+    type: String,
+    enum: ['open', 'won', 'lost'],
+    default: 'open'
+  },
+  order: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #7c9a6d'],
+    default: '#8b7355'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+pipelineStageSchema.index({ order: 1 });
+
+export const DEFAULT_STAGE = 'inquiry';
+
+const DEFAULT_STAGES = [
+  { key: 'inquiry', label: 'Inquiry', type: 'open', order: 0, color: '#8b7355' },
+  { key: 'qualified', label: 'Qualified', type: 'open', order: 1, color: '#5b7fa6' },
+  { key: 'tour_booked', label: 'Tour Booked', type: 'open', order: 2, color: '#7c9a6d' },
+  { key: 'proposal_sent', label: 'Proposal Sent', type: 'open', order: 3, color: '#c08a3e' },
+  { key: 'proposal_accepted', label: 'Proposal Accepted', type: 'open', order: 4, color: '#6a8f3c' },
+  { key: 'contract_signed', label: 'Contract Signed', type: 'won', order: 5, color: '#3f7d4e' },
+  { key: 'lost', label: 'Lost', type: 'lost', order: 6, color: '#9a4b4b' }
+];
+
+// Static method to get the configured stages, seeding the defaults on first use
+pipelineStageSchema.statics.getStages = async function({ includeInactive = false } = {}) {
+  let stages = await this.find().sort({ order: 1 });
+
+  if (stages.length === 0) {
+    try {
+      await this.insertMany(DEFAULT_STAGES, { ordered: false });
+    } catch (error) {
+      // Another request seeded them first
+      if (error.code !== 11000) throw error;
+    }
+    stages = await this.find().sort({ order: 1 });
+  }
+
+  return includeInactive ? stages : stages.filter(stage => stage.active);
+};
+
+// Prevent model overwrite error
+const PipelineStage = mongoose.models.PipelineStage || mongoose.model('PipelineStage', pipelineStageSchema);
+export default PipelineStage;
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Automatic price adjustments such as weekday discounts or peak-season surcharges
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Which line items the rule touches
+  appliesTo: {
+    type: String,
+    enum: ['all', 'package', 'addon', 'items'],
+    default: 'package'
+  },
+  items: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogItem'
+  }],
+  // Event weekdays the rule applies to (0 = Sunday); empty means every day
+  daysOfWeek: {
+    type: [Number],
+    validate: {
+      validator: function(days) {
+        return days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      },
+      message: 'Days of week must be integers from 0 (Sunday) to 6 (Saturday)'
+    }
+  },
+  // Season as MM-DD bounds; a start after the end wraps over the new year
+  seasonStart: {
+    type: String,
+    match: [MONTH_DAY_PATTERN, 'Season start must be in MM-DD format']
+  },
+  seasonEnd: {
+    type: String,
+    match: [MONTH_DAY_PATTERN, 'Season end must be in MM-DD format']
+  },
+  adjustmentType: {
+    type: String,
+    enum: ['percent', 'amount'],
+    default: 'percent'
+  },
+  // Negative values are discounts, positive values surcharges
+  adjustmentValue: {
+    type: Number,
+    required: [true, 'Adjustment value is required']
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+pricingRuleSchema.index({ active: 1, priority: -1 });
+
+// Method to check whether the rule applies to an event date and catalog item
+pricingRuleSchema.methods.appliesToLine = function(eventDateKey, item) {
+  if (!this.active || !item) return false;
+
+  if (this.appliesTo === 'items') {
+    if (!this.items.some(id => id.equals(item._id))) return false;
+  } else if (this.appliesTo !== 'all' && this.appliesTo !== item.kind) {
+    return false;
+  }
+
+  const hasDateConditions = this.daysOfWeek.length > 0 || (this.seasonStart && this.seasonEnd);
+  if (!hasDateConditions) return true;
+  if (!eventDateKey) return false;
+
+  if (this.daysOfWeek.length > 0) {
+    const weekday = new Date(`${eventDateKey}T12:00:00.000Z`).getUTCDay();
+    if (!this.daysOfWeek.includes(weekday)) return false;
+  }
+
+  if (this.seasonStart && this.seasonEnd) {
+    const monthDay = eventDateKey.slice(5);
+    const inSeason = this.seasonStart <= this.seasonEnd
+      ? monthDay >= this.seasonStart && monthDay <= this.seasonEnd
+      : monthDay >= this.seasonStart || monthDay <= this.seasonEnd;
+    if (!inSeason) return false;
+  }
+
+  return true;
+};
+
+// Prevent model overwrite error
+const PricingRule = mongoose.models.PricingRule || mongoose.model('PricingRule', pricingRuleSchema);
+export default PricingRule;
@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+
+export const QUOTE_STATUSES = ['draft', 'sent', 'viewed', 'accepted', 'declined', 'expired'];
+
+const lineItemSchema = new mongoose.Schema({
+  // Null for one-off custom lines
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogItem',
+    default: null
+  },
+  code: { type: String },
+  kind: {
+    type: String,
+    enum: ['package', 'addon', 'custom'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  pricingType: {
+    type: String,
+    enum: ['flat', 'per_guest', 'per_hour'],
+    default: 'flat'
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  baseAmount: {
+    type: Number,
+    required: true
+  },
+  // Pricing rules (weekday discount, peak season...) applied to this line
+  adjustments: [{
+    _id: false,
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+    name: String,
+    amount: Number
+  }],
+  amount: {
+    type: Number,
+    required: true
+  },
+  taxable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const discountSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percent', 'amount'],
+    default: 'amount'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Every edit to a quote is kept as a numbered version
+const quoteVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  eventDate: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Event date must be in YYYY-MM-DD format']
+  },
+  guestCount: {
+    type: Number,
+    min: 0
+  },
+  lineItems: [lineItemSchema],
+  discounts: [discountSchema],
+  subtotal: { type: Number, required: true },
+  adjustmentTotal: { type: Number, default: 0 },
+  discountTotal: { type: Number, default: 0 },
+  taxRate: { type: Number, default: 0 },
+  taxableAmount: { type: Number, default: 0 },
+  taxTotal: { type: Number, default: 0 },
+  total: { type: Number, required: true },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  quoteNumber: {
+    type: String,
+    unique: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  status: {
+    type: String,
+    enum: QUOTE_STATUSES,
+    default: 'draft'
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  versions: [quoteVersionSchema],
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  validUntil: {
+    type: Date
+  },
+  // Version the client sees through the shared link
+  sentVersion: { type: Number },
+  sentAt: { type: Date },
+  viewedAt: { type: Date },
+  respondedAt: { type: Date },
+  acceptedVersion: { type: Number },
+  acceptedByName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  responseIp: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+quoteSchema.index({ contact: 1, createdAt: -1 });
+quoteSchema.index({ status: 1, validUntil: 1 });
+
+// Generate a readable quote number, e.g. Q-2610-7KD2
+const generateQuoteNumber = () => {
+  const now = new Date();
+  const period = `${String(now.getUTCFullYear()).slice(2)}${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const suffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+
+  return `Q-${period}-${suffix}`;
+};
+
+// Pre-save middleware to generate quote number
+quoteSchema.pre('save', async function(next) {
+  if (this.quoteNumber) return next();
+
+  for (let attempts = 0; attempts < 10; attempts++) {
+    const candidate = generateQuoteNumber();
+    const existing = await this.constructor.exists({ quoteNumber: candidate });
+
+    if (!existing) {
+      this.quoteNumber = candidate;
+      return next();
+    }
+  }
+
+  next(new Error('Unable to generate unique quote number'));
+});
+
+// Virtual for the version currently offered to the client
+quoteSchema.virtual('current').get(function() {
+  return this.versions.find(version => version.version === this.currentVersion) || null;
+});
+
+// Virtual for the version last shared with the client
+quoteSchema.virtual('sent').get(function() {
+  return this.versions.find(version => version.version === this.sentVersion) || null;
+});
+
+// Virtual for whether the offer has lapsed
+quoteSchema.virtual('isExpired').get(function() {
+  return !!this.validUntil && this.validUntil < Date.now() && !['accepted', 'declined'].includes(this.status);
+});
+
+// Prevent model overwrite error
+const Quote = mongoose.models.Quote || mongoose.model('Quote', quoteSchema);
+export default Quote;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+export const DEVICE_TYPES = ['mobile', 'tablet', 'desktop', 'bot', 'unknown'];
+
+// A visit through a partner's short link (/r/:code/:slug)
+const referralClickSchema = new mongoose.Schema({
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: [true, 'Partner is required']
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  partnerType: {
+    type: String,
+    enum: ['affiliate', 'influencer', 'vendor']
+  },
+  // Frontend page the visitor was sent to
+  page: {
+    type: String,
+    trim: true
+  },
+  landingUrl: {
+    type: String,
+    trim: true
+  },
+  utm: {
+    source: { type: String, trim: true },
+    medium: { type: String, trim: true },
+    campaign: { type: String, trim: true },
+    content: { type: String, trim: true },
+    term: { type: String, trim: true }
+  },
+  device: {
+    type: String,
+    enum: DEVICE_TYPES,
+    default: 'unknown'
+  },
+  // Anonymous visitor cookie id, shared with the visitor's touchpoints
+  visitorId: {
+    type: String,
+    trim: true
+  },
+  referrer: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  // Set when the visitor goes on to submit an inquiry or book a tour
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  convertedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for partner funnels and visitor lookups
+referralClickSchema.index({ code: 1, createdAt: -1 });
+referralClickSchema.index({ partner: 1, createdAt: -1 });
+referralClickSchema.index({ visitorId: 1, createdAt: -1 });
+referralClickSchema.index({ contact: 1 });
+
+// Prevent model overwrite error
+const ReferralClick = mongoose.models.ReferralClick || mongoose.model('ReferralClick', referralClickSchema);
+export default ReferralClick;
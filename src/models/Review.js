@@ -1,5 +1,76 @@
 import mongoose from 'mongoose';
 
+export const REVIEW_EVENT_TYPES = ['wedding', 'corporate', 'birthday', 'anniversary', 'graduation', 'other'];
+export const MODERATION_VERDICTS = ['approve', 'review', 'reject'];
+export const REVIEW_PHOTO_STATUSES = ['pending', 'approved', 'rejected'];
+export const REVIEW_SOURCES = ['website', 'google', 'facebook', 'manual'];
+// Sources whose reviews are imported from another site's export
+export const EXTERNAL_REVIEW_SOURCES = ['google', 'facebook'];
+
+const isExternal = function() {
+  return EXTERNAL_REVIEW_SOURCES.includes(this.source);
+};
+
+// Most photos a guest can attach to one review
+export const MAX_REVIEW_PHOTOS = 6;
+
+// Earlier wording of a response, and who replaced it when
+const responseEditSchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const responseSchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: [true, 'Response is required'],
+    trim: true,
+    maxlength: [2000, 'Response cannot exceed 2000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  notifiedAt: Date,
+  history: [responseEditSchema]
+}, {
+  _id: false,
+  timestamps: true
+});
+
+// A response we took down, kept with its edit history so there is a record
+// of everything that was published
+const removedResponseSchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  postedAt: Date,
+  history: [responseEditSchema],
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  removedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const reviewSchema = new mongoose.Schema({
   clientName: {
     type: String,
@@ -7,9 +78,10 @@ const reviewSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Client name cannot exceed 100 characters']
   },
+  // Imported reviews come without an email or event details
   clientEmail: {
     type: String,
-    required: [true, 'Client email is required'],
+    required: [function() { return !isExternal.call(this); }, 'Client email is required'],
     trim: true,
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
@@ -17,12 +89,12 @@ const reviewSchema = new mongoose.Schema({
   eventType: {
     type: String,
     required: [true, 'Event type is required'],
-    enum: ['wedding', 'corporate', 'birthday', 'anniversary', 'graduation', 'other'],
+    enum: REVIEW_EVENT_TYPES,
     default: 'wedding'
   },
   eventDate: {
     type: Date,
-    required: [true, 'Event date is required']
+    required: [function() { return !isExternal.call(this); }, 'Event date is required']
   },
   rating: {
     type: Number,
@@ -63,6 +135,29 @@ const reviewSchema = new mongoose.Schema({
     caption: {
       type: String,
       trim: true
+    },
+    // Set for photos the guest uploaded; linked photos are moderated with the review
+    status: {
+      type: String,
+      enum: REVIEW_PHOTO_STATUSES
+    },
+    filename: String,
+    size: Number,
+    metadata: {
+      width: Number,
+      height: Number,
+      format: String
+    },
+    thumbnails: {
+      small: { path: String, width: Number, height: Number },
+      medium: { path: String, width: Number, height: Number },
+      large: { path: String, width: Number, height: Number }
+    },
+    uploadedAt: Date,
+    // Gallery image made from this photo
+    galleryImage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Gallery'
     }
   }],
   adminNotes: {
@@ -80,16 +175,71 @@ const reviewSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['website', 'google', 'facebook', 'manual'],
+    enum: REVIEW_SOURCES,
     default: 'website'
   },
+  // Original identifiers for reviews imported from Google or Facebook
+  external: {
+    id: String,
+    reviewerId: String,
+    // Rating as the source gave it, e.g. FIVE or positive
+    rating: String,
+    updatedAt: Date,
+    importedAt: Date
+  },
+  // Submitted through a post-event invitation sent to a booked client
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
   moderatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin'
   },
   moderatedAt: {
     type: Date
-  }
+  },
+  // Automated spam and abuse scoring from when the review was submitted
+  moderation: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    verdict: {
+      type: String,
+      enum: MODERATION_VERDICTS
+    },
+    reasons: [{
+      _id: false,
+      rule: { type: String },
+      points: { type: Number },
+      detail: { type: String }
+    }],
+    // Status the pipeline set on its own, if any
+    autoAction: {
+      type: String,
+      enum: ['approved', 'rejected', null],
+      default: null
+    },
+    // Normalised review text, for spotting copies
+    fingerprint: String,
+    checkedAt: Date
+  },
+  // Our public reply, shown under the review on the site
+  response: {
+    type: responseSchema,
+    default: undefined
+  },
+  removedResponses: [removedResponseSchema]
 }, {
   timestamps: true
 });
@@ -105,7 +255,7 @@ reviewSchema.statics.getApproved = function(limit = 10, skip = 0) {
     .sort({ isFeatured: -1, createdAt: -1 })
     .limit(limit)
     .skip(skip)
-    .select('-adminNotes -moderatedBy -ipAddress -userAgent');
+    .select('-adminNotes -moderatedBy -ipAddress -userAgent -booking -contact -moderation -response.history -removedResponses');
 };
 
 // Static method to get featured reviews
@@ -113,7 +263,7 @@ reviewSchema.statics.getFeatured = function(limit = 5) {
   return this.find({ status: 'approved', isFeatured: true })
     .sort({ createdAt: -1 })
     .limit(limit)
-    .select('-adminNotes -moderatedBy -ipAddress -userAgent');
+    .select('-adminNotes -moderatedBy -ipAddress -userAgent -booking -contact -moderation -response.history -removedResponses');
 };
 
 // Static method to get review statistics
@@ -146,6 +296,11 @@ reviewSchema.statics.getStats = async function() {
   };
 };
 
+// Photos that can be shown with the review on the site
+reviewSchema.methods.getPublicPhotos = function() {
+  return this.photos.filter(photo => !photo.status || photo.status === 'approved');
+};
+
 // Method to approve review
 reviewSchema.methods.approve = function(adminId) {
   this.status = 'approved';
@@ -163,12 +318,47 @@ reviewSchema.methods.reject = function(adminId, notes = '') {
   return this.save();
 };
 
+// Method to add or edit our public response, keeping the previous wording
+reviewSchema.methods.setResponse = function(body, adminId) {
+  if (this.response) {
+    this.response.history.push({ body: this.response.body, editedBy: adminId });
+    this.response.body = body;
+    this.response.author = adminId;
+  } else {
+    this.response = { body, author: adminId };
+  }
+  return this.save();
+};
+
+// Method to take down our public response, keeping it on record
+reviewSchema.methods.removeResponse = function(adminId) {
+  if (this.response) {
+    this.removedResponses.push({
+      body: this.response.body,
+      author: this.response.author,
+      postedAt: this.response.createdAt,
+      history: this.response.history,
+      removedBy: adminId
+    });
+  }
+  this.response = undefined;
+  return this.save();
+};
+
 // Indexes for efficient querying
 reviewSchema.index({ status: 1, createdAt: -1 });
 reviewSchema.index({ isFeatured: 1, status: 1 });
 reviewSchema.index({ rating: 1 });
 reviewSchema.index({ eventType: 1 });
 reviewSchema.index({ clientEmail: 1 });
+reviewSchema.index({ booking: 1 }, { unique: true, sparse: true });
+reviewSchema.index(
+  { source: 1, 'external.id': 1 },
+  { unique: true, partialFilterExpression: { 'external.id': { $exists: true } } }
+);
+reviewSchema.index({ 'moderation.fingerprint': 1 });
+reviewSchema.index({ 'moderation.verdict': 1, createdAt: -1 });
+reviewSchema.index({ ipAddress: 1, createdAt: -1 });
 
 // Text index for search functionality
 reviewSchema.index({
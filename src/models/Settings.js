@@ -1,10 +1,12 @@
 import mongoose from 'mongoose';
 
+export const SETTINGS_CATEGORIES = ['general', 'email', 'security', 'notifications', 'backup', 'analytics', 'leadScoring', 'referrals', 'attribution', 'reviews', 'reviewModeration'];
+
 const settingsSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: ['general', 'email', 'security', 'notifications', 'backup', 'analytics'],
+    enum: SETTINGS_CATEGORIES,
     index: true
   },
   key: {
@@ -154,8 +156,8 @@ settingsSchema.methods.validateValue = function(value) {
     }
   }
   
-  // Options validation
-  if (validation.options && !validation.options.includes(value)) {
+  // Options validation (Mongoose stores an empty list when there are none)
+  if (validation.options?.length > 0 && !validation.options.includes(value)) {
     return { isValid: false, error: `Value must be one of: ${validation.options.join(', ')}` };
   }
   
@@ -199,6 +201,12 @@ export const defaultSettings = {
       isPublic: true,
       isRequired: true
     },
+    logo: {
+      value: 'images/logo-5.png',
+      type: 'string',
+      description: 'Logo used on generated documents (path under dist/ or uploads/)',
+      isPublic: true
+    },
     timezone: {
       value: 'America/New_York',
       type: 'string',
@@ -341,6 +349,265 @@ export const defaultSettings = {
       type: 'boolean',
       description: 'Enable heatmap tracking'
     }
+  },
+  leadScoring: {
+    enabled: {
+      value: true,
+      type: 'boolean',
+      description: 'Recalculate lead scores when contacts are submitted or updated'
+    },
+    baseScore: {
+      value: 30,
+      type: 'number',
+      description: 'Starting score before rules are applied',
+      validation: { min: 0, max: 100 }
+    },
+    eventDateProximity: {
+      value: {
+        enabled: true,
+        brackets: [
+          { maxDays: 90, points: 5 },
+          { maxDays: 365, points: 15 },
+          { maxDays: 540, points: 8 }
+        ],
+        missingPoints: -5,
+        pastPoints: -30
+      },
+      type: 'object',
+      description: 'Points by days until the event (first bracket the event falls within)'
+    },
+    guestCount: {
+      value: {
+        enabled: true,
+        brackets: [
+          { min: 150, points: 15 },
+          { min: 75, points: 10 },
+          { min: 30, points: 5 }
+        ],
+        missingPoints: 0
+      },
+      type: 'object',
+      description: 'Points by guest count (largest minimum reached)'
+    },
+    budget: {
+      value: {
+        enabled: true,
+        points: {
+          'under-5k': -5,
+          '5k-10k': 5,
+          '10k-15k': 10,
+          '15k-25k': 15,
+          '25k-plus': 20,
+          'not-specified': 0
+        }
+      },
+      type: 'object',
+      description: 'Points by budget bracket'
+    },
+    eventType: {
+      value: {
+        enabled: true,
+        points: { wedding: 10, corporate: 8, shower: 3, family: 3, other: 0 }
+      },
+      type: 'object',
+      description: 'Points by event type'
+    },
+    referral: {
+      value: {
+        enabled: true,
+        points: { affiliate: 10, influencer: 5, vendor: 10 }
+      },
+      type: 'object',
+      description: 'Points by referring partner type'
+    },
+    utmSource: {
+      value: {
+        enabled: true,
+        points: { google: 5, theknot: 8, weddingwire: 8, instagram: 3, facebook: 3 },
+        defaultPoints: 0
+      },
+      type: 'object',
+      description: 'Points by UTM source (lowercase)'
+    },
+    dateAvailability: {
+      value: {
+        enabled: true,
+        openPoints: 10,
+        partialPoints: 0,
+        unavailablePoints: -20
+      },
+      type: 'object',
+      description: 'Points by whether the requested date is open on the calendar'
+    },
+    engagement: {
+      value: {
+        enabled: true,
+        tourBookedPoints: 15,
+        repliedPoints: 10,
+        bookedPoints: 30
+      },
+      type: 'object',
+      description: 'Points for tours, bookings and replies from the client'
+    }
+  },
+  referrals: {
+    attributionWindowDays: {
+      value: 30,
+      type: 'number',
+      description: 'Days a partner short-link click is remembered for attributing inquiries',
+      validation: { min: 1, max: 365 }
+    },
+    fraudRepeatedIpDays: {
+      value: 30,
+      type: 'number',
+      description: 'Hold a referred lead when another lead for the same partner came from its IP address within this many days',
+      validation: { min: 1, max: 365 }
+    },
+    fraudUserAgentThreshold: {
+      value: 3,
+      type: 'number',
+      description: 'Hold a referred lead when this many leads for the same partner share its browser along with its IP address or visitor cookie within the repeated-IP window',
+      validation: { min: 2, max: 50 }
+    },
+    fraudBurstCount: {
+      value: 5,
+      type: 'number',
+      description: 'Hold a referred lead when a partner receives this many leads within the burst window',
+      validation: { min: 2, max: 100 }
+    },
+    fraudBurstMinutes: {
+      value: 60,
+      type: 'number',
+      description: 'Length of the burst window in minutes',
+      validation: { min: 5, max: 1440 }
+    },
+    fraudEngagementDays: {
+      value: 7,
+      type: 'number',
+      description: 'Hold a referred lead that has not opened any email or booked a tour after this many days',
+      validation: { min: 1, max: 60 }
+    },
+    statementSummaryEmail: {
+      value: '',
+      type: 'string',
+      description: 'Who receives the monthly summary of all partner statements (comma separated; defaults to the admin inbox)'
+    }
+  },
+  attribution: {
+    lookbackDays: {
+      value: 90,
+      type: 'number',
+      description: 'Days of touchpoints before an inquiry that share credit for it',
+      validation: { min: 1, max: 365 }
+    },
+    timeDecayHalfLifeDays: {
+      value: 7,
+      type: 'number',
+      description: 'Time-decay model: a touch this many days before the inquiry earns half the credit of one on the day',
+      validation: { min: 1, max: 90 }
+    },
+    sessionTimeoutMinutes: {
+      value: 30,
+      type: 'number',
+      description: 'Minutes of inactivity after which a direct page view starts a new visit',
+      validation: { min: 5, max: 240 }
+    }
+  },
+  reviews: {
+    invitationsEnabled: {
+      value: true,
+      type: 'boolean',
+      description: 'Email booked clients a review link after their event'
+    },
+    invitationDelayDays: {
+      value: 3,
+      type: 'number',
+      description: 'Days after the event date to send the review invitation',
+      validation: { min: 0, max: 60 }
+    },
+    reminderDelayDays: {
+      value: 7,
+      type: 'number',
+      description: 'Days after the invitation to send one reminder if no review has arrived (0 to turn reminders off)',
+      validation: { min: 0, max: 60 }
+    }
+  },
+  reviewModeration: {
+    enabled: {
+      value: true,
+      type: 'boolean',
+      description: 'Score new reviews for spam and abuse when they are submitted'
+    },
+    autoApproveMaxScore: {
+      value: 15,
+      type: 'number',
+      description: 'Publish reviews from verified clients scoring at or below this risk (-1 to never auto-approve)',
+      validation: { min: -1, max: 100 }
+    },
+    autoRejectMinScore: {
+      value: 70,
+      type: 'number',
+      description: 'Reject reviews scoring at or above this risk (101 to never auto-reject)',
+      validation: { min: 1, max: 101 }
+    },
+    profanity: {
+      value: {
+        enabled: true,
+        points: 40,
+        words: []
+      },
+      type: 'object',
+      description: 'Risk for profanity (built-in list plus any extra words given)'
+    },
+    links: {
+      value: {
+        enabled: true,
+        pointsPerLink: 20,
+        maxPoints: 60
+      },
+      type: 'object',
+      description: 'Risk per link or web address in the title or review'
+    },
+    duplicateText: {
+      value: {
+        enabled: true,
+        points: 50
+      },
+      type: 'object',
+      description: 'Risk when the review text matches another review'
+    },
+    velocity: {
+      value: {
+        enabled: true,
+        windowMinutes: 60,
+        maxPerIp: 2,
+        maxPerEmail: 1,
+        points: 30
+      },
+      type: 'object',
+      description: 'Risk when an IP address or email submits more reviews than allowed within the window'
+    },
+    bookingMatch: {
+      value: {
+        enabled: true,
+        verifiedPoints: -20,
+        matchPoints: -10,
+        mismatchPoints: 25,
+        unknownPoints: 10
+      },
+      type: 'object',
+      description: 'Risk by whether the reviewer and event date match a booking on file'
+    },
+    lowQuality: {
+      value: {
+        enabled: true,
+        minLength: 40,
+        shortPoints: 15,
+        capsPoints: 20
+      },
+      type: 'object',
+      description: 'Risk for very short or mostly capital-letter reviews'
+    }
   }
 };
 
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+export const TOUCHPOINT_TYPES = ['page_view', 'utm_landing', 'partner_click'];
+
+// One step in an anonymous visitor's journey. Entry touches (a campaign landing,
+// a partner click, an outside referrer or the start of a new visit) are the ones
+// attribution reports give credit to; the rest are ordinary page views.
+const touchpointSchema = new mongoose.Schema({
+  visitorId: {
+    type: String,
+    required: [true, 'Visitor ID is required'],
+    trim: true
+  },
+  sessionId: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: TOUCHPOINT_TYPES,
+    required: true
+  },
+  isEntry: {
+    type: Boolean,
+    default: false
+  },
+  // Channel the touch came through
+  source: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  medium: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  campaign: {
+    type: String,
+    trim: true
+  },
+  content: {
+    type: String,
+    trim: true
+  },
+  term: {
+    type: String,
+    trim: true
+  },
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner'
+  },
+  partnerCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  referralClick: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReferralClick'
+  },
+  page: {
+    type: String,
+    trim: true
+  },
+  referrer: {
+    type: String,
+    trim: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Filled in when the visitor submits an inquiry or books a tour
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  linkedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for journeys and attribution reports
+touchpointSchema.index({ visitorId: 1, occurredAt: -1 });
+touchpointSchema.index({ contact: 1, isEntry: 1, occurredAt: 1 });
+
+// Static method to get the most recent touch for a visitor
+touchpointSchema.statics.findLatestForVisitor = function(visitorId, filter = {}) {
+  return this.findOne({ visitorId, ...filter }).sort({ occurredAt: -1 });
+};
+
+// Prevent model overwrite error
+const Touchpoint = mongoose.models.Touchpoint || mongoose.model('Touchpoint', touchpointSchema);
+export default Touchpoint;
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const tourSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: [true, 'Contact is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Tour start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'Tour end time is required']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled', 'completed', 'no_show'],
+    default: 'scheduled'
+  },
+  source: {
+    type: String,
+    enum: ['self_service', 'admin'],
+    default: 'self_service'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  reminderSentAt: {
+    type: Date
+  },
+  rescheduleHistory: [{
+    startsAt: Date,
+    endsAt: Date,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: String,
+      enum: ['client', 'admin'],
+      default: 'client'
+    }
+  }],
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Cancel reason cannot exceed 200 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for slot lookups and reminders
+tourSchema.index({ startsAt: 1, status: 1 });
+tourSchema.index({ contact: 1, startsAt: -1 });
+tourSchema.index({ status: 1, reminderSentAt: 1, startsAt: 1 });
+// Two clients can never hold the same slot
+tourSchema.index(
+  { startsAt: 1 },
+  { unique: true, partialFilterExpression: { status: 'scheduled' } }
+);
+
+// Static method to find scheduled tours overlapping a time range
+tourSchema.statics.findOverlapping = function(start, end, excludeId = null) {
+  return this.find({
+    status: 'scheduled',
+    startsAt: { $lt: end },
+    endsAt: { $gt: start },
+    ...(excludeId && { _id: { $ne: excludeId } })
+  });
+};
+
+// Static method to find tours due a reminder
+tourSchema.statics.findDueReminders = function(reminderHours) {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + reminderHours * 60 * 60 * 1000);
+
+  return this.find({
+    status: 'scheduled',
+    reminderSentAt: { $exists: false },
+    startsAt: { $gt: now, $lte: horizon }
+  }).populate('contact', 'name email phone');
+};
+
+// Prevent model overwrite error
+const Tour = mongoose.models.Tour || mongoose.model('Tour', tourSchema);
+export default Tour;
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE } from '../utils/dateTime.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Recurring weekly window during which tours can be booked
+const tourWindowSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  daysOfWeek: {
+    type: [Number],
+    required: [true, 'At least one day of the week is required'],
+    validate: {
+      validator: function(days) {
+        return days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      },
+      message: 'Days of week must be integers from 0 (Sunday) to 6 (Saturday)'
+    }
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+    validate: {
+      validator: function(endTime) {
+        return !this.startTime || endTime > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  slotMinutes: {
+    type: Number,
+    min: [15, 'Slots must be at least 15 minutes'],
+    max: [240, 'Slots cannot exceed 240 minutes'],
+    default: 60
+  },
+  bufferMinutes: {
+    type: Number,
+    min: [0, 'Buffer cannot be negative'],
+    max: [120, 'Buffer cannot exceed 120 minutes'],
+    default: 15
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const blackoutDateSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Blackout date is required'],
+    match: [DATE_KEY_PATTERN, 'Date must be in YYYY-MM-DD format']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+});
+
+const tourScheduleSchema = new mongoose.Schema({
+  windows: [tourWindowSchema],
+  blackoutDates: [blackoutDateSchema],
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE
+  },
+  // How far ahead of a slot a client must book
+  minNoticeHours: {
+    type: Number,
+    min: 0,
+    default: 24
+  },
+  // How far into the future slots are offered
+  maxAdvanceDays: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 60
+  },
+  // Hours before a tour the reminder email goes out
+  reminderHours: {
+    type: Number,
+    min: 1,
+    max: 168,
+    default: 24
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Default availability: Tuesday-Saturday daytime, hour-long tours
+const DEFAULT_WINDOWS = [{
+  label: 'Weekday & Saturday tours',
+  daysOfWeek: [2, 3, 4, 5, 6],
+  startTime: '10:00',
+  endTime: '17:00',
+  slotMinutes: 60,
+  bufferMinutes: 15
+}];
+
+// Static method to get the schedule, creating the default on first use
+tourScheduleSchema.statics.getSchedule = async function() {
+  const schedule = await this.findOne();
+  if (schedule) return schedule;
+
+  return this.create({ windows: DEFAULT_WINDOWS });
+};
+
+// Method to check whether a date key is blacked out
+tourScheduleSchema.methods.isBlackedOut = function(dateKey) {
+  return this.blackoutDates.some(blackout => blackout.date === dateKey);
+};
+
+// Prevent model overwrite error
+const TourSchedule = mongoose.models.TourSchedule || mongoose.model('TourSchedule', tourScheduleSchema);
+export default TourSchedule;
@@ -12,8 +12,33 @@ import {
   updateContactStatus,
   deleteContactSubmission,
   getContactsByPartner,
-  updateContactLeadStatus
+  updateContactLeadStatus,
+  rescoreContactSubmissions,
+  getContactDuplicates,
+  mergeContactSubmissions,
+  undoContactSubmissionMerge
 } from '../controllers/contactController.js';
+import {
+  getContactActivities,
+  createContactActivity,
+  updateContactActivity,
+  deleteContactActivity,
+  validateActivity,
+  validateActivityUpdate
+} from '../controllers/activityController.js';
+import {
+  getPipelineStages,
+  createPipelineStage,
+  updatePipelineStage,
+  reorderPipelineStages,
+  deletePipelineStage,
+  getPipelineBoard,
+  updateContactStage,
+  validatePipelineStage,
+  validatePipelineStageUpdate,
+  validateStageOrder,
+  validateContactStage
+} from '../controllers/pipelineController.js';
 // NOTE: Review and Gallery admin functions are handled by their respective route files
 // /api/reviews/admin/* for review management
 // /api/gallery/admin/* for gallery management (to be created)
@@ -39,6 +64,10 @@ router.route('/admins/:id')
 router.route('/contacts')
   .get(getContactSubmissions);
 
+// Pipeline board and rescoring (before /contacts/:id so the paths are not read as ids)
+router.get('/contacts/pipeline', getPipelineBoard);
+router.post('/contacts/rescore', rescoreContactSubmissions);
+
 router.route('/contacts/:id')
   .get(getContactSubmission)
   .put(updateContactStatus)
@@ -47,6 +76,32 @@ router.route('/contacts/:id')
 // Partner-specific contact routes
 router.get('/contacts/by-partner', getContactsByPartner);
 router.put('/contacts/:id/status', updateContactLeadStatus);
+router.put('/contacts/:id/stage', validateContactStage, updateContactStage);
+
+// Duplicate detection and merging
+router.get('/contacts/:id/duplicates', getContactDuplicates);
+router.post('/contacts/:id/merge', mergeContactSubmissions);
+router.post('/contacts/merges/:mergeId/undo', undoContactSubmissionMerge);
+
+// Contact activity timeline
+router.route('/contacts/:id/activities')
+  .get(getContactActivities)
+  .post(validateActivity, createContactActivity);
+
+router.route('/contacts/:id/activities/:activityId')
+  .put(validateActivityUpdate, updateContactActivity)
+  .delete(deleteContactActivity);
+
+// Pipeline stage configuration
+router.route('/pipeline/stages')
+  .get(getPipelineStages)
+  .post(validatePipelineStage, createPipelineStage);
+
+router.put('/pipeline/stages/order', validateStageOrder, reorderPipelineStages);
+
+router.route('/pipeline/stages/:key')
+  .put(validatePipelineStageUpdate, updatePipelineStage)
+  .delete(deletePipelineStage);
 
 // Social Links Management
 router.put('/social-links', updateSocialLinks);
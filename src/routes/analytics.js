@@ -7,7 +7,9 @@ import {
   getDeviceAnalytics,
   trackPageView,
   getRealTimeStats,
-  exportAnalytics
+  exportAnalytics,
+  getAttributionReport,
+  getContactJourney
 } from '../controllers/analyticsController.js';
 import { protect, adminOnly } from '../middleware/auth.js';
 
@@ -29,7 +31,17 @@ const validatePageView = [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Session ID cannot exceed 100 characters')
+    .withMessage('Session ID cannot exceed 100 characters'),
+  body(['utmSource', 'utmMedium', 'utmCampaign', 'utmContent', 'utmTerm'])
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('UTM parameters cannot exceed 100 characters'),
+  body('refCode')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Referral code cannot exceed 20 characters')
 ];
 
 // Public routes
@@ -43,5 +55,7 @@ router.get('/pages', getPageAnalytics);
 router.get('/devices', getDeviceAnalytics);
 router.get('/realtime', getRealTimeStats);
 router.get('/export', exportAnalytics);
+router.get('/attribution', getAttributionReport);
+router.get('/attribution/contacts/:id', getContactJourney);
 
 export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getAvailability,
+  checkAvailability,
+  getCalendarEntries,
+  createHold,
+  updateHold,
+  releaseHold
+} from '../controllers/availabilityController.js';
+import { BOOKING_BLOCKS, BOOKING_STATUSES } from '../models/Booking.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation middleware
+const validateRange = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+const validateEntries = [
+  ...validateRange,
+  query('status')
+    .optional()
+    .isIn([...BOOKING_STATUSES, 'all'])
+    .withMessage('Invalid booking status')
+];
+
+const validateCheck = [
+  query('date')
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  query('timeBlock')
+    .optional()
+    .isIn(BOOKING_BLOCKS)
+    .withMessage('Invalid time block')
+];
+
+const validateHold = [
+  body('contactId')
+    .isMongoId()
+    .withMessage('Valid contact ID is required'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  body('timeBlock')
+    .optional()
+    .isIn(BOOKING_BLOCKS)
+    .withMessage('Invalid time block'),
+  body('holdDays')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Hold days must be between 1 and 90'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateHoldUpdate = [
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Public routes
+router.get('/', validateRange, getAvailability);
+router.get('/check', validateCheck, checkAvailability);
+
+// Admin routes
+router.use(protect, adminOnly);
+router.get('/admin/entries', validateEntries, getCalendarEntries);
+router.post('/admin/holds', validateHold, createHold);
+router.patch('/admin/holds/:id', validateHoldUpdate, updateHold);
+router.delete('/admin/holds/:id', releaseHold);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getCalendarFeed,
+  getFeedUrls,
+  rotateFeedToken,
+  downloadEvent
+} from '../controllers/calendarController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public subscription feeds (authorised by the secret token in the URL)
+router.get('/feed/:token/:type.ics', getCalendarFeed);
+
+// Admin routes
+router.use(protect, adminOnly);
+router.get('/admin/feeds', getFeedUrls);
+router.post('/admin/feeds/rotate', rotateFeedToken);
+router.get('/admin/events/:kind/:id.ics', downloadEvent);
+
+export default router;
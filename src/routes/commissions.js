@@ -0,0 +1,186 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+  getCommissionEntries,
+  getCommissionSummary,
+  createCommissionAdjustment,
+  approveCommissionEntries,
+  voidCommissionEntry,
+  clawBackCommissionEntry,
+  getPayoutRuns,
+  getPayoutRun,
+  createPayoutRun,
+  payPayoutRun,
+  cancelPayoutRun,
+  getPayoutRemittance
+} from '../controllers/commissionController.js';
+import { COMMISSION_CALCULATIONS, PARTNER_TYPES } from '../models/CommissionRule.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation middleware
+// Fields that are optional on both create and update
+const commissionRuleFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('partner')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid partner ID'),
+  body('partnerType')
+    .optional({ nullable: true })
+    .isIn(PARTNER_TYPES)
+    .withMessage(`Partner type must be one of: ${PARTNER_TYPES.join(', ')}`),
+  body('calculation')
+    .optional()
+    .isIn(COMMISSION_CALCULATIONS)
+    .withMessage(`Calculation must be one of: ${COMMISSION_CALCULATIONS.join(', ')}`),
+  body('tiers')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tiers must be a list of up to 10 entries'),
+  body('tiers.*.minBookings')
+    .isInt({ min: 1 })
+    .withMessage('Each tier needs a minimum booking count of at least 1'),
+  body('tiers.*.value')
+    .isFloat({ min: 0 })
+    .withMessage('Each tier needs a value of zero or more'),
+  body('tierPeriod')
+    .optional()
+    .isIn(['year', 'lifetime'])
+    .withMessage('Tier period must be year or lifetime'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be a whole number'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+];
+
+const validateCommissionRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Value must be zero or more'),
+  ...commissionRuleFields
+];
+
+const validateCommissionRuleUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be zero or more'),
+  ...commissionRuleFields
+];
+
+const validateAdjustment = [
+  body('partner')
+    .isMongoId()
+    .withMessage('A valid partner ID is required'),
+  body('contact')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid contact ID'),
+  body('amount')
+    .isFloat()
+    .custom(value => parseFloat(value) !== 0)
+    .withMessage('Amount must be a non-zero number'),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A description of up to 500 characters is required')
+];
+
+const validateApprove = [
+  body('ids')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Select between 1 and 500 entries'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid entry ID')
+];
+
+const validateReason = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const validatePayoutRun = [
+  body('partner')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid partner ID'),
+  body('periodEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('Period end must be a valid date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const validatePayoutPaid = [
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Paid at must be a valid date'),
+  body('references')
+    .optional()
+    .isObject()
+    .withMessage('References must map partner IDs to payment references')
+];
+
+// All commission routes are admin only
+router.use(protect, adminOnly);
+
+router.route('/rules')
+  .get(getCommissionRules)
+  .post(validateCommissionRule, createCommissionRule);
+
+router.route('/rules/:id')
+  .put(validateCommissionRuleUpdate, updateCommissionRule)
+  .delete(deleteCommissionRule);
+
+router.get('/summary', getCommissionSummary);
+
+router.route('/entries')
+  .get(getCommissionEntries)
+  .post(validateAdjustment, createCommissionAdjustment);
+
+router.post('/entries/approve', validateApprove, approveCommissionEntries);
+router.post('/entries/:id/void', validateReason, voidCommissionEntry);
+router.post('/entries/:id/clawback', validateReason, clawBackCommissionEntry);
+
+router.route('/payout-runs')
+  .get(getPayoutRuns)
+  .post(validatePayoutRun, createPayoutRun);
+
+router.get('/payout-runs/:id', getPayoutRun);
+router.get('/payout-runs/:id/remittance', getPayoutRemittance);
+router.post('/payout-runs/:id/paid', validatePayoutPaid, payPayoutRun);
+router.post('/payout-runs/:id/cancel', cancelPayoutRun);
+
+export default router;
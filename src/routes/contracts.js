@@ -0,0 +1,126 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body } from 'express-validator';
+import {
+  getContracts,
+  getContract,
+  createContract,
+  updateContract,
+  sendContract,
+  countersignContract,
+  voidContract,
+  getPublicContract,
+  getPublicContractPdf,
+  signContract
+} from '../controllers/contractController.js';
+import { BOOKING_BLOCKS } from '../models/Booking.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate limiting for public signatures
+const signLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 signing attempts per windowMs
+  message: {
+    status: 'error',
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Drawn signatures arrive as PNG data URLs; ~500KB is plenty for a signature pad
+const MAX_SIGNATURE_LENGTH = 500000;
+
+// Validation middleware
+const contractFields = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Title must be between 2 and 100 characters'),
+  body('timeBlock')
+    .optional()
+    .isIn(BOOKING_BLOCKS)
+    .withMessage(`Time block must be one of: ${BOOKING_BLOCKS.join(', ')}`),
+  body('clauses')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Clauses must be a list of 1 to 50 entries'),
+  body('clauses.*.heading')
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Each clause needs a heading'),
+  body('clauses.*.body')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Each clause needs text (max 5000 characters)')
+];
+
+const validateCreateContract = [
+  body('quote')
+    .isMongoId()
+    .withMessage('A valid quote ID is required'),
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive whole number'),
+  ...contractFields
+];
+
+const validateSignature = (required) => [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Please type your full name'),
+  (required ? body('signature') : body('signature').optional())
+    .isString()
+    .isLength({ max: MAX_SIGNATURE_LENGTH })
+    .matches(/^data:image\/png;base64,/)
+    .withMessage('Please draw your signature')
+];
+
+const validateClientSignature = [
+  ...validateSignature(true),
+  body('agree')
+    .equals('true')
+    .withMessage('Please confirm you agree to the terms'),
+  body('contentHash')
+    .exists({ checkFalsy: true })
+    .withMessage('Please reload the contract before signing')
+    .bail()
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid contract fingerprint')
+];
+
+const validateVoid = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Public routes
+router.get('/public/:token', getPublicContract);
+router.get('/public/:token/pdf', getPublicContractPdf);
+router.post('/public/:token/sign', signLimit, validateClientSignature, signContract);
+
+// Admin routes
+router.use(protect, adminOnly);
+
+router.route('/admin')
+  .get(getContracts)
+  .post(validateCreateContract, createContract);
+
+router.route('/admin/:id')
+  .get(getContract)
+  .put(contractFields, updateContract);
+
+router.post('/admin/:id/send', sendContract);
+router.post('/admin/:id/countersign', validateSignature(false), countersignContract);
+router.post('/admin/:id/void', validateVoid, voidContract);
+
+export default router;
@@ -0,0 +1,90 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body } from 'express-validator';
+import {
+  getDocuments,
+  createQuoteDocument,
+  createInvoiceDocument,
+  createContractDocument,
+  downloadDocument,
+  getDocumentLink,
+  downloadPublicDocument
+} from '../controllers/documentController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate limiting for signed client downloads
+const downloadLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 downloads per windowMs
+  message: {
+    status: 'error',
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation middleware
+const validateVersion = [
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive whole number')
+];
+
+const validateFromQuote = [
+  body('quote')
+    .isMongoId()
+    .withMessage('A valid quote ID is required'),
+  ...validateVersion
+];
+
+const validateInvoice = [
+  ...validateFromQuote,
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('amountPaid')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount paid must be a positive number'),
+  body(['notes', 'paymentInstructions'])
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+];
+
+const validateContract = [
+  ...validateFromQuote,
+  body('clauses')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Clauses must be an array'),
+  body('clauses.*.heading')
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Each clause needs a heading'),
+  body('clauses.*.body')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Each clause needs text (max 5000 characters)')
+];
+
+// Public routes
+router.get('/public/:token', downloadLimit, downloadPublicDocument);
+
+// Admin routes
+router.use(protect, adminOnly);
+
+router.get('/admin', getDocuments);
+router.post('/admin/quotes/:quoteId', validateVersion, createQuoteDocument);
+router.post('/admin/invoices', validateInvoice, createInvoiceDocument);
+router.post('/admin/contracts', validateContract, createContractDocument);
+router.get('/admin/:id/download', downloadDocument);
+router.get('/admin/:id/link', getDocumentLink);
+
+export default router;
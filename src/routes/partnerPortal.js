@@ -0,0 +1,76 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body } from 'express-validator';
+import {
+  requestLoginLink,
+  verifyLoginLink,
+  logoutPartner,
+  getPartnerMe,
+  getPartnerLeads,
+  getPartnerTours,
+  getPartnerBookings,
+  getPartnerCommissions,
+  getPartnerLinks,
+  unsubscribeStatements,
+  updatePartnerPreferences
+} from '../controllers/partnerPortalController.js';
+import { protectPartner } from '../middleware/partnerAuth.js';
+
+const router = express.Router();
+
+// Rate limiting for sign-in link requests
+const loginLinkLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 link requests per windowMs
+  message: {
+    status: 'error',
+    message: 'Too many sign-in requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation middleware
+const validateLinkRequest = [
+  // Partner emails are stored trimmed and lowercased, so match them the same
+  // way (normalizeEmail would also drop Gmail dots and +tags)
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .toLowerCase()
+];
+
+const validateLinkToken = [
+  body('token')
+    .isString()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('A sign-in token is required')
+];
+
+const validatePreferences = [
+  body('monthlyStatements')
+    .optional()
+    .isBoolean()
+    .withMessage('monthlyStatements must be true or false')
+    .toBoolean()
+];
+
+// Public routes
+router.post('/auth/request-link', loginLinkLimit, validateLinkRequest, requestLoginLink);
+router.post('/auth/verify', loginLinkLimit, validateLinkToken, verifyLoginLink);
+router.get('/statements/unsubscribe', unsubscribeStatements);
+
+// Partner routes (partner sessions only; admin tokens are not accepted here)
+router.use(protectPartner);
+
+router.post('/auth/logout', logoutPartner);
+router.get('/me', getPartnerMe);
+router.get('/leads', getPartnerLeads);
+router.get('/tours', getPartnerTours);
+router.get('/bookings', getPartnerBookings);
+router.get('/commissions', getPartnerCommissions);
+router.get('/links', getPartnerLinks);
+router.put('/preferences', validatePreferences, updatePartnerPreferences);
+
+export default router;
@@ -1,10 +1,14 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { body, param, query } from 'express-validator';
+import { protect, adminOnly, optionalAuth } from '../middleware/auth.js';
 import {
   lookupPartner,
   generatePartnerQR,
+  generatePartnerQrKit,
   createPartner,
+  approvePartner,
+  rejectPartner,
   getPartners,
   getPartner,
   updatePartner,
@@ -12,6 +16,13 @@ import {
   getPartnerContacts,
   getPartnerAnalytics
 } from '../controllers/partnerController.js';
+import {
+  getStatements,
+  runStatements,
+  getPartnerStatements,
+  previewPartnerStatement,
+  sendStatement
+} from '../controllers/partnerStatementController.js';
 
 const router = express.Router();
 
@@ -34,7 +45,21 @@ const partnerCreationLimit = rateLimit({
   message: {
     status: 'error',
     message: 'Too many partner creation attempts, please try again later.'
-  }
+  },
+  // Admins adding partners directly aren't applicants
+  skip: (req) => ['admin', 'super_admin'].includes(req.admin?.role)
+});
+
+// A kit renders dozens of codes, so downloads are limited separately
+const qrKitLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  message: {
+    status: 'error',
+    message: 'Too many QR kit downloads, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
 });
 
 // Validation middleware for partner data
@@ -78,12 +103,31 @@ const validatePartnerData = (req, res, next) => {
   next();
 };
 
+const validateStatementMonth = (location) => location('month')
+  .optional()
+  .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+  .withMessage('Month must be in YYYY-MM format');
+
+const validatePartnerId = param('id')
+  .isMongoId()
+  .withMessage('Invalid partner ID');
+
+const validateStatementPreview = [
+  validatePartnerId,
+  validateStatementMonth(query),
+  query('format')
+    .optional()
+    .isIn(['json', 'html', 'pdf'])
+    .withMessage('Format must be one of: json, html, pdf')
+];
+
 // Public routes (no authentication required)
 router.get('/lookup/:code', publicLimit, lookupPartner);
 router.get('/qr/:code', publicLimit, generatePartnerQR);
+router.get('/qr/:code/kit', publicLimit, qrKitLimit, generatePartnerQrKit);
 
-// Partner application route (public but rate limited)
-router.post('/', publicLimit, partnerCreationLimit, validatePartnerData, createPartner);
+// Partner application route (public but rate limited; admins create approved partners)
+router.post('/', optionalAuth, publicLimit, partnerCreationLimit, validatePartnerData, createPartner);
 
 // Admin routes (require authentication and admin privileges)
 router.use(protect, adminOnly); // Apply to all routes below
@@ -91,9 +135,16 @@ router.use(protect, adminOnly); // Apply to all routes below
 // Partner management routes
 router.get('/', getPartners);
 router.get('/analytics', getPartnerAnalytics);
+router.get('/statements', validateStatementMonth(query), getStatements);
+router.post('/statements/run', validateStatementMonth(body), runStatements);
 router.get('/:id', getPartner);
 router.put('/:id', validatePartnerData, updatePartner);
+router.put('/:id/approve', approvePartner);
+router.put('/:id/reject', rejectPartner);
 router.delete('/:id', deletePartner);
+router.get('/:id/statements', validatePartnerId, getPartnerStatements);
+router.get('/:id/statements/preview', validateStatementPreview, previewPartnerStatement);
+router.post('/:id/statements/send', validatePartnerId, validateStatementMonth(body), sendStatement);
 
 // Partner contacts routes
 router.get('/:code/contacts', getPartnerContacts);
@@ -0,0 +1,198 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body } from 'express-validator';
+import {
+  getPaymentSchedules,
+  getPaymentSummary,
+  getPaymentSchedule,
+  createPaymentSchedule,
+  updatePaymentSchedule,
+  recordPayment,
+  deletePayment,
+  recordRefund,
+  getPaymentLink
+} from '../controllers/paymentController.js';
+import {
+  getPublicSchedule,
+  createPublicCheckout,
+  handlePaymentWebhook,
+  getPaymentEvents,
+  showFakeCheckout,
+  submitFakeCheckout
+} from '../controllers/checkoutController.js';
+import { PAYMENT_METHODS, INSTALLMENT_KINDS } from '../models/PaymentSchedule.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate limiting for client checkouts
+const checkoutLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 checkouts per windowMs
+  message: {
+    status: 'error',
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation middleware
+const validateInstallments = [
+  body('installments')
+    .optional()
+    .isArray({ min: 1, max: 24 })
+    .withMessage('Installments must be a list of 1 to 24 entries'),
+  body('installments.*.label')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each installment needs a label'),
+  body('installments.*.kind')
+    .optional()
+    .isIn(INSTALLMENT_KINDS)
+    .withMessage(`Installment kind must be one of: ${INSTALLMENT_KINDS.join(', ')}`),
+  body('installments.*.dueDate')
+    .isISO8601()
+    .withMessage('Each installment needs a valid due date'),
+  body('installments.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Each installment needs a positive amount'),
+  body('installments.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid installment ID'),
+  body('totalAmount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Total amount must be positive'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const validateCreateSchedule = [
+  body('booking')
+    .isMongoId()
+    .withMessage('A valid booking ID is required'),
+  body('quote')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid quote ID'),
+  body('plan.retainerPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Retainer percent must be between 0 and 100'),
+  body('plan.installmentCount')
+    .optional()
+    .isInt({ min: 0, max: 12 })
+    .withMessage('Installment count must be between 0 and 12'),
+  body('plan.finalDueDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Final due days must be between 0 and 365'),
+  ...validateInstallments
+];
+
+const validateUpdateSchedule = [
+  ...validateInstallments,
+  body('cancelled')
+    .optional()
+    .isBoolean()
+    .withMessage('Cancelled must be true or false')
+];
+
+const validatePayment = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be positive'),
+  body('method')
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Paid at must be a valid date'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  body('sendReceipt')
+    .optional()
+    .isBoolean()
+    .withMessage('Send receipt must be true or false')
+];
+
+const validateRefund = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be positive'),
+  body('payment')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid payment ID'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('refundedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Refunded at must be a valid date'),
+  body('viaProvider')
+    .optional()
+    .isBoolean()
+    .withMessage('Via provider must be true or false')
+];
+
+const validateCheckout = [
+  body('installment')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid installment ID')
+];
+
+// Provider webhooks (raw body, see server.js)
+router.post('/webhooks/:provider', handlePaymentWebhook);
+
+// Public routes
+router.get('/public/:token', getPublicSchedule);
+router.post('/public/:token/checkout', checkoutLimit, validateCheckout, createPublicCheckout);
+
+// Local fake gateway checkout page
+router.get('/fake/checkout', showFakeCheckout);
+router.post('/fake/checkout/complete', submitFakeCheckout);
+
+// Admin routes
+router.use(protect, adminOnly);
+
+router.get('/admin/summary', getPaymentSummary);
+router.get('/admin/events', getPaymentEvents);
+
+router.route('/admin/schedules')
+  .get(getPaymentSchedules)
+  .post(validateCreateSchedule, createPaymentSchedule);
+
+router.route('/admin/schedules/:id')
+  .get(getPaymentSchedule)
+  .put(validateUpdateSchedule, updatePaymentSchedule);
+
+router.get('/admin/schedules/:id/link', getPaymentLink);
+router.post('/admin/schedules/:id/payments', validatePayment, recordPayment);
+router.delete('/admin/schedules/:id/payments/:paymentId', deletePayment);
+router.post('/admin/schedules/:id/refunds', validateRefund, recordRefund);
+
+export default router;
@@ -0,0 +1,297 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body } from 'express-validator';
+import {
+  getPublicCatalog,
+  getCatalogItems,
+  createCatalogItem,
+  updateCatalogItem,
+  deleteCatalogItem,
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule
+} from '../controllers/catalogController.js';
+import {
+  previewQuote,
+  getQuotes,
+  getQuote,
+  createQuote,
+  createQuoteVersion,
+  sendQuote,
+  deleteQuote,
+  getPublicQuote,
+  acceptQuote,
+  declineQuote
+} from '../controllers/quoteController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate limiting for public quote responses
+const responseLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 responses per windowMs
+  message: {
+    status: 'error',
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation middleware
+// Fields that are optional on both create and update
+const catalogItemFields = [
+  body('pricingType')
+    .optional()
+    .isIn(['flat', 'per_guest', 'per_hour'])
+    .withMessage('Pricing type must be flat, per_guest or per_hour'),
+  body(['defaultHours', 'includedGuests', 'minGuests', 'maxGuests', 'sortOrder'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Must be a positive number'),
+  body(['taxable', 'active'])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be true or false'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category cannot exceed 50 characters')
+];
+
+const validateCatalogItem = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('code')
+    .trim()
+    .matches(/^[a-z0-9][a-z0-9-]{1,49}$/i)
+    .withMessage('Code must be letters, numbers and dashes'),
+  body('kind')
+    .isIn(['package', 'addon'])
+    .withMessage('Kind must be package or addon'),
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  ...catalogItemFields
+];
+
+const validateCatalogItemUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('kind')
+    .optional()
+    .isIn(['package', 'addon'])
+    .withMessage('Kind must be package or addon'),
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
+  ...catalogItemFields
+];
+
+// Fields that are optional on both create and update
+const pricingRuleFields = [
+  body('appliesTo')
+    .optional()
+    .isIn(['all', 'package', 'addon', 'items'])
+    .withMessage('Applies to must be all, package, addon or items'),
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be a list of catalog item IDs'),
+  body('items.*')
+    .isMongoId()
+    .withMessage('Invalid catalog item ID'),
+  body('daysOfWeek')
+    .optional()
+    .isArray()
+    .withMessage('Days of week must be an array'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+  body(['seasonStart', 'seasonEnd'])
+    .optional({ nullable: true })
+    .matches(/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/)
+    .withMessage('Season bounds must be in MM-DD format'),
+  body('adjustmentType')
+    .optional()
+    .isIn(['percent', 'amount'])
+    .withMessage('Adjustment type must be percent or amount'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be a whole number'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+];
+
+const validatePricingRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('adjustmentValue')
+    .isFloat()
+    .withMessage('Adjustment value must be a number'),
+  ...pricingRuleFields
+];
+
+const validatePricingRuleUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('adjustmentValue')
+    .optional()
+    .isFloat()
+    .withMessage('Adjustment value must be a number'),
+  ...pricingRuleFields
+];
+
+const validateQuoteInput = [
+  body('eventDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid event date'),
+  body('guestCount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Guest count must be at least 1'),
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+  body('items.*.item')
+    .isMongoId()
+    .withMessage('Each item needs a catalog item ID'),
+  body(['items.*.quantity', 'items.*.unitPrice'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Quantities and prices must be positive numbers'),
+  body('customItems')
+    .optional()
+    .isArray()
+    .withMessage('Custom items must be an array'),
+  body('customItems.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each custom item needs a name'),
+  body('customItems.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Each custom item needs a price'),
+  body('customItems.*.quantity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Quantity must be a positive number'),
+  body('discounts')
+    .optional()
+    .isArray()
+    .withMessage('Discounts must be an array'),
+  body('discounts.*.label')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each discount needs a label'),
+  body('discounts.*.type')
+    .optional()
+    .isIn(['percent', 'amount'])
+    .withMessage('Discount type must be percent or amount'),
+  body('discounts.*.value')
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+  body('taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Tax rate must be a fraction between 0 and 1'),
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid until must be a valid date'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Title cannot exceed 150 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+];
+
+const validateCreateQuote = [
+  body('contact')
+    .isMongoId()
+    .withMessage('A valid contact ID is required'),
+  ...validateQuoteInput
+];
+
+const validateAccept = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Please type your full name to accept')
+];
+
+const validateDecline = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters')
+];
+
+// Public routes
+router.get('/catalog', getPublicCatalog);
+router.get('/public/:token', getPublicQuote);
+router.post('/public/:token/accept', responseLimit, validateAccept, acceptQuote);
+router.post('/public/:token/decline', responseLimit, validateDecline, declineQuote);
+
+// Admin routes
+router.use(protect, adminOnly);
+
+router.route('/admin/catalog')
+  .get(getCatalogItems)
+  .post(validateCatalogItem, createCatalogItem);
+
+router.route('/admin/catalog/:id')
+  .put(validateCatalogItemUpdate, updateCatalogItem)
+  .delete(deleteCatalogItem);
+
+router.route('/admin/pricing-rules')
+  .get(getPricingRules)
+  .post(validatePricingRule, createPricingRule);
+
+router.route('/admin/pricing-rules/:id')
+  .put(validatePricingRuleUpdate, updatePricingRule)
+  .delete(deletePricingRule);
+
+router.post('/admin/preview', validateQuoteInput, previewQuote);
+
+router.route('/admin')
+  .get(getQuotes)
+  .post(validateCreateQuote, createQuote);
+
+router.route('/admin/:id')
+  .get(getQuote)
+  .delete(deleteQuote);
+
+router.post('/admin/:id/versions', validateQuoteInput, createQuoteVersion);
+router.post('/admin/:id/send', sendQuote);
+
+export default router;
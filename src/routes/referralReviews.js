@@ -0,0 +1,42 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getReferralReviews,
+  approveReferralReview,
+  rejectReferralReview
+} from '../controllers/referralReviewController.js';
+import { REFERRAL_REVIEW_STATUSES, REFERRAL_FLAG_RULES } from '../models/Contact.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation middleware
+const validateList = [
+  query('status')
+    .optional()
+    .isIn([...REFERRAL_REVIEW_STATUSES, 'all'])
+    .withMessage(`Status must be one of: ${REFERRAL_REVIEW_STATUSES.join(', ')}, all`),
+  query('rule')
+    .optional()
+    .isIn(REFERRAL_FLAG_RULES)
+    .withMessage(`Rule must be one of: ${REFERRAL_FLAG_RULES.join(', ')}`)
+];
+
+const validateDecision = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid contact ID'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Admin routes
+router.use(protect, adminOnly);
+router.get('/', validateList, getReferralReviews);
+router.put('/:id/approve', validateDecision, approveReferralReview);
+router.put('/:id/reject', validateDecision, rejectReferralReview);
+
+export default router;
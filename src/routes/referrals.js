@@ -0,0 +1,9 @@
+import express from 'express';
+import { followReferralLink } from '../controllers/referralController.js';
+
+const router = express.Router();
+
+// Partner short links, e.g. /r/TWBFL-JANE123/weddings
+router.get('/:code/:slug?', followReferralLink);
+
+export default router;
@@ -1,19 +1,45 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import { body } from 'express-validator';
 import {
   getReviews,
   getReview,
   createReview,
+  getReviewInvitation,
+  getStructuredData,
   getAdminReviews,
   updateReviewStatus,
   deleteReview,
   getReviewStats,
-  bulkUpdateReviews
+  bulkUpdateReviews,
+  createReviewResponse,
+  updateReviewResponse,
+  deleteReviewResponse,
+  checkPhotoUploadAccess,
+  uploadReviewPhotos,
+  updateReviewPhoto,
+  getReviewPhotoFile,
+  promoteReviewPhotoToGallery,
+  importReviews
 } from '../controllers/reviewController.js';
 import { protect, adminOnly } from '../middleware/auth.js';
+import { uploadMultiple, processImages, uploadJsonFile } from '../middleware/upload.js';
+import { MAX_REVIEW_PHOTOS, REVIEW_PHOTO_STATUSES, EXTERNAL_REVIEW_SOURCES } from '../models/Review.js';
 
 const router = express.Router();
 
+// Rate limiting for guest photo uploads
+const photoUploadLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 upload requests per hour
+  message: {
+    status: 'error',
+    message: 'Too many photo uploads, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Validation middleware
 const validateReview = [
   body('clientName')
@@ -53,7 +79,12 @@ const validateReview = [
     .optional()
     .trim()
     .isLength({ max: 200 })
-    .withMessage('Photo alt text cannot exceed 200 characters')
+    .withMessage('Photo alt text cannot exceed 200 characters'),
+  body('invitationToken')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Invalid review link')
 ];
 
 const validateStatusUpdate = [
@@ -72,6 +103,70 @@ const validateStatusUpdate = [
     .withMessage('Admin notes cannot exceed 500 characters')
 ];
 
+const validateResponse = [
+  body('body')
+    .trim()
+    .isLength({ min: 2, max: 2000 })
+    .withMessage('Response must be between 2 and 2000 characters'),
+  body('notifyReviewer')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyReviewer must be a boolean')
+    .toBoolean()
+];
+
+const validatePhotoUpload = [
+  body('captions')
+    .optional()
+    .custom(value => [].concat(value).every(caption => typeof caption === 'string' && caption.length <= 300))
+    .withMessage('Captions cannot exceed 300 characters')
+];
+
+const validatePhotoUpdate = [
+  body('status')
+    .optional()
+    .isIn(REVIEW_PHOTO_STATUSES)
+    .withMessage('Invalid photo status'),
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Caption cannot exceed 300 characters')
+];
+
+const validatePhotoPromotion = [
+  body('category')
+    .optional()
+    .isIn(['weddings', 'ceremonies', 'receptions', 'venue', 'gardens', 'general'])
+    .withMessage('Invalid gallery category'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  body('alt')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Alt text cannot exceed 200 characters')
+];
+
+const validateImport = [
+  body('source')
+    .optional()
+    .isIn(EXTERNAL_REVIEW_SOURCES)
+    .withMessage(`Source must be one of: ${EXTERNAL_REVIEW_SOURCES.join(', ')}`),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  body('status')
+    .optional()
+    .isIn(['pending', 'approved'])
+    .withMessage('Imported reviews can be pending or approved')
+];
+
 const validateBulkUpdate = [
   body('reviewIds')
     .isArray({ min: 1 })
@@ -95,15 +190,33 @@ const validateBulkUpdate = [
 
 // Public routes
 router.get('/', getReviews);
+router.get('/structured-data', getStructuredData);
+router.get('/invitation/:token', getReviewInvitation);
 router.get('/:id', getReview);
 router.post('/', validateReview, createReview);
+router.post(
+  '/:id/photos',
+  photoUploadLimit,
+  checkPhotoUploadAccess,
+  uploadMultiple('photos', MAX_REVIEW_PHOTOS),
+  processImages,
+  validatePhotoUpload,
+  uploadReviewPhotos
+);
 
 // Admin routes
 router.use(protect, adminOnly);
 router.get('/admin/all', getAdminReviews);
 router.get('/admin/stats', getReviewStats);
 router.patch('/admin/bulk', validateBulkUpdate, bulkUpdateReviews);
+router.post('/admin/import', uploadJsonFile('file'), validateImport, importReviews);
 router.patch('/admin/:id', validateStatusUpdate, updateReviewStatus);
 router.delete('/admin/:id', deleteReview);
+router.post('/admin/:id/response', validateResponse, createReviewResponse);
+router.put('/admin/:id/response', validateResponse, updateReviewResponse);
+router.delete('/admin/:id/response', deleteReviewResponse);
+router.get('/admin/:id/photos/:photoId/file', getReviewPhotoFile);
+router.patch('/admin/:id/photos/:photoId', validatePhotoUpdate, updateReviewPhoto);
+router.post('/admin/:id/photos/:photoId/gallery', validatePhotoPromotion, promoteReviewPhotoToGallery);
 
 export default router;
@@ -11,6 +11,7 @@ import {
   exportSettings,
   importSettings
 } from '../controllers/settingsController.js';
+import { SETTINGS_CATEGORIES } from '../models/Settings.js';
 import { protect, adminOnly } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -34,7 +35,7 @@ const validateSingleSettingUpdate = [
 const validateReset = [
   body('category')
     .optional()
-    .isIn(['general', 'email', 'security', 'notifications', 'backup', 'analytics'])
+    .isIn(SETTINGS_CATEGORIES)
     .withMessage('Invalid category')
 ];
 
@@ -47,7 +48,7 @@ const validateImport = [
     .isBoolean()
     .withMessage('Overwrite must be a boolean'),
   body('settings.*.category')
-    .isIn(['general', 'email', 'security', 'notifications', 'backup', 'analytics'])
+    .isIn(SETTINGS_CATEGORIES)
     .withMessage('Invalid category'),
   body('settings.*.key')
     .trim()
@@ -0,0 +1,178 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body, query } from 'express-validator';
+import {
+  getTourSlots,
+  bookTour,
+  getManagedTour,
+  rescheduleTour,
+  cancelTour,
+  getTours,
+  updateTourStatus,
+  getTourSchedule,
+  updateTourSchedule,
+  addBlackoutDate,
+  removeBlackoutDate
+} from '../controllers/tourController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate limiting for public booking (more restrictive)
+const bookingLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 booking changes per hour
+  message: {
+    status: 'error',
+    message: 'Too many tour booking attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation middleware
+const validateSlotQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+const validateBooking = [
+  body('startsAt')
+    .isISO8601()
+    .withMessage('Please choose a tour time'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Phone number cannot exceed 20 characters'),
+  body('eventType')
+    .optional()
+    .isIn(['wedding', 'corporate', 'shower', 'family', 'other'])
+    .withMessage('Invalid event type'),
+  body('eventDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid event date'),
+  body('guestCount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Guest count must be at least 1'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters'),
+  body('refCode')
+    .optional()
+    .trim()
+    .matches(/^TWBFL-[A-Z0-9]{4,10}$/)
+    .withMessage('Invalid referral code format')
+];
+
+const validateReschedule = [
+  body('startsAt')
+    .isISO8601()
+    .withMessage('Please choose a new tour time')
+];
+
+const validateStatusUpdate = [
+  body('status')
+    .optional()
+    .isIn(['scheduled', 'cancelled', 'completed', 'no_show'])
+    .withMessage('Invalid status'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateSchedule = [
+  body('windows')
+    .optional()
+    .isArray()
+    .withMessage('Windows must be an array'),
+  body('windows.*.daysOfWeek')
+    .isArray({ min: 1 })
+    .withMessage('Each window needs at least one day of the week'),
+  body('windows.*.startTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be in HH:mm format'),
+  body('windows.*.endTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('End time must be in HH:mm format'),
+  body('windows.*.slotMinutes')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage('Slot length must be between 15 and 240 minutes'),
+  body('windows.*.bufferMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Buffer must be between 0 and 120 minutes'),
+  body('timezone')
+    .optional()
+    .custom(value => {
+      try {
+        Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+      } catch (error) {
+        throw new Error('Invalid timezone');
+      }
+    }),
+  body('minNoticeHours')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Minimum notice must be a positive number of hours'),
+  body('maxAdvanceDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Advance window must be between 1 and 365 days'),
+  body('reminderHours')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Reminder lead time must be between 1 and 168 hours')
+];
+
+const validateBlackout = [
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+// Public routes
+router.get('/slots', validateSlotQuery, getTourSlots);
+router.post('/book', bookingLimit, validateBooking, bookTour);
+router.get('/manage/:token', getManagedTour);
+router.put('/manage/:token', bookingLimit, validateReschedule, rescheduleTour);
+router.delete('/manage/:token', bookingLimit, cancelTour);
+
+// Admin routes
+router.use(protect, adminOnly);
+router.get('/admin', getTours);
+router.get('/admin/schedule', getTourSchedule);
+router.put('/admin/schedule', validateSchedule, updateTourSchedule);
+router.post('/admin/schedule/blackouts', validateBlackout, addBlackoutDate);
+router.delete('/admin/schedule/blackouts/:blackoutId', removeBlackoutDate);
+router.patch('/admin/:id', validateStatusUpdate, updateTourStatus);
+
+export default router;
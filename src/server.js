@@ -10,6 +10,8 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import connectDB from './config/database.js';
 import errorHandler from './middleware/errorHandler.js';
+import { startJobs } from './jobs/index.js';
+import { moveLegacyDocuments } from './utils/documents.js';
 
 // Import routes
 import contactRoutes from './routes/contact.js';
@@ -22,6 +24,17 @@ import reviewRoutes from './routes/reviews.js';
 import analyticsRoutes from './routes/analytics.js';
 import settingsRoutes from './routes/settings.js';
 import partnerRoutes from './routes/partners.js';
+import availabilityRoutes from './routes/availability.js';
+import calendarRoutes from './routes/calendar.js';
+import tourRoutes from './routes/tours.js';
+import quoteRoutes from './routes/quotes.js';
+import documentRoutes from './routes/documents.js';
+import paymentRoutes from './routes/payments.js';
+import contractRoutes from './routes/contracts.js';
+import commissionRoutes from './routes/commissions.js';
+import partnerPortalRoutes from './routes/partnerPortal.js';
+import referralRoutes from './routes/referrals.js';
+import referralReviewRoutes from './routes/referralReviews.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -31,8 +44,10 @@ const rootDir = path.resolve(__dirname, '..');
 // Load environment variables
 dotenv.config();
 
-// Connect to database
-connectDB();
+// Connect to database (tests stub the models instead)
+if (process.env.NODE_ENV !== 'test') {
+  connectDB();
+}
 
 const app = express();
 
@@ -106,7 +121,7 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Review-Token'],
   exposedHeaders: ['Content-Range', 'X-Content-Range']
 }));
 
@@ -120,6 +135,9 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use('/api/payments/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -158,6 +176,16 @@ app.use('/api/reviews', reviewRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/partners', partnerRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/tours', tourRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/contracts', contractRoutes);
+app.use('/api/commissions', commissionRoutes);
+app.use('/api/partner-portal', partnerPortalRoutes);
+app.use('/api/referral-reviews', referralReviewRoutes);
 
 // Test route for uploads
 app.get('/test-uploads', (req, res) => {
@@ -168,6 +196,9 @@ app.get('/test-uploads', (req, res) => {
   });
 });
 
+// Partner short links
+app.use('/r', referralRoutes);
+
 // Handle undefined API routes
 app.all('/api/*', (req, res) => {
   res.status(404).json({
@@ -235,6 +266,14 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`Serving static files from: ${staticPath}`);
   });
 
+  // Background jobs (reminders, expiries)
+  startJobs();
+
+  // PDFs generated before documents moved out of the public uploads folder
+  moveLegacyDocuments()
+    .then(moved => moved > 0 && console.log(`Moved ${moved} document(s) out of uploads/`))
+    .catch(error => console.error('Error moving legacy documents:', error.message));
+
   // Handle unhandled promise rejections
   process.on('unhandledRejection', (err, promise) => {
     console.error(`Error: ${err.message}`);
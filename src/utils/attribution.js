@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import Settings, { defaultSettings } from '../models/Settings.js';
+import Touchpoint from '../models/Touchpoint.js';
+import Contact from '../models/Contact.js';
+import PaymentSchedule from '../models/PaymentSchedule.js';
+import Partner from '../models/Partner.js';
+
+export const VISITOR_COOKIE = 'twb_vid';
+export const ATTRIBUTION_MODELS = ['first_touch', 'last_touch', 'linear', 'time_decay'];
+export const ATTRIBUTION_DIMENSIONS = ['source', 'medium', 'campaign', 'partner'];
+
+const VISITOR_ID_PATTERN = /^[a-f0-9-]{36}$/;
+const VISITOR_COOKIE_DAYS = 365;
+const UTM_KEYS = ['source', 'medium', 'campaign', 'content', 'term'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A partner short link redirects straight to a tagged landing page; the page view
+// that follows within this long belongs to the click rather than being a new touch
+const CLICK_LANDING_MINUTES = 5;
+
+const SEARCH_ENGINES = /(?:^|\.)(google|bing|duckduckgo|yahoo|ecosia|baidu|yandex)\./;
+const SOCIAL_NETWORKS = /(?:^|\.)(facebook|instagram|pinterest|tiktok|linkedin|youtube|reddit|twitter|x)\.com$|^t\.co$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+const getAttributionSettings = async () => {
+  const attribution = await Settings.getByCategory('attribution');
+  const defaults = defaultSettings.attribution;
+  return {
+    lookbackDays: attribution.lookbackDays || defaults.lookbackDays.value,
+    halfLifeDays: attribution.timeDecayHalfLifeDays || defaults.timeDecayHalfLifeDays.value,
+    sessionTimeoutMinutes: attribution.sessionTimeoutMinutes || defaults.sessionTimeoutMinutes.value
+  };
+};
+
+// The anonymous visitor id from the cookie, or null
+export const getVisitorId = (req) => {
+  const visitorId = req.cookies?.[VISITOR_COOKIE];
+  return typeof visitorId === 'string' && VISITOR_ID_PATTERN.test(visitorId) ? visitorId : null;
+};
+
+// Read the visitor cookie, issuing a new id when there isn't one
+export const ensureVisitorId = (req, res) => {
+  const visitorId = getVisitorId(req) || crypto.randomUUID();
+
+  res.cookie(VISITOR_COOKIE, visitorId, {
+    maxAge: VISITOR_COOKIE_DAYS * DAY_MS,
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax'
+  });
+
+  return visitorId;
+};
+
+// Source and medium for a visit that arrived from another website
+const classifyReferrer = (referrer) => {
+  let hostname;
+  try {
+    hostname = new URL(referrer).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+
+  const ownHost = new URL(getFrontendUrl()).hostname.toLowerCase().replace(/^www\./, '');
+  if (!hostname || hostname === ownHost) return null;
+
+  const searchEngine = hostname.match(SEARCH_ENGINES);
+  if (searchEngine) return { source: searchEngine[1], medium: 'organic' };
+  if (SOCIAL_NETWORKS.test(hostname)) return { source: hostname, medium: 'social' };
+  return { source: hostname, medium: 'referral' };
+};
+
+// Pull the path, UTM tags and referral code out of a tracked page. Tags sent in
+// the body (the same field names as the contact form) win over the query string.
+const parseLanding = (page, body) => {
+  let url;
+  try {
+    url = new URL(page || '/', getFrontendUrl());
+  } catch {
+    url = new URL('/', getFrontendUrl());
+  }
+
+  const utm = {};
+  UTM_KEYS.forEach(key => {
+    const fieldName = `utm${key[0].toUpperCase()}${key.slice(1)}`;
+    const value = body[fieldName] || url.searchParams.get(`utm_${key}`);
+    if (typeof value === 'string' && value.trim()) utm[key] = value.trim().slice(0, 100);
+  });
+
+  const refCode = body.refCode || url.searchParams.get('ref');
+
+  return {
+    path: url.pathname,
+    utm,
+    refCode: typeof refCode === 'string' && refCode.trim() ? refCode.trim().toUpperCase().slice(0, 20) : null
+  };
+};
+
+// Record a tracked page view as a touchpoint. Campaign landings, outside referrers
+// and the first page of a new visit are entry touches; other views are kept for
+// the journey but earn no credit.
+export const recordPageTouchpoint = async (req, res, { page, referrer, sessionId }) => {
+  const visitorId = ensureVisitorId(req, res);
+  const { path, utm, refCode } = parseLanding(page, req.body);
+  const occurredAt = new Date();
+
+  const touch = {
+    visitorId,
+    sessionId,
+    type: 'page_view',
+    page: path,
+    referrer,
+    occurredAt
+  };
+
+  const partner = refCode ? await Partner.findByCode(refCode) : null;
+
+  if (partner || Object.keys(utm).length > 0) {
+    const clickLandingSince = new Date(occurredAt.getTime() - CLICK_LANDING_MINUTES * 60 * 1000);
+    const shortLinkClick = partner && await Touchpoint.exists({
+      visitorId,
+      type: 'partner_click',
+      partnerCode: partner.code,
+      occurredAt: { $gte: clickLandingSince }
+    });
+
+    if (!shortLinkClick) {
+      Object.assign(touch, {
+        type: 'utm_landing',
+        isEntry: true,
+        source: utm.source || (partner ? 'affiliate' : null),
+        medium: utm.medium || (partner ? 'link' : null),
+        campaign: utm.campaign,
+        content: utm.content,
+        term: utm.term,
+        partner: partner?._id,
+        partnerCode: partner?.code
+      });
+    }
+  } else {
+    const external = referrer && classifyReferrer(referrer);
+    if (external) {
+      Object.assign(touch, { isEntry: true, ...external });
+    } else {
+      const { sessionTimeoutMinutes } = await getAttributionSettings();
+      const recent = await Touchpoint.exists({
+        visitorId,
+        occurredAt: { $gte: new Date(occurredAt.getTime() - sessionTimeoutMinutes * 60 * 1000) }
+      });
+      if (!recent) {
+        Object.assign(touch, { isEntry: true, source: '(direct)', medium: '(none)' });
+      }
+    }
+  }
+
+  return Touchpoint.create(touch);
+};
+
+// Record a partner short-link visit as a touchpoint
+export const recordPartnerClickTouchpoint = (visitorId, partner, click) => {
+  return Touchpoint.create({
+    visitorId,
+    type: 'partner_click',
+    isEntry: true,
+    source: click.utm?.source,
+    medium: click.utm?.medium,
+    campaign: click.utm?.campaign,
+    content: click.utm?.content,
+    term: click.utm?.term,
+    partner: partner._id,
+    partnerCode: partner.code,
+    referralClick: click._id,
+    page: `/${click.page}`,
+    referrer: click.referrer,
+    occurredAt: click.createdAt
+  });
+};
+
+// Attach a visitor's unclaimed touchpoints to the contact they became
+export const linkTouchpoints = async (visitorId, contactId) => {
+  if (!visitorId) return;
+
+  try {
+    await Touchpoint.updateMany(
+      { visitorId, contact: null },
+      { contact: contactId, linkedAt: new Date() }
+    );
+  } catch (error) {
+    console.error('Error linking touchpoints:', error);
+  }
+};
+
+// Stand-in journey for contacts with no recorded touchpoints (older leads, or
+// visitors without cookies) built from the tags captured on the form
+const fallbackTouch = (contact) => ({
+  occurredAt: contact.createdAt,
+  source: contact.utm?.source || (contact.refCode ? 'affiliate' : '(direct)'),
+  medium: contact.utm?.medium || (contact.refCode ? 'link' : '(none)'),
+  campaign: contact.utm?.campaign,
+  partnerCode: contact.refCode
+});
+
+// Share of the credit each touch in a journey (oldest first) earns
+export const weightTouches = (touches, model, { convertedAt, halfLifeDays }) => {
+  const count = touches.length;
+  if (count === 0) return [];
+
+  switch (model) {
+    case 'first_touch':
+      return touches.map((touch, index) => (index === 0 ? 1 : 0));
+    case 'last_touch':
+      return touches.map((touch, index) => (index === count - 1 ? 1 : 0));
+    case 'linear':
+      return touches.map(() => 1 / count);
+    case 'time_decay': {
+      const raw = touches.map(touch => {
+        const ageDays = Math.max(0, (convertedAt - touch.occurredAt) / DAY_MS);
+        return Math.pow(0.5, ageDays / halfLifeDays);
+      });
+      const total = raw.reduce((sum, value) => sum + value, 0);
+      return raw.map(value => value / total);
+    }
+    default:
+      throw new Error(`Unknown attribution model: ${model}`);
+  }
+};
+
+const dimensionValue = (touch, dimension) => {
+  switch (dimension) {
+    case 'medium':
+      return touch.medium || '(none)';
+    case 'campaign':
+      return touch.campaign || '(not set)';
+    case 'partner':
+      return touch.partnerCode || '(none)';
+    default:
+      return touch.source || '(direct)';
+  }
+};
+
+// Credit leads, bookings and collected revenue for inquiries received in the
+// period to the touches that preceded them, under every attribution model.
+// Journeys end at the inquiry: touches after it don't share the credit.
+export const buildAttributionReport = async ({ from, to, dimension = 'source', models = ATTRIBUTION_MODELS }) => {
+  const { lookbackDays, halfLifeDays } = await getAttributionSettings();
+
+  // Repeat submissions from the same client are one lead, credited on the first
+  const contactFilter = { duplicateOf: null };
+  if (from || to) {
+    contactFilter.createdAt = {};
+    if (from) contactFilter.createdAt.$gte = from;
+    if (to) contactFilter.createdAt.$lte = to;
+  }
+
+  const contacts = await Contact.find(contactFilter)
+    .select('createdAt booked utm refCode')
+    .lean();
+  const contactIds = contacts.map(contact => contact._id);
+
+  const [touchpoints, revenue] = await Promise.all([
+    Touchpoint.find({ contact: { $in: contactIds }, isEntry: true })
+      .sort({ occurredAt: 1 })
+      .select('contact occurredAt source medium campaign partnerCode')
+      .lean(),
+    PaymentSchedule.aggregate([
+      { $match: { contact: { $in: contactIds } } },
+      { $group: { _id: '$contact', collected: { $sum: '$amountCollected' } } }
+    ])
+  ]);
+
+  const touchesByContact = new Map();
+  touchpoints.forEach(touch => {
+    const key = touch.contact.toString();
+    if (!touchesByContact.has(key)) touchesByContact.set(key, []);
+    touchesByContact.get(key).push(touch);
+  });
+  const revenueByContact = new Map(revenue.map(row => [row._id.toString(), row.collected]));
+
+  const rows = new Map();
+  const getRow = (key) => {
+    if (!rows.has(key)) {
+      const row = { key, touches: 0 };
+      models.forEach(model => {
+        row[model] = { leads: 0, bookings: 0, revenue: 0 };
+      });
+      rows.set(key, row);
+    }
+    return rows.get(key);
+  };
+  const totals = { leads: 0, bookings: 0, revenue: 0, trackedJourneys: 0 };
+
+  contacts.forEach(contact => {
+    const convertedAt = contact.createdAt;
+    const windowStart = new Date(convertedAt.getTime() - lookbackDays * DAY_MS);
+    const journey = (touchesByContact.get(contact._id.toString()) || [])
+      .filter(touch => touch.occurredAt >= windowStart && touch.occurredAt <= convertedAt);
+
+    const touches = journey.length > 0 ? journey : [fallbackTouch(contact)];
+    const booked = contact.booked ? 1 : 0;
+    const collected = revenueByContact.get(contact._id.toString()) || 0;
+
+    totals.leads += 1;
+    totals.bookings += booked;
+    totals.revenue += collected;
+    if (journey.length > 0) totals.trackedJourneys += 1;
+
+    touches.forEach(touch => {
+      getRow(dimensionValue(touch, dimension)).touches += 1;
+    });
+
+    models.forEach(model => {
+      weightTouches(touches, model, { convertedAt, halfLifeDays }).forEach((weight, index) => {
+        if (weight === 0) return;
+
+        const credit = getRow(dimensionValue(touches[index], dimension))[model];
+        credit.leads += weight;
+        credit.bookings += weight * booked;
+        credit.revenue += weight * collected;
+      });
+    });
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const results = [...rows.values()].map(row => {
+    models.forEach(model => {
+      row[model] = {
+        leads: round(row[model].leads),
+        bookings: round(row[model].bookings),
+        revenue: roundMoney(row[model].revenue)
+      };
+    });
+    return row;
+  });
+
+  // Largest share of leads first, by the linear model when it was requested
+  const sortModel = models.includes('linear') ? 'linear' : models[0];
+  results.sort((a, b) => b[sortModel].leads - a[sortModel].leads);
+
+  return {
+    dimension,
+    models,
+    settings: { lookbackDays, halfLifeDays },
+    totals: { ...totals, revenue: roundMoney(totals.revenue) },
+    rows: results
+  };
+};
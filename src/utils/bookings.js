@@ -0,0 +1,55 @@
+import Booking from '../models/Booking.js';
+import Activity from '../models/Activity.js';
+import { creditPartner } from './partnerCredit.js';
+import { accrueCommission } from './commissions.js';
+import { advanceContactStage } from './pipeline.js';
+
+// Reserve the calendar for a contact's booking date, credit the referring partner
+// and accrue their commission. Calendar conflicts are thrown with a statusCode;
+// the caller saves the contact.
+export const reserveContactBooking = async (contact, { timeBlock, adminId } = {}) => {
+  const booking = await Booking.bookForContact(contact, {
+    date: contact.bookingDate,
+    timeBlock,
+    adminId
+  });
+
+  contact.bookingDate = new Date(`${booking.date}T00:00:00.000Z`);
+  await creditPartner(contact, 'booking');
+  await accrueCommission(contact, { booking });
+
+  return booking;
+};
+
+// Log a booking or cancellation on the timeline and move new bookings to the won stage
+export const recordBookingChange = async (contact, { adminId = null, summary } = {}) => {
+  await Activity.record({
+    contact: contact._id,
+    type: 'booking',
+    summary: summary || (contact.booked ? 'Event booked' : 'Booking cancelled'),
+    admin: adminId,
+    metadata: { bookingDate: contact.bookingDate, bookingAmount: contact.bookingAmount }
+  });
+
+  if (contact.booked) {
+    await advanceContactStage(contact, { type: 'won' }, { adminId });
+  }
+};
+
+// Mark a contact as booked: reserve the date, credit the partner, save and log it
+export const markContactBooked = async (contact, { bookingDate, bookingAmount, timeBlock, adminId = null, summary } = {}) => {
+  const wasBooked = contact.booked;
+
+  contact.booked = true;
+  if (bookingDate) contact.bookingDate = new Date(bookingDate);
+  if (bookingAmount) contact.bookingAmount = bookingAmount;
+
+  const booking = await reserveContactBooking(contact, { timeBlock, adminId });
+  await contact.save();
+
+  if (!wasBooked) {
+    await recordBookingChange(contact, { adminId, summary });
+  }
+
+  return booking;
+};
@@ -0,0 +1,319 @@
+import mongoose from 'mongoose';
+import Partner from '../models/Partner.js';
+import CommissionRule from '../models/CommissionRule.js';
+import CommissionEntry from '../models/CommissionEntry.js';
+import PayoutRun from '../models/PayoutRun.js';
+
+const commissionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Start of the window a rule counts bookings over for its volume tiers
+const tierPeriodStart = (rule, now = new Date()) => {
+  return rule.tierPeriod === 'year' ? new Date(Date.UTC(now.getUTCFullYear(), 0, 1)) : null;
+};
+
+// Take a voided or paid entry out of a payout run that hasn't been paid yet
+const detachFromPayoutRun = async (entry) => {
+  if (!entry.payoutRun) return;
+
+  const run = await PayoutRun.findOne({ _id: entry.payoutRun, status: 'pending' });
+  entry.payoutRun = null;
+  if (!run) return;
+
+  const remittance = run.remittances.find(item => item.partner.equals(entry.partner));
+  if (remittance) {
+    remittance.entries = remittance.entries.filter(id => !id.equals(entry._id));
+    remittance.amount = roundMoney(remittance.amount - entry.amount);
+  }
+  run.remittances = run.remittances.filter(item => item.entries.length > 0);
+  await run.save();
+};
+
+// Accrue the referring partner's commission when a contact books. Safe to call
+// again: an existing accrual is refreshed rather than duplicated.
+export const accrueCommission = async (contact, { booking } = {}) => {
+  if (!contact.booked || !contact.refCode) return null;
+
+  try {
+    const partner = await Partner.findByCode(contact.refCode);
+    if (!partner) return null;
+
+    const existing = await CommissionEntry.findOne({
+      contact: contact._id,
+      partner: partner._id,
+      kind: 'commission',
+      open: true
+    });
+
+    if (existing) {
+      if (booking) existing.booking = booking._id;
+      await refreshCommission(existing, contact.bookingAmount);
+      return existing;
+    }
+
+    const rule = await CommissionRule.findForPartner(partner);
+    if (!rule) return null;
+
+    const bookingCount = await CommissionEntry.countBookings(partner._id, tierPeriodStart(rule)) + 1;
+    const { rate, amount } = rule.calculate(contact.bookingAmount, bookingCount);
+
+    return await CommissionEntry.create({
+      partner: partner._id,
+      refCode: partner.code,
+      contact: contact._id,
+      booking: booking?._id,
+      rule: rule._id,
+      ruleName: rule.name,
+      calculation: rule.calculation,
+      rate,
+      bookingAmount: contact.bookingAmount,
+      bookingCount,
+      amount,
+      description: `Booking commission for ${contact.name}`
+    });
+  } catch (error) {
+    console.error('Error accruing partner commission:', error);
+    return null;
+  }
+};
+
+// Recalculate a not-yet-approved percent commission when the booking amount changes
+export const refreshCommission = async (entry, bookingAmount) => {
+  if (entry.status !== 'accrued' || entry.calculation !== 'percent') {
+    if (entry.isModified()) await entry.save();
+    return entry;
+  }
+
+  entry.bookingAmount = bookingAmount;
+  entry.amount = roundMoney((Number(bookingAmount) || 0) * entry.rate / 100);
+  await entry.save();
+  return entry;
+};
+
+// Keep open commissions in step with a contact's booking amount
+export const updateCommissionBasis = async (contactId, bookingAmount) => {
+  const entries = await CommissionEntry.find({ contact: contactId, kind: 'commission', open: true });
+
+  for (const entry of entries) {
+    await refreshCommission(entry, bookingAmount);
+  }
+};
+
+// Void an unpaid entry, taking it back out of any pending payout run
+export const voidCommission = async (entry, { adminId = null, reason } = {}) => {
+  if (entry.status === 'voided') {
+    throw commissionError('This commission has already been voided', 409);
+  }
+  if (entry.status === 'paid') {
+    throw commissionError('Paid commissions are clawed back instead of voided', 409);
+  }
+
+  await detachFromPayoutRun(entry);
+  entry.status = 'voided';
+  entry.voidedAt = new Date();
+  entry.voidedBy = adminId;
+  entry.voidReason = reason;
+  await entry.save();
+
+  return entry;
+};
+
+// Reverse a paid commission with a negative entry netted against the next payout
+export const clawBackCommission = async (entry, { adminId = null, reason } = {}) => {
+  if (entry.status !== 'paid' || entry.kind !== 'commission') {
+    throw commissionError('Only paid commissions can be clawed back', 409);
+  }
+  if (entry.clawback) {
+    throw commissionError('This commission has already been clawed back', 409);
+  }
+
+  const clawback = await CommissionEntry.create({
+    partner: entry.partner,
+    refCode: entry.refCode,
+    contact: entry.contact,
+    booking: entry.booking,
+    kind: 'clawback',
+    status: 'approved',
+    approvedAt: new Date(),
+    approvedBy: adminId,
+    calculation: entry.calculation,
+    rate: entry.rate,
+    bookingAmount: entry.bookingAmount,
+    amount: -entry.amount,
+    currency: entry.currency,
+    reverses: entry._id,
+    description: reason ? `Clawback: ${reason}` : 'Clawback of paid commission'
+  });
+
+  entry.clawback = clawback._id;
+  await entry.save();
+
+  return clawback;
+};
+
+// Undo a contact's commission when its booking falls through
+export const reverseCommission = async (contact, { adminId = null, reason = 'Booking cancelled' } = {}) => {
+  const entries = await CommissionEntry.find({ contact: contact._id, kind: 'commission', open: true });
+  const reversed = [];
+
+  for (const entry of entries) {
+    try {
+      reversed.push(entry.status === 'paid'
+        ? await clawBackCommission(entry, { adminId, reason })
+        : await voidCommission(entry, { adminId, reason }));
+    } catch (error) {
+      console.error('Error reversing partner commission:', error);
+    }
+  }
+
+  return reversed;
+};
+
+// Approve accrued entries so the next payout run picks them up
+export const approveCommissions = async (ids, adminId = null) => {
+  const result = await CommissionEntry.updateMany(
+    { _id: { $in: ids }, status: 'accrued' },
+    { status: 'approved', approvedAt: new Date(), approvedBy: adminId }
+  );
+
+  return result.modifiedCount;
+};
+
+// Batch every approved, unbatched entry into a payout run. Partners whose
+// clawbacks outweigh their commissions are left for a later run.
+export const createPayoutRun = async ({ partner, periodEnd = new Date(), adminId = null, notes } = {}) => {
+  const runId = new mongoose.Types.ObjectId();
+  const filter = {
+    status: 'approved',
+    payoutRun: null,
+    approvedAt: { $lte: periodEnd },
+    ...(partner && { partner })
+  };
+
+  // Claim the entries first so two runs started together can't both include them
+  await CommissionEntry.updateMany(filter, { payoutRun: runId });
+  const entries = await CommissionEntry.find({ payoutRun: runId }).sort({ accruedAt: 1 });
+
+  const byPartner = new Map();
+  entries.forEach(entry => {
+    const key = entry.partner.toString();
+    if (!byPartner.has(key)) byPartner.set(key, []);
+    byPartner.get(key).push(entry);
+  });
+
+  const partners = await Partner.find({ _id: { $in: [...byPartner.keys()] } }).select('name email code');
+  const remittances = [];
+  const carriedOver = [];
+
+  byPartner.forEach((partnerEntries, key) => {
+    const amount = roundMoney(partnerEntries.reduce((sum, entry) => sum + entry.amount, 0));
+    if (amount <= 0) {
+      carriedOver.push(...partnerEntries.map(entry => entry._id));
+      return;
+    }
+
+    const details = partners.find(item => item._id.toString() === key);
+    remittances.push({
+      partner: partnerEntries[0].partner,
+      name: details?.name,
+      email: details?.email,
+      code: details?.code || partnerEntries[0].refCode,
+      entries: partnerEntries.map(entry => entry._id),
+      amount
+    });
+  });
+
+  if (carriedOver.length > 0) {
+    await CommissionEntry.updateMany({ _id: { $in: carriedOver } }, { payoutRun: null });
+  }
+
+  if (remittances.length === 0) {
+    throw commissionError('There are no approved commissions to pay out', 400);
+  }
+
+  remittances.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  try {
+    return await PayoutRun.create({
+      _id: runId,
+      periodEnd,
+      remittances,
+      notes,
+      createdBy: adminId
+    });
+  } catch (error) {
+    await CommissionEntry.updateMany({ payoutRun: runId }, { payoutRun: null });
+    throw error;
+  }
+};
+
+// Record a payout run as sent, marking every entry in it paid
+export const markPayoutRunPaid = async (run, { adminId = null, paidAt = new Date(), references = {} } = {}) => {
+  if (run.status !== 'pending') {
+    throw commissionError(`This payout run is already ${run.status}`, 409);
+  }
+
+  run.remittances.forEach(remittance => {
+    const reference = references[remittance.partner.toString()];
+    if (reference) remittance.reference = reference;
+  });
+
+  await CommissionEntry.updateMany(
+    { payoutRun: run._id, status: 'approved' },
+    { status: 'paid', paidAt }
+  );
+
+  run.status = 'paid';
+  run.paidAt = paidAt;
+  run.paidBy = adminId;
+  await run.save();
+
+  return run;
+};
+
+// Cancel a pending run, returning its entries to the approved pool
+export const cancelPayoutRun = async (run, adminId = null) => {
+  if (run.status !== 'pending') {
+    throw commissionError(`This payout run is already ${run.status}`, 409);
+  }
+
+  await CommissionEntry.updateMany({ payoutRun: run._id, status: 'approved' }, { payoutRun: null });
+
+  run.status = 'cancelled';
+  run.cancelledAt = new Date();
+  run.cancelledBy = adminId;
+  await run.save();
+
+  return run;
+};
+
+// Quote a CSV cell, defusing values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Remittance CSV with one line per partner in the run
+export const buildRemittanceCsv = (run) => {
+  const header = ['Payout', 'Status', 'Partner', 'Code', 'Email', 'Entries', 'Amount', 'Currency', 'Reference', 'Paid At'];
+  const rows = run.remittances.map(remittance => [
+    run.number,
+    run.status,
+    remittance.name,
+    remittance.code,
+    remittance.email,
+    remittance.entryCount,
+    remittance.amount.toFixed(2),
+    run.currency,
+    remittance.reference,
+    run.paidAt ? run.paidAt.toISOString().split('T')[0] : ''
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
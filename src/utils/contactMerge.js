@@ -0,0 +1,255 @@
+import Contact from '../models/Contact.js';
+import ContactMerge, { MERGE_UNDO_HOURS } from '../models/ContactMerge.js';
+import Activity from '../models/Activity.js';
+import Booking from '../models/Booking.js';
+import Tour from '../models/Tour.js';
+import PaymentSchedule from '../models/PaymentSchedule.js';
+import CommissionEntry from '../models/CommissionEntry.js';
+import Touchpoint from '../models/Touchpoint.js';
+import Quote from '../models/Quote.js';
+import Contract from '../models/Contract.js';
+import Document from '../models/Document.js';
+import ReferralClick from '../models/ReferralClick.js';
+import Review from '../models/Review.js';
+import { adjustPartnerStat } from './partnerCredit.js';
+
+const CREDIT_TYPES = ['lead', 'tour', 'booking'];
+
+// Details copied from a duplicate only when the surviving contact lacks them
+const FILLABLE_FIELDS = ['phone', 'address', 'eventDate', 'guestCount', 'refSource', 'refCode'];
+
+const mergeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Raw copy of a contact that can be written straight back to the collection
+const snapshot = (contact) => contact.toObject({ depopulate: true, virtuals: false, getters: false });
+
+const hasUtm = (utm) => !!utm && ['source', 'medium', 'campaign', 'content', 'term'].some(key => utm[key]);
+
+// Point every record of a model at the target, remembering where each one came from
+const moveRecords = async (Model, field, sourceIds, targetId, extraQuery = {}) => {
+  const records = await Model.find({ [field]: { $in: sourceIds }, ...extraQuery }).select(field).lean();
+  if (records.length === 0) return [];
+
+  await Model.updateMany(
+    { _id: { $in: records.map(record => record._id) } },
+    { $set: { [field]: targetId } }
+  );
+
+  return records.map(record => ({ id: record._id, contact: record[field] }));
+};
+
+// Put moved records back on the contacts they came from
+const restoreRecords = async (Model, field, moved) => {
+  if (!moved || moved.length === 0) return;
+
+  await Model.bulkWrite(moved.map(record => ({
+    updateOne: {
+      filter: { _id: record.id },
+      update: { $set: { [field]: record.contact } }
+    }
+  })));
+};
+
+// Documents are versioned per contact and type, so moved ones continue the
+// target's numbering. Their original version is kept for undo.
+const moveDocuments = async (sourceIds, targetId) => {
+  const documents = await Document.find({ contact: { $in: sourceIds } })
+    .sort({ createdAt: 1 })
+    .select('contact type version')
+    .lean();
+
+  const moved = [];
+  for (const document of documents) {
+    const version = await Document.nextVersion(targetId, document.type);
+    await Document.updateOne({ _id: document._id }, { $set: { contact: targetId, version } });
+    moved.push({ id: document._id, contact: document.contact, version: document.version });
+  }
+
+  return moved;
+};
+
+const restoreDocuments = async (moved) => {
+  if (!moved || moved.length === 0) return;
+
+  await Document.bulkWrite(moved.map(record => ({
+    updateOne: {
+      filter: { _id: record.id },
+      update: { $set: { contact: record.contact, version: record.version } }
+    }
+  })));
+};
+
+// Combine the duplicate contacts' details into the target
+const combineContacts = (target, sources) => {
+  sources.map(snapshot).forEach(source => {
+    target.additionalMessages.push(
+      { message: source.message, submittedAt: source.createdAt, contact: source._id },
+      ...source.additionalMessages
+    );
+
+    if (hasUtm(source.utm)) {
+      target.utmHistory.push({ ...source.utm, capturedAt: source.createdAt });
+    }
+    target.utmHistory.push(...source.utmHistory);
+
+    FILLABLE_FIELDS.forEach(field => {
+      if (!target[field] && source[field]) {
+        target[field] = source[field];
+      }
+    });
+    if (target.budget === 'not-specified' && source.budget !== 'not-specified') {
+      target.budget = source.budget;
+    }
+    if (target.eventType === 'other' && source.eventType !== 'other') {
+      target.eventType = source.eventType;
+    }
+
+    if (!target.tourScheduled && source.tourScheduled) {
+      target.tourScheduled = true;
+      target.tourDate = source.tourDate;
+    }
+    if (!target.booked && source.booked) {
+      target.booked = true;
+      target.bookingDate = source.bookingDate;
+      target.bookingAmount = source.bookingAmount;
+    }
+
+    target.mergedFrom.push(source._id, ...source.mergedFrom);
+  });
+};
+
+// Keep one partner credit per stat for the merged client and take back the rest
+const settlePartnerCredits = async (target, sources) => {
+  const refCode = target.refCode;
+  if (!refCode) return [];
+
+  const adjustments = [];
+
+  for (const type of CREDIT_TYPES) {
+    const credited = [target, ...sources]
+      .filter(contact => contact.refCode === refCode && contact.partnerCredits?.[type])
+      .map(contact => contact.partnerCredits[type]);
+
+    if (credited.length === 0) continue;
+
+    target.set(`partnerCredits.${type}`, new Date(Math.min(...credited.map(date => new Date(date).getTime()))));
+
+    if (credited.length > 1) {
+      const count = credited.length - 1;
+      await adjustPartnerStat(refCode, type, -count);
+      adjustments.push({ refCode, type, count });
+    }
+  }
+
+  return adjustments;
+};
+
+// Merge duplicate contacts into the target. The duplicates are removed and
+// everything needed to restore them is kept on a ContactMerge record.
+export const mergeContacts = async (target, sources, adminId) => {
+  if (sources.length === 0) {
+    throw mergeError('Select at least one contact to merge');
+  }
+  if (sources.some(source => source._id.equals(target._id))) {
+    throw mergeError('A contact cannot be merged into itself');
+  }
+
+  const orderedSources = [...sources].sort((a, b) => a.createdAt - b.createdAt);
+  const sourceIds = orderedSources.map(source => source._id);
+
+  const merge = await ContactMerge.create({
+    target: target._id,
+    sources: sourceIds,
+    targetSnapshot: snapshot(target),
+    sourceSnapshots: orderedSources.map(snapshot),
+    mergedBy: adminId,
+    undoExpiresAt: new Date(Date.now() + MERGE_UNDO_HOURS * 60 * 60 * 1000)
+  });
+
+  combineContacts(target, orderedSources);
+  merge.creditAdjustments = await settlePartnerCredits(target, orderedSources);
+
+  if (target.duplicateOf && sourceIds.some(id => id.equals(target.duplicateOf))) {
+    target.duplicateOf = null;
+    target.duplicateReason = null;
+  }
+
+  merge.moved = {
+    activities: await moveRecords(Activity, 'contact', sourceIds, target._id),
+    bookings: await moveRecords(Booking, 'contact', sourceIds, target._id),
+    tours: await moveRecords(Tour, 'contact', sourceIds, target._id),
+    paymentSchedules: await moveRecords(PaymentSchedule, 'contact', sourceIds, target._id),
+    commissionEntries: await moveRecords(CommissionEntry, 'contact', sourceIds, target._id),
+    touchpoints: await moveRecords(Touchpoint, 'contact', sourceIds, target._id),
+    quotes: await moveRecords(Quote, 'contact', sourceIds, target._id),
+    contracts: await moveRecords(Contract, 'contact', sourceIds, target._id),
+    documents: await moveDocuments(sourceIds, target._id),
+    referralClicks: await moveRecords(ReferralClick, 'contact', sourceIds, target._id),
+    reviews: await moveRecords(Review, 'contact', sourceIds, target._id),
+    duplicates: await moveRecords(Contact, 'duplicateOf', sourceIds, target._id, { _id: { $nin: sourceIds } })
+  };
+
+  await target.save();
+  await Contact.deleteMany({ _id: { $in: sourceIds } });
+
+  const activity = await Activity.record({
+    contact: target._id,
+    type: 'system',
+    summary: `Merged ${sourceIds.length} duplicate contact(s)`,
+    admin: adminId,
+    metadata: { mergeId: merge._id, sources: sourceIds }
+  });
+  merge.mergeActivity = activity?._id;
+  await merge.save();
+
+  return { contact: target, merge };
+};
+
+// Reverse a merge while its undo window is open
+export const undoContactMerge = async (merge, adminId) => {
+  if (merge.undoneAt) {
+    throw mergeError('This merge has already been undone', 409);
+  }
+  if (merge.undoExpiresAt <= Date.now()) {
+    throw mergeError('The undo window for this merge has closed', 410);
+  }
+
+  const existing = await Contact.countDocuments({ _id: { $in: merge.sources } });
+  if (existing > 0) {
+    throw mergeError('Merged contacts already exist again', 409);
+  }
+
+  await Contact.collection.replaceOne({ _id: merge.target }, merge.targetSnapshot, { upsert: true });
+  await Contact.collection.insertMany(merge.sourceSnapshots);
+
+  await restoreRecords(Activity, 'contact', merge.moved.activities);
+  await restoreRecords(Booking, 'contact', merge.moved.bookings);
+  await restoreRecords(Tour, 'contact', merge.moved.tours);
+  await restoreRecords(PaymentSchedule, 'contact', merge.moved.paymentSchedules);
+  await restoreRecords(CommissionEntry, 'contact', merge.moved.commissionEntries);
+  await restoreRecords(Touchpoint, 'contact', merge.moved.touchpoints);
+  await restoreRecords(Quote, 'contact', merge.moved.quotes);
+  await restoreRecords(Contract, 'contact', merge.moved.contracts);
+  await restoreDocuments(merge.moved.documents);
+  await restoreRecords(ReferralClick, 'contact', merge.moved.referralClicks);
+  await restoreRecords(Review, 'contact', merge.moved.reviews);
+  await restoreRecords(Contact, 'duplicateOf', merge.moved.duplicates);
+
+  for (const adjustment of merge.creditAdjustments) {
+    await adjustPartnerStat(adjustment.refCode, adjustment.type, adjustment.count);
+  }
+
+  if (merge.mergeActivity) {
+    await Activity.deleteOne({ _id: merge.mergeActivity });
+  }
+
+  merge.undoneAt = new Date();
+  merge.undoneBy = adminId;
+  await merge.save();
+
+  return Contact.findById(merge.target);
+};
@@ -0,0 +1,79 @@
+import Activity from '../models/Activity.js';
+import { signToken } from './signedToken.js';
+import { formatMoney } from './quoteNotifications.js';
+import { buildDocumentUrl } from './documents.js';
+import {
+  sendContractEmail,
+  sendContractSignedAlert,
+  sendContractExecutedEmail
+} from './email.js';
+
+// Signing links last long enough for a slow back-and-forth over the terms
+const CONTRACT_TOKEN_DAYS = 60;
+
+// Signed token that lets the client review and sign a single contract
+export const createContractToken = (contract) => {
+  return signToken('contract', { contractId: contract._id.toString() }, `${CONTRACT_TOKEN_DAYS}d`);
+};
+
+export const buildContractUrl = (contract) => {
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+  return `${baseUrl}/contracts/sign?token=${createContractToken(contract)}`;
+};
+
+// Email the signing link to the client and log it on their timeline
+export const notifyContractSent = async (contract, contact, { adminId = null } = {}) => {
+  const result = await sendContractEmail({
+    name: contact.name,
+    email: contact.email,
+    number: contract.number,
+    title: contract.title,
+    total: formatMoney(contract.total, contract.currency),
+    url: buildContractUrl(contract)
+  });
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'email',
+    direction: 'outbound',
+    summary: `Sent contract ${contract.number} for signature`,
+    admin: adminId,
+    metadata: { contractId: contract._id }
+  });
+
+  return result;
+};
+
+// Let the team know the client signed and the contract needs countersigning
+export const notifyContractSigned = (contract, contact) => {
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+  return sendContractSignedAlert({
+    name: contact.name,
+    number: contract.number,
+    signedBy: contract.clientSignature.name,
+    total: formatMoney(contract.total, contract.currency),
+    adminUrl: `${baseUrl}/admin/contacts/${contact._id}`
+  });
+};
+
+// Send the client the fully signed copy
+export const notifyContractExecuted = async (contract, contact, document, { apiBaseUrl, adminId = null } = {}) => {
+  const result = await sendContractExecutedEmail({
+    name: contact.name,
+    email: contact.email,
+    number: contract.number,
+    url: buildDocumentUrl(document, apiBaseUrl)
+  });
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'email',
+    direction: 'outbound',
+    summary: `Sent signed copy of contract ${contract.number}`,
+    admin: adminId,
+    metadata: { contractId: contract._id, documentId: document._id }
+  });
+
+  return result;
+};
@@ -0,0 +1,48 @@
+// Default event agreement. Clause text may use {{placeholders}} filled in from
+// the contact, the quote and the venue settings when the contract is generated.
+export const DEFAULT_CONTRACT_CLAUSES = [
+  {
+    heading: 'Parties',
+    body: 'This agreement is made between {{venueName}} ("the Venue") and {{clientName}} ("the Client") for the private use of the Venue at {{venueAddress}}.'
+  },
+  {
+    heading: 'Event',
+    body: 'The Client reserves the Venue for a {{eventType}} on {{eventDate}} for up to {{guestCount}} guests. The services included are those listed in quote {{quoteNumber}}.'
+  },
+  {
+    heading: 'Fees and Payment',
+    body: 'The total fee for the event is {{total}}. The date is held once this agreement is signed and the first payment is received. The remaining balance is due before the event according to the payment schedule provided by the Venue.'
+  },
+  {
+    heading: 'Cancellation',
+    body: 'Payments made are non-refundable if the Client cancels. If the Venue must cancel for reasons within its control, all payments will be refunded in full.'
+  },
+  {
+    heading: 'Conduct and Damage',
+    body: 'The Client is responsible for the conduct of guests and vendors and for any damage to the Venue, its grounds or its furnishings during the event.'
+  },
+  {
+    heading: 'Vendors',
+    body: 'Outside vendors must provide proof of insurance before the event and follow the Venue\'s rules for setup, load-in and breakdown times.'
+  },
+  {
+    heading: 'Entire Agreement',
+    body: 'This agreement, together with quote {{quoteNumber}}, is the entire agreement between the parties. Changes must be made in writing and accepted by both parties.'
+  }
+];
+
+// Replace {{key}} placeholders, leaving unknown keys visible so they get noticed
+export const fillTemplate = (text, values) => {
+  return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = values[key];
+    return value === undefined || value === null || value === '' ? match : String(value);
+  });
+};
+
+// Fill every clause of a contract
+export const buildContractClauses = (clauses, values) => {
+  return (clauses?.length ? clauses : DEFAULT_CONTRACT_CLAUSES).map(clause => ({
+    heading: fillTemplate(clause.heading, values),
+    body: fillTemplate(clause.body, values)
+  }));
+};
@@ -0,0 +1,106 @@
+// Time zone helpers built on Intl so venue-local times survive DST changes
+
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Offset (in minutes) between UTC and the given zone at a particular instant
+const getOffsetMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = parts.reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  const asUtc = Date.UTC(
+    values.year,
+    values.month - 1,
+    values.day,
+    values.hour,
+    values.minute,
+    values.second
+  );
+
+  return (asUtc - date.getTime()) / (60 * 1000);
+};
+
+// Convert a venue-local date key (YYYY-MM-DD) and time (HH:mm) into a UTC Date
+export const zonedTimeToUtc = (dateKey, time, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMinutes(new Date(guess), timeZone);
+  let result = guess - offset * 60 * 1000;
+
+  // Re-check in case the guess landed on the other side of a DST switch
+  const correctedOffset = getOffsetMinutes(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset * 60 * 1000;
+  }
+
+  return new Date(result);
+};
+
+// Venue-local date key and HH:mm for a UTC instant
+export const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(date));
+
+  const values = parts.reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    dateKey: `${values.year}-${values.month}-${values.day}`,
+    time: `${values.hour}:${values.minute}`
+  };
+};
+
+// Human readable venue-local date and time, e.g. "Saturday, June 14, 2026 at 10:00 AM"
+export const formatInTimeZone = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const value = new Date(date);
+  const day = value.toLocaleDateString('en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  const time = value.toLocaleTimeString('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  return `${day} at ${time}`;
+};
+
+// Minutes since midnight for an HH:mm string
+export const timeToMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// HH:mm string for minutes since midnight
+export const minutesToTime = (minutes) => {
+  const hour = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const minute = String(minutes % 60).padStart(2, '0');
+  return `${hour}:${minute}`;
+};
@@ -0,0 +1,350 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import Document from '../models/Document.js';
+import Activity from '../models/Activity.js';
+import { signToken } from './signedToken.js';
+import { formatMoney } from './quoteNotifications.js';
+import { buildContractClauses } from './contractTemplate.js';
+import {
+  getBranding,
+  renderQuotePdf,
+  renderInvoicePdf,
+  renderContractPdf
+} from './pdfRenderer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Generated documents hold client details, so they are kept outside the
+// statically served uploads folder and only sent through the document routes
+export const STORAGE_DIR = path.resolve(__dirname, '../../storage');
+export const DOCUMENTS_SUBDIR = 'documents';
+
+// Where documents and signatures were kept before, see moveLegacyDocuments
+const UPLOADS_DIR = path.resolve(__dirname, '../../uploads');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_INVOICE_DUE_DAYS = 14;
+const DOCUMENT_LINK_DAYS = 30;
+
+const TYPE_LABELS = {
+  quote: 'Quote',
+  invoice: 'Invoice',
+  contract: 'Contract'
+};
+
+const formatDate = (value) => {
+  return value ? new Date(value).toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' }) : null;
+};
+
+// Absolute path of a stored document, refusing anything outside the documents folder
+export const resolveDocumentPath = (document) => {
+  const root = path.join(STORAGE_DIR, DOCUMENTS_SUBDIR);
+  const file = path.resolve(STORAGE_DIR, document.filePath);
+
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error('Invalid document path');
+  }
+
+  return file;
+};
+
+// Signed link that lets the client download a single document
+export const createDocumentToken = (document) => {
+  return signToken('document', { documentId: document._id.toString() }, `${DOCUMENT_LINK_DAYS}d`);
+};
+
+export const buildDocumentUrl = (document, baseUrl) => {
+  return `${baseUrl}/api/documents/public/${createDocumentToken(document)}`;
+};
+
+// Pick the quote version a document should be built from:
+// the requested one, else the accepted, sent or current version
+export const resolveQuoteVersion = (quote, requested) => {
+  const number = requested || quote.acceptedVersion || quote.sentVersion || quote.currentVersion;
+  const version = quote.versions.find(entry => entry.version === Number(number));
+
+  if (!version) {
+    const error = new Error(`Quote version ${number} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return version;
+};
+
+// Write the PDF to disk under the next version for the contact and record it.
+// The file is written under a temporary name and only takes the version's
+// name once the record is in, so a generation that loses a race for the same
+// version never touches the winner's file.
+const storeDocument = async ({ contact, type, render, fields, adminId }) => {
+  const version = await Document.nextVersion(contact._id, type);
+  const fileName = `${type}-v${version}.pdf`;
+  const filePath = path.posix.join(DOCUMENTS_SUBDIR, contact._id.toString(), fileName);
+  const absolutePath = path.join(STORAGE_DIR, filePath);
+  const tempPath = path.join(path.dirname(absolutePath), `.${fileName}.${crypto.randomUUID()}.tmp`);
+
+  const buffer = await render();
+
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(tempPath, buffer);
+
+  let document;
+  try {
+    document = await Document.create({
+      ...fields,
+      contact: contact._id,
+      type,
+      version,
+      fileName,
+      filePath,
+      fileSize: buffer.length,
+      checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+      generatedBy: adminId || undefined
+    });
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    if (error.code === 11000) {
+      error.statusCode = 409;
+      error.message = 'Another document was generated at the same time, please try again';
+    }
+    throw error;
+  }
+
+  try {
+    await fs.rename(tempPath, absolutePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    await Document.deleteOne({ _id: document._id });
+    throw error;
+  }
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'system',
+    summary: `${TYPE_LABELS[type]} PDF generated (v${version})`,
+    details: document.number ? `${TYPE_LABELS[type]} ${document.number}` : undefined,
+    admin: adminId,
+    metadata: { documentId: document._id, documentType: type, version }
+  });
+
+  return document;
+};
+
+// Branded PDF of a quote version
+export const generateQuoteDocument = async (quote, contact, { version: requested, adminId } = {}) => {
+  const version = resolveQuoteVersion(quote, requested);
+  const branding = await getBranding();
+
+  return storeDocument({
+    contact,
+    type: 'quote',
+    adminId,
+    render: () => renderQuotePdf({ quote, version, contact, branding }),
+    fields: {
+      number: quote.quoteNumber,
+      title: quote.title || `Quote ${quote.quoteNumber}`,
+      quote: quote._id,
+      quoteVersion: version.version,
+      total: version.total,
+      currency: quote.currency
+    }
+  });
+};
+
+// Invoice for the accepted (or requested) version of a quote
+export const generateInvoiceDocument = async (quote, contact, options = {}) => {
+  const { version: requested, dueDate, amountPaid = 0, notes, paymentInstructions, adminId } = options;
+  const version = resolveQuoteVersion(quote, requested);
+  const branding = await getBranding();
+  const issuedAt = new Date();
+
+  const data = {
+    issuedAt,
+    dueDate: dueDate ? new Date(dueDate) : new Date(issuedAt.getTime() + DEFAULT_INVOICE_DUE_DAYS * DAY),
+    amountPaid: Number(amountPaid) || 0,
+    notes,
+    paymentInstructions
+  };
+
+  // Number first so it can be printed on the PDF
+  const number = await Document.generateNumber('invoice');
+
+  return storeDocument({
+    contact,
+    type: 'invoice',
+    adminId,
+    render: () => renderInvoicePdf({
+      invoice: {
+        ...version.toObject(),
+        ...data,
+        number,
+        reference: `Quote ${quote.quoteNumber} (v${version.version})`,
+        currency: quote.currency
+      },
+      contact,
+      branding
+    }),
+    fields: {
+      number,
+      title: `Invoice ${number}`,
+      quote: quote._id,
+      quoteVersion: version.version,
+      total: version.total,
+      currency: quote.currency,
+      data
+    }
+  });
+};
+
+// Clauses and event details for an agreement, filled in from the contact,
+// the quote version and the venue settings
+export const prepareContractTerms = (quote, version, contact, branding, clauses) => {
+  const eventDate = version.eventDate || (contact.eventDate && contact.eventDate.toISOString().slice(0, 10));
+  const guestCount = version.guestCount || contact.guestCount;
+
+  return {
+    eventDate,
+    guestCount,
+    total: version.total,
+    currency: quote.currency,
+    clauses: buildContractClauses(clauses, {
+      venueName: branding.venueName,
+      venueAddress: branding.address,
+      clientName: contact.name,
+      clientEmail: contact.email,
+      eventType: contact.eventType && contact.eventType !== 'other' ? contact.eventType : 'private event',
+      eventDate: formatDate(eventDate),
+      guestCount,
+      quoteNumber: quote.quoteNumber,
+      total: formatMoney(version.total, quote.currency)
+    })
+  };
+};
+
+// Event agreement filled in from the contact, quote and venue settings
+export const generateContractDocument = async (quote, contact, { version: requested, clauses, adminId } = {}) => {
+  const version = resolveQuoteVersion(quote, requested);
+  const branding = await getBranding();
+  const issuedAt = new Date();
+  const number = await Document.generateNumber('contract');
+  const terms = prepareContractTerms(quote, version, contact, branding, clauses);
+
+  return storeDocument({
+    contact,
+    type: 'contract',
+    adminId,
+    render: () => renderContractPdf({
+      contract: { ...terms, number, issuedAt },
+      contact,
+      branding
+    }),
+    fields: {
+      number,
+      title: `Event Agreement ${number}`,
+      quote: quote._id,
+      quoteVersion: version.version,
+      total: version.total,
+      currency: quote.currency,
+      data: { issuedAt, eventDate: terms.eventDate, clauses: terms.clauses }
+    }
+  });
+};
+
+// Current PDF of an e-signature contract, including any signatures and its audit trail
+export const generateSignableContractDocument = async (contract, contact, { adminId } = {}) => {
+  const branding = await getBranding();
+
+  const loadSignature = async (signature) => {
+    if (!signature) return null;
+
+    const image = signature.imagePath
+      ? await fs.readFile(path.join(STORAGE_DIR, signature.imagePath)).catch(() => null)
+      : null;
+    return { name: signature.name, signedAt: signature.signedAt, image };
+  };
+
+  const clientSignature = await loadSignature(contract.clientSignature);
+  const countersignature = await loadSignature(contract.countersignature);
+
+  return storeDocument({
+    contact,
+    type: 'contract',
+    adminId,
+    render: () => renderContractPdf({
+      contract: {
+        number: contract.number,
+        issuedAt: contract.createdAt,
+        eventDate: contract.eventDate,
+        guestCount: contract.guestCount,
+        total: contract.total,
+        currency: contract.currency,
+        clauses: contract.clauses,
+        contentHash: contract.contentHash,
+        clientSignature,
+        countersignature,
+        audit: clientSignature ? contract.audit : null
+      },
+      contact,
+      branding
+    }),
+    fields: {
+      number: contract.number,
+      title: `${contract.title} ${contract.number}`,
+      quote: contract.quote,
+      quoteVersion: contract.quoteVersion,
+      total: contract.total,
+      currency: contract.currency,
+      data: { contract: contract._id, status: contract.status }
+    }
+  });
+};
+
+// Save a drawn signature (PNG data URL) with the contact's private documents
+export const storeSignatureImage = async (contact, name, dataUrl) => {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl || '');
+  const buffer = match && Buffer.from(match[1], 'base64');
+
+  // PNG files start with these eight bytes
+  if (!buffer || !buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    const error = new Error('Signature must be a PNG image');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const filePath = path.posix.join(DOCUMENTS_SUBDIR, contact._id.toString(), 'signatures', `${name}.png`);
+  const absolutePath = path.join(STORAGE_DIR, filePath);
+
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, buffer);
+
+  return filePath;
+};
+
+// Move every file under one folder into another, keeping subfolders, and
+// remove the old folders once they are empty
+const moveFolder = async (from, to) => {
+  const entries = await fs.readdir(from, { withFileTypes: true }).catch(() => []);
+  let moved = 0;
+
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      moved += await moveFolder(path.join(from, entry.name), path.join(to, entry.name));
+    } else if (entry.isFile()) {
+      await fs.mkdir(to, { recursive: true });
+      await fs.rename(path.join(from, entry.name), path.join(to, entry.name));
+      moved++;
+    }
+  }
+
+  await fs.rmdir(from).catch(() => {});
+  return moved;
+};
+
+// Move documents and signatures stored before they were kept out of uploads/.
+// Safe to run on every start; returns how many files were moved.
+export const moveLegacyDocuments = () => {
+  return moveFolder(path.join(UPLOADS_DIR, DOCUMENTS_SUBDIR), path.join(STORAGE_DIR, DOCUMENTS_SUBDIR));
+};
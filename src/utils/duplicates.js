@@ -0,0 +1,79 @@
+// Helpers for spotting the same client across several contact submissions
+
+// Domains that ignore dots in the local part of an address
+const DOTLESS_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Words that carry no identity in a couple's name ("Jane & John Smith")
+const NAME_STOPWORDS = ['and', 'mr', 'mrs', 'ms', 'miss', 'dr', 'the'];
+
+// Lowercase an email and drop +tags (and dots for Gmail) so aliases compare equal
+export const normalizeEmail = (email) => {
+  if (!email) return null;
+
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  if (!domain) return email.trim().toLowerCase();
+
+  let normalizedLocal = local.split('+')[0];
+  let normalizedDomain = domain;
+
+  if (DOTLESS_DOMAINS.includes(domain)) {
+    normalizedLocal = normalizedLocal.replace(/\./g, '');
+    normalizedDomain = 'gmail.com';
+  }
+
+  return `${normalizedLocal}@${normalizedDomain}`;
+};
+
+// Last ten digits of a phone number, ignoring formatting and country code
+export const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  const digits = phone.replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+const nameTokens = (name) => (name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(token => token && !NAME_STOPWORDS.includes(token));
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : Math.min(diagonal, previous[j - 1], previous[j]) + 1;
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+// Similarity of two names from 0 to 1. Takes the better of the edit distance
+// over the whole name and the share of the shorter name's words found in the
+// longer one, so "Jane Smith" matches "Jane & John Smith".
+export const nameSimilarity = (a, b) => {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const joinedA = tokensA.join(' ');
+  const joinedB = tokensB.join(' ');
+  const editSimilarity = 1 - levenshtein(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const shared = shorter.filter(token => longer.includes(token)).length;
+  const tokenSimilarity = shorter.length > 1 ? shared / shorter.length : 0;
+
+  return Math.max(editSimilarity, tokenSimilarity);
+};
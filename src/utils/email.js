@@ -2,7 +2,7 @@ import nodemailer from 'nodemailer';
 
 // Create transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.SMTP_HOST,
     port: process.env.SMTP_PORT,
     secure: process.env.SMTP_SECURE === 'true',
@@ -13,6 +13,112 @@ const createTransporter = () => {
   });
 };
 
+// Shared layout for transactional emails sent to clients and partners
+const renderEmailLayout = ({ title, heading, subheading = 'The White Barn FL', body }) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>${title}</title>
+      <style>
+        body { 
+          font-family: Arial, sans-serif; 
+          line-height: 1.6; 
+          color: #333; 
+          margin: 0; 
+          padding: 20px; 
+        }
+        .container { 
+          max-width: 600px; 
+          margin: 0 auto; 
+          background: #f9f9f9; 
+          padding: 20px; 
+          border-radius: 10px; 
+        }
+        .header { 
+          background: #f59332; 
+          color: white; 
+          padding: 20px; 
+          text-align: center; 
+          border-radius: 10px 10px 0 0; 
+          margin: -20px -20px 20px -20px; 
+        }
+        .content { 
+          background: white; 
+          padding: 20px; 
+          border-radius: 5px; 
+        }
+        .field { 
+          margin-bottom: 15px; 
+          padding: 10px; 
+          border-left: 4px solid #f59332; 
+          background: #fafafa; 
+        }
+        .field strong { 
+          color: #f59332; 
+          display: inline-block; 
+          width: 120px; 
+        }
+        .button { 
+          display: inline-block; 
+          background: #f59332; 
+          color: white; 
+          padding: 12px 24px; 
+          text-decoration: none; 
+          border-radius: 5px; 
+          font-weight: bold; 
+          margin: 10px 5px; 
+        }
+        .button.secondary { 
+          background: #777; 
+        }
+        .footer { 
+          text-align: center; 
+          margin-top: 20px; 
+          padding-top: 20px; 
+          border-top: 1px solid #ddd; 
+          color: #666; 
+          font-size: 12px; 
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${heading}</h1>
+          <p>${subheading}</p>
+        </div>
+        
+        <div class="content">
+          ${body}
+        </div>
+        
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} The White Barn FL - All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// Send a message through the shared transporter and log the result
+const deliverEmail = async (mailOptions, label) => {
+  try {
+    const transporter = createTransporter();
+    const result = await transporter.sendMail({
+      from: `"The White Barn FL" <${process.env.FROM_EMAIL}>`,
+      ...mailOptions
+    });
+    console.log(`📧 ${label} email sent:`, result.messageId);
+    return result;
+  } catch (error) {
+    console.error(`❌ ${label} email failed:`, error);
+    throw error;
+  }
+};
+
 // Email template for contact form
 const createContactEmailTemplate = (contactData) => {
   return `
@@ -251,6 +357,7 @@ export const sendAutoReplyEmail = async (contactData) => {
             <p>&copy; ${new Date().getFullYear()} The White Barn FL - All rights reserved.</p>
           </div>
         </div>
+        ${contactData.openPixelUrl ? `<img src="${contactData.openPixelUrl}" width="1" height="1" alt="" style="display:block;border:0;">` : ''}
       </body>
       </html>
     `;
@@ -556,3 +663,735 @@ export const sendPasswordResetEmail = async (adminData) => {
     throw error;
   }
 };
+
+// Tour details block shared by the tour emails
+const renderTourDetails = (tourData) => `
+  <div class="field">
+    <strong>When:</strong> ${tourData.when}
+  </div>
+  <div class="field">
+    <strong>Where:</strong> 4680 SW 148th Ave, Fort Lauderdale, FL 33330
+  </div>
+  <div style="text-align: center;">
+    <a href="${tourData.rescheduleUrl}" class="button">Reschedule</a>
+    <a href="${tourData.cancelUrl}" class="button secondary">Cancel Tour</a>
+  </div>
+`;
+
+// Send tour booking (or reschedule) confirmation to the client
+export const sendTourConfirmationEmail = async (tourData) => {
+  const heading = tourData.rescheduled ? 'Your Tour Has Been Rescheduled' : 'Your Tour Is Confirmed';
+
+  return deliverEmail({
+    to: tourData.email,
+    subject: `${heading} - The White Barn FL`,
+    html: renderEmailLayout({
+      title: `${heading} - The White Barn FL`,
+      heading,
+      body: `
+        <p>Dear ${tourData.name},</p>
+        <p>We look forward to showing you around The White Barn FL. Here are your tour details:</p>
+        ${renderTourDetails(tourData)}
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${tourData.name},
+
+      ${heading}.
+
+      When: ${tourData.when}
+      Where: 4680 SW 148th Ave, Fort Lauderdale, FL 33330
+
+      Reschedule: ${tourData.rescheduleUrl}
+      Cancel: ${tourData.cancelUrl}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Tour confirmation');
+};
+
+// Send tour reminder to the client ahead of the visit
+export const sendTourReminderEmail = async (tourData) => {
+  return deliverEmail({
+    to: tourData.email,
+    subject: 'Reminder: Your Tour of The White Barn FL',
+    html: renderEmailLayout({
+      title: 'Tour Reminder - The White Barn FL',
+      heading: 'See You Soon!',
+      body: `
+        <p>Dear ${tourData.name},</p>
+        <p>This is a friendly reminder about your upcoming venue tour.</p>
+        ${renderTourDetails(tourData)}
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${tourData.name},
+
+      This is a friendly reminder about your upcoming venue tour.
+
+      When: ${tourData.when}
+      Where: 4680 SW 148th Ave, Fort Lauderdale, FL 33330
+
+      Reschedule: ${tourData.rescheduleUrl}
+      Cancel: ${tourData.cancelUrl}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Tour reminder');
+};
+
+// Send tour cancellation confirmation to the client
+export const sendTourCancellationEmail = async (tourData) => {
+  return deliverEmail({
+    to: tourData.email,
+    subject: 'Your Tour Has Been Cancelled - The White Barn FL',
+    html: renderEmailLayout({
+      title: 'Tour Cancelled - The White Barn FL',
+      heading: 'Your Tour Has Been Cancelled',
+      body: `
+        <p>Dear ${tourData.name},</p>
+        <p>Your tour on ${tourData.when} has been cancelled.</p>
+        <p>Whenever you are ready, you can book a new time on our website.</p>
+        <div style="text-align: center;">
+          <a href="${tourData.bookUrl}" class="button">Book Another Tour</a>
+        </div>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${tourData.name},
+
+      Your tour on ${tourData.when} has been cancelled.
+
+      Book another time: ${tourData.bookUrl}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Tour cancellation');
+};
+
+// Send a quote link to the client
+export const sendQuoteEmail = async (quoteData) => {
+  const heading = quoteData.revised ? 'Your Updated Quote' : 'Your Quote';
+
+  return deliverEmail({
+    to: quoteData.email,
+    subject: `${heading} ${quoteData.quoteNumber} - The White Barn FL`,
+    html: renderEmailLayout({
+      title: `${heading} - The White Barn FL`,
+      heading,
+      body: `
+        <p>Dear ${quoteData.name},</p>
+        <p>Thank you for considering The White Barn FL. Your ${quoteData.revised ? 'updated ' : ''}quote is ready to review.</p>
+        <div class="field">
+          <strong>Quote:</strong> ${quoteData.quoteNumber}${quoteData.title ? ` - ${quoteData.title}` : ''}
+        </div>
+        <div class="field">
+          <strong>Total:</strong> ${quoteData.total}
+        </div>
+        ${quoteData.validUntil ? `
+        <div class="field">
+          <strong>Valid until:</strong> ${quoteData.validUntil}
+        </div>
+        ` : ''}
+        <div style="text-align: center;">
+          <a href="${quoteData.url}" class="button">View Your Quote</a>
+        </div>
+        <p>You can accept or decline the quote from the link above. Reply to this email with any questions.</p>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${quoteData.name},
+
+      Your ${quoteData.revised ? 'updated ' : ''}quote ${quoteData.quoteNumber} is ready to review.
+
+      Total: ${quoteData.total}
+      ${quoteData.validUntil ? `Valid until: ${quoteData.validUntil}` : ''}
+
+      View your quote: ${quoteData.url}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Quote');
+};
+
+// Let the team know a client accepted or declined a quote
+export const sendQuoteResponseAlert = async (quoteData) => {
+  const outcome = quoteData.accepted ? 'accepted' : 'declined';
+
+  return deliverEmail({
+    to: process.env.TO_EMAIL,
+    subject: `Quote ${quoteData.quoteNumber} ${outcome} by ${quoteData.name}`,
+    html: renderEmailLayout({
+      title: `Quote ${outcome}`,
+      heading: `Quote ${outcome}`,
+      subheading: quoteData.quoteNumber,
+      body: `
+        <div class="field">
+          <strong>Client:</strong> ${quoteData.name}
+        </div>
+        <div class="field">
+          <strong>Total:</strong> ${quoteData.total}
+        </div>
+        ${quoteData.reason ? `
+        <div class="field">
+          <strong>Reason:</strong> ${quoteData.reason}
+        </div>
+        ` : ''}
+        <div style="text-align: center;">
+          <a href="${quoteData.adminUrl}" class="button">Open Contact</a>
+        </div>
+      `
+    }),
+    text: `
+      Quote ${quoteData.quoteNumber} was ${outcome} by ${quoteData.name}.
+
+      Total: ${quoteData.total}
+      ${quoteData.reason ? `Reason: ${quoteData.reason}` : ''}
+
+      ${quoteData.adminUrl}
+    `
+  }, 'Quote response alert');
+};
+
+// Remind the client of an upcoming or missed payment
+export const sendPaymentReminderEmail = async (paymentData) => {
+  const heading = paymentData.overdue ? 'Payment Overdue' : 'Payment Reminder';
+
+  return deliverEmail({
+    to: paymentData.email,
+    subject: `${heading}: ${paymentData.label} - The White Barn FL`,
+    html: renderEmailLayout({
+      title: `${heading} - The White Barn FL`,
+      heading,
+      body: `
+        <p>Dear ${paymentData.name},</p>
+        <p>${paymentData.overdue
+          ? `We haven't yet received your ${paymentData.label.toLowerCase()} payment, which was due on ${paymentData.dueDate}.`
+          : `This is a friendly reminder that your ${paymentData.label.toLowerCase()} payment is due on ${paymentData.dueDate}.`}</p>
+        <div class="field">
+          <strong>Amount due:</strong> ${paymentData.amount}
+        </div>
+        <div class="field">
+          <strong>Remaining balance:</strong> ${paymentData.balance}
+        </div>
+        <div style="text-align: center;">
+          <a href="${paymentData.url}" class="button">Pay Online</a>
+        </div>
+        <p>If you have already sent this payment, thank you, and please disregard this message. Reply to this email with any questions.</p>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${paymentData.name},
+
+      ${paymentData.overdue
+        ? `Your ${paymentData.label.toLowerCase()} payment was due on ${paymentData.dueDate}.`
+        : `Your ${paymentData.label.toLowerCase()} payment is due on ${paymentData.dueDate}.`}
+
+      Amount due: ${paymentData.amount}
+      Remaining balance: ${paymentData.balance}
+
+      Pay online: ${paymentData.url}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, paymentData.overdue ? 'Payment overdue' : 'Payment reminder');
+};
+
+// Confirm a payment to the client
+export const sendPaymentReceiptEmail = async (paymentData) => {
+  return deliverEmail({
+    to: paymentData.email,
+    subject: 'Payment Received - The White Barn FL',
+    html: renderEmailLayout({
+      title: 'Payment Received - The White Barn FL',
+      heading: 'Thank You for Your Payment',
+      body: `
+        <p>Dear ${paymentData.name},</p>
+        <p>We received your payment of ${paymentData.amount} on ${paymentData.paidAt}.</p>
+        ${paymentData.reference ? `
+        <div class="field">
+          <strong>Reference:</strong> ${paymentData.reference}
+        </div>
+        ` : ''}
+        <div class="field">
+          <strong>Remaining balance:</strong> ${paymentData.balance}
+        </div>
+        ${paymentData.nextDueDate ? `
+        <div class="field">
+          <strong>Next payment due:</strong> ${paymentData.nextDueDate}
+        </div>
+        ` : ''}
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${paymentData.name},
+
+      We received your payment of ${paymentData.amount} on ${paymentData.paidAt}.
+      ${paymentData.reference ? `Reference: ${paymentData.reference}` : ''}
+
+      Remaining balance: ${paymentData.balance}
+      ${paymentData.nextDueDate ? `Next payment due: ${paymentData.nextDueDate}` : ''}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Payment receipt');
+};
+
+// Send a contract signing link to the client
+export const sendContractEmail = async (contractData) => {
+  return deliverEmail({
+    to: contractData.email,
+    subject: `Your ${contractData.title} ${contractData.number} is Ready to Sign - The White Barn FL`,
+    html: renderEmailLayout({
+      title: 'Contract Ready to Sign - The White Barn FL',
+      heading: 'Your Contract is Ready',
+      body: `
+        <p>Dear ${contractData.name},</p>
+        <p>Thank you for choosing The White Barn FL. Your ${contractData.title.toLowerCase()} is ready for you to review and sign online.</p>
+        <div class="field">
+          <strong>Contract:</strong> ${contractData.number}
+        </div>
+        <div class="field">
+          <strong>Total:</strong> ${contractData.total}
+        </div>
+        <div style="text-align: center;">
+          <a href="${contractData.url}" class="button">Review and Sign</a>
+        </div>
+        <p>Your date is confirmed once the contract is signed. Reply to this email with any questions.</p>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${contractData.name},
+
+      Your ${contractData.title.toLowerCase()} ${contractData.number} is ready for you to review and sign.
+
+      Total: ${contractData.total}
+
+      Review and sign: ${contractData.url}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Contract');
+};
+
+// Let the team know a client signed a contract
+export const sendContractSignedAlert = async (contractData) => {
+  return deliverEmail({
+    to: process.env.TO_EMAIL,
+    subject: `Contract ${contractData.number} signed by ${contractData.name}`,
+    html: renderEmailLayout({
+      title: 'Contract signed',
+      heading: 'Contract signed',
+      subheading: contractData.number,
+      body: `
+        <div class="field">
+          <strong>Client:</strong> ${contractData.name}
+        </div>
+        <div class="field">
+          <strong>Signed as:</strong> ${contractData.signedBy}
+        </div>
+        <div class="field">
+          <strong>Total:</strong> ${contractData.total}
+        </div>
+        <p>The contract is waiting for your countersignature.</p>
+        <div style="text-align: center;">
+          <a href="${contractData.adminUrl}" class="button">Open Contact</a>
+        </div>
+      `
+    }),
+    text: `
+      Contract ${contractData.number} was signed by ${contractData.name} (as ${contractData.signedBy}).
+
+      Total: ${contractData.total}
+
+      The contract is waiting for your countersignature: ${contractData.adminUrl}
+    `
+  }, 'Contract signed alert');
+};
+
+// Send the fully signed contract to the client
+export const sendContractExecutedEmail = async (contractData) => {
+  return deliverEmail({
+    to: contractData.email,
+    subject: `Your Signed Contract ${contractData.number} - The White Barn FL`,
+    html: renderEmailLayout({
+      title: 'Signed Contract - The White Barn FL',
+      heading: "You're All Set!",
+      body: `
+        <p>Dear ${contractData.name},</p>
+        <p>Your contract ${contractData.number} has been signed by both parties. Please keep a copy for your records.</p>
+        <div style="text-align: center;">
+          <a href="${contractData.url}" class="button">Download Signed Contract</a>
+        </div>
+        <p>We look forward to hosting your event!</p>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${contractData.name},
+
+      Your contract ${contractData.number} has been signed by both parties.
+
+      Download your copy: ${contractData.url}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Contract executed');
+};
+
+// Send a partner their one-time portal sign-in link
+export const sendPartnerLoginEmail = async (partnerData) => {
+  return deliverEmail({
+    to: partnerData.email,
+    subject: 'Your Partner Portal Sign-In Link - The White Barn FL',
+    html: renderEmailLayout({
+      title: 'Partner Portal Sign-In - The White Barn FL',
+      heading: 'Partner Portal',
+      body: `
+        <p>Hi ${partnerData.name},</p>
+        <p>Use the button below to sign in and see how your referrals are doing. The link works once and expires in ${partnerData.expiresInMinutes} minutes.</p>
+        <div style="text-align: center;">
+          <a href="${partnerData.url}" class="button">Sign In</a>
+        </div>
+        <p>If you didn't ask to sign in, you can ignore this email.</p>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Hi ${partnerData.name},
+
+      Sign in to the partner portal: ${partnerData.url}
+
+      The link works once and expires in ${partnerData.expiresInMinutes} minutes. If you didn't ask to sign in, you can ignore this email.
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Partner login');
+};
+
+// Alert the venue to a new partner application
+export const sendPartnerApplicationAlert = async (partnerData) => {
+  return deliverEmail({
+    to: process.env.TO_EMAIL,
+    subject: `New partner application from ${partnerData.name}`,
+    html: renderEmailLayout({
+      title: 'New partner application',
+      heading: 'New Partner Application',
+      subheading: partnerData.type,
+      body: `
+        <div class="field">
+          <strong>Name:</strong> ${partnerData.name}
+        </div>
+        <div class="field">
+          <strong>Email:</strong> ${partnerData.email}
+        </div>
+        <div class="field">
+          <strong>Audience size:</strong> ${partnerData.audienceSize ?? 'Not provided'}
+        </div>
+        <div class="field">
+          <strong>Social:</strong> ${partnerData.social || 'Not provided'}
+        </div>
+        <div class="field">
+          <strong>Why they want to partner:</strong><br>${partnerData.motivation}
+        </div>
+        <div style="text-align: center;">
+          <a href="${partnerData.adminUrl}" class="button">Review Application</a>
+        </div>
+      `
+    }),
+    text: `
+      New ${partnerData.type} partner application from ${partnerData.name} (${partnerData.email}).
+
+      Audience size: ${partnerData.audienceSize ?? 'Not provided'}
+      Social: ${partnerData.social || 'Not provided'}
+
+      Why they want to partner:
+      ${partnerData.motivation}
+
+      Review the application: ${partnerData.adminUrl}
+    `
+  }, 'Partner application alert');
+};
+
+// Welcome an approved partner with their referral code, link and QR code
+export const sendPartnerApprovalEmail = async (partnerData) => {
+  return deliverEmail({
+    to: partnerData.email,
+    subject: 'Welcome to The White Barn FL Partner Program',
+    html: renderEmailLayout({
+      title: 'Partner Application Approved - The White Barn FL',
+      heading: "You're Approved!",
+      body: `
+        <p>Hi ${partnerData.name},</p>
+        <p>Thank you for applying to partner with The White Barn FL. We're delighted to welcome you to the program.</p>
+        <div class="field">
+          <strong>Your referral code:</strong> ${partnerData.code}
+        </div>
+        <div class="field">
+          <strong>Your referral link:</strong> <a href="${partnerData.referralUrl}">${partnerData.referralUrl}</a>
+        </div>
+        <p>Share the link, or print the QR code below, and every couple who reaches out through it is credited to you.</p>
+        <div style="text-align: center;">
+          <img src="cid:partner-qr" alt="Referral QR code for ${partnerData.code}" width="200" height="200">
+        </div>
+        <div style="text-align: center;">
+          <a href="${partnerData.portalUrl}" class="button">Open Partner Portal</a>
+        </div>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Hi ${partnerData.name},
+
+      Your application to partner with The White Barn FL has been approved.
+
+      Referral code: ${partnerData.code}
+      Referral link: ${partnerData.referralUrl}
+      QR code: ${partnerData.qrUrl}
+
+      Track your referrals in the partner portal: ${partnerData.portalUrl}
+
+      Best regards,
+      The White Barn FL Team
+    `,
+    attachments: [{
+      filename: `partner-qr-${partnerData.code}.png`,
+      content: partnerData.qrPng,
+      cid: 'partner-qr'
+    }]
+  }, 'Partner approval');
+};
+
+// Let an applicant know their partner application wasn't accepted
+export const sendPartnerRejectionEmail = async (partnerData) => {
+  return deliverEmail({
+    to: partnerData.email,
+    subject: 'Your Partner Application - The White Barn FL',
+    html: renderEmailLayout({
+      title: 'Partner Application - The White Barn FL',
+      heading: 'Thank You for Applying',
+      body: `
+        <p>Hi ${partnerData.name},</p>
+        <p>Thank you for your interest in partnering with The White Barn FL. After reviewing your application, we aren't able to move forward at this time.</p>
+        ${partnerData.reason ? `<p>${partnerData.reason}</p>` : ''}
+        <p>We appreciate you thinking of us and wish you all the best.</p>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Hi ${partnerData.name},
+
+      Thank you for your interest in partnering with The White Barn FL. After reviewing your application, we aren't able to move forward at this time.
+      ${partnerData.reason ? `\n      ${partnerData.reason}\n` : ''}
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Partner rejection');
+};
+
+// Monthly statement email for a partner. Exported separately so admins can
+// preview exactly what will be sent.
+export const renderPartnerStatementEmail = (statementData) => {
+  const rows = [
+    ['Link clicks', statementData.clicks],
+    ['Leads', statementData.leads],
+    ['Tours booked', statementData.tours],
+    ['Bookings', statementData.bookings],
+    ['Lead to booking rate', statementData.conversionRate],
+    ['Commission earned', statementData.commissionAccrued],
+    ['Commission paid', statementData.commissionPaid],
+    ['Balance owed to you', statementData.commissionOutstanding]
+  ];
+
+  return {
+    subject: `Your ${statementData.periodLabel} Partner Statement - The White Barn FL`,
+    html: renderEmailLayout({
+      title: `Partner Statement ${statementData.periodLabel} - The White Barn FL`,
+      heading: 'Your Monthly Statement',
+      subheading: statementData.periodLabel,
+      body: `
+        <p>Hi ${statementData.name},</p>
+        <p>Here's how your referrals did in ${statementData.periodLabel}. The full statement is attached as a PDF.</p>
+        ${rows.map(([label, value]) => `
+        <div class="field">
+          <strong>${label}:</strong> ${value}
+        </div>`).join('')}
+        <div style="text-align: center;">
+          <a href="${statementData.portalUrl}" class="button">Open Partner Portal</a>
+        </div>
+        <p>Thank you for sending couples our way.</p>
+        <p>Best regards,<br>The White Barn FL Team</p>
+        <p style="font-size: 12px; color: #666;">Don't want monthly statements? <a href="${statementData.unsubscribeUrl}">Unsubscribe</a></p>
+      `
+    }),
+    text: `
+      Hi ${statementData.name},
+
+      Your ${statementData.periodLabel} partner statement (code ${statementData.code}):
+
+      ${rows.map(([label, value]) => `${label}: ${value}`).join('\n      ')}
+
+      The full statement is attached as a PDF. Partner portal: ${statementData.portalUrl}
+
+      Best regards,
+      The White Barn FL Team
+
+      Unsubscribe from monthly statements: ${statementData.unsubscribeUrl}
+    `
+  };
+};
+
+// Send a partner their monthly statement with the PDF attached
+export const sendPartnerStatementEmail = async (statementData) => {
+  return deliverEmail({
+    to: statementData.email,
+    ...renderPartnerStatementEmail(statementData),
+    attachments: [{
+      filename: statementData.fileName,
+      content: statementData.pdf,
+      contentType: 'application/pdf'
+    }]
+  }, 'Partner statement');
+};
+
+// Send the marketing team the month's figures for every partner
+export const sendPartnerSummaryEmail = async (summaryData) => {
+  return deliverEmail({
+    to: summaryData.to,
+    subject: `Partner Program Summary - ${summaryData.periodLabel}`,
+    html: renderEmailLayout({
+      title: `Partner Program Summary ${summaryData.periodLabel}`,
+      heading: 'Partner Program Summary',
+      subheading: summaryData.periodLabel,
+      body: `
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <tr style="background: #f5f5f5;">
+            <th style="text-align: left; padding: 6px;">Partner</th>
+            <th style="text-align: right; padding: 6px;">Clicks</th>
+            <th style="text-align: right; padding: 6px;">Leads</th>
+            <th style="text-align: right; padding: 6px;">Bookings</th>
+            <th style="text-align: right; padding: 6px;">Commission</th>
+          </tr>
+          ${summaryData.rows.map(row => `
+          <tr>
+            <td style="padding: 6px; border-top: 1px solid #eee;">${row.name} (${row.code})</td>
+            <td style="text-align: right; padding: 6px; border-top: 1px solid #eee;">${row.clicks}</td>
+            <td style="text-align: right; padding: 6px; border-top: 1px solid #eee;">${row.leads}</td>
+            <td style="text-align: right; padding: 6px; border-top: 1px solid #eee;">${row.bookings}</td>
+            <td style="text-align: right; padding: 6px; border-top: 1px solid #eee;">${row.commission}</td>
+          </tr>`).join('')}
+          <tr style="font-weight: bold;">
+            <td style="padding: 6px; border-top: 2px solid #ddd;">Total</td>
+            <td style="text-align: right; padding: 6px; border-top: 2px solid #ddd;">${summaryData.totals.clicks}</td>
+            <td style="text-align: right; padding: 6px; border-top: 2px solid #ddd;">${summaryData.totals.leads}</td>
+            <td style="text-align: right; padding: 6px; border-top: 2px solid #ddd;">${summaryData.totals.bookings}</td>
+            <td style="text-align: right; padding: 6px; border-top: 2px solid #ddd;">${summaryData.totals.commission}</td>
+          </tr>
+        </table>
+        <p>${summaryData.statementsSent} partner statement(s) were emailed for this month. The full summary is attached as a PDF.</p>
+      `
+    }),
+    text: `
+      Partner program summary for ${summaryData.periodLabel}
+
+      ${summaryData.rows.map(row => `${row.name} (${row.code}): ${row.clicks} clicks, ${row.leads} leads, ${row.bookings} bookings, ${row.commission} commission`).join('\n      ')}
+
+      Total: ${summaryData.totals.clicks} clicks, ${summaryData.totals.leads} leads, ${summaryData.totals.bookings} bookings, ${summaryData.totals.commission} commission
+
+      ${summaryData.statementsSent} partner statement(s) were emailed for this month.
+    `,
+    attachments: [{
+      filename: summaryData.fileName,
+      content: summaryData.pdf,
+      contentType: 'application/pdf'
+    }]
+  }, 'Partner summary');
+};
+
+// Ask a client to review their event, or remind them if they haven't yet
+export const sendReviewInvitationEmail = async (reviewData) => {
+  const intro = reviewData.reminder
+    ? `We'd still love to hear about your ${reviewData.eventLabel} on ${reviewData.eventDate}. If you have a couple of minutes, your review helps other couples and families picture their own day at The White Barn.`
+    : `Thank you for celebrating your ${reviewData.eventLabel} with us on ${reviewData.eventDate}. We hope it was everything you imagined, and we'd be grateful if you'd share how it went.`;
+
+  return deliverEmail({
+    to: reviewData.email,
+    subject: reviewData.reminder
+      ? 'A Quick Reminder: Share Your White Barn Experience'
+      : 'How Was Your Event at The White Barn FL?',
+    html: renderEmailLayout({
+      title: 'Review Your Event - The White Barn FL',
+      heading: reviewData.reminder ? 'We\'d Love Your Feedback' : 'Thank You for Celebrating With Us',
+      body: `
+        <p>Dear ${reviewData.name},</p>
+        <p>${intro}</p>
+        <div style="text-align: center;">
+          <a href="${reviewData.reviewUrl}" class="button">Write a Review</a>
+        </div>
+        <p>The link is personal to you, so your details are already filled in.</p>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${reviewData.name},
+
+      ${intro}
+
+      Write a review: ${reviewData.reviewUrl}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, reviewData.reminder ? 'Review reminder' : 'Review invitation');
+};
+
+// Let a reviewer know we've replied to their review
+export const sendReviewResponseEmail = async (reviewData) => {
+  return deliverEmail({
+    to: reviewData.email,
+    subject: 'We Replied to Your Review - The White Barn FL',
+    html: renderEmailLayout({
+      title: 'A Reply to Your Review - The White Barn FL',
+      heading: 'Thank You for Your Review',
+      body: `
+        <p>Dear ${reviewData.name},</p>
+        <p>Thank you for taking the time to review The White Barn FL. We've replied to "${reviewData.title}":</p>
+        <div class="field">
+          ${reviewData.response}
+        </div>
+        <div style="text-align: center;">
+          <a href="${reviewData.reviewUrl}" class="button">View Your Review</a>
+        </div>
+        <p>Best regards,<br>The White Barn FL Team</p>
+      `
+    }),
+    text: `
+      Dear ${reviewData.name},
+
+      Thank you for taking the time to review The White Barn FL. We've replied to "${reviewData.title}":
+
+      ${reviewData.response}
+
+      View your review: ${reviewData.reviewUrl}
+
+      Best regards,
+      The White Barn FL Team
+    `
+  }, 'Review response');
+};
@@ -0,0 +1,32 @@
+import Contact from '../models/Contact.js';
+import { signToken, verifySignedToken } from './signedToken.js';
+
+// Opens are counted for as long as a client might come back to the email
+const OPEN_TOKEN_DAYS = 90;
+
+// 1x1 transparent GIF
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Image URL that records an open of an email sent to the contact
+export const buildOpenPixelUrl = (apiBaseUrl, contactId) => {
+  const token = signToken('email-open', { contactId: contactId.toString() }, `${OPEN_TOKEN_DAYS}d`);
+  return `${apiBaseUrl}/api/contact/opened/${token}.gif`;
+};
+
+// Count an open for the contact the pixel was sent to. Invalid tokens are ignored.
+export const recordEmailOpen = async (token) => {
+  const decoded = verifySignedToken(token, 'email-open');
+  if (!decoded?.contactId) return false;
+
+  const now = new Date();
+  const result = await Contact.updateOne(
+    { _id: decoded.contactId },
+    {
+      $inc: { 'emailEngagement.opens': 1 },
+      $set: { 'emailEngagement.lastOpenedAt': now },
+      $min: { 'emailEngagement.firstOpenedAt': now }
+    }
+  );
+
+  return result.matchedCount > 0;
+};
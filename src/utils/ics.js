@@ -0,0 +1,117 @@
+// Minimal RFC 5545 (iCalendar) writer for booking, hold and tour feeds
+
+const PRODUCT_ID = '-//The White Barn FL//Venue Calendar//EN';
+
+// Escape text values (commas, semicolons, backslashes and newlines)
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets as required by the spec
+const foldLine = (line) => {
+  const chunks = [];
+  let remaining = line;
+
+  while (Buffer.byteLength(remaining, 'utf8') > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(remaining.slice(0, cut), 'utf8') > 75) {
+      cut--;
+    }
+    chunks.push(remaining.slice(0, cut));
+    remaining = ' ' + remaining.slice(cut);
+  }
+
+  chunks.push(remaining);
+  return chunks.join('\r\n');
+};
+
+// UTC timestamp, e.g. 20260614T180000Z
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Floating local time from a YYYY-MM-DD key and HH:mm, e.g. 20260614T170000
+const formatLocalDateTime = (dateKey, time) => {
+  return `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+};
+
+// All-day value from a YYYY-MM-DD key, e.g. 20260614
+const formatDate = (dateKey) => dateKey.replace(/-/g, '');
+
+// Calendar date key following the given YYYY-MM-DD key
+const nextDateKey = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().split('T')[0];
+};
+
+// Build the DTSTART/DTEND lines for an event
+const buildTimeLines = (event) => {
+  if (event.allDay) {
+    return [
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDateKey(event.date))}`
+    ];
+  }
+
+  if (event.localStart) {
+    return [
+      `DTSTART:${formatLocalDateTime(event.date, event.localStart)}`,
+      `DTEND:${formatLocalDateTime(event.date, event.localEnd)}`
+    ];
+  }
+
+  return [
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`
+  ];
+};
+
+// Build a single VEVENT block
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    ...buildTimeLines(event),
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.categories) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build a complete VCALENDAR document from a list of events
+export const buildCalendar = ({ name, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Hint subscribing clients to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach(event => {
+    lines.push(...buildEvent(event));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export default buildCalendar;
@@ -0,0 +1,265 @@
+import Settings, { defaultSettings } from '../models/Settings.js';
+import Booking, { TIME_BLOCKS, toDateKey } from '../models/Booking.js';
+import Activity from '../models/Activity.js';
+import Contact from '../models/Contact.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rule keys stored under the leadScoring settings category
+export const SCORING_RULES = [
+  'eventDateProximity',
+  'guestCount',
+  'budget',
+  'eventType',
+  'referral',
+  'utmSource',
+  'dateAvailability',
+  'engagement'
+];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const pointsMap = (value) => isPlainObject(value) && Object.values(value).every(isNumber);
+
+// Shape checks for each rule so bad settings are rejected before they are saved
+const RULE_VALIDATORS = {
+  eventDateProximity: (rule) =>
+    Array.isArray(rule.brackets) &&
+    rule.brackets.every(bracket => isNumber(bracket.maxDays) && isNumber(bracket.points)),
+  guestCount: (rule) =>
+    Array.isArray(rule.brackets) &&
+    rule.brackets.every(bracket => isNumber(bracket.min) && isNumber(bracket.points)),
+  budget: (rule) => pointsMap(rule.points),
+  eventType: (rule) => pointsMap(rule.points),
+  referral: (rule) => pointsMap(rule.points),
+  utmSource: (rule) => pointsMap(rule.points),
+  dateAvailability: (rule) => ['openPoints', 'partialPoints', 'unavailablePoints'].every(key => isNumber(rule[key])),
+  engagement: (rule) => ['tourBookedPoints', 'repliedPoints', 'bookedPoints'].every(key => isNumber(rule[key]))
+};
+
+// Validate a leadScoring setting value before it is stored
+export const validateScoringSetting = (key, value) => {
+  if (key === 'enabled') {
+    return typeof value === 'boolean'
+      ? { isValid: true }
+      : { isValid: false, error: 'Value must be a boolean' };
+  }
+
+  if (key === 'baseScore') {
+    return isNumber(value) && value >= 0 && value <= 100
+      ? { isValid: true }
+      : { isValid: false, error: 'Base score must be a number from 0 to 100' };
+  }
+
+  if (!RULE_VALIDATORS[key]) {
+    return { isValid: false, error: `Unknown scoring rule: ${key}` };
+  }
+
+  if (!isPlainObject(value) || (value.enabled !== undefined && typeof value.enabled !== 'boolean')) {
+    return { isValid: false, error: 'Rule must be an object' };
+  }
+
+  return RULE_VALIDATORS[key](value)
+    ? { isValid: true }
+    : { isValid: false, error: `Invalid ${key} rule configuration` };
+};
+
+// Stored rules layered over the defaults so a missing setting never disables scoring
+export const getScoringRules = async () => {
+  const stored = await Settings.getByCategory('leadScoring');
+  const rules = {};
+
+  Object.entries(defaultSettings.leadScoring).forEach(([key, config]) => {
+    const value = stored[key];
+    rules[key] = value !== undefined && validateScoringSetting(key, value).isValid ? value : config.value;
+  });
+
+  return rules;
+};
+
+// Points from the first bracket that matches, brackets checked in the order given
+const matchBracket = (brackets, predicate) => {
+  const bracket = brackets.find(predicate);
+  return bracket ? bracket.points : 0;
+};
+
+// Whether the contact's requested date is still open on the venue calendar
+const getDateAvailability = async (contact) => {
+  const dateKey = toDateKey(contact.eventDate);
+  if (!dateKey) return null;
+
+  // The contact's own holds and bookings never count against them
+  const entries = await Booking.find({
+    date: dateKey,
+    blocking: true,
+    contact: { $ne: contact._id },
+    $or: [
+      { status: 'booked' },
+      { holdExpiresAt: { $exists: false } },
+      { holdExpiresAt: null },
+      { holdExpiresAt: { $gt: new Date() } }
+    ]
+  }).select('timeBlock').lean();
+
+  if (entries.length === 0) return 'open';
+
+  const taken = new Set(entries.map(entry => entry.timeBlock));
+  return taken.has('full_day') || TIME_BLOCKS.every(block => taken.has(block))
+    ? 'unavailable'
+    : 'partial';
+};
+
+// Whether the contact has written or called back
+const hasReplied = async (contact) => {
+  if (contact.status === 'replied') return true;
+  if (contact.isNew) return false;
+
+  const inbound = await Activity.exists({
+    contact: contact._id,
+    type: { $in: ['email', 'call'] },
+    direction: 'inbound'
+  });
+
+  return !!inbound;
+};
+
+// Each evaluator returns { points, detail } or null when the rule does not apply
+const EVALUATORS = {
+  eventDateProximity: (rule, contact) => {
+    if (!contact.eventDate) {
+      return { points: rule.missingPoints || 0, detail: 'No event date given' };
+    }
+
+    const days = Math.ceil((new Date(contact.eventDate).getTime() - Date.now()) / DAY);
+    if (days < 0) {
+      return { points: rule.pastPoints || 0, detail: 'Event date is in the past' };
+    }
+
+    const sorted = [...rule.brackets].sort((a, b) => a.maxDays - b.maxDays);
+    return {
+      points: matchBracket(sorted, bracket => days <= bracket.maxDays),
+      detail: `Event is ${days} day(s) away`
+    };
+  },
+
+  guestCount: (rule, contact) => {
+    if (!contact.guestCount) {
+      return { points: rule.missingPoints || 0, detail: 'No guest count given' };
+    }
+
+    const sorted = [...rule.brackets].sort((a, b) => b.min - a.min);
+    return {
+      points: matchBracket(sorted, bracket => contact.guestCount >= bracket.min),
+      detail: `${contact.guestCount} guests`
+    };
+  },
+
+  budget: (rule, contact) => ({
+    points: rule.points[contact.budget] || 0,
+    detail: `Budget ${contact.budget || 'not-specified'}`
+  }),
+
+  eventType: (rule, contact) => ({
+    points: rule.points[contact.eventType] || 0,
+    detail: `${contact.eventType || 'other'} event`
+  }),
+
+  referral: (rule, contact) => {
+    if (!contact.refSource) return null;
+    return {
+      points: rule.points[contact.refSource] || 0,
+      detail: `Referred by ${contact.refSource} partner ${contact.refCode}`
+    };
+  },
+
+  utmSource: (rule, contact) => {
+    const source = contact.utm?.source?.toLowerCase();
+    if (!source) return null;
+    return {
+      points: rule.points[source] ?? rule.defaultPoints ?? 0,
+      detail: `UTM source ${source}`
+    };
+  },
+
+  dateAvailability: async (rule, contact) => {
+    const availability = await getDateAvailability(contact);
+    if (!availability) return null;
+    return {
+      points: rule[`${availability}Points`],
+      detail: `Requested date is ${availability}`
+    };
+  },
+
+  engagement: async (rule, contact) => {
+    let points = 0;
+    const signals = [];
+
+    if (contact.booked) {
+      points += rule.bookedPoints;
+      signals.push('event booked');
+    } else if (contact.tourScheduled) {
+      points += rule.tourBookedPoints;
+      signals.push('tour booked');
+    }
+    if (await hasReplied(contact)) {
+      points += rule.repliedPoints;
+      signals.push('replied');
+    }
+
+    if (signals.length === 0) return null;
+    return { points, detail: signals.join(', ') };
+  }
+};
+
+// Compute a contact's score and the rules that contributed to it
+export const calculateLeadScore = async (contact, rules = null) => {
+  const config = rules || await getScoringRules();
+  const breakdown = [];
+  let score = config.baseScore;
+
+  for (const key of SCORING_RULES) {
+    const rule = config[key];
+    if (!rule || rule.enabled === false) continue;
+
+    const result = await EVALUATORS[key](rule, contact);
+    if (!result) continue;
+
+    score += result.points;
+    breakdown.push({ rule: key, points: result.points, detail: result.detail });
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, Math.round(score))),
+    breakdown
+  };
+};
+
+// Store a fresh score on the contact (the caller saves)
+export const applyLeadScore = async (contact, rules = null) => {
+  const config = rules || await getScoringRules();
+  if (!config.enabled) return contact;
+
+  const { score, breakdown } = await calculateLeadScore(contact, config);
+  contact.leadScore = score;
+  contact.leadScoreBreakdown = breakdown;
+  contact.leadScoredAt = new Date();
+
+  return contact;
+};
+
+// Recalculate and save scores for every contact matching the filter
+export const rescoreContacts = async (filter = {}) => {
+  const rules = await getScoringRules();
+  if (!rules.enabled) return { rescored: 0 };
+
+  let rescored = 0;
+  const cursor = Contact.find(filter).cursor();
+
+  for await (const contact of cursor) {
+    contact.$locals.scoringRules = rules;
+    await contact.save();
+    rescored++;
+  }
+
+  return { rescored };
+};
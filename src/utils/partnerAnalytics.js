@@ -0,0 +1,213 @@
+import Contact from '../models/Contact.js';
+import Partner from '../models/Partner.js';
+import ReferralClick from '../models/ReferralClick.js';
+
+// Revenue counts money actually collected on the contact's payment schedules
+// (payments less refunds), not the booked amount
+const collectedRevenueStages = [
+  {
+    $lookup: {
+      from: 'paymentschedules',
+      localField: '_id',
+      foreignField: 'contact',
+      as: 'paymentSchedules'
+    }
+  },
+  {
+    $addFields: {
+      collectedRevenue: { $sum: '$paymentSchedules.amountCollected' }
+    }
+  },
+  { $project: { paymentSchedules: 0 } }
+];
+
+// Short-link clicks (bots excluded) grouped the same way as the lead analytics
+const getClickAnalytics = async ({ dateFilter, partnerType, partnerCode, groupBy }) => {
+  const matchStage = { device: { $ne: 'bot' } };
+  if (Object.keys(dateFilter).length > 0) matchStage.createdAt = dateFilter;
+  if (partnerType) matchStage.partnerType = partnerType;
+  if (partnerCode) matchStage.code = partnerCode;
+
+  const groupId = { partnerCode: '$code' };
+  if (groupBy === 'month') {
+    groupId.year = { $year: '$createdAt' };
+    groupId.month = { $month: '$createdAt' };
+  } else if (groupBy === 'week') {
+    groupId.year = { $year: '$createdAt' };
+    groupId.week = { $week: '$createdAt' };
+  }
+
+  return ReferralClick.aggregate([
+    { $match: matchStage },
+    { $group: { _id: groupId, totalClicks: { $sum: 1 } } }
+  ]);
+};
+
+const periodKey = (id) => [id.partnerCode, id.year, id.month, id.week].join('|');
+
+export const percentOf = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+// Add click counts to the lead rows, plus rows for partners with clicks but no leads yet
+const mergeClickAnalytics = async (analytics, clicks) => {
+  const rows = new Map(analytics.map(row => [periodKey(row._id), { ...row, totalClicks: 0 }]));
+  const missing = clicks.filter(click => !rows.has(periodKey(click._id)));
+
+  const partners = missing.length > 0
+    ? await Partner.find({ code: { $in: [...new Set(missing.map(click => click._id.partnerCode))] } }).select('code name type').lean()
+    : [];
+
+  clicks.forEach(click => {
+    const key = periodKey(click._id);
+    if (!rows.has(key)) {
+      const partner = partners.find(item => item.code === click._id.partnerCode);
+      rows.set(key, {
+        _id: { ...click._id, partnerName: partner?.name, partnerType: partner?.type },
+        totalLeads: 0,
+        totalTours: 0,
+        totalBookings: 0,
+        bookedRevenue: 0,
+        totalRevenue: 0,
+        conversionRate: 0
+      });
+    }
+    rows.get(key).totalClicks = click.totalClicks;
+  });
+
+  return [...rows.values()]
+    .map(row => ({ ...row, clickToLeadRate: percentOf(row.totalLeads, row.totalClicks) }))
+    .sort((a, b) => (b._id.year || 0) - (a._id.year || 0)
+      || (b._id.month || 0) - (a._id.month || 0)
+      || (b._id.week || 0) - (a._id.week || 0));
+};
+
+// Clicks, leads, tours, bookings and revenue per partner (and per month or week
+// unless `groupBy` is 'none'), with overall totals and the referral funnel.
+// Leads are counted in the period they came in.
+export const buildPartnerAnalytics = async ({ dateFilter = {}, partnerType, partnerCode, groupBy = 'month' } = {}) => {
+  // Build aggregation pipeline
+  const matchStage = {
+    refCode: partnerCode || { $exists: true, $ne: null }
+  };
+  
+  if (Object.keys(dateFilter).length > 0) {
+    matchStage.createdAt = dateFilter;
+  }
+
+  const pipeline = [
+    { $match: matchStage },
+    {
+      $lookup: {
+        from: 'partners',
+        localField: 'refCode',
+        foreignField: 'code',
+        as: 'partner'
+      }
+    },
+    { $unwind: '$partner' },
+    ...collectedRevenueStages
+  ];
+
+  // Add partner type filter if specified
+  if (partnerType) {
+    pipeline.push({
+      $match: { 'partner.type': partnerType }
+    });
+  }
+
+  // Group by time period and partner
+  const groupByStage = {
+    _id: {
+      partnerCode: '$refCode',
+      partnerName: '$partner.name',
+      partnerType: '$partner.type'
+    },
+    totalLeads: { $sum: 1 },
+    totalTours: { 
+      $sum: { $cond: [{ $eq: ['$tourScheduled', true] }, 1, 0] }
+    },
+    totalBookings: { 
+      $sum: { $cond: [{ $eq: ['$booked', true] }, 1, 0] }
+    },
+    bookedRevenue: {
+      $sum: { $ifNull: ['$bookingAmount', 0] }
+    },
+    totalRevenue: {
+      $sum: '$collectedRevenue'
+    }
+  };
+
+  if (groupBy === 'month') {
+    groupByStage._id.year = { $year: '$createdAt' };
+    groupByStage._id.month = { $month: '$createdAt' };
+  } else if (groupBy === 'week') {
+    groupByStage._id.year = { $year: '$createdAt' };
+    groupByStage._id.week = { $week: '$createdAt' };
+  }
+
+  pipeline.push(
+    { $group: groupByStage },
+    {
+      $addFields: {
+        conversionRate: {
+          $cond: [
+            { $gt: ['$totalLeads', 0] },
+            { $multiply: [{ $divide: ['$totalBookings', '$totalLeads'] }, 100] },
+            0
+          ]
+        }
+      }
+    },
+    { $sort: { '_id.year': -1, '_id.month': -1, '_id.week': -1 } }
+  );
+
+  const [leadAnalytics, clicks] = await Promise.all([
+    Contact.aggregate(pipeline),
+    getClickAnalytics({ dateFilter, partnerType, partnerCode, groupBy })
+  ]);
+  const analytics = await mergeClickAnalytics(leadAnalytics, clicks);
+
+  // Get overall summary
+  const summary = await Contact.aggregate([
+    { $match: matchStage },
+    ...collectedRevenueStages,
+    {
+      $group: {
+        _id: null,
+        totalLeads: { $sum: 1 },
+        totalTours: { 
+          $sum: { $cond: [{ $eq: ['$tourScheduled', true] }, 1, 0] }
+        },
+        totalBookings: { 
+          $sum: { $cond: [{ $eq: ['$booked', true] }, 1, 0] }
+        },
+        bookedRevenue: {
+          $sum: { $ifNull: ['$bookingAmount', 0] }
+        },
+        totalRevenue: {
+          $sum: '$collectedRevenue'
+        }
+      }
+    }
+  ]);
+
+  const totals = summary[0] || {
+    totalLeads: 0,
+    totalTours: 0,
+    totalBookings: 0,
+    bookedRevenue: 0,
+    totalRevenue: 0
+  };
+  const totalClicks = clicks.reduce((sum, click) => sum + click.totalClicks, 0);
+
+  return {
+    analytics,
+    summary: { ...totals, totalClicks },
+    // Clicks -> leads -> tours -> bookings, each step as a share of the one before
+    funnel: [
+      { step: 'clicks', count: totalClicks, rate: 100 },
+      { step: 'leads', count: totals.totalLeads, rate: percentOf(totals.totalLeads, totalClicks) },
+      { step: 'tours', count: totals.totalTours, rate: percentOf(totals.totalTours, totals.totalLeads) },
+      { step: 'bookings', count: totals.totalBookings, rate: percentOf(totals.totalBookings, totals.totalTours) }
+    ]
+  };
+};
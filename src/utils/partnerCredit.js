@@ -0,0 +1,40 @@
+import Partner from '../models/Partner.js';
+
+// Credit the referring partner for a lead, tour or booking. Each contact credits
+// each stat at most once; the caller is responsible for saving the contact.
+export const creditPartner = async (contact, type) => {
+  if (!contact.refCode || contact.partnerCredits?.[type]) {
+    return false;
+  }
+
+  try {
+    const partner = await Partner.findByCode(contact.refCode);
+    if (!partner) return false;
+
+    await partner.updateStats(type);
+    contact.set(`partnerCredits.${type}`, new Date());
+    return true;
+  } catch (error) {
+    console.error(`Error updating partner ${type} stats:`, error);
+    return false;
+  }
+};
+
+const STAT_FIELDS = {
+  lead: 'stats.totalLeads',
+  tour: 'stats.totalTours',
+  booking: 'stats.totalBookings'
+};
+
+// Add or take back credits on a partner's stats without going below zero
+export const adjustPartnerStat = async (refCode, type, delta) => {
+  if (!refCode || !STAT_FIELDS[type] || delta === 0) return;
+
+  const field = STAT_FIELDS[type];
+  await Partner.updateOne(
+    { code: refCode.toUpperCase(), ...(delta < 0 && { [field]: { $gte: -delta } }) },
+    { $inc: { [field]: delta } }
+  );
+};
+
+export default creditPartner;
@@ -0,0 +1,47 @@
+import { buildReferralUrl, createReferralQrPng, buildPortalLoginUrl } from './partnerPortal.js';
+import {
+  sendPartnerApplicationAlert,
+  sendPartnerApprovalEmail,
+  sendPartnerRejectionEmail
+} from './email.js';
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+// Let the venue know a new application is waiting for review
+export const notifyPartnerApplication = (partner) => {
+  const social = Object.entries(partner.toObject().social || {})
+    .filter(([, value]) => value)
+    .map(([network, value]) => `${network}: ${value}`)
+    .join(', ');
+
+  return sendPartnerApplicationAlert({
+    name: partner.name,
+    email: partner.email,
+    type: partner.type,
+    audienceSize: partner.application?.audienceSize,
+    motivation: partner.application?.motivation,
+    social,
+    adminUrl: `${getFrontendUrl()}/admin/partners/${partner._id}`
+  });
+};
+
+// Send an approved partner their code, referral link and QR code
+export const notifyPartnerApproved = async (partner, { apiBaseUrl }) => {
+  return sendPartnerApprovalEmail({
+    name: partner.name,
+    email: partner.email,
+    code: partner.code,
+    referralUrl: buildReferralUrl(partner),
+    qrUrl: `${apiBaseUrl}/api/partners/qr/${partner.code}`,
+    qrPng: await createReferralQrPng(partner),
+    portalUrl: buildPortalLoginUrl()
+  });
+};
+
+export const notifyPartnerRejected = (partner, { message } = {}) => {
+  return sendPartnerRejectionEmail({
+    name: partner.name,
+    email: partner.email,
+    reason: message
+  });
+};
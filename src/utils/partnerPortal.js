@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import Partner from '../models/Partner.js';
+import { signToken, verifySignedToken } from './signedToken.js';
+import { sendPartnerLoginEmail } from './email.js';
+
+// Login links are single use and expire quickly
+const LOGIN_LINK_MINUTES = 15;
+
+// Pages partners can point their audience at
+export const REFERRAL_PAGES = ['weddings', 'events', 'gallery', 'contact'];
+
+const hashNonce = (nonce) => crypto.createHash('sha256').update(nonce).digest('hex');
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+// Referral URL carrying the partner's code and UTM tags for a page and medium.
+// Any `utm` values given (e.g. from a short link) replace the defaults.
+export const buildReferralUrl = (partner, { page = 'weddings', medium = 'link', utm = {} } = {}) => {
+  const code = partner.code.toUpperCase();
+  const params = new URLSearchParams({
+    ref: code,
+    utm_source: utm.source || 'affiliate',
+    utm_medium: utm.medium || medium,
+    utm_campaign: utm.campaign || `${partner.type}-${code.toLowerCase()}`
+  });
+  if (utm.content) params.set('utm_content', utm.content);
+  if (utm.term) params.set('utm_term', utm.term);
+
+  return `${getFrontendUrl()}/${page}?${params.toString()}`;
+};
+
+// PNG QR code pointing at the partner's referral link
+export const createReferralQrPng = (partner, page = 'weddings') => {
+  return QRCode.toBuffer(buildReferralUrl(partner, { page, medium: 'qr' }), {
+    type: 'png',
+    width: 300,
+    margin: 2,
+    color: {
+      dark: '#000000',
+      light: '#FFFFFF'
+    }
+  });
+};
+
+export const buildPortalLoginUrl = () => `${getFrontendUrl()}/partners/login`;
+
+// Email a partner a one-time portal login link. Replaces any earlier link.
+export const sendPartnerLoginLink = async (partner) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  await Partner.updateOne(
+    { _id: partner._id },
+    { 'portal.loginNonce': hashNonce(nonce), 'portal.loginRequestedAt': new Date() }
+  );
+
+  const token = signToken('partner-login', { id: partner._id.toString(), nonce }, `${LOGIN_LINK_MINUTES}m`);
+
+  return sendPartnerLoginEmail({
+    name: partner.name,
+    email: partner.email,
+    url: `${buildPortalLoginUrl()}?token=${token}`,
+    expiresInMinutes: LOGIN_LINK_MINUTES
+  });
+};
+
+// Exchange a login link for the partner it was sent to. The nonce is cleared in
+// the same write, so a link that has been used (or replaced) stops working.
+export const redeemPartnerLoginToken = async (token) => {
+  const decoded = verifySignedToken(token, 'partner-login');
+  if (!decoded?.nonce) return null;
+
+  return Partner.findOneAndUpdate(
+    { _id: decoded.id, active: true, 'portal.loginNonce': hashNonce(decoded.nonce) },
+    { $unset: { 'portal.loginNonce': 1 }, $set: { 'portal.lastLoginAt': new Date() } },
+    { new: true }
+  );
+};
+
+// "Jane Doe" -> "Jane D."
+export const maskName = (name) => {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.`;
+};
+
+// "jane.doe@gmail.com" -> "j***@gmail.com"
+export const maskEmail = (email) => {
+  const [local, domain] = (email || '').split('@');
+  if (!local || !domain) return '';
+  return `${local[0]}***@${domain}`;
+};
+
+// What a partner may see about a client they referred
+export const maskContact = (contact) => ({
+  id: contact._id,
+  name: maskName(contact.name),
+  email: maskEmail(contact.email),
+  eventType: contact.eventType,
+  eventDate: contact.eventDate,
+  guestCount: contact.guestCount,
+  stage: contact.stage,
+  tourScheduled: contact.tourScheduled,
+  booked: contact.booked,
+  submittedAt: contact.createdAt
+});
@@ -0,0 +1,338 @@
+import Partner from '../models/Partner.js';
+import CommissionEntry from '../models/CommissionEntry.js';
+import PartnerStatement from '../models/PartnerStatement.js';
+import Settings from '../models/Settings.js';
+import { buildPartnerAnalytics, percentOf } from './partnerAnalytics.js';
+import { getBranding, renderPartnerStatementPdf, renderPartnerSummaryPdf } from './pdfRenderer.js';
+import { formatMoney } from './quoteNotifications.js';
+import { buildPortalLoginUrl } from './partnerPortal.js';
+import { signToken, verifySignedToken } from './signedToken.js';
+import { sendPartnerStatementEmail, sendPartnerSummaryEmail } from './email.js';
+
+// Unsubscribe links keep working for as long as old statements might be read
+const UNSUBSCRIBE_TOKEN_DAYS = 365;
+
+// Partners who receive statements
+export const STATEMENT_PARTNER_QUERY = {
+  active: true,
+  status: { $in: ['approved', null] },
+  'preferences.monthlyStatements': { $ne: false }
+};
+
+const statementError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+// Statements go out from the monthly job, so links can't come from a request
+const getApiUrl = () => process.env.API_URL || getFrontendUrl();
+
+const formatPercent = (value) => `${(value || 0).toFixed(1)}%`;
+
+// Calendar month (UTC) for a YYYY-MM string; defaults to last month
+export const resolveStatementPeriod = (month) => {
+  const now = new Date();
+  let year = now.getUTCFullYear();
+  let monthIndex = now.getUTCMonth() - 1;
+
+  if (month) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month);
+    if (!match) throw statementError('Month must be in YYYY-MM format');
+    year = parseInt(match[1]);
+    monthIndex = parseInt(match[2]) - 1;
+  }
+
+  const start = new Date(Date.UTC(year, monthIndex, 1));
+  const end = new Date(Date.UTC(year, monthIndex + 1, 1));
+  if (start > now) throw statementError('Statements can only be built for past or current months');
+
+  return {
+    key: `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`,
+    start,
+    end,
+    lastDay: new Date(end.getTime() - 1),
+    label: start.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+    issuedAt: now
+  };
+};
+
+// Commission earned and paid in the period, and the balance still owed today,
+// keyed by partner code
+const getCommissionTotals = async (period, partnerId = null) => {
+  const match = partnerId ? { partner: partnerId } : {};
+  const sumByCode = (filter) => CommissionEntry.aggregate([
+    { $match: { ...match, ...filter } },
+    { $group: { _id: '$refCode', amount: { $sum: '$amount' } } }
+  ]);
+
+  const [accrued, paid, outstanding] = await Promise.all([
+    sumByCode({ status: { $ne: 'voided' }, accruedAt: { $gte: period.start, $lt: period.end } }),
+    sumByCode({ status: 'paid', paidAt: { $gte: period.start, $lt: period.end } }),
+    sumByCode({ status: { $in: ['accrued', 'approved'] } })
+  ]);
+
+  const totals = new Map();
+  const add = (rows, field) => rows.forEach(row => {
+    if (!totals.has(row._id)) totals.set(row._id, { accrued: 0, paid: 0, outstanding: 0 });
+    totals.get(row._id)[field] = row.amount;
+  });
+  add(accrued, 'accrued');
+  add(paid, 'paid');
+  add(outstanding, 'outstanding');
+
+  return totals;
+};
+
+// One partner's figures for the month, from the same aggregates as the
+// partner analytics report
+export const buildPartnerStatement = async (partner, period) => {
+  const [{ summary }, commissions] = await Promise.all([
+    buildPartnerAnalytics({
+      dateFilter: { $gte: period.start, $lt: period.end },
+      partnerCode: partner.code,
+      groupBy: 'none'
+    }),
+    getCommissionTotals(period, partner._id)
+  ]);
+
+  return {
+    partner: {
+      id: partner._id,
+      name: partner.name,
+      email: partner.email,
+      phone: partner.phone,
+      code: partner.code,
+      type: partner.type
+    },
+    period,
+    metrics: {
+      clicks: summary.totalClicks,
+      leads: summary.totalLeads,
+      tours: summary.totalTours,
+      bookings: summary.totalBookings,
+      bookedRevenue: summary.bookedRevenue,
+      collectedRevenue: summary.totalRevenue,
+      conversionRate: percentOf(summary.totalBookings, summary.totalLeads),
+      clickToLeadRate: percentOf(summary.totalLeads, summary.totalClicks)
+    },
+    commission: commissions.get(partner.code) || { accrued: 0, paid: 0, outstanding: 0 },
+    lifetime: {
+      totalLeads: partner.stats.totalLeads,
+      totalTours: partner.stats.totalTours,
+      totalBookings: partner.stats.totalBookings
+    }
+  };
+};
+
+// Quiet months with nothing owed aren't worth an email
+const hasActivity = ({ metrics, commission }) => {
+  return [metrics.clicks, metrics.leads, metrics.tours, metrics.bookings, commission.accrued, commission.paid, commission.outstanding]
+    .some(value => value);
+};
+
+export const buildStatementUnsubscribeUrl = (partner) => {
+  const token = signToken('statement-unsubscribe', { id: partner._id.toString() }, `${UNSUBSCRIBE_TOKEN_DAYS}d`);
+  return `${getApiUrl()}/api/partner-portal/statements/unsubscribe?token=${token}`;
+};
+
+// Turn off statements for the partner an unsubscribe link was sent to
+export const unsubscribeFromStatements = async (token) => {
+  const decoded = verifySignedToken(token, 'statement-unsubscribe');
+  if (!decoded?.id) return null;
+
+  return Partner.findByIdAndUpdate(decoded.id, { 'preferences.monthlyStatements': false }, { new: true });
+};
+
+export const statementFileName = (statement) => `partner-statement-${statement.partner.code}-${statement.period.key}.pdf`;
+
+export const renderStatementPdf = async (statement) => {
+  return renderPartnerStatementPdf({ statement, branding: await getBranding() });
+};
+
+// Everything the statement email template needs, with figures formatted
+export const buildStatementEmailData = (statement, pdf) => ({
+  name: statement.partner.name,
+  email: statement.partner.email,
+  code: statement.partner.code,
+  periodLabel: statement.period.label,
+  clicks: statement.metrics.clicks,
+  leads: statement.metrics.leads,
+  tours: statement.metrics.tours,
+  bookings: statement.metrics.bookings,
+  conversionRate: formatPercent(statement.metrics.conversionRate),
+  commissionAccrued: formatMoney(statement.commission.accrued),
+  commissionPaid: formatMoney(statement.commission.paid),
+  commissionOutstanding: formatMoney(statement.commission.outstanding),
+  portalUrl: buildPortalLoginUrl(),
+  unsubscribeUrl: buildStatementUnsubscribeUrl({ _id: statement.partner.id }),
+  fileName: statementFileName(statement),
+  pdf
+});
+
+// Build, render and email a partner's statement, recording the outcome. Sending
+// again for the same month replaces the earlier record.
+export const sendPartnerStatement = async (partner, period, { adminId = null, statement = null } = {}) => {
+  const built = statement || await buildPartnerStatement(partner, period);
+  const record = await PartnerStatement.findOne({ kind: 'partner', partner: partner._id, period: period.key })
+    || new PartnerStatement({ kind: 'partner', partner: partner._id, period: period.key });
+
+  record.metrics = { ...built.metrics, commission: built.commission };
+  record.sentBy = adminId;
+
+  try {
+    const pdf = await renderStatementPdf(built);
+    await sendPartnerStatementEmail(buildStatementEmailData(built, pdf));
+
+    record.status = 'sent';
+    record.sentTo = [partner.email];
+    record.sentAt = new Date();
+    record.sendCount += 1;
+    record.error = undefined;
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+  }
+
+  await record.save();
+  return record;
+};
+
+// Every partner's figures for the month, for the marketing team
+export const buildPartnerSummary = async (period) => {
+  const [{ analytics, summary }, commissions] = await Promise.all([
+    buildPartnerAnalytics({ dateFilter: { $gte: period.start, $lt: period.end }, groupBy: 'none' }),
+    getCommissionTotals(period)
+  ]);
+
+  const rows = analytics.map(row => ({
+    code: row._id.partnerCode,
+    name: row._id.partnerName,
+    type: row._id.partnerType,
+    clicks: row.totalClicks,
+    leads: row.totalLeads,
+    tours: row.totalTours,
+    bookings: row.totalBookings,
+    conversionRate: row.conversionRate
+  }));
+
+  // Partners earning or being paid commission this month without new leads or clicks
+  const missingCodes = [...commissions.keys()].filter(code => !rows.some(row => row.code === code));
+  if (missingCodes.length > 0) {
+    const partners = await Partner.find({ code: { $in: missingCodes } }).select('code name type').lean();
+    partners.forEach(partner => {
+      rows.push({ code: partner.code, name: partner.name, type: partner.type, clicks: 0, leads: 0, tours: 0, bookings: 0, conversionRate: 0 });
+    });
+  }
+
+  rows.forEach(row => {
+    const commission = commissions.get(row.code);
+    row.commissionAccrued = commission?.accrued || 0;
+    row.commissionPaid = commission?.paid || 0;
+  });
+  rows.sort((a, b) => b.leads - a.leads || b.clicks - a.clicks);
+
+  return {
+    period,
+    rows,
+    totals: {
+      clicks: summary.totalClicks,
+      leads: summary.totalLeads,
+      tours: summary.totalTours,
+      bookings: summary.totalBookings,
+      conversionRate: percentOf(summary.totalBookings, summary.totalLeads),
+      commissionAccrued: rows.reduce((sum, row) => sum + row.commissionAccrued, 0),
+      commissionPaid: rows.reduce((sum, row) => sum + row.commissionPaid, 0)
+    }
+  };
+};
+
+const getSummaryRecipients = async () => {
+  const referrals = await Settings.getByCategory('referrals');
+  const configured = (referrals.statementSummaryEmail || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+
+  return configured.length > 0 ? configured : [process.env.TO_EMAIL].filter(Boolean);
+};
+
+// Email the month's summary to the marketing team and record it
+export const sendPartnerSummary = async (period, { adminId = null, statementsSent = 0 } = {}) => {
+  const recipients = await getSummaryRecipients();
+  if (recipients.length === 0) return null;
+
+  const summary = await buildPartnerSummary(period);
+  const record = await PartnerStatement.findOne({ kind: 'summary', partner: null, period: period.key })
+    || new PartnerStatement({ kind: 'summary', partner: null, period: period.key });
+
+  record.metrics = summary.totals;
+  record.sentBy = adminId;
+
+  try {
+    const pdf = await renderPartnerSummaryPdf({ summary, branding: await getBranding() });
+    await sendPartnerSummaryEmail({
+      to: recipients.join(', '),
+      periodLabel: period.label,
+      rows: summary.rows.map(row => ({ ...row, commission: formatMoney(row.commissionAccrued) })),
+      totals: { ...summary.totals, commission: formatMoney(summary.totals.commissionAccrued) },
+      statementsSent,
+      fileName: `partner-summary-${period.key}.pdf`,
+      pdf
+    });
+
+    record.status = 'sent';
+    record.sentTo = recipients;
+    record.sentAt = new Date();
+    record.sendCount += 1;
+    record.error = undefined;
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+  }
+
+  await record.save();
+  return record;
+};
+
+// Send the month's statements to every partner who hasn't had one yet (failed
+// sends are retried), then the summary to the marketing team
+export const sendMonthlyStatements = async ({ month, adminId = null } = {}) => {
+  const period = resolveStatementPeriod(month);
+  const done = await PartnerStatement.find({
+    kind: 'partner',
+    period: period.key,
+    status: { $in: ['sent', 'skipped'] }
+  }).distinct('partner');
+
+  const partners = await Partner.find({ ...STATEMENT_PARTNER_QUERY, _id: { $nin: done } });
+  const result = { period: period.key, sent: 0, failed: 0, skipped: 0, summary: null };
+
+  for (const partner of partners) {
+    const statement = await buildPartnerStatement(partner, period);
+
+    if (!hasActivity(statement)) {
+      await PartnerStatement.updateOne(
+        { kind: 'partner', partner: partner._id, period: period.key },
+        { status: 'skipped', metrics: { ...statement.metrics, commission: statement.commission } },
+        { upsert: true }
+      );
+      result.skipped++;
+      continue;
+    }
+
+    const record = await sendPartnerStatement(partner, period, { adminId, statement });
+    result[record.status === 'sent' ? 'sent' : 'failed']++;
+  }
+
+  const summarySent = await PartnerStatement.exists({ kind: 'summary', period: period.key, status: 'sent' });
+  if (!summarySent) {
+    const statementsSent = await PartnerStatement.countDocuments({ kind: 'partner', period: period.key, status: 'sent' });
+    const summary = await sendPartnerSummary(period, { adminId, statementsSent });
+    result.summary = summary?.status || null;
+  }
+
+  return result;
+};
@@ -0,0 +1,68 @@
+import Activity from '../models/Activity.js';
+import { formatMoney } from './quoteNotifications.js';
+import { signToken } from './signedToken.js';
+import { sendPaymentReminderEmail, sendPaymentReceiptEmail } from './email.js';
+
+// Pay links stay valid long enough to cover a typical booking-to-event span
+const PAYMENT_TOKEN_DAYS = 400;
+
+// Signed token that lets the client view a schedule and pay online
+export const createPaymentToken = (schedule) => {
+  return signToken('payment', { scheduleId: schedule._id.toString() }, `${PAYMENT_TOKEN_DAYS}d`);
+};
+
+export const buildPaymentUrl = (schedule) => {
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+  return `${baseUrl}/payments/pay?token=${createPaymentToken(schedule)}`;
+};
+
+const formatDueDate = (value) => {
+  return new Date(value).toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' });
+};
+
+// Email a reminder for an installment and log it on the client's timeline
+export const notifyPaymentReminder = async (schedule, installment, contact, { overdue = false } = {}) => {
+  const result = await sendPaymentReminderEmail({
+    name: contact.name,
+    email: contact.email,
+    label: installment.label,
+    amount: formatMoney(installment.amount - installment.amountPaid, schedule.currency),
+    dueDate: formatDueDate(installment.dueDate),
+    balance: formatMoney(schedule.balanceDue, schedule.currency),
+    url: buildPaymentUrl(schedule),
+    overdue
+  });
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'email',
+    direction: 'outbound',
+    summary: overdue ? `Sent overdue notice for ${installment.label}` : `Sent payment reminder for ${installment.label}`,
+    metadata: { scheduleId: schedule._id, installmentId: installment._id }
+  });
+
+  return result;
+};
+
+// Email a receipt after a payment is recorded
+export const notifyPaymentReceived = async (schedule, payment, contact) => {
+  const result = await sendPaymentReceiptEmail({
+    name: contact.name,
+    email: contact.email,
+    amount: formatMoney(payment.amount, schedule.currency),
+    paidAt: formatDueDate(payment.paidAt),
+    reference: payment.reference,
+    balance: formatMoney(schedule.balanceDue, schedule.currency),
+    nextDueDate: schedule.nextDueDate ? formatDueDate(schedule.nextDueDate) : null
+  });
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'email',
+    direction: 'outbound',
+    summary: 'Sent payment receipt',
+    metadata: { scheduleId: schedule._id, paymentId: payment._id }
+  });
+
+  return result;
+};
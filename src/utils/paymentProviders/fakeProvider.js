@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import { signToken, verifySignedToken } from '../signedToken.js';
+
+// Local stand-in for a card processor. Checkouts are signed tokens rather than
+// stored sessions, the "hosted" checkout page is served by this API, and
+// webhooks are signed and posted back to our own webhook endpoint.
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const CHECKOUT_TTL_SECONDS = 60 * 60;
+
+const getWebhookSecret = () => {
+  return process.env.FAKE_PAYMENTS_WEBHOOK_SECRET || crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update('fake-payments-webhook')
+    .digest('hex');
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const providerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sign = (timestamp, payload) => {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${payload}`).digest('hex');
+};
+
+// Signature header for a raw webhook body, e.g. "t=1700000000,v1=ab12..."
+export const signWebhookPayload = (payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${sign(timestamp, payload)}`;
+};
+
+const buildEvent = (type, data) => ({
+  id: randomId('evt'),
+  type,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+const fakeProvider = {
+  name: 'fake',
+
+  // Start a checkout and return the URL the client should be sent to
+  async createCheckout({ amount, currency, description, customerEmail, successUrl, cancelUrl, metadata, apiBaseUrl }) {
+    const sessionId = randomId('cs');
+    const token = signToken('fake-checkout', {
+      sessionId,
+      amount,
+      currency,
+      description,
+      customerEmail,
+      successUrl,
+      cancelUrl,
+      metadata
+    }, CHECKOUT_TTL_SECONDS);
+
+    return {
+      sessionId,
+      url: `${apiBaseUrl}/api/payments/fake/checkout?session=${token}`,
+      expiresAt: new Date(Date.now() + CHECKOUT_TTL_SECONDS * 1000)
+    };
+  },
+
+  // Check the signature of a raw webhook body and parse the event
+  async verifyWebhook(rawBody, headers) {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header) {
+      throw providerError('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    const payload = rawBody.toString('utf8');
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw providerError('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(sign(timestamp, payload));
+    const received = Buffer.from(parts.v1 || '');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw providerError('Invalid webhook signature');
+    }
+
+    try {
+      return JSON.parse(payload);
+    } catch (error) {
+      throw providerError('Webhook body is not valid JSON');
+    }
+  },
+
+  // Refunds always succeed locally; the matching webhook is sent as a real provider would
+  async refund({ paymentId, amount, reason, apiBaseUrl }) {
+    const refundId = randomId('re');
+
+    if (apiBaseUrl) {
+      deliverWebhook(apiBaseUrl, buildEvent('refund.succeeded', { refundId, paymentId, amount, reason }));
+    }
+
+    return { refundId, status: 'succeeded' };
+  }
+};
+
+// Post a signed event to our own webhook endpoint, like the real provider would
+export const deliverWebhook = async (apiBaseUrl, event) => {
+  const payload = JSON.stringify(event);
+
+  try {
+    const response = await fetch(`${apiBaseUrl}/api/payments/webhooks/fake`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signWebhookPayload(payload)
+      },
+      body: payload
+    });
+
+    if (!response.ok) {
+      console.error(`Fake payment webhook ${event.id} was rejected with ${response.status}`);
+    }
+    return response.ok;
+  } catch (error) {
+    console.error(`Fake payment webhook ${event.id} could not be delivered:`, error.message);
+    return false;
+  }
+};
+
+// Session details from a checkout token, or null once it has expired
+export const readCheckoutSession = (token) => verifySignedToken(token, 'fake-checkout');
+
+// Finish a checkout as paid or failed and send the webhook for it
+export const completeCheckout = async (session, { outcome, apiBaseUrl }) => {
+  const succeeded = outcome === 'pay';
+  const event = succeeded
+    ? buildEvent('checkout.completed', {
+      sessionId: session.sessionId,
+      // Derived from the session so paying the same checkout twice is only recorded once
+      paymentId: session.sessionId.replace(/^cs_/, 'pay_'),
+      amount: session.amount,
+      currency: session.currency,
+      metadata: session.metadata
+    })
+    : buildEvent('checkout.failed', {
+      sessionId: session.sessionId,
+      amount: session.amount,
+      currency: session.currency,
+      metadata: session.metadata,
+      reason: 'Declined on the test checkout page'
+    });
+
+  await deliverWebhook(apiBaseUrl, event);
+
+  return succeeded ? session.successUrl : session.cancelUrl;
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// Minimal hosted checkout page for local testing
+export const renderCheckoutPage = (session, token) => {
+  const amount = new Intl.NumberFormat('en-US', { style: 'currency', currency: session.currency || 'USD' }).format(session.amount);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Test Checkout</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f5f5f5; display: flex; justify-content: center; padding-top: 80px; }
+    .card { background: #fff; padding: 30px; border-radius: 8px; width: 360px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+    .notice { background: #fff3cd; padding: 8px 12px; border-radius: 4px; font-size: 13px; }
+    .amount { font-size: 32px; margin: 20px 0; }
+    button { width: 100%; padding: 12px; margin-top: 10px; border: 0; border-radius: 4px; font-size: 16px; cursor: pointer; }
+    .pay { background: #f59332; color: #fff; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <p class="notice">Test mode: no real card is charged.</p>
+    <p>${escapeHtml(session.description)}</p>
+    <div class="amount">${escapeHtml(amount)}</div>
+    <form method="POST" action="checkout/complete">
+      <input type="hidden" name="session" value="${escapeHtml(token)}">
+      <button class="pay" name="outcome" value="pay">Pay ${escapeHtml(amount)}</button>
+      <button name="outcome" value="decline">Decline payment</button>
+    </form>
+  </div>
+</body>
+</html>`;
+};
+
+export default fakeProvider;
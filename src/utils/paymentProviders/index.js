@@ -0,0 +1,39 @@
+import fakeProvider from './fakeProvider.js';
+
+// Every payment provider implements the same interface:
+//   name
+//   createCheckout({ amount, currency, description, customerEmail, successUrl, cancelUrl, metadata, apiBaseUrl })
+//     -> { sessionId, url, expiresAt }
+//   verifyWebhook(rawBody, headers) -> { id, type, createdAt, data }, throws (statusCode 400) if the signature is bad
+//   refund({ paymentId, amount, reason, apiBaseUrl }) -> { refundId, status }
+//
+// Webhook events are normalised to these types:
+//   checkout.completed { sessionId, paymentId, amount, currency, metadata }
+//   checkout.failed    { sessionId, amount, currency, metadata, reason }
+//   refund.succeeded   { refundId, paymentId, amount, reason }
+const providers = {
+  fake: fakeProvider
+};
+
+export const PAYMENT_PROVIDERS = Object.keys(providers);
+
+// Provider named in PAYMENT_PROVIDER, defaulting to the local fake gateway
+export const getActiveProviderName = () => process.env.PAYMENT_PROVIDER || 'fake';
+
+// Look up a provider by name (the active one by default)
+export const getPaymentProvider = (name = getActiveProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    const error = new Error(`Unknown payment provider: ${name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return provider;
+};
+
+// The fake gateway takes no money, so it must never be live in production
+// unless explicitly allowed (e.g. on a staging box running in production mode)
+export const isFakeProviderEnabled = () => {
+  return getActiveProviderName() === 'fake' &&
+    (process.env.NODE_ENV !== 'production' || process.env.ALLOW_FAKE_PAYMENTS === 'true');
+};
@@ -0,0 +1,261 @@
+import PaymentSchedule from '../models/PaymentSchedule.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import Activity from '../models/Activity.js';
+import Contact from '../models/Contact.js';
+import { formatMoney } from './quoteNotifications.js';
+import { notifyPaymentReceived } from './paymentNotifications.js';
+
+const reconcileError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Amount a checkout should collect: what's left on the chosen (or next unpaid) installment
+export const resolveCheckoutAmount = (schedule, { installmentId, amount } = {}) => {
+  if (schedule.status === 'cancelled') {
+    throw reconcileError('This payment schedule has been cancelled');
+  }
+  if (schedule.balanceDue <= 0) {
+    throw reconcileError('This booking is paid in full');
+  }
+
+  const installment = installmentId
+    ? schedule.installments.id(installmentId)
+    : [...schedule.installments]
+      .sort((a, b) => a.dueDate - b.dueDate)
+      .find(entry => entry.status !== 'paid');
+
+  if (!installment) {
+    throw reconcileError('Installment not found', 404);
+  }
+
+  const due = roundMoney(amount ?? installment.amount - installment.amountPaid);
+  if (due <= 0) {
+    throw reconcileError(`${installment.label} has already been paid`);
+  }
+  if (due > schedule.balanceDue) {
+    throw reconcileError(`Amount exceeds the balance due of ${formatMoney(schedule.balanceDue, schedule.currency)}`);
+  }
+
+  return { installment, amount: due };
+};
+
+// Start a provider checkout for a schedule
+export const createScheduleCheckout = async (provider, schedule, contact, options = {}) => {
+  const { installment, amount } = resolveCheckoutAmount(schedule, options);
+
+  const checkout = await provider.createCheckout({
+    amount,
+    currency: schedule.currency,
+    description: `${installment.label} - The White Barn FL`,
+    customerEmail: contact?.email,
+    successUrl: options.successUrl,
+    cancelUrl: options.cancelUrl,
+    apiBaseUrl: options.apiBaseUrl,
+    metadata: {
+      scheduleId: schedule._id.toString(),
+      installmentId: installment._id.toString(),
+      contactId: schedule.contact.toString()
+    }
+  });
+
+  return { ...checkout, amount, installment: installment._id };
+};
+
+// Add a provider payment to its schedule unless that payment is already recorded
+const applyCheckoutPayment = async (providerName, data) => {
+  const scheduleId = data.metadata?.scheduleId;
+  if (!scheduleId || !data.paymentId || !(data.amount > 0)) {
+    throw reconcileError('Checkout event is missing the schedule, payment ID or amount');
+  }
+
+  // The $ne guard makes the push atomic, so concurrent redeliveries can't double-count
+  const schedule = await PaymentSchedule.findOneAndUpdate(
+    { _id: scheduleId, 'payments.providerPaymentId': { $ne: data.paymentId } },
+    {
+      $push: {
+        payments: {
+          amount: data.amount,
+          method: 'card',
+          reference: data.paymentId,
+          paidAt: new Date(),
+          note: 'Paid online',
+          provider: providerName,
+          providerPaymentId: data.paymentId,
+          checkoutSessionId: data.sessionId
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!schedule) {
+    const exists = await PaymentSchedule.exists({ _id: scheduleId });
+    if (!exists) throw reconcileError('Payment schedule not found', 404);
+    return { status: 'ignored', result: 'Payment already recorded', scheduleId };
+  }
+
+  // Saving recalculates balances and installment progress
+  await schedule.save();
+
+  const payment = schedule.payments.find(entry => entry.providerPaymentId === data.paymentId);
+  const contact = await Contact.findById(schedule.contact).select('name email');
+
+  if (contact) {
+    await Activity.record({
+      contact: contact._id,
+      type: 'payment',
+      summary: `Online payment received: ${formatMoney(payment.amount, schedule.currency)}`,
+      metadata: { scheduleId: schedule._id, paymentId: payment._id, providerPaymentId: data.paymentId }
+    });
+
+    notifyPaymentReceived(schedule, payment, contact).catch(error => {
+      console.error('Payment email failed:', error.message);
+    });
+  }
+
+  return {
+    status: 'processed',
+    result: `Recorded payment of ${formatMoney(payment.amount, schedule.currency)}`,
+    scheduleId: schedule._id,
+    contactId: schedule.contact
+  };
+};
+
+// Note a declined checkout on the client's timeline
+const recordFailedCheckout = async (data) => {
+  const schedule = data.metadata?.scheduleId && await PaymentSchedule.findById(data.metadata.scheduleId).select('contact currency');
+  if (!schedule) {
+    return { status: 'ignored', result: 'No matching payment schedule' };
+  }
+
+  await Activity.record({
+    contact: schedule.contact,
+    type: 'payment',
+    summary: `Online payment failed: ${formatMoney(data.amount, schedule.currency)}`,
+    details: data.reason,
+    metadata: { scheduleId: schedule._id, sessionId: data.sessionId }
+  });
+
+  return { status: 'processed', result: 'Failed checkout noted', scheduleId: schedule._id, contactId: schedule.contact };
+};
+
+// Add a provider refund unless it is already on the schedule. Both the admin refund
+// request and the provider's webhook for it end up here, in either order.
+// Returns the saved schedule, or null if the refund was already recorded.
+export const addProviderRefund = async (scheduleId, refund) => {
+  const schedule = await PaymentSchedule.findOneAndUpdate(
+    { _id: scheduleId, 'refunds.providerRefundId': { $ne: refund.providerRefundId } },
+    { $push: { refunds: { refundedAt: new Date(), ...refund } } },
+    { new: true }
+  );
+
+  if (!schedule) return null;
+
+  // Saving recalculates balances and installment progress
+  await schedule.save();
+  return schedule;
+};
+
+// Add a provider refund to the schedule holding the refunded payment
+const applyProviderRefund = async (providerName, data) => {
+  if (!data.paymentId || !data.refundId || !(data.amount > 0)) {
+    throw reconcileError('Refund event is missing the payment ID, refund ID or amount');
+  }
+
+  const owner = await PaymentSchedule.findOne({ 'payments.providerPaymentId': data.paymentId });
+  if (!owner) {
+    return { status: 'ignored', result: 'No payment matches this refund' };
+  }
+
+  const payment = owner.payments.find(entry => entry.providerPaymentId === data.paymentId);
+  const schedule = await addProviderRefund(owner._id, {
+    payment: payment._id,
+    amount: data.amount,
+    reason: data.reason,
+    reference: data.refundId,
+    provider: providerName,
+    providerRefundId: data.refundId
+  });
+
+  if (!schedule) {
+    return { status: 'ignored', result: 'Refund already recorded', scheduleId: owner._id, contactId: owner.contact };
+  }
+
+  await Activity.record({
+    contact: schedule.contact,
+    type: 'payment',
+    summary: `Refund issued: ${formatMoney(data.amount, schedule.currency)}`,
+    details: data.reason,
+    metadata: { scheduleId: schedule._id, providerRefundId: data.refundId }
+  });
+
+  return {
+    status: 'processed',
+    result: `Recorded refund of ${formatMoney(data.amount, schedule.currency)}`,
+    scheduleId: schedule._id,
+    contactId: schedule.contact
+  };
+};
+
+const EVENT_HANDLERS = {
+  'checkout.completed': applyCheckoutPayment,
+  'checkout.failed': (providerName, data) => recordFailedCheckout(data),
+  'refund.succeeded': applyProviderRefund
+};
+
+// Log a verified webhook event and apply it to the matching payment schedule.
+// Events already processed are acknowledged without being applied again.
+export const processPaymentEvent = async (providerName, event) => {
+  if (!event?.id || !event?.type) {
+    throw reconcileError('Webhook event is missing an ID or type');
+  }
+
+  let log;
+  try {
+    log = await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      payload: event
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    log = await PaymentEvent.findOneAndUpdate(
+      { provider: providerName, eventId: event.id },
+      { $inc: { deliveries: 1 } },
+      { new: true }
+    );
+    if (['processed', 'ignored'].includes(log.status)) {
+      return { event: log, duplicate: true };
+    }
+  }
+
+  const handler = EVENT_HANDLERS[event.type];
+  log.attempts += 1;
+
+  try {
+    const outcome = handler
+      ? await handler(providerName, event.data || {})
+      : { status: 'ignored', result: `Unhandled event type ${event.type}` };
+
+    log.status = outcome.status;
+    log.result = outcome.result;
+    log.schedule = outcome.scheduleId || log.schedule;
+    log.contact = outcome.contactId || log.contact;
+    log.error = undefined;
+    log.processedAt = new Date();
+  } catch (error) {
+    log.status = 'failed';
+    log.error = error.message;
+    await log.save();
+    throw error;
+  }
+
+  await log.save();
+  return { event: log, duplicate: false };
+};
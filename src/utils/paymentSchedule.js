@@ -0,0 +1,82 @@
+import { toDateKey } from '../models/Booking.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days before a due date that the client is reminded
+export const PAYMENT_REMINDER_DAYS = [7, 1];
+
+export const DEFAULT_PLAN = {
+  retainerPercent: 25,
+  installmentCount: 0,
+  finalDueDays: 30
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Midnight UTC of a date, so due dates compare as calendar days
+const startOfDay = (value) => new Date(`${toDateKey(value)}T00:00:00.000Z`);
+
+// Whole days from now until a due date (negative once it has passed)
+export const daysUntil = (dueDate, now = Date.now()) => {
+  return Math.ceil((new Date(dueDate).getTime() - startOfDay(now).getTime()) / DAY);
+};
+
+// Standard plan: a retainer due now, optional evenly spaced installments and the
+// final balance due a set number of days before the event
+export const buildInstallmentPlan = ({ totalAmount, eventDate, now = new Date(), ...options }) => {
+  const { retainerPercent, installmentCount, finalDueDays } = { ...DEFAULT_PLAN, ...options };
+
+  const today = startOfDay(now);
+  const event = eventDate ? startOfDay(eventDate) : null;
+  const finalDue = event
+    ? new Date(Math.max(today.getTime(), event.getTime() - finalDueDays * DAY))
+    : today;
+
+  const retainer = roundMoney(totalAmount * retainerPercent / 100);
+  const remainder = roundMoney(totalAmount - retainer);
+  const installmentAmount = installmentCount > 0 ? roundMoney(remainder / (installmentCount + 1)) : 0;
+  const spacing = (finalDue.getTime() - today.getTime()) / (installmentCount + 1);
+
+  const installments = [];
+
+  if (retainer > 0) {
+    installments.push({ label: 'Retainer', kind: 'retainer', dueDate: today, amount: retainer });
+  }
+
+  for (let index = 1; index <= installmentCount; index++) {
+    installments.push({
+      label: `Installment ${index}`,
+      kind: 'installment',
+      dueDate: startOfDay(today.getTime() + spacing * index),
+      amount: installmentAmount
+    });
+  }
+
+  const finalAmount = roundMoney(remainder - installmentAmount * installmentCount);
+  if (finalAmount > 0) {
+    installments.push({ label: 'Final balance', kind: 'final', dueDate: finalDue, amount: finalAmount });
+  }
+
+  return installments;
+};
+
+// Reminder owed for an unpaid installment right now, if any:
+// an overdue notice once it has lapsed, otherwise the closest reminder window reached
+export const reminderDue = (installment, now = Date.now()) => {
+  if (installment.status === 'paid') return null;
+
+  const sent = installment.reminders || [];
+
+  if (installment.status === 'overdue') {
+    return sent.some(reminder => reminder.kind === 'overdue') ? null : { kind: 'overdue' };
+  }
+
+  const days = daysUntil(installment.dueDate, now);
+  const windows = PAYMENT_REMINDER_DAYS.filter(window => days <= window);
+  if (windows.length === 0) return null;
+
+  const daysBefore = Math.min(...windows);
+  const alreadySent = sent.some(reminder => reminder.kind === 'upcoming' && reminder.daysBefore <= daysBefore);
+
+  return alreadySent ? null : { kind: 'upcoming', daysBefore };
+};
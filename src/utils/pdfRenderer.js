@@ -0,0 +1,489 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import Settings, { defaultSettings } from '../models/Settings.js';
+import { formatMoney } from './quoteNotifications.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '../..');
+
+const BRAND_COLOR = '#f59332';
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#777777';
+const PAGE_MARGIN = 50;
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T12:00:00.000Z`)
+    : new Date(value);
+  return date.toLocaleDateString('en-US', { dateStyle: 'long', timeZone: 'UTC' });
+};
+
+const formatDateTime = (value) => {
+  return new Date(value).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short', timeZone: 'UTC' }) + ' UTC';
+};
+
+// Resolve a logo setting to a file: uploads paths come from the uploads folder,
+// anything else from the site build in dist/
+const resolveLogoPath = (logo) => {
+  if (!logo) return null;
+
+  const relative = logo.replace(/^\/+/, '');
+  const file = relative.startsWith('uploads/')
+    ? path.join(rootDir, relative)
+    : path.join(rootDir, 'dist', relative);
+
+  return fs.existsSync(file) ? file : null;
+};
+
+// Venue name, contact details and logo from the general settings
+export const getBranding = async () => {
+  const general = await Settings.getByCategory('general');
+  const setting = (key) => general[key] ?? defaultSettings.general[key]?.value;
+
+  return {
+    venueName: setting('siteName'),
+    address: setting('address'),
+    email: setting('contactEmail'),
+    phone: setting('contactPhone'),
+    logoPath: resolveLogoPath(setting('logo'))
+  };
+};
+
+// Render a PDF into a buffer
+const renderToBuffer = (title, draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: title }
+  });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+  } catch (error) {
+    reject(error);
+    return;
+  }
+
+  doc.end();
+});
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+// Logo and venue details across the top, document title on the right
+const drawHeader = (doc, branding, { title, number, date }) => {
+  const top = PAGE_MARGIN;
+
+  if (branding.logoPath) {
+    doc.image(branding.logoPath, PAGE_MARGIN, top, { fit: [160, 60] });
+  } else {
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_COLOR)
+      .text(branding.venueName, PAGE_MARGIN, top, { width: 250 });
+  }
+
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text(branding.venueName, PAGE_MARGIN, top + 66, { width: 250 })
+    .text(branding.address, { width: 250 })
+    .text([branding.phone, branding.email].filter(Boolean).join('  |  '), { width: 250 });
+
+  const rightX = doc.page.width - PAGE_MARGIN - 200;
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND_COLOR)
+    .text(title.toUpperCase(), rightX, top, { width: 200, align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR);
+  if (number) doc.text(number, rightX, doc.y + 4, { width: 200, align: 'right' });
+  if (date) doc.text(formatDate(date), rightX, doc.y, { width: 200, align: 'right' });
+
+  doc.moveTo(PAGE_MARGIN, top + 110)
+    .lineTo(doc.page.width - PAGE_MARGIN, top + 110)
+    .strokeColor(BRAND_COLOR)
+    .lineWidth(1.5)
+    .stroke();
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + 125;
+};
+
+// Client and event details block
+const drawClientBlock = (doc, contact, details = [], { detailsHeading = 'EVENT DETAILS' } = {}) => {
+  const startY = doc.y;
+  const half = contentWidth(doc) / 2;
+
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR)
+    .text('PREPARED FOR', PAGE_MARGIN, startY);
+  doc.font('Helvetica').fontSize(11).fillColor(TEXT_COLOR)
+    .text(contact.name)
+    .text(contact.email);
+  if (contact.phone) doc.text(contact.phone);
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR)
+    .text(detailsHeading, PAGE_MARGIN + half, startY, { width: half });
+  doc.font('Helvetica').fontSize(11).fillColor(TEXT_COLOR);
+  details
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([label, value]) => {
+      doc.text(`${label}: ${value}`, PAGE_MARGIN + half, doc.y, { width: half });
+    });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+// Line item table with description, quantity, unit price and amount columns
+const drawLineItems = (doc, lineItems, currency) => {
+  const width = contentWidth(doc);
+  const columns = [
+    { label: 'Description', width: width * 0.5, align: 'left' },
+    { label: 'Qty', width: width * 0.12, align: 'right' },
+    { label: 'Unit Price', width: width * 0.18, align: 'right' },
+    { label: 'Amount', width: width * 0.2, align: 'right' }
+  ];
+
+  const drawRow = (cells, { bold = false, color = TEXT_COLOR } = {}) => {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    let rowBottom = y;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(color);
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 4, y, { width: columns[index].width - 8, align: columns[index].align });
+      rowBottom = Math.max(rowBottom, doc.y);
+      x += columns[index].width;
+    });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = rowBottom + 6;
+  };
+
+  doc.rect(PAGE_MARGIN, doc.y - 4, width, 20).fill('#f5f5f5');
+  drawRow(columns.map(column => column.label), { bold: true });
+
+  lineItems.forEach(line => {
+    if (doc.y > doc.page.height - 150) doc.addPage();
+
+    drawRow([
+      line.description ? `${line.name}\n${line.description}` : line.name,
+      String(line.quantity),
+      formatMoney(line.unitPrice, currency),
+      formatMoney(line.baseAmount ?? line.amount, currency)
+    ]);
+
+    (line.adjustments || []).forEach(adjustment => {
+      drawRow([`   ${adjustment.name}`, '', '', formatMoney(adjustment.amount, currency)], { color: MUTED_COLOR });
+    });
+  });
+
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(PAGE_MARGIN + width, doc.y).strokeColor('#dddddd').lineWidth(1).stroke();
+  doc.y += 10;
+};
+
+// Subtotal, discounts, tax and total aligned on the right
+const drawTotals = (doc, rows, currency) => {
+  const labelX = doc.page.width - PAGE_MARGIN - 250;
+
+  rows
+    .filter(row => row && (row.always || row.amount))
+    .forEach(row => {
+      const y = doc.y;
+      doc.font(row.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(row.bold ? 12 : 10)
+        .fillColor(row.bold ? BRAND_COLOR : TEXT_COLOR)
+        .text(row.label, labelX, y, { width: 140 })
+        .text(formatMoney(row.amount, currency), labelX + 140, y, { width: 110, align: 'right' });
+      doc.y += 4;
+    });
+
+  doc.x = PAGE_MARGIN;
+  doc.y += 10;
+};
+
+const drawSection = (doc, heading, body) => {
+  if (!body) return;
+  if (doc.y > doc.page.height - 120) doc.addPage();
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT_COLOR)
+    .text(heading, PAGE_MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR)
+    .text(body, { width: contentWidth(doc), align: 'justify' });
+  doc.y += 10;
+};
+
+// Page numbers and venue name in the footer of every page
+const drawFooters = (doc, branding) => {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text(
+        `${branding.venueName}  |  Page ${index + 1} of ${range.count}`,
+        PAGE_MARGIN,
+        doc.page.height - 35,
+        { width: contentWidth(doc), align: 'center' }
+      );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+const versionTotals = (version) => [
+  { label: 'Subtotal', amount: version.subtotal, always: true },
+  ...(version.discounts || []).map(discount => ({
+    label: discount.type === 'percent' ? `${discount.label} (${discount.value}%)` : discount.label,
+    amount: -discount.amount
+  })),
+  { label: `Tax (${(version.taxRate * 100).toFixed(2).replace(/\.?0+$/, '')}%)`, amount: version.taxTotal },
+  { label: 'Total', amount: version.total, bold: true, always: true }
+];
+
+// Branded quote for one version of a Quote
+export const renderQuotePdf = ({ quote, version, contact, branding }) => {
+  return renderToBuffer(`Quote ${quote.quoteNumber}`, (doc) => {
+    drawHeader(doc, branding, { title: 'Quote', number: `${quote.quoteNumber} (v${version.version})`, date: version.createdAt });
+    drawClientBlock(doc, contact, [
+      ['Event date', version.eventDate && formatDate(version.eventDate)],
+      ['Guests', version.guestCount],
+      ['Valid until', quote.validUntil && formatDate(quote.validUntil)]
+    ]);
+    if (quote.title) {
+      doc.font('Helvetica-Bold').fontSize(13).fillColor(TEXT_COLOR)
+        .text(quote.title, PAGE_MARGIN, doc.y, { width: contentWidth(doc) });
+      doc.y += 10;
+    }
+    drawLineItems(doc, version.lineItems, quote.currency);
+    drawTotals(doc, versionTotals(version), quote.currency);
+    drawSection(doc, 'Notes', version.notes);
+    drawFooters(doc, branding);
+  });
+};
+
+// Branded invoice
+export const renderInvoicePdf = ({ invoice, contact, branding }) => {
+  return renderToBuffer(`Invoice ${invoice.number}`, (doc) => {
+    drawHeader(doc, branding, { title: 'Invoice', number: invoice.number, date: invoice.issuedAt });
+    drawClientBlock(doc, contact, [
+      ['Event date', invoice.eventDate && formatDate(invoice.eventDate)],
+      ['Guests', invoice.guestCount],
+      ['Due date', invoice.dueDate && formatDate(invoice.dueDate)],
+      ['Reference', invoice.reference]
+    ]);
+    drawLineItems(doc, invoice.lineItems, invoice.currency);
+    drawTotals(doc, [
+      ...versionTotals(invoice),
+      { label: 'Paid to date', amount: invoice.amountPaid ? -invoice.amountPaid : 0 },
+      invoice.amountPaid ? { label: 'Balance due', amount: invoice.total - invoice.amountPaid, bold: true, always: true } : null
+    ], invoice.currency);
+    drawSection(doc, 'Payment', invoice.paymentInstructions);
+    drawSection(doc, 'Notes', invoice.notes);
+    drawFooters(doc, branding);
+  });
+};
+
+// Signature line for one party, with the drawn signature or typed name when signed
+const drawSignatureBlock = (doc, x, lineY, width, { partyName, signature }) => {
+  if (signature?.image) {
+    doc.image(signature.image, x, lineY - 48, { fit: [width, 44], valign: 'bottom' });
+  } else if (signature) {
+    doc.font('Helvetica-Oblique').fontSize(16).fillColor(TEXT_COLOR)
+      .text(signature.name, x, lineY - 22, { width });
+  }
+
+  doc.moveTo(x, lineY).lineTo(x + width, lineY).strokeColor(TEXT_COLOR).lineWidth(0.5).stroke();
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text(`Signature - ${partyName}`, x, lineY + 4, { width })
+    .text(signature ? `Signed by ${signature.name} on ${formatDateTime(signature.signedAt)}` : 'Date:', x, lineY + 18, { width });
+};
+
+// Branded event agreement with numbered clauses and signature lines.
+// Signed copies get a certificate page listing the audit trail.
+export const renderContractPdf = ({ contract, contact, branding }) => {
+  return renderToBuffer(`Contract ${contract.number}`, (doc) => {
+    drawHeader(doc, branding, { title: 'Agreement', number: contract.number, date: contract.issuedAt });
+    drawClientBlock(doc, contact, [
+      ['Event date', contract.eventDate && formatDate(contract.eventDate)],
+      ['Guests', contract.guestCount],
+      ['Contract total', contract.total !== undefined && formatMoney(contract.total, contract.currency)]
+    ]);
+
+    contract.clauses.forEach((clause, index) => {
+      drawSection(doc, `${index + 1}. ${clause.heading}`, clause.body);
+    });
+
+    if (doc.y > doc.page.height - 200) doc.addPage();
+    doc.y += 20;
+
+    const half = contentWidth(doc) / 2;
+    const lineY = doc.y + 60;
+    drawSignatureBlock(doc, PAGE_MARGIN, lineY, half - 20, {
+      partyName: branding.venueName,
+      signature: contract.countersignature
+    });
+    drawSignatureBlock(doc, PAGE_MARGIN + half + 10, lineY, half - 20, {
+      partyName: contact.name,
+      signature: contract.clientSignature
+    });
+
+    if (contract.audit?.length) {
+      doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND_COLOR)
+        .text('Signature Certificate', PAGE_MARGIN, PAGE_MARGIN, { width: contentWidth(doc) });
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(9).fillColor(TEXT_COLOR)
+        .text(`Agreement ${contract.number}`, { width: contentWidth(doc) });
+      if (contract.contentHash) {
+        doc.text(`Terms fingerprint (SHA-256): ${contract.contentHash}`, { width: contentWidth(doc) });
+      }
+      doc.moveDown();
+
+      contract.audit.forEach(entry => {
+        if (doc.y > doc.page.height - 100) doc.addPage();
+
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(TEXT_COLOR)
+          .text(`${entry.action.charAt(0).toUpperCase()}${entry.action.slice(1)} - ${formatDateTime(entry.at)}`, { width: contentWidth(doc) });
+        doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+        if (entry.details) doc.text(entry.details, { width: contentWidth(doc) });
+        if (entry.ip) doc.text(`IP address: ${entry.ip}`, { width: contentWidth(doc) });
+        if (entry.userAgent) doc.text(`Device: ${entry.userAgent}`, { width: contentWidth(doc) });
+        doc.moveDown(0.5);
+      });
+    }
+
+    drawFooters(doc, branding);
+  });
+};
+
+// Simple table: `columns` are [{ label, width (share of the page), align }],
+// rows are arrays of cell text. Rows with `bold: true` render as totals.
+const drawTable = (doc, columns, rows) => {
+  const width = contentWidth(doc);
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    let rowBottom = y;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(TEXT_COLOR);
+    cells.forEach((cell, index) => {
+      const columnWidth = width * columns[index].width;
+      doc.text(String(cell), x + 4, y, { width: columnWidth - 8, align: columns[index].align || 'left' });
+      rowBottom = Math.max(rowBottom, doc.y);
+      x += columnWidth;
+    });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = rowBottom + 6;
+  };
+
+  doc.rect(PAGE_MARGIN, doc.y - 4, width, 20).fill('#f5f5f5');
+  drawRow(columns.map(column => column.label), { bold: true });
+
+  rows.forEach(row => {
+    if (doc.y > doc.page.height - 100) doc.addPage();
+    drawRow(row.cells || row, { bold: row.bold });
+  });
+
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(PAGE_MARGIN + width, doc.y).strokeColor('#dddddd').lineWidth(1).stroke();
+  doc.y += 15;
+};
+
+const formatPercent = (value) => `${(value || 0).toFixed(1)}%`;
+
+// Monthly performance statement for one partner
+export const renderPartnerStatementPdf = ({ statement, branding }) => {
+  const { partner, period, metrics, commission, lifetime } = statement;
+
+  return renderToBuffer(`Partner Statement ${partner.code} ${period.key}`, (doc) => {
+    drawHeader(doc, branding, { title: 'Statement', number: period.label, date: period.issuedAt });
+    drawClientBlock(doc, partner, [
+      ['Partner code', partner.code],
+      ['Partner type', partner.type],
+      ['Period', `${formatDate(period.start)} - ${formatDate(period.lastDay)}`]
+    ], { detailsHeading: 'STATEMENT DETAILS' });
+
+    drawTable(doc, [
+      { label: 'This month', width: 0.6 },
+      { label: '', width: 0.4, align: 'right' }
+    ], [
+      ['Link clicks', metrics.clicks],
+      ['Leads', metrics.leads],
+      ['Tours booked', metrics.tours],
+      ['Bookings', metrics.bookings],
+      ['Click to lead rate', formatPercent(metrics.clickToLeadRate)],
+      ['Lead to booking rate', formatPercent(metrics.conversionRate)]
+    ]);
+
+    drawTable(doc, [
+      { label: 'Commission', width: 0.6 },
+      { label: '', width: 0.4, align: 'right' }
+    ], [
+      ['Earned this month', formatMoney(commission.accrued)],
+      ['Paid this month', formatMoney(commission.paid)],
+      { cells: ['Balance owed to you', formatMoney(commission.outstanding)], bold: true }
+    ]);
+
+    drawTable(doc, [
+      { label: 'All time', width: 0.6 },
+      { label: '', width: 0.4, align: 'right' }
+    ], [
+      ['Leads', lifetime.totalLeads],
+      ['Tours booked', lifetime.totalTours],
+      ['Bookings', lifetime.totalBookings]
+    ]);
+
+    drawSection(doc, 'Notes', 'Leads, tours and bookings are counted for inquiries received this month. Commission is earned when a referred client books and paid in our regular payout runs.');
+    drawFooters(doc, branding);
+  });
+};
+
+// Every partner's figures for the month on one page, for the marketing team
+export const renderPartnerSummaryPdf = ({ summary, branding }) => {
+  const { period, rows, totals } = summary;
+
+  return renderToBuffer(`Partner Summary ${period.key}`, (doc) => {
+    drawHeader(doc, branding, { title: 'Partner Summary', number: period.label, date: period.issuedAt });
+
+    drawTable(doc, [
+      { label: 'Partner', width: 0.28 },
+      { label: 'Clicks', width: 0.1, align: 'right' },
+      { label: 'Leads', width: 0.1, align: 'right' },
+      { label: 'Tours', width: 0.1, align: 'right' },
+      { label: 'Bookings', width: 0.12, align: 'right' },
+      { label: 'Conv.', width: 0.1, align: 'right' },
+      { label: 'Commission', width: 0.2, align: 'right' }
+    ], [
+      ...rows.map(row => [
+        `${row.name}\n${row.code}`,
+        row.clicks,
+        row.leads,
+        row.tours,
+        row.bookings,
+        formatPercent(row.conversionRate),
+        formatMoney(row.commissionAccrued)
+      ]),
+      {
+        cells: [
+          'Total',
+          totals.clicks,
+          totals.leads,
+          totals.tours,
+          totals.bookings,
+          formatPercent(totals.conversionRate),
+          formatMoney(totals.commissionAccrued)
+        ],
+        bold: true
+      }
+    ]);
+
+    drawSection(doc, 'Commission paid', `${formatMoney(totals.commissionPaid)} was paid to partners this month.`);
+    drawFooters(doc, branding);
+  });
+};
@@ -0,0 +1,66 @@
+import PipelineStage from '../models/PipelineStage.js';
+import Activity from '../models/Activity.js';
+
+// Look up a configured stage by key, failing with a 400 for unknown keys
+export const resolveStage = async (stageKey) => {
+  const stages = await PipelineStage.getStages({ includeInactive: true });
+  const stage = stages.find(item => item.key === stageKey);
+
+  if (!stage) {
+    const error = new Error(`Unknown pipeline stage: ${stageKey}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { stage, stages };
+};
+
+// Move a contact to a stage, recording history and a timeline entry
+export const moveContactToStage = async (contact, stageKey, { adminId = null, note, lostReason } = {}) => {
+  const { stage } = await resolveStage(stageKey);
+  const from = contact.stage;
+
+  if (from === stage.key) return false;
+
+  contact.stage = stage.key;
+  contact.stageChangedAt = new Date();
+  contact.stageHistory.push({
+    from,
+    to: stage.key,
+    changedBy: adminId,
+    note
+  });
+  if (stage.type === 'lost') {
+    contact.lostReason = lostReason || note;
+  }
+
+  await contact.save();
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'stage_change',
+    summary: `Moved to ${stage.label}`,
+    details: note,
+    admin: adminId,
+    metadata: { from, to: stage.key }
+  });
+
+  return true;
+};
+
+// Move a contact forward to a stage (a key, or { type } for the first stage of
+// that type), never backwards and never out of a closed stage.
+// Targets that are not configured are skipped so automation never fails a request.
+export const advanceContactStage = async (contact, target, options = {}) => {
+  const stages = await PipelineStage.getStages();
+  const stage = typeof target === 'string'
+    ? stages.find(item => item.key === target)
+    : stages.find(item => item.type === target.type);
+  const current = stages.find(item => item.key === contact.stage);
+
+  if (!stage || (current && (current.type !== 'open' || current.order >= stage.order))) {
+    return false;
+  }
+
+  return moveContactToStage(contact, stage.key, options);
+};
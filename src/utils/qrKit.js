@@ -0,0 +1,308 @@
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+import PDFDocument from 'pdfkit';
+import { buildReferralUrl, REFERRAL_PAGES } from './partnerPortal.js';
+import { getBranding } from './pdfRenderer.js';
+import { createZip } from './zip.js';
+
+export const QR_FORMATS = ['png', 'svg', 'pdf'];
+export const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+const QR_MIN_SIZE = 100;
+const QR_MAX_SIZE = 2000;
+const QUIET_ZONE = 2;
+
+// The brand orange is too light for every scanner, so branded codes use a darker shade
+const BRAND_QR_COLOR = '#8a4a12';
+
+// Share of the code's width the centre logo may cover. Only high error
+// correction survives that much of the code being hidden.
+const LOGO_WIDTH_SHARE = 0.24;
+const LOGO_ERROR_LEVELS = ['Q', 'H'];
+
+const COLOR_PATTERN = /^#?[0-9a-f]{6}$/i;
+const PAGE_PATTERN = /^[a-z0-9-]{1,50}$/;
+const CAMPAIGN_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/i;
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf'
+};
+
+// Kit styles: a plain code for small print and a branded one with logo and caption
+const KIT_STYLES = {
+  standard: { color: '#000000', background: '#ffffff', errorCorrectionLevel: 'M', logo: false, caption: false },
+  branded: { color: BRAND_QR_COLOR, background: '#ffffff', errorCorrectionLevel: 'H', logo: true, caption: true }
+};
+const KIT_RASTER_SIZE = 1200;
+const KIT_VECTOR_SIZE = 300;
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+const normalizeColor = (value) => `#${value.replace('#', '').toLowerCase()}`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Read QR options from a query string. Returns { options } or { error }.
+export const parseQrOptions = (query = {}) => {
+  const format = (query.format || 'png').toLowerCase();
+  if (!QR_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${QR_FORMATS.join(', ')}` };
+  }
+
+  const page = query.page || 'weddings';
+  if (!PAGE_PATTERN.test(page)) {
+    return { error: 'Invalid landing page' };
+  }
+
+  const size = query.size === undefined ? 300 : parseInt(query.size);
+  if (!Number.isInteger(size) || size < QR_MIN_SIZE || size > QR_MAX_SIZE) {
+    return { error: `Size must be between ${QR_MIN_SIZE} and ${QR_MAX_SIZE}` };
+  }
+
+  const logo = isTrue(query.logo);
+  const errorCorrectionLevel = (query.ecl || (logo ? 'H' : 'M')).toUpperCase();
+  if (!QR_ERROR_LEVELS.includes(errorCorrectionLevel)) {
+    return { error: `Error correction level must be one of: ${QR_ERROR_LEVELS.join(', ')}` };
+  }
+  if (logo && !LOGO_ERROR_LEVELS.includes(errorCorrectionLevel)) {
+    return { error: 'A centre logo needs error correction level Q or H' };
+  }
+
+  const color = query.color === 'brand' ? BRAND_QR_COLOR : (query.color || '#000000');
+  const background = query.background || '#ffffff';
+  if (!COLOR_PATTERN.test(color) || !COLOR_PATTERN.test(background)) {
+    return { error: 'Colours must be hex values such as #000000' };
+  }
+
+  if (query.campaign && !CAMPAIGN_PATTERN.test(query.campaign)) {
+    return { error: 'Campaign may only contain letters, numbers, dashes and underscores' };
+  }
+
+  return {
+    options: {
+      format,
+      page,
+      size,
+      errorCorrectionLevel,
+      color: normalizeColor(color),
+      background: normalizeColor(background),
+      logo,
+      caption: isTrue(query.caption),
+      campaign: query.campaign || null
+    }
+  };
+};
+
+// The venue logo as a PNG sized for a code of the given width, or null when
+// no logo is configured
+const loadLogo = async (size) => {
+  const { logoPath } = await getBranding();
+  if (!logoPath) return null;
+
+  // Rendered at twice the size so it stays sharp when the code is printed
+  const maxWidth = Math.round(size * LOGO_WIDTH_SHARE);
+  const { data, info } = await sharp(logoPath)
+    .resize({ width: maxWidth * 2, height: maxWidth * 2, fit: 'inside' })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    png: data,
+    width: info.width / 2,
+    height: info.height / 2
+  };
+};
+
+// Module grid, pixel scale and the positions of the logo and caption
+const layoutQr = (url, { size, errorCorrectionLevel, caption }, logo) => {
+  const { modules } = QRCode.create(url, { errorCorrectionLevel });
+  const moduleCount = modules.size + QUIET_ZONE * 2;
+  const captionHeight = caption ? Math.round(size * 0.14) : 0;
+
+  let logoBox = null;
+  if (logo) {
+    const padding = size * 0.02;
+    const width = logo.width + padding * 2;
+    const height = logo.height + padding * 2;
+    logoBox = {
+      x: (size - width) / 2,
+      y: (size - height) / 2,
+      width,
+      height,
+      padding
+    };
+  }
+
+  return {
+    modules,
+    moduleCount,
+    scale: size / moduleCount,
+    width: size,
+    height: size + captionHeight,
+    captionHeight,
+    logoBox
+  };
+};
+
+const renderSvg = (layout, options, logo, captionText) => {
+  const { modules, moduleCount, width, height, captionHeight, logoBox } = layout;
+  const path = [];
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) path.push(`M${col + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`);
+    }
+  }
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="${options.background}"/>`,
+    `<svg width="${width}" height="${width}" viewBox="0 0 ${moduleCount} ${moduleCount}" shape-rendering="crispEdges">`,
+    `<path fill="${options.color}" d="${path.join('')}"/>`,
+    '</svg>'
+  ];
+
+  if (logoBox) {
+    parts.push(
+      `<rect x="${logoBox.x}" y="${logoBox.y}" width="${logoBox.width}" height="${logoBox.height}" rx="${logoBox.padding}" fill="${options.background}"/>`,
+      `<image x="${logoBox.x + logoBox.padding}" y="${logoBox.y + logoBox.padding}" width="${logo.width}" height="${logo.height}" href="data:image/png;base64,${logo.png.toString('base64')}"/>`
+    );
+  }
+
+  if (captionText) {
+    parts.push(
+      `<text x="${width / 2}" y="${width + captionHeight * 0.55}" fill="${options.color}" font-family="Helvetica, Arial, sans-serif" font-size="${Math.round(captionHeight * 0.5)}" font-weight="bold" text-anchor="middle">${escapeXml(captionText)}</text>`
+    );
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+};
+
+// Vector PDF with a page the size of the code (sizes are in points), ready for print
+const renderPdf = (layout, options, logo, captionText) => new Promise((resolve, reject) => {
+  const { modules, scale, width, height, captionHeight, logoBox } = layout;
+  const doc = new PDFDocument({ size: [width, height], margin: 0, info: { Title: captionText || 'Referral QR code' } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    doc.rect(0, 0, width, height).fill(options.background);
+
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) {
+          doc.rect((col + QUIET_ZONE) * scale, (row + QUIET_ZONE) * scale, scale, scale);
+        }
+      }
+    }
+    doc.fill(options.color);
+
+    if (logoBox) {
+      doc.roundedRect(logoBox.x, logoBox.y, logoBox.width, logoBox.height, logoBox.padding).fill(options.background);
+      doc.image(logo.png, logoBox.x + logoBox.padding, logoBox.y + logoBox.padding, { width: logo.width, height: logo.height });
+    }
+
+    if (captionText) {
+      const fontSize = Math.round(captionHeight * 0.5);
+      doc.font('Helvetica-Bold').fontSize(fontSize).fillColor(options.color)
+        .text(captionText, 0, width + (captionHeight - fontSize) / 2 - fontSize * 0.1, { width, align: 'center', lineBreak: false });
+    }
+  } catch (error) {
+    reject(error);
+    return;
+  }
+
+  doc.end();
+});
+
+// Render a partner's referral QR code. `logo` may be passed in to reuse one
+// already loaded for the same size.
+export const renderPartnerQr = async (partner, options, { logo } = {}) => {
+  const url = buildReferralUrl(partner, {
+    page: options.page,
+    medium: 'qr',
+    utm: { campaign: options.campaign }
+  });
+  const logoImage = options.logo ? (logo !== undefined ? logo : await loadLogo(options.size)) : null;
+  const captionText = options.caption ? `Code ${partner.code}` : null;
+  const layout = layoutQr(url, options, logoImage);
+
+  let buffer;
+  if (options.format === 'pdf') {
+    buffer = await renderPdf(layout, options, logoImage, captionText);
+  } else {
+    const svg = renderSvg(layout, options, logoImage, captionText);
+    buffer = options.format === 'svg'
+      ? Buffer.from(svg)
+      : await sharp(Buffer.from(svg)).png().toBuffer();
+  }
+
+  return {
+    url,
+    buffer,
+    contentType: CONTENT_TYPES[options.format],
+    extension: options.format
+  };
+};
+
+// File name for a rendered code, e.g. partner-qr-ABC123-weddings-spring24.svg
+export const qrFileName = (partner, { page, campaign, format }, style) => {
+  return ['partner-qr', partner.code, page, campaign, style].filter(Boolean).join('-') + `.${format}`;
+};
+
+// Zip of every style and format for every landing page, with a README listing
+// the links the codes point to
+export const buildPartnerQrKit = async (partner, { campaign = null } = {}) => {
+  const files = [];
+  const links = [];
+  const logos = {
+    [KIT_RASTER_SIZE]: await loadLogo(KIT_RASTER_SIZE),
+    [KIT_VECTOR_SIZE]: await loadLogo(KIT_VECTOR_SIZE)
+  };
+
+  for (const page of REFERRAL_PAGES) {
+    for (const [style, styleOptions] of Object.entries(KIT_STYLES)) {
+      for (const format of QR_FORMATS) {
+        const options = {
+          ...styleOptions,
+          format,
+          page,
+          campaign,
+          size: format === 'png' ? KIT_RASTER_SIZE : KIT_VECTOR_SIZE
+        };
+        const qr = await renderPartnerQr(partner, options, { logo: logos[options.size] });
+        files.push({ name: `${page}/${qrFileName(partner, options, style)}`, data: qr.buffer });
+        if (style === 'standard' && format === 'png') links.push(`${page}: ${qr.url}`);
+      }
+    }
+  }
+
+  const readme = [
+    `Referral QR codes for ${partner.name} (code ${partner.code})`,
+    campaign ? `Campaign: ${campaign}` : null,
+    '',
+    'Each folder holds the codes for one page of our website:',
+    '- standard: black and white, for small print',
+    '- branded: venue colours, logo and your referral code',
+    '',
+    'PNG files are 1200px for screens and digital use. SVG and PDF files are',
+    'vector and can be printed at any size.',
+    '',
+    'Links:',
+    ...links,
+    ''
+  ].filter(line => line !== null).join('\n');
+
+  files.unshift({ name: 'README.txt', data: readme });
+
+  return createZip(files);
+};
@@ -0,0 +1,181 @@
+import CatalogItem from '../models/CatalogItem.js';
+import PricingRule from '../models/PricingRule.js';
+import { toDateKey } from '../models/Booking.js';
+
+// Sales tax applied to taxable lines unless a quote sets its own rate
+export const DEFAULT_TAX_RATE = process.env.QUOTE_TAX_RATE !== undefined
+  ? parseFloat(process.env.QUOTE_TAX_RATE)
+  : 0.07;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const quoteError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Quantity a catalog item is charged for when the quote does not give one
+const defaultQuantity = (item, guestCount) => {
+  if (item.pricingType === 'per_guest') {
+    if (!guestCount) {
+      throw quoteError(`${item.name} is priced per guest, so the quote needs a guest count`);
+    }
+    return guestCount;
+  }
+  if (item.pricingType === 'per_hour') {
+    return item.defaultHours || 1;
+  }
+  return 1;
+};
+
+// Price a catalog line, applying every pricing rule that matches it
+const priceCatalogLine = (line, item, { eventDateKey, guestCount, rules }) => {
+  if (item.kind === 'package' && guestCount) {
+    if (item.minGuests && guestCount < item.minGuests) {
+      throw quoteError(`${item.name} requires at least ${item.minGuests} guests`);
+    }
+    if (item.maxGuests && guestCount > item.maxGuests) {
+      throw quoteError(`${item.name} allows at most ${item.maxGuests} guests`);
+    }
+  }
+
+  const quantity = line.quantity !== undefined ? Number(line.quantity) : defaultQuantity(item, guestCount);
+  const unitPrice = line.unitPrice !== undefined ? Number(line.unitPrice) : item.price;
+  const baseAmount = roundMoney(unitPrice * quantity);
+
+  const adjustments = rules
+    .filter(rule => rule.appliesToLine(eventDateKey, item))
+    .map(rule => ({
+      rule: rule._id,
+      name: rule.name,
+      amount: roundMoney(rule.adjustmentType === 'percent'
+        ? baseAmount * rule.adjustmentValue / 100
+        : rule.adjustmentValue)
+    }));
+
+  const adjusted = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, baseAmount);
+
+  return {
+    item: item._id,
+    code: item.code,
+    kind: item.kind,
+    name: item.name,
+    description: line.description || item.description,
+    pricingType: item.pricingType,
+    unitPrice,
+    quantity,
+    baseAmount,
+    adjustments,
+    amount: roundMoney(Math.max(0, adjusted)),
+    taxable: item.taxable
+  };
+};
+
+// Price a one-off line that is not in the catalog
+const priceCustomLine = (line) => {
+  const quantity = line.quantity !== undefined ? Number(line.quantity) : 1;
+  const unitPrice = Number(line.unitPrice);
+  const baseAmount = roundMoney(unitPrice * quantity);
+
+  return {
+    item: null,
+    kind: 'custom',
+    name: line.name,
+    description: line.description,
+    pricingType: 'flat',
+    unitPrice,
+    quantity,
+    baseAmount,
+    adjustments: [],
+    amount: baseAmount,
+    taxable: line.taxable !== false
+  };
+};
+
+// Apply quote-level discounts in order, never taking the subtotal below zero
+const priceDiscounts = (discounts, subtotal) => {
+  let remaining = subtotal;
+
+  return discounts.map(discount => {
+    const value = Number(discount.value);
+    const requested = discount.type === 'percent' ? subtotal * value / 100 : value;
+    const amount = roundMoney(Math.min(requested, remaining));
+    remaining = roundMoney(remaining - amount);
+
+    return {
+      label: discount.label,
+      type: discount.type || 'amount',
+      value,
+      amount
+    };
+  });
+};
+
+// Build a fully priced quote version from the admin's selections
+export const buildQuoteVersion = async (input, { version = 1, adminId = null } = {}) => {
+  const {
+    items = [],
+    customItems = [],
+    discounts = [],
+    guestCount,
+    notes
+  } = input;
+  const eventDateKey = toDateKey(input.eventDate);
+  const taxRate = input.taxRate !== undefined ? Number(input.taxRate) : DEFAULT_TAX_RATE;
+
+  if (items.length === 0 && customItems.length === 0) {
+    throw quoteError('A quote needs at least one line item');
+  }
+
+  const itemIds = items.map(line => line.item);
+  const [catalogItems, rules] = await Promise.all([
+    CatalogItem.find({ _id: { $in: itemIds } }),
+    PricingRule.find({ active: true }).sort({ priority: -1, createdAt: 1 })
+  ]);
+  const catalog = new Map(catalogItems.map(item => [item._id.toString(), item]));
+
+  const lineItems = items.map(line => {
+    const item = catalog.get(String(line.item));
+    if (!item) {
+      throw quoteError(`Catalog item ${line.item} not found`, 404);
+    }
+    return priceCatalogLine(line, item, { eventDateKey, guestCount, rules });
+  });
+  lineItems.push(...customItems.map(priceCustomLine));
+
+  const subtotal = roundMoney(lineItems.reduce((sum, line) => sum + line.amount, 0));
+  const adjustmentTotal = roundMoney(lineItems.reduce(
+    (sum, line) => sum + line.adjustments.reduce((lineSum, adjustment) => lineSum + adjustment.amount, 0),
+    0
+  ));
+
+  const pricedDiscounts = priceDiscounts(discounts, subtotal);
+  const discountTotal = roundMoney(pricedDiscounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+  // Discounts reduce taxable and non-taxable lines in proportion
+  const taxableSubtotal = lineItems
+    .filter(line => line.taxable)
+    .reduce((sum, line) => sum + line.amount, 0);
+  const discountShare = subtotal > 0 ? discountTotal / subtotal : 0;
+  const taxableAmount = roundMoney(taxableSubtotal * (1 - discountShare));
+  const taxTotal = roundMoney(taxableAmount * taxRate);
+
+  return {
+    version,
+    eventDate: eventDateKey || undefined,
+    guestCount,
+    lineItems,
+    discounts: pricedDiscounts,
+    subtotal,
+    adjustmentTotal,
+    discountTotal,
+    taxRate,
+    taxableAmount,
+    taxTotal,
+    total: roundMoney(subtotal - discountTotal + taxTotal),
+    notes,
+    createdBy: adminId,
+    createdAt: new Date()
+  };
+};
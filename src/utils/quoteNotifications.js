@@ -0,0 +1,67 @@
+import Activity from '../models/Activity.js';
+import { signToken } from './signedToken.js';
+import { sendQuoteEmail, sendQuoteResponseAlert } from './email.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Quote links keep working for a while after the offer lapses so clients can still see it
+const TOKEN_GRACE_DAYS = 30;
+const DEFAULT_TOKEN_DAYS = 90;
+
+export const formatMoney = (amount, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+};
+
+// Signed token that lets the client view and respond to a single quote
+export const createQuoteToken = (quote) => {
+  const expiresAt = quote.validUntil
+    ? new Date(quote.validUntil).getTime() + TOKEN_GRACE_DAYS * DAY
+    : Date.now() + DEFAULT_TOKEN_DAYS * DAY;
+  const expiresIn = Math.max(60, Math.floor((expiresAt - Date.now()) / 1000));
+
+  return signToken('quote', { quoteId: quote._id.toString() }, expiresIn);
+};
+
+export const buildQuoteUrl = (quote) => {
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+  return `${baseUrl}/quotes/view?token=${createQuoteToken(quote)}`;
+};
+
+// Email the quote link to the client and log it on their timeline
+export const notifyQuoteSent = async (quote, contact, { revised = false, adminId = null } = {}) => {
+  const result = await sendQuoteEmail({
+    name: contact.name,
+    email: contact.email,
+    quoteNumber: quote.quoteNumber,
+    title: quote.title,
+    total: formatMoney(quote.sent?.total, quote.currency),
+    validUntil: quote.validUntil ? new Date(quote.validUntil).toLocaleDateString('en-US', { dateStyle: 'long' }) : null,
+    url: buildQuoteUrl(quote),
+    revised
+  });
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'email',
+    direction: 'outbound',
+    summary: `Sent quote ${quote.quoteNumber} (version ${quote.sentVersion})`,
+    admin: adminId,
+    metadata: { quoteId: quote._id, version: quote.sentVersion }
+  });
+
+  return result;
+};
+
+// Alert the team when a client responds to a quote
+export const notifyQuoteResponse = (quote, contact, { accepted, reason } = {}) => {
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+  return sendQuoteResponseAlert({
+    name: contact.name,
+    quoteNumber: quote.quoteNumber,
+    total: formatMoney(quote.sent?.total, quote.currency),
+    accepted,
+    reason,
+    adminUrl: `${baseUrl}/admin/contacts/${contact._id}`
+  });
+};
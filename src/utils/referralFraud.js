@@ -0,0 +1,222 @@
+import Contact from '../models/Contact.js';
+import Booking from '../models/Booking.js';
+import Activity from '../models/Activity.js';
+import Settings, { defaultSettings } from '../models/Settings.js';
+import { normalizeEmail, normalizePhone } from './duplicates.js';
+import { creditPartner, adjustPartnerStat } from './partnerCredit.js';
+import { accrueCommission } from './commissions.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Older leads are left alone once they are this far past the engagement check
+const ENGAGEMENT_CHECK_SPAN_DAYS = 30;
+
+const reviewError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getFraudSettings = async () => {
+  const referrals = await Settings.getByCategory('referrals');
+  const setting = (key) => referrals[key] || defaultSettings.referrals[key].value;
+
+  return {
+    repeatedIpDays: setting('fraudRepeatedIpDays'),
+    userAgentThreshold: setting('fraudUserAgentThreshold'),
+    burstCount: setting('fraudBurstCount'),
+    burstMinutes: setting('fraudBurstMinutes'),
+    engagementDays: setting('fraudEngagementDays')
+  };
+};
+
+// Leads for a partner, whether credited or held
+const partnerLeadsQuery = (code) => ({
+  $or: [{ refCode: code }, { 'referralReview.code': code }]
+});
+
+// Check a new referred lead against the partner and the partner's other leads.
+// Returns the rules it trips; an empty list means the credit can go ahead.
+export const screenReferral = async (partner, { email, phone, ipAddress, userAgent, visitorId }) => {
+  const settings = await getFraudSettings();
+  const flags = [];
+  const now = Date.now();
+
+  if (email && partner.email && normalizeEmail(email) === normalizeEmail(partner.email)) {
+    flags.push({ rule: 'partner_email', detail: 'Lead email matches the partner\'s email' });
+  }
+
+  const leadPhone = normalizePhone(phone);
+  if (leadPhone && leadPhone === normalizePhone(partner.phone)) {
+    flags.push({ rule: 'partner_phone', detail: 'Lead phone matches the partner\'s phone' });
+  }
+
+  if (ipAddress && ipAddress === partner.application?.ipAddress) {
+    flags.push({ rule: 'partner_ip', detail: 'Submitted from the IP address the partner applied from' });
+  }
+
+  // Other people's leads for the same partner. A client resubmitting is a
+  // duplicate, not abuse, so leads with the same email don't count.
+  const recentOthers = {
+    ...partnerLeadsQuery(partner.code),
+    email: { $ne: email },
+    createdAt: { $gte: new Date(now - settings.repeatedIpDays * DAY) }
+  };
+
+  // Popular phones and browsers send identical User-Agent strings, so a match
+  // only counts when the lead also shares the IP address or visitor cookie
+  const sameDeviceMatches = [ipAddress && { ipAddress }, visitorId && { visitorId }].filter(Boolean);
+
+  const [sameIp, sameUserAgent, burst] = await Promise.all([
+    ipAddress ? Contact.countDocuments({ ...recentOthers, ipAddress }) : 0,
+    userAgent && sameDeviceMatches.length > 0
+      ? Contact.countDocuments({ $and: [recentOthers, { userAgent, $or: sameDeviceMatches }] })
+      : 0,
+    Contact.countDocuments({
+      ...partnerLeadsQuery(partner.code),
+      createdAt: { $gte: new Date(now - settings.burstMinutes * MINUTE) }
+    })
+  ]);
+
+  if (sameIp > 0) {
+    flags.push({
+      rule: 'repeated_ip',
+      detail: `${sameIp} other lead(s) for this partner came from the same IP address in the last ${settings.repeatedIpDays} days`
+    });
+  }
+
+  if (sameUserAgent + 1 >= settings.userAgentThreshold) {
+    flags.push({
+      rule: 'repeated_user_agent',
+      detail: `${sameUserAgent + 1} leads for this partner share a browser along with an IP address or visitor cookie in the last ${settings.repeatedIpDays} days`
+    });
+  }
+
+  if (burst + 1 >= settings.burstCount) {
+    flags.push({
+      rule: 'burst',
+      detail: `${burst + 1} leads for this partner within ${settings.burstMinutes} minutes`
+    });
+  }
+
+  return flags;
+};
+
+// Contact fields that hold a lead's referral for review instead of crediting it
+export const buildReferralHold = (partner, flags) => ({
+  refSource: null,
+  refCode: null,
+  referralReview: {
+    status: 'held',
+    code: partner.code,
+    partnerType: partner.type,
+    flags,
+    heldAt: new Date()
+  }
+});
+
+export const isReferralHeld = (contact) => contact.referralReview?.status === 'held';
+
+// Release a held referral to the partner: credit every stage the lead has
+// reached so far and accrue commission if it has already booked
+export const approveReferral = async (contact, { adminId, notes } = {}) => {
+  if (!isReferralHeld(contact)) {
+    throw reviewError('Only held referrals can be approved');
+  }
+
+  contact.refCode = contact.referralReview.code;
+  contact.refSource = contact.referralReview.partnerType;
+  contact.referralReview.status = 'approved';
+  contact.referralReview.reviewedBy = adminId;
+  contact.referralReview.reviewedAt = new Date();
+  contact.referralReview.notes = notes;
+
+  await creditPartner(contact, 'lead');
+  if (contact.tourScheduled) await creditPartner(contact, 'tour');
+  if (contact.booked) await creditPartner(contact, 'booking');
+  await contact.save();
+
+  if (contact.booked) {
+    const booking = await Booking.findOne({ contact: contact._id, status: 'booked' });
+    await accrueCommission(contact, { booking });
+  }
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'system',
+    summary: `Referral credit approved for partner ${contact.refCode}`,
+    details: notes,
+    admin: adminId
+  });
+
+  return contact;
+};
+
+// Refuse a held referral; the partner never receives credit for the lead
+export const rejectReferral = async (contact, { adminId, notes } = {}) => {
+  if (!isReferralHeld(contact)) {
+    throw reviewError('Only held referrals can be rejected');
+  }
+
+  contact.referralReview.status = 'rejected';
+  contact.referralReview.reviewedBy = adminId;
+  contact.referralReview.reviewedAt = new Date();
+  contact.referralReview.notes = notes;
+  await contact.save();
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'system',
+    summary: `Referral credit rejected for partner ${contact.referralReview.code}`,
+    details: notes,
+    admin: adminId
+  });
+
+  return contact;
+};
+
+// Hold referred leads that never opened the tracked auto-reply or booked a
+// tour, taking back the lead credit they were given when they came in
+export const holdUnengagedReferrals = async () => {
+  const { engagementDays } = await getFraudSettings();
+  const cutoff = new Date(Date.now() - engagementDays * DAY);
+
+  const contacts = await Contact.find({
+    refCode: { $ne: null },
+    'referralReview.status': null,
+    'emailEngagement.trackingSince': { $ne: null },
+    'emailEngagement.opens': { $lte: 0 },
+    tourScheduled: { $ne: true },
+    booked: { $ne: true },
+    createdAt: {
+      $lte: cutoff,
+      $gte: new Date(cutoff.getTime() - ENGAGEMENT_CHECK_SPAN_DAYS * DAY)
+    }
+  });
+
+  for (const contact of contacts) {
+    const code = contact.refCode;
+    const flag = {
+      rule: 'no_email_engagement',
+      detail: `No email opened or tour booked within ${engagementDays} days`
+    };
+
+    if (contact.partnerCredits?.lead) {
+      await adjustPartnerStat(code, 'lead', -1);
+      contact.set('partnerCredits.lead', null);
+    }
+
+    contact.set(buildReferralHold({ code, type: contact.refSource }, [flag]));
+    await contact.save();
+
+    await Activity.record({
+      contact: contact._id,
+      type: 'system',
+      summary: `Referral credit for partner ${code} held for review`,
+      details: flag.detail
+    });
+  }
+
+  return { held: contacts.length };
+};
@@ -0,0 +1,121 @@
+import Settings, { defaultSettings } from '../models/Settings.js';
+import ReferralClick from '../models/ReferralClick.js';
+import { signToken, verifySignedToken } from './signedToken.js';
+import { buildReferralUrl } from './partnerPortal.js';
+import { ensureVisitorId, recordPartnerClickTouchpoint } from './attribution.js';
+
+export const REFERRAL_COOKIE = 'twb_ref';
+
+// Short-link slugs are frontend paths, never full URLs
+const SLUG_PATTERN = /^[a-z0-9-]{1,50}$/;
+const UTM_KEYS = ['source', 'medium', 'campaign', 'content', 'term'];
+
+// How long a short-link click keeps attributing inquiries to the partner
+export const getAttributionWindowDays = async () => {
+  const referrals = await Settings.getByCategory('referrals');
+  return referrals.attributionWindowDays || defaultSettings.referrals.attributionWindowDays.value;
+};
+
+// Rough device class from the user agent
+export const detectDevice = (userAgent = '') => {
+  if (!userAgent) return 'unknown';
+  if (/bot|crawler|spider|preview|facebookexternalhit|slurp/i.test(userAgent)) return 'bot';
+  if (/ipad|tablet|kindle|silk|(android(?!.*mobile))/i.test(userAgent)) return 'tablet';
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+// The signed attribution cookie, or null when it is missing, expired or tampered with
+export const readReferralCookie = (req) => {
+  return verifySignedToken(req.cookies?.[REFERRAL_COOKIE], 'referral');
+};
+
+// Log a short-link visit, remember it in the attribution cookie and return
+// the frontend URL to send the visitor on to
+export const recordReferralClick = async (req, res, partner, slug) => {
+  const page = slug && SLUG_PATTERN.test(slug) ? slug : 'weddings';
+  const utm = {};
+  UTM_KEYS.forEach(key => {
+    const value = req.query[`utm_${key}`];
+    if (typeof value === 'string' && value.trim()) utm[key] = value.trim().slice(0, 100);
+  });
+
+  const landingUrl = buildReferralUrl(partner, { page, utm });
+  const visitorId = ensureVisitorId(req, res);
+
+  const click = await ReferralClick.create({
+    partner: partner._id,
+    code: partner.code,
+    partnerType: partner.type,
+    page,
+    landingUrl,
+    utm: {
+      source: utm.source || 'affiliate',
+      medium: utm.medium || 'link',
+      campaign: utm.campaign,
+      content: utm.content,
+      term: utm.term
+    },
+    device: detectDevice(req.get('User-Agent')),
+    visitorId,
+    referrer: req.get('Referer'),
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+
+  if (click.device !== 'bot') {
+    await recordPartnerClickTouchpoint(visitorId, partner, click);
+  }
+
+  const days = await getAttributionWindowDays();
+  const token = signToken('referral', {
+    code: partner.code,
+    clickId: click._id.toString(),
+    visitorId
+  }, `${days}d`);
+
+  res.cookie(REFERRAL_COOKIE, token, {
+    maxAge: days * 24 * 60 * 60 * 1000,
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Lax so the cookie survives the redirect from a link on another site
+    sameSite: 'lax'
+  });
+
+  return landingUrl;
+};
+
+// Work out who referred a new inquiry: an explicit code wins, otherwise the
+// partner from a short-link click still inside the attribution window
+export const resolveReferral = (req, refCode) => {
+  const cookie = readReferralCookie(req);
+
+  if (refCode) {
+    const code = refCode.toUpperCase();
+    return {
+      code,
+      source: 'code',
+      clickId: cookie?.code === code ? cookie.clickId : null
+    };
+  }
+
+  if (cookie?.code) {
+    return { code: cookie.code, source: 'cookie', clickId: cookie.clickId };
+  }
+
+  return { code: null, source: null, clickId: null };
+};
+
+// Mark the click that led to a new contact as converted
+export const linkReferralClick = async (clickId, contactId) => {
+  if (!clickId) return;
+
+  try {
+    await ReferralClick.updateOne(
+      { _id: clickId, contact: null },
+      { contact: contactId, convertedAt: new Date() }
+    );
+  } catch (error) {
+    console.error('Error linking referral click:', error);
+  }
+};
@@ -0,0 +1,228 @@
+import Review, { EXTERNAL_REVIEW_SOURCES } from '../models/Review.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TITLE_LENGTH = 80;
+const MAX_REVIEW_LENGTH = 2000;
+
+const GOOGLE_STAR_RATINGS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+const FACEBOOK_RECOMMENDATIONS = { positive: 5, negative: 1 };
+
+const importError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  // Facebook account downloads use Unix seconds
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+// Google adds a machine translation ahead of the reviewer's own words
+const stripGoogleTranslation = (comment) => {
+  const original = comment.split('(Original)');
+  return (original.length > 1 ? original[original.length - 1] : comment.replace(/^\(Translated by Google\)/, '')).trim();
+};
+
+// Facebook account downloads write UTF-8 text as if it were Latin-1
+const fixFacebookEncoding = (text) => {
+  if (!/[\u00c2-\u00f4][\u0080-\u00bf]/.test(text)) return text;
+  const decoded = Buffer.from(text, 'latin1').toString('utf8');
+  return decoded.includes('\ufffd') ? text : decoded;
+};
+
+// Pull the list of reviews out of whichever wrapper the export uses
+const extractList = (data, keys) => {
+  if (Array.isArray(data)) return data;
+  for (const key of keys) {
+    if (Array.isArray(data?.[key])) return data[key];
+  }
+  return null;
+};
+
+// Google Business Profile takeout (reviews.json) entries
+const parseGoogleReview = (entry) => ({
+  externalId: entry.reviewId || entry.name?.split('/').pop(),
+  reviewerName: entry.reviewer?.isAnonymous ? 'Anonymous' : entry.reviewer?.displayName,
+  rating: GOOGLE_STAR_RATINGS[entry.starRating] ?? (Number.isInteger(entry.starRating) ? entry.starRating : null),
+  rawRating: entry.starRating != null ? String(entry.starRating) : undefined,
+  text: entry.comment ? stripGoogleTranslation(entry.comment) : '',
+  createdAt: toDate(entry.createTime),
+  updatedAt: toDate(entry.updateTime)
+});
+
+// Facebook page ratings/recommendations, from the Graph export or an account download
+const parseFacebookReview = (entry) => {
+  const createdAt = toDate(entry.created_time ?? entry.timestamp);
+  const reviewer = entry.reviewer || {};
+  const recommendation = entry.recommendation_type?.toLowerCase();
+
+  return {
+    externalId: entry.open_graph_story?.id || entry.id ||
+      (createdAt && (reviewer.id || reviewer.name) ? `${reviewer.id || reviewer.name}_${createdAt.getTime()}` : undefined),
+    reviewerName: reviewer.name ? fixFacebookEncoding(reviewer.name) : undefined,
+    reviewerId: reviewer.id,
+    rating: Number.isInteger(entry.rating) ? entry.rating : (FACEBOOK_RECOMMENDATIONS[recommendation] ?? null),
+    rawRating: entry.rating != null ? String(entry.rating) : recommendation,
+    text: fixFacebookEncoding((entry.review_text ?? entry.text ?? '').trim()),
+    createdAt,
+    updatedAt: toDate(entry.updated_time)
+  };
+};
+
+const PARSERS = {
+  google: { keys: ['reviews'], parse: parseGoogleReview },
+  facebook: { keys: ['data', 'recommendations', 'reviews'], parse: parseFacebookReview }
+};
+
+// Guess the source from the shape of an export file
+export const detectReviewSource = (data) => {
+  const first = extractList(data, ['reviews', 'data', 'recommendations'])?.[0];
+  if (!first) return null;
+  if (first.starRating !== undefined || first.reviewer?.displayName !== undefined) return 'google';
+  if (first.recommendation_type !== undefined || first.review_text !== undefined || first.created_time !== undefined) return 'facebook';
+  return null;
+};
+
+// Normalised entries from an export file
+export const parseReviewExport = (data, source) => {
+  if (!EXTERNAL_REVIEW_SOURCES.includes(source)) {
+    throw importError(`Source must be one of: ${EXTERNAL_REVIEW_SOURCES.join(', ')}`);
+  }
+
+  const { keys, parse } = PARSERS[source];
+  const entries = extractList(data, keys);
+  if (!entries) {
+    throw importError(`No ${source} reviews found in the file`);
+  }
+
+  return entries.map(parse);
+};
+
+// First sentence of the review, as imported reviews have no title of their own
+const buildTitle = (item, source) => {
+  const sentence = item.text.split(/(?<=[.!?])\s/)[0].trim();
+  if (sentence.length >= 5) return truncate(sentence, MAX_TITLE_LENGTH);
+  return `${item.rating}-star ${source === 'google' ? 'Google' : 'Facebook'} review`;
+};
+
+const checkItem = (item) => {
+  if (!item.externalId) return 'Missing review ID';
+  if (!item.rating || item.rating < 1 || item.rating > 5) return 'Missing or unrecognised rating';
+  if (!item.createdAt) return 'Missing review date';
+  return null;
+};
+
+// Review fields that come from the source and are refreshed on re-import
+const buildReviewFields = (item, source) => ({
+  clientName: truncate((item.reviewerName || `${source === 'google' ? 'Google' : 'Facebook'} reviewer`).trim(), MAX_NAME_LENGTH),
+  rating: item.rating,
+  title: buildTitle(item, source),
+  review: truncate(item.text, MAX_REVIEW_LENGTH),
+  'external.reviewerId': item.reviewerId,
+  'external.rating': item.rawRating,
+  'external.updatedAt': item.updatedAt || undefined
+});
+
+const hasChanged = (review, fields) => {
+  return Object.entries(fields).some(([key, value]) => {
+    const current = review.get(key);
+    if (current instanceof Date || value instanceof Date) {
+      return (current?.getTime?.() ?? null) !== (value?.getTime?.() ?? null);
+    }
+    return (current ?? undefined) !== (value ?? undefined);
+  });
+};
+
+// Create or refresh reviews from parsed export entries, matching earlier
+// imports on the source's review ID. With dryRun nothing is written, but every
+// review is still validated so the report shows what would happen.
+export const importExternalReviews = async (items, { source, dryRun = false, status = 'approved', now = new Date() }) => {
+  const ids = items.map(item => item.externalId).filter(Boolean);
+  const existing = await Review.find({ source, 'external.id': { $in: ids } });
+  const existingById = new Map(existing.map(review => [review.external.id, review]));
+
+  const seen = new Set();
+  const counts = { created: 0, updated: 0, skipped: 0, errors: 0 };
+  const results = [];
+
+  for (const item of items) {
+    const result = {
+      externalId: item.externalId,
+      reviewer: item.reviewerName,
+      rating: item.rating,
+      date: item.createdAt
+    };
+    results.push(result);
+
+    const problem = checkItem(item);
+    if (problem) {
+      Object.assign(result, { action: 'error', reason: problem });
+      counts.errors++;
+      continue;
+    }
+
+    if (seen.has(item.externalId)) {
+      Object.assign(result, { action: 'skipped', reason: 'Duplicate entry in the file' });
+      counts.skipped++;
+      continue;
+    }
+    seen.add(item.externalId);
+
+    if (!item.text) {
+      Object.assign(result, { action: 'skipped', reason: 'Rating without review text' });
+      counts.skipped++;
+      continue;
+    }
+
+    const fields = buildReviewFields(item, source);
+    let review = existingById.get(item.externalId);
+    let action;
+
+    if (review) {
+      if (!hasChanged(review, fields)) {
+        Object.assign(result, { action: 'skipped', reason: 'Already imported and unchanged', reviewId: review._id });
+        counts.skipped++;
+        continue;
+      }
+      // Our own moderation, featuring and responses are left alone
+      review.set(fields);
+      review.set('external.importedAt', now);
+      action = 'updated';
+    } else {
+      review = new Review({
+        source,
+        status,
+        eventType: 'other',
+        createdAt: item.createdAt,
+        'external.id': item.externalId,
+        'external.importedAt': now
+      });
+      review.set(fields);
+      action = 'created';
+    }
+
+    if (item.text.length > MAX_REVIEW_LENGTH) {
+      result.reason = `Review text shortened to ${MAX_REVIEW_LENGTH} characters`;
+    }
+
+    try {
+      if (dryRun) {
+        await review.validate();
+      } else {
+        await review.save();
+      }
+      Object.assign(result, { action, reviewId: dryRun && action === 'created' ? undefined : review._id });
+      counts[action]++;
+    } catch (error) {
+      Object.assign(result, { action: 'error', reason: error.message });
+      counts.errors++;
+    }
+  }
+
+  return { source, dryRun, total: items.length, ...counts, results };
+};
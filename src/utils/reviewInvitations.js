@@ -0,0 +1,182 @@
+import Booking, { toDateKey } from '../models/Booking.js';
+import Review, { REVIEW_EVENT_TYPES } from '../models/Review.js';
+import Activity from '../models/Activity.js';
+import Settings, { defaultSettings } from '../models/Settings.js';
+import { signToken, verifySignedToken } from './signedToken.js';
+import { sendReviewInvitationEmail } from './email.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Review links stay valid long enough for a reminder and a slow reply
+const INVITATION_TOKEN_DAYS = 90;
+
+// Events further back than this past the invitation delay are never invited,
+// so turning invitations on doesn't email every past client at once
+const INVITATION_WINDOW_DAYS = 30;
+
+const EVENT_LABELS = {
+  wedding: 'wedding',
+  corporate: 'event',
+  shower: 'shower',
+  family: 'celebration',
+  other: 'event'
+};
+
+const getReviewSettings = async () => {
+  const reviews = await Settings.getByCategory('reviews');
+  const setting = (key) => reviews[key] ?? defaultSettings.reviews[key].value;
+
+  return {
+    enabled: setting('invitationsEnabled'),
+    delayDays: setting('invitationDelayDays'),
+    reminderDays: setting('reminderDelayDays')
+  };
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+// Contacts and reviews use different event type lists
+const toReviewEventType = (eventType) => (REVIEW_EVENT_TYPES.includes(eventType) ? eventType : 'other');
+
+export const buildReviewUrl = (booking) => {
+  const token = signToken('review', { bookingId: booking._id.toString() }, `${INVITATION_TOKEN_DAYS}d`);
+  return `${getFrontendUrl()}/reviews/write?token=${token}`;
+};
+
+// Form values for a review submitted through an invitation
+export const buildInvitationPrefill = (booking) => ({
+  clientName: booking.contact.name,
+  clientEmail: booking.contact.email,
+  eventType: toReviewEventType(booking.contact.eventType),
+  eventDate: booking.date
+});
+
+// The booked event a review link was sent for, or null if the link is invalid
+export const resolveReviewInvitation = async (token) => {
+  const decoded = verifySignedToken(token, 'review');
+  if (!decoded?.bookingId) return null;
+
+  const booking = await Booking.findById(decoded.bookingId).populate('contact');
+  if (!booking || booking.status !== 'booked' || !booking.contact) return null;
+
+  return booking;
+};
+
+// A review already left for the booking, through the invitation or the public
+// form since the event
+const findExistingReview = (booking) => {
+  const conditions = [{ booking: booking._id }];
+  if (booking.contact?.email) {
+    conditions.push({
+      clientEmail: booking.contact.email.toLowerCase(),
+      createdAt: { $gte: new Date(`${booking.date}T00:00:00.000Z`) }
+    });
+  }
+
+  return Review.findOne({ $or: conditions }).select('_id createdAt');
+};
+
+// Stop further invitations once the client has reviewed their event
+export const markInvitationReviewed = (booking, review) => {
+  booking.set('reviewInvitation.review', review._id);
+  booking.set('reviewInvitation.reviewedAt', review.createdAt || new Date());
+  return booking.save();
+};
+
+const sendInvitation = async (booking, { reminder = false } = {}) => {
+  const { contact } = booking;
+
+  await sendReviewInvitationEmail({
+    name: contact.name,
+    email: contact.email,
+    eventLabel: EVENT_LABELS[contact.eventType] || 'event',
+    eventDate: new Date(`${booking.date}T12:00:00.000Z`).toLocaleDateString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric',
+      timeZone: 'UTC'
+    }),
+    reviewUrl: buildReviewUrl(booking),
+    reminder
+  });
+
+  await Activity.record({
+    contact: contact._id,
+    type: 'email',
+    direction: 'outbound',
+    summary: reminder ? 'Sent review reminder' : 'Sent review invitation'
+  });
+
+  booking.set(reminder ? 'reviewInvitation.reminderSentAt' : 'reviewInvitation.sentAt', new Date());
+  await booking.save();
+};
+
+// Send one batch of invitations or reminders, skipping clients who have
+// already left a review
+const sendBatch = async (bookings, options) => {
+  let sent = 0;
+  let suppressed = 0;
+
+  for (const booking of bookings) {
+    if (!booking.contact?.email) continue;
+
+    try {
+      const existing = await findExistingReview(booking);
+      if (existing) {
+        await markInvitationReviewed(booking, existing);
+        suppressed++;
+        continue;
+      }
+
+      await sendInvitation(booking, options);
+      sent++;
+    } catch (error) {
+      console.error(`Review ${options.reminder ? 'reminder' : 'invitation'} failed for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  return { sent, suppressed };
+};
+
+// Invite booked clients to review their event a few days after it, and remind
+// those who haven't once
+export const sendReviewInvitations = async () => {
+  const settings = await getReviewSettings();
+  if (!settings.enabled) return { invited: 0, reminded: 0, suppressed: 0 };
+
+  const now = Date.now();
+  const dueBy = toDateKey(new Date(now - settings.delayDays * DAY));
+  const oldest = toDateKey(new Date(now - (settings.delayDays + INVITATION_WINDOW_DAYS) * DAY));
+
+  const invitations = await Booking.find({
+    status: 'booked',
+    contact: { $ne: null },
+    date: { $gte: oldest, $lte: dueBy },
+    'reviewInvitation.sentAt': null,
+    'reviewInvitation.review': null
+  }).populate('contact');
+
+  const invited = await sendBatch(invitations, { reminder: false });
+
+  let reminded = { sent: 0, suppressed: 0 };
+  if (settings.reminderDays > 0) {
+    const reminders = await Booking.find({
+      status: 'booked',
+      contact: { $ne: null },
+      'reviewInvitation.sentAt': {
+        $gte: new Date(now - (settings.reminderDays + INVITATION_WINDOW_DAYS) * DAY),
+        $lte: new Date(now - settings.reminderDays * DAY)
+      },
+      'reviewInvitation.reminderSentAt': null,
+      'reviewInvitation.review': null
+    }).populate('contact');
+
+    reminded = await sendBatch(reminders, { reminder: true });
+  }
+
+  return {
+    invited: invited.sent,
+    reminded: reminded.sent,
+    suppressed: invited.suppressed + reminded.suppressed
+  };
+};
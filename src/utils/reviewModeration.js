@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import Settings, { defaultSettings } from '../models/Settings.js';
+import Review from '../models/Review.js';
+import Contact from '../models/Contact.js';
+import Booking, { toDateKey } from '../models/Booking.js';
+import { normalizeEmail } from './duplicates.js';
+
+const MINUTE = 60 * 1000;
+
+// Rule keys stored under the reviewModeration settings category. A new check
+// needs an entry here, an evaluator below and a default in Settings.
+export const MODERATION_RULES = [
+  'profanity',
+  'links',
+  'duplicateText',
+  'velocity',
+  'bookingMatch',
+  'lowQuality'
+];
+
+// Common profanity and slurs, matched as whole words after undoing simple
+// character swaps. Extra words can be added in settings.
+const PROFANITY = [
+  'fuck', 'fucking', 'fucked', 'fucker', 'motherfucker', 'shit', 'shitty', 'bullshit',
+  'bitch', 'bastard', 'asshole', 'dickhead', 'cunt', 'twat', 'wanker', 'slut', 'whore',
+  'fag', 'faggot', 'retard', 'nigger'
+];
+
+const CHARACTER_SWAPS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|ru|xyz|top|io|co)\b/gi;
+
+// Letters needed before all-caps is judged, so "AMAZING!" alone isn't flagged
+const CAPS_MIN_LETTERS = 20;
+const CAPS_RATIO = 0.7;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const hasNumbers = (rule, keys) => keys.every(key => isNumber(rule[key]));
+
+// Shape checks for each rule so bad settings are rejected before they are saved
+const RULE_VALIDATORS = {
+  profanity: (rule) => isNumber(rule.points) &&
+    (rule.words === undefined || (Array.isArray(rule.words) && rule.words.every(word => typeof word === 'string'))),
+  links: (rule) => hasNumbers(rule, ['pointsPerLink', 'maxPoints']),
+  duplicateText: (rule) => isNumber(rule.points),
+  velocity: (rule) => hasNumbers(rule, ['windowMinutes', 'maxPerIp', 'maxPerEmail', 'points']),
+  bookingMatch: (rule) => hasNumbers(rule, ['verifiedPoints', 'matchPoints', 'mismatchPoints', 'unknownPoints']),
+  lowQuality: (rule) => hasNumbers(rule, ['minLength', 'shortPoints', 'capsPoints'])
+};
+
+// Validate a reviewModeration setting value before it is stored
+export const validateModerationSetting = (key, value) => {
+  if (key === 'enabled') {
+    return typeof value === 'boolean'
+      ? { isValid: true }
+      : { isValid: false, error: 'Value must be a boolean' };
+  }
+
+  if (key === 'autoApproveMaxScore' || key === 'autoRejectMinScore') {
+    return isNumber(value) && value >= -1 && value <= 101
+      ? { isValid: true }
+      : { isValid: false, error: 'Threshold must be a number from -1 to 101' };
+  }
+
+  if (!RULE_VALIDATORS[key]) {
+    return { isValid: false, error: `Unknown moderation rule: ${key}` };
+  }
+
+  if (!isPlainObject(value) || (value.enabled !== undefined && typeof value.enabled !== 'boolean')) {
+    return { isValid: false, error: 'Rule must be an object' };
+  }
+
+  return RULE_VALIDATORS[key](value)
+    ? { isValid: true }
+    : { isValid: false, error: `Invalid ${key} rule configuration` };
+};
+
+// Stored rules layered over the defaults so a missing setting never disables a check
+export const getModerationRules = async () => {
+  const stored = await Settings.getByCategory('reviewModeration');
+  const rules = {};
+
+  Object.entries(defaultSettings.reviewModeration).forEach(([key, config]) => {
+    const value = stored[key];
+    rules[key] = value !== undefined && validateModerationSetting(key, value).isValid ? value : config.value;
+  });
+
+  return rules;
+};
+
+// Lowercased words with look-alike characters swapped back
+const normalizeWords = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[@4310!$57]/g, char => CHARACTER_SWAPS[char])
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+};
+
+// Hash of the review text ignoring case, punctuation and spacing
+export const fingerprintText = (text) => {
+  const normalized = (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return crypto.createHash('sha1').update(normalized).digest('hex');
+};
+
+// The booking on file for the reviewer's email, if any
+const findReviewerBooking = async (email) => {
+  const contacts = await Contact.find({ normalizedEmail: normalizeEmail(email), booked: true }).select('_id').lean();
+  if (contacts.length === 0) return null;
+
+  return Booking.find({ contact: { $in: contacts.map(contact => contact._id) }, status: 'booked' })
+    .select('date')
+    .lean();
+};
+
+// Each evaluator returns { points, detail } or null when the rule does not apply
+const EVALUATORS = {
+  profanity: (rule, review) => {
+    const words = new Set([...PROFANITY, ...(rule.words || []).map(word => word.toLowerCase().trim())]);
+    const found = [...new Set(normalizeWords(`${review.title} ${review.review}`).filter(word => words.has(word)))];
+    if (found.length === 0) return null;
+
+    return { points: rule.points, detail: `Contains profanity (${found.length} word${found.length === 1 ? '' : 's'})` };
+  },
+
+  links: (rule, review) => {
+    const links = `${review.title} ${review.review}`.match(LINK_PATTERN) || [];
+    if (links.length === 0) return null;
+
+    return {
+      points: Math.min(rule.maxPoints, links.length * rule.pointsPerLink),
+      detail: `Contains ${links.length} link(s)`
+    };
+  },
+
+  duplicateText: async (rule, review) => {
+    const copy = await Review.exists({
+      _id: { $ne: review._id },
+      'moderation.fingerprint': review.moderation.fingerprint
+    });
+    if (!copy) return null;
+
+    return { points: rule.points, detail: 'Text matches another review' };
+  },
+
+  velocity: async (rule, review) => {
+    const since = new Date(Date.now() - rule.windowMinutes * MINUTE);
+    const recent = { _id: { $ne: review._id }, createdAt: { $gte: since } };
+
+    const [fromIp, fromEmail] = await Promise.all([
+      review.ipAddress ? Review.countDocuments({ ...recent, ipAddress: review.ipAddress }) : 0,
+      Review.countDocuments({ ...recent, clientEmail: review.clientEmail })
+    ]);
+
+    const signals = [];
+    if (fromIp >= rule.maxPerIp) signals.push(`${fromIp + 1} reviews from this IP address`);
+    if (fromEmail >= rule.maxPerEmail) signals.push(`${fromEmail + 1} reviews from this email`);
+    if (signals.length === 0) return null;
+
+    return { points: rule.points, detail: `${signals.join(', ')} within ${rule.windowMinutes} minutes` };
+  },
+
+  bookingMatch: async (rule, review) => {
+    if (review.verified) {
+      return { points: rule.verifiedPoints, detail: 'Submitted through a review invitation' };
+    }
+
+    const bookings = await findReviewerBooking(review.clientEmail);
+    if (!bookings || bookings.length === 0) {
+      return { points: rule.unknownPoints, detail: 'No booking on file for this email' };
+    }
+
+    const eventDate = toDateKey(review.eventDate);
+    if (bookings.some(booking => booking.date === eventDate)) {
+      return { points: rule.matchPoints, detail: 'Matches a booking on file' };
+    }
+
+    return { points: rule.mismatchPoints, detail: 'Event date doesn\'t match the reviewer\'s booking' };
+  },
+
+  lowQuality: (rule, review) => {
+    const signals = [];
+    let points = 0;
+
+    if (review.review.trim().length < rule.minLength) {
+      points += rule.shortPoints;
+      signals.push('very short');
+    }
+
+    const letters = `${review.title} ${review.review}`.replace(/[^a-zA-Z]/g, '');
+    const capitals = letters.replace(/[^A-Z]/g, '').length;
+    if (letters.length >= CAPS_MIN_LETTERS && capitals / letters.length >= CAPS_RATIO) {
+      points += rule.capsPoints;
+      signals.push('mostly capital letters');
+    }
+
+    if (signals.length === 0) return null;
+    return { points, detail: `Review is ${signals.join(' and ')}` };
+  }
+};
+
+// Score a review and decide what should happen to it
+export const scoreReview = async (review, rules = null) => {
+  const config = rules || await getModerationRules();
+  const reasons = [];
+  let score = 0;
+
+  for (const key of MODERATION_RULES) {
+    const rule = config[key];
+    if (!rule || rule.enabled === false) continue;
+
+    const result = await EVALUATORS[key](rule, review);
+    if (!result) continue;
+
+    score += result.points;
+    reasons.push({ rule: key, points: result.points, detail: result.detail });
+  }
+
+  score = Math.max(0, Math.min(100, Math.round(score)));
+
+  let verdict = 'review';
+  if (score >= config.autoRejectMinScore) {
+    verdict = 'reject';
+  } else if (review.verified && score <= config.autoApproveMaxScore) {
+    verdict = 'approve';
+  }
+
+  return { score, verdict, reasons };
+};
+
+// Store the moderation verdict on a new review and act on it (the caller saves).
+// Only verified reviews are ever published without a person looking at them.
+export const moderateReview = async (review, rules = null) => {
+  review.set('moderation.fingerprint', fingerprintText(review.review));
+
+  const config = rules || await getModerationRules();
+  if (!config.enabled) return review;
+
+  const { score, verdict, reasons } = await scoreReview(review, config);
+  review.set('moderation.score', score);
+  review.set('moderation.verdict', verdict);
+  review.set('moderation.reasons', reasons);
+  review.set('moderation.checkedAt', new Date());
+
+  if (verdict === 'approve' || verdict === 'reject') {
+    review.status = verdict === 'approve' ? 'approved' : 'rejected';
+    review.moderatedAt = new Date();
+    review.set('moderation.autoAction', review.status);
+  }
+
+  if (verdict === 'reject') {
+    const summary = reasons.filter(reason => reason.points > 0).map(reason => reason.detail).join('; ');
+    review.adminNotes = `Automatically rejected (risk ${score}): ${summary}`.slice(0, 500);
+  }
+
+  return review;
+};
@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import Gallery from '../models/Gallery.js';
+import { MAX_REVIEW_PHOTOS } from '../models/Review.js';
+import { signToken, verifySignedToken } from './signedToken.js';
+
+// Guests add photos right after submitting, or come back the same day
+const PHOTO_TOKEN_HOURS = 24;
+
+const photoError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Guest uploads are kept out of the public uploads folder until they are
+// approved. Their URLs are the ones they will have once published.
+export const PUBLIC_PHOTO_DIR = 'uploads/reviews';
+export const PENDING_PHOTO_DIR = 'storage/reviews';
+
+// Stored URLs are rooted at /uploads; files live relative to the working directory
+const toDiskPath = (urlPath) => urlPath.replace(/^\//, '');
+
+// Where a photo file waits for moderation
+export const toPendingPath = (urlPath) => toDiskPath(urlPath).replace(PUBLIC_PHOTO_DIR, PENDING_PHOTO_DIR);
+
+// A photo's file and its thumbnails, by the URL each will be published at
+const photoUrls = (photo) => [
+  photo.url,
+  ...Object.values(photo.toObject().thumbnails || {}).filter(thumb => thumb?.path).map(thumb => thumb.path)
+];
+
+// Current location of a photo file, published or waiting
+export const locatePhotoFile = (urlPath) => {
+  return [toPendingPath(urlPath), toDiskPath(urlPath)].find(filePath => fs.existsSync(filePath)) || null;
+};
+
+const removeFile = (filePath) => {
+  try {
+    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (error) {
+    console.error('Error removing review photo:', error.message);
+  }
+};
+
+const movePhotoFiles = async (photo, publish) => {
+  for (const urlPath of photoUrls(photo)) {
+    const from = locatePhotoFile(urlPath);
+    const to = publish ? toDiskPath(urlPath) : toPendingPath(urlPath);
+    if (!from || from === to) continue;
+
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    await fs.promises.rename(from, to);
+  }
+};
+
+// Token returned with a new review that lets the guest attach photos to it
+export const createPhotoUploadToken = (review) => {
+  return signToken('review-photos', { reviewId: review._id.toString() }, `${PHOTO_TOKEN_HOURS}h`);
+};
+
+export const isValidPhotoUploadToken = (token, review) => {
+  const decoded = verifySignedToken(token, 'review-photos');
+  return !!decoded && decoded.reviewId === review._id.toString();
+};
+
+// Delete processed uploads that won't be kept
+export const discardUploads = (files = []) => {
+  files.forEach(file => {
+    removeFile(file.path);
+    Object.values(file.thumbnails || {}).forEach(thumb => removeFile(toPendingPath(thumb.path)));
+  });
+};
+
+const removePhotoFiles = (photo) => {
+  photoUrls(photo).forEach(urlPath => {
+    removeFile(toPendingPath(urlPath));
+    removeFile(toDiskPath(urlPath));
+  });
+};
+
+// Remove the files behind a review's uploaded photos
+export const removeReviewPhotoFiles = (review) => {
+  review.photos
+    .filter(photo => photo.filename)
+    .forEach(removePhotoFiles);
+};
+
+// Moderate an uploaded photo: approved files are published, rejected ones
+// deleted, and a photo put back to pending is taken down again (the caller saves)
+export const setPhotoStatus = async (photo, status) => {
+  if (!photo.filename || photo.status === status) {
+    photo.status = status;
+    return photo;
+  }
+
+  if (photo.status === 'rejected') {
+    throw photoError('Rejected photos are deleted and can\'t be restored', 409);
+  }
+
+  if (status === 'rejected') {
+    removePhotoFiles(photo);
+  } else {
+    await movePhotoFiles(photo, status === 'approved');
+  }
+
+  photo.status = status;
+  return photo;
+};
+
+// Uploaded photos waiting on moderation follow the review's decision
+export const settlePendingPhotos = async (review, status) => {
+  for (const photo of review.photos.filter(entry => entry.status === 'pending')) {
+    await setPhotoStatus(photo, status);
+  }
+};
+
+// Attach processed uploads to a review. They wait for moderation along with
+// the review (or on their own if the review is already published).
+export const attachReviewPhotos = (review, files, captions = []) => {
+  if (review.status === 'rejected') {
+    throw photoError('Photos can\'t be added to this review', 403);
+  }
+
+  const uploaded = review.photos.filter(photo => photo.filename).length;
+  if (uploaded + files.length > MAX_REVIEW_PHOTOS) {
+    throw photoError(`A review can have at most ${MAX_REVIEW_PHOTOS} photos`);
+  }
+
+  const now = new Date();
+  files.forEach((file, index) => {
+    review.photos.push({
+      url: `/uploads/reviews/${file.filename}`,
+      alt: `Photo from ${review.clientName}'s ${review.eventType}`,
+      caption: captions[index]?.trim() || undefined,
+      status: 'pending',
+      filename: file.filename,
+      size: file.size,
+      metadata: {
+        width: file.metadata?.width,
+        height: file.metadata?.height,
+        format: file.metadata?.format
+      },
+      thumbnails: file.thumbnails,
+      uploadedAt: now
+    });
+  });
+
+  return review.photos.slice(-files.length);
+};
+
+// Copy an uploaded review photo into the gallery. The gallery gets its own
+// files so deleting the review never breaks the gallery.
+export const promoteReviewPhoto = async (review, photo, { category = 'general', title, alt, adminId } = {}) => {
+  if (!photo.filename) {
+    throw photoError('Only uploaded photos can be added to the gallery');
+  }
+  if (photo.galleryImage) {
+    throw photoError('This photo is already in the gallery', 409);
+  }
+
+  // Only approved photos are published, so promoting one approves it
+  await setPhotoStatus(photo, 'approved');
+
+  const fileName = `review-${photo.filename}`;
+  const galleryPath = `uploads/gallery/${fileName}`;
+  await fs.promises.copyFile(toDiskPath(photo.url), galleryPath);
+
+  const thumbnails = {};
+  for (const [size, thumb] of Object.entries(photo.toObject().thumbnails || {})) {
+    if (!thumb?.path) continue;
+    const thumbName = `review-${path.basename(thumb.path)}`;
+    await fs.promises.copyFile(toDiskPath(thumb.path), `uploads/gallery/thumbnails/${thumbName}`);
+    thumbnails[size] = { ...thumb, path: `/uploads/gallery/thumbnails/${thumbName}` };
+  }
+
+  const image = await Gallery.create({
+    filename: fileName,
+    originalName: photo.filename,
+    path: `/${galleryPath}`,
+    size: photo.size,
+    mimetype: 'image/jpeg',
+    category,
+    title: title || `${review.clientName}'s ${review.eventType}`,
+    alt: alt || photo.caption || photo.alt,
+    description: photo.caption,
+    tags: ['guest-photo', review.eventType],
+    uploadedBy: adminId,
+    metadata: photo.toObject().metadata,
+    thumbnails,
+    isActive: true
+  });
+
+  photo.galleryImage = image._id;
+  await review.save();
+
+  return image;
+};
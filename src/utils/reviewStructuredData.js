@@ -0,0 +1,166 @@
+import Review, { EXTERNAL_REVIEW_SOURCES } from '../models/Review.js';
+import { ContactDetails, PropertyDetails, SocialLinks } from '../models/Content.js';
+
+// Reviews listed individually; the rating covers every review marked up
+const MAX_LISTED_REVIEWS = 10;
+
+// Google won't show review snippets for ratings collected on other sites, so
+// reviews imported from Google or Facebook are left out of the markup
+const MARKED_UP_REVIEWS = { status: 'approved', source: { $nin: EXTERNAL_REVIEW_SOURCES } };
+
+// Safety net for edits made outside the API, which can't invalidate the cache
+const CACHE_TTL = 60 * 60 * 1000;
+
+const DEFAULT_VENUE_NAME = 'The White Barn FL';
+
+let cache = null;
+// Bumped on every invalidation so a build that started earlier isn't stored
+let generation = 0;
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+
+const toAbsoluteUrl = (url) => {
+  try {
+    return new URL(url, getFrontendUrl()).toString();
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const toDateOnly = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+// Drop empty values so the output only claims what we actually know
+const compact = (object) => {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => {
+      if (value === undefined || value === null || value === '') return false;
+      if (Array.isArray(value)) return value.length > 0;
+      return true;
+    })
+  );
+};
+
+const buildAddress = (property, contact) => {
+  const location = property?.location;
+  if (location?.address) {
+    return compact({
+      '@type': 'PostalAddress',
+      streetAddress: location.address,
+      addressLocality: location.city,
+      addressRegion: location.state,
+      postalCode: location.zipCode,
+      addressCountry: 'US'
+    });
+  }
+
+  return contact?.address || undefined;
+};
+
+const buildGeo = (property) => {
+  const { latitude, longitude } = property?.location?.coordinates || {};
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return undefined;
+
+  return { '@type': 'GeoCoordinates', latitude, longitude };
+};
+
+const buildCapacity = (property) => {
+  const { seated, standing } = property?.capacity || {};
+  const capacity = Math.max(seated || 0, standing || 0);
+  return capacity > 0 ? capacity : undefined;
+};
+
+// Average and count over approved reviews left on our own site, or null before the first one
+export const getAggregateRating = async () => {
+  const [totals] = await Review.aggregate([
+    { $match: MARKED_UP_REVIEWS },
+    {
+      $group: {
+        _id: null,
+        ratingValue: { $avg: '$rating' },
+        reviewCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  if (!totals || totals.reviewCount === 0) return null;
+
+  return {
+    '@type': 'AggregateRating',
+    ratingValue: Math.round(totals.ratingValue * 10) / 10,
+    reviewCount: totals.reviewCount,
+    bestRating: 5,
+    worstRating: 1
+  };
+};
+
+// Featured reviews first, then the most recent
+const getListedReviews = async () => {
+  const reviews = await Review.find(MARKED_UP_REVIEWS)
+    .sort({ isFeatured: -1, createdAt: -1 })
+    .limit(MAX_LISTED_REVIEWS)
+    .select('clientName rating title review createdAt')
+    .lean();
+
+  return reviews.map(review => compact({
+    '@type': 'Review',
+    author: { '@type': 'Person', name: review.clientName },
+    datePublished: toDateOnly(review.createdAt),
+    name: review.title,
+    reviewBody: review.review,
+    reviewRating: {
+      '@type': 'Rating',
+      ratingValue: review.rating,
+      bestRating: 5,
+      worstRating: 1
+    }
+  }));
+};
+
+// JSON-LD describing the venue with its rating and a selection of reviews
+export const buildVenueStructuredData = async () => {
+  const [property, contact, socialLinks, aggregateRating, reviews] = await Promise.all([
+    PropertyDetails.findOne().sort({ createdAt: -1 }).lean(),
+    ContactDetails.findOne().sort({ createdAt: -1 }).lean(),
+    SocialLinks.find({ isActive: true }).select('url').lean(),
+    getAggregateRating(),
+    getListedReviews()
+  ]);
+
+  const url = getFrontendUrl();
+
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': ['EventVenue', 'LocalBusiness'],
+    '@id': `${url}/#venue`,
+    name: property?.name || DEFAULT_VENUE_NAME,
+    description: property?.description,
+    url,
+    image: (property?.images || []).map(image => toAbsoluteUrl(image.url)).filter(Boolean),
+    telephone: contact?.phone,
+    email: contact?.email,
+    address: buildAddress(property, contact),
+    geo: buildGeo(property),
+    maximumAttendeeCapacity: buildCapacity(property),
+    sameAs: socialLinks.map(link => link.url),
+    aggregateRating,
+    review: reviews
+  });
+};
+
+// Cached JSON-LD, rebuilt after an invalidation or once the cache is an hour old
+export const getVenueStructuredData = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache;
+
+  const started = generation;
+  const data = await buildVenueStructuredData();
+  const entry = { data, generatedAt: new Date(), expiresAt: Date.now() + CACHE_TTL };
+
+  if (started === generation) cache = entry;
+  return entry;
+};
+
+// Call whenever approved reviews or the venue details may have changed
+export const invalidateStructuredData = () => {
+  generation++;
+  cache = null;
+};
@@ -0,0 +1,62 @@
+// Lightweight in-process job runner. Each job runs on a fixed interval and is
+// skipped if its previous run is still in progress.
+
+const jobs = new Map();
+
+// Register a recurring job
+export const registerJob = (name, intervalMs, run) => {
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false, lastRunAt: null });
+};
+
+// Run a registered job immediately
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) return null;
+
+  job.running = true;
+  try {
+    const result = await job.run();
+    job.lastRunAt = new Date();
+    return result;
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error);
+    return null;
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start every registered job
+export const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    job.timer.unref();
+  });
+
+  console.log(`⏰ Scheduler started with ${jobs.size} job(s)`);
+};
+
+// Stop every registered job
+export const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Snapshot of job state for diagnostics
+export const getJobStatus = () => {
+  return Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt
+  }));
+};
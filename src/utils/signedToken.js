@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Secret for links emailed to clients. Derived from JWT_SECRET so a leaked
+// client link can never be replayed as an admin session token.
+const getLinkSecret = () => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update('signed-links')
+    .digest('hex');
+};
+
+// Sign a token scoped to a single purpose (e.g. 'tour', 'quote')
+export const signToken = (purpose, payload, expiresIn = '30d') => {
+  return jwt.sign({ ...payload, purpose }, getLinkSecret(), { expiresIn });
+};
+
+// Verify a token for the expected purpose. Returns the payload or null.
+export const verifySignedToken = (token, purpose) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, getLinkSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,70 @@
+import Activity from '../models/Activity.js';
+import { signToken } from './signedToken.js';
+import { formatInTimeZone } from './dateTime.js';
+import {
+  sendTourConfirmationEmail,
+  sendTourReminderEmail,
+  sendTourCancellationEmail
+} from './email.js';
+
+// Manage links stay valid a week past the tour so late cancellations still work
+const TOKEN_GRACE_DAYS = 7;
+
+// Signed token that lets the client reschedule or cancel a single tour
+export const createTourToken = (tour) => {
+  const expiresAt = new Date(tour.startsAt).getTime() + TOKEN_GRACE_DAYS * 24 * 60 * 60 * 1000;
+  const expiresIn = Math.max(60, Math.floor((expiresAt - Date.now()) / 1000));
+
+  return signToken('tour', { tourId: tour._id.toString() }, expiresIn);
+};
+
+// Template data shared by every tour email
+const buildTourEmailData = (tour, contact, schedule) => {
+  const baseUrl = process.env.FRONTEND_URL || 'https://thewhitebarnfl.com';
+  const token = createTourToken(tour);
+
+  return {
+    name: contact.name,
+    email: contact.email,
+    when: formatInTimeZone(tour.startsAt, schedule.timezone),
+    rescheduleUrl: `${baseUrl}/tours/manage?token=${token}&action=reschedule`,
+    cancelUrl: `${baseUrl}/tours/manage?token=${token}&action=cancel`,
+    bookUrl: `${baseUrl}/tours`
+  };
+};
+
+// Send a tour email and log it on the contact's timeline
+const sendAndRecord = async (send, contact, summary) => {
+  const result = await send;
+  await Activity.record({
+    contact: contact._id,
+    type: 'email',
+    direction: 'outbound',
+    summary
+  });
+  return result;
+};
+
+export const notifyTourConfirmed = (tour, contact, schedule, { rescheduled = false } = {}) => {
+  return sendAndRecord(
+    sendTourConfirmationEmail({ ...buildTourEmailData(tour, contact, schedule), rescheduled }),
+    contact,
+    rescheduled ? 'Sent tour reschedule confirmation' : 'Sent tour confirmation'
+  );
+};
+
+export const notifyTourReminder = (tour, contact, schedule) => {
+  return sendAndRecord(
+    sendTourReminderEmail(buildTourEmailData(tour, contact, schedule)),
+    contact,
+    'Sent tour reminder'
+  );
+};
+
+export const notifyTourCancelled = (tour, contact, schedule) => {
+  return sendAndRecord(
+    sendTourCancellationEmail(buildTourEmailData(tour, contact, schedule)),
+    contact,
+    'Sent tour cancellation notice'
+  );
+};
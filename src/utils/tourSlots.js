@@ -0,0 +1,140 @@
+import Tour from '../models/Tour.js';
+import Booking, { TIME_BLOCK_HOURS, toDateKey } from '../models/Booking.js';
+import {
+  zonedTimeToUtc,
+  getZonedParts,
+  timeToMinutes,
+  minutesToTime
+} from './dateTime.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Iterate calendar date keys between two keys (inclusive)
+const eachDateKey = (fromKey, toKey) => {
+  const keys = [];
+  const cursor = new Date(`${fromKey}T00:00:00.000Z`);
+  const end = new Date(`${toKey}T00:00:00.000Z`);
+
+  while (cursor <= end) {
+    keys.push(cursor.toISOString().split('T')[0]);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return keys;
+};
+
+// Weekday (0 = Sunday) of a calendar date key
+const weekdayOf = (dateKey) => new Date(`${dateKey}T12:00:00.000Z`).getUTCDay();
+
+// Time ranges already taken by booked events on the venue calendar
+const getEventBlackouts = async (fromKey, toKey, timezone) => {
+  const entries = await Booking.find({
+    status: 'booked',
+    date: { $gte: fromKey, $lte: toKey }
+  }).lean();
+
+  return entries.map(entry => {
+    const hours = TIME_BLOCK_HOURS[entry.timeBlock];
+    return {
+      start: zonedTimeToUtc(entry.date, hours ? hours.start : '00:00', timezone),
+      end: hours
+        ? zonedTimeToUtc(entry.date, hours.end, timezone)
+        : new Date(zonedTimeToUtc(entry.date, '00:00', timezone).getTime() + DAY)
+    };
+  });
+};
+
+// Build the bookable tour slots for a date range from the schedule
+export const getAvailableSlots = async (schedule, from, to, { excludeTourId = null } = {}) => {
+  const now = Date.now();
+  const earliest = new Date(now + schedule.minNoticeHours * 60 * MINUTE);
+  const latest = new Date(now + schedule.maxAdvanceDays * DAY);
+
+  // Clamp the requested range to the notice period and advance window
+  const earliestKey = getZonedParts(earliest, schedule.timezone).dateKey;
+  const latestKey = getZonedParts(latest, schedule.timezone).dateKey;
+  const requestedFrom = toDateKey(from);
+  const requestedTo = toDateKey(to);
+
+  const fromKey = requestedFrom && requestedFrom > earliestKey ? requestedFrom : earliestKey;
+  const toKey = requestedTo && requestedTo < latestKey ? requestedTo : latestKey;
+
+  if (fromKey > toKey) {
+    return [];
+  }
+
+  const rangeStart = zonedTimeToUtc(fromKey, '00:00', schedule.timezone);
+  const rangeEnd = new Date(zonedTimeToUtc(toKey, '00:00', schedule.timezone).getTime() + DAY);
+
+  const [existingTours, eventBlackouts] = await Promise.all([
+    Tour.findOverlapping(rangeStart, rangeEnd, excludeTourId).lean(),
+    getEventBlackouts(fromKey, toKey, schedule.timezone)
+  ]);
+
+  const activeWindows = schedule.windows.filter(window => window.active);
+  const days = [];
+
+  eachDateKey(fromKey, toKey).forEach(dateKey => {
+    if (schedule.isBlackedOut(dateKey)) return;
+
+    const weekday = weekdayOf(dateKey);
+    const slots = [];
+
+    activeWindows
+      .filter(window => window.daysOfWeek.includes(weekday))
+      .forEach(window => {
+        const windowEnd = timeToMinutes(window.endTime);
+        const step = window.slotMinutes + window.bufferMinutes;
+        const buffer = window.bufferMinutes * MINUTE;
+
+        for (let minute = timeToMinutes(window.startTime); minute + window.slotMinutes <= windowEnd; minute += step) {
+          const startsAt = zonedTimeToUtc(dateKey, minutesToTime(minute), schedule.timezone);
+          const endsAt = new Date(startsAt.getTime() + window.slotMinutes * MINUTE);
+
+          if (startsAt < earliest || startsAt > latest) continue;
+
+          // Keep the buffer clear around tours that are already booked
+          const clashesWithTour = existingTours.some(tour =>
+            startsAt.getTime() < tour.endsAt.getTime() + buffer &&
+            endsAt.getTime() > tour.startsAt.getTime() - buffer
+          );
+          const clashesWithEvent = eventBlackouts.some(range =>
+            startsAt < range.end && endsAt > range.start
+          );
+
+          if (!clashesWithTour && !clashesWithEvent) {
+            slots.push({
+              startsAt,
+              endsAt,
+              time: minutesToTime(minute),
+              durationMinutes: window.slotMinutes
+            });
+          }
+        }
+      });
+
+    if (slots.length > 0) {
+      // Overlapping windows can produce the same slot twice
+      const unique = slots
+        .filter((slot, index) => slots.findIndex(other => other.startsAt.getTime() === slot.startsAt.getTime()) === index)
+        .sort((a, b) => a.startsAt - b.startsAt);
+
+      days.push({ date: dateKey, slots: unique });
+    }
+  });
+
+  return days;
+};
+
+// Find the free slot starting at the given instant, or null if it is not bookable
+export const findAvailableSlot = async (schedule, startsAt, options = {}) => {
+  const requested = new Date(startsAt);
+  if (isNaN(requested.getTime())) return null;
+
+  const { dateKey } = getZonedParts(requested, schedule.timezone);
+  const days = await getAvailableSlots(schedule, dateKey, dateKey, options);
+
+  const slots = days.length > 0 ? days[0].slots : [];
+  return slots.find(slot => slot.startsAt.getTime() === requested.getTime()) || null;
+};
@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../src/server.js';
+import Admin from '../src/models/Admin.js';
+import Booking from '../src/models/Booking.js';
+import { generateToken } from '../src/middleware/auth.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const admin = { _id: new mongoose.Types.ObjectId(), id: 'admin-1', email: 'admin@example.com', role: 'admin', isActive: true };
+
+// Query stub that resolves to the given records after .sort().populate()
+const result = (records) => {
+  const query = Promise.resolve(records);
+  query.sort = () => query;
+  query.populate = () => query;
+  return query;
+};
+
+const getEntries = (params) => request(app)
+  .get('/api/availability/admin/entries')
+  .query(params)
+  .set('Authorization', `Bearer ${generateToken(admin.id)}`);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(Admin, 'findById').mockReturnValue({ select: () => Promise.resolve(admin) });
+  jest.spyOn(Booking, 'releaseExpiredHolds').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(Booking, 'find').mockReturnValue(result([]));
+});
+
+describe('GET /api/availability/admin/entries', () => {
+  it('lists blocking entries in the range', async () => {
+    const res = await getEntries({ from: '2026-06-01', to: '2026-06-30' });
+
+    expect(res.status).toBe(200);
+    expect(Booking.find).toHaveBeenCalledWith({ date: { $gte: '2026-06-01', $lte: '2026-06-30' }, blocking: true });
+  });
+
+  it('filters by a booking status', async () => {
+    await getEntries({ from: '2026-06-01', to: '2026-06-30', status: 'released' });
+
+    expect(Booking.find.mock.calls[0][0]).toEqual({ date: { $gte: '2026-06-01', $lte: '2026-06-30' }, status: 'released' });
+  });
+
+  it.each([
+    [{ from: 'next week' }],
+    [{ to: '2026-13-45' }],
+    [{ status: 'pending' }],
+    [{ status: { $ne: 'hold' } }]
+  ])('rejects invalid filters %o', async (params) => {
+    const res = await getEntries(params);
+
+    expect(res.status).toBe(400);
+    expect(Booking.find).not.toHaveBeenCalled();
+  });
+});
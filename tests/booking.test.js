@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Booking, { toDateKey } from '../src/models/Booking.js';
+
+const contactId = new mongoose.Types.ObjectId();
+const otherContactId = new mongoose.Types.ObjectId();
+
+// Query stub that resolves to the given records, with or without .lean()
+const result = (records) => {
+  const query = Promise.resolve(records);
+  query.lean = () => Promise.resolve(records);
+  return query;
+};
+
+const entry = (fields) => new Booking({ date: '2026-06-13', timeBlock: 'full_day', status: 'hold', ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Booking, 'releaseExpiredHolds').mockResolvedValue({ modifiedCount: 0 });
+});
+
+describe('toDateKey', () => {
+  it('keeps calendar keys and normalises dates', () => {
+    expect(toDateKey('2026-06-13')).toBe('2026-06-13');
+    expect(toDateKey(new Date('2026-06-13T15:30:00.000Z'))).toBe('2026-06-13');
+    expect(toDateKey('not a date')).toBeNull();
+    expect(toDateKey(null)).toBeNull();
+  });
+});
+
+describe('Booking.findConflicts', () => {
+  it('checks the requested block and full-day entries for a partial block', async () => {
+    const find = jest.spyOn(Booking, 'find').mockReturnValue(result([]));
+
+    await Booking.findConflicts('2026-06-13', 'evening');
+
+    expect(Booking.releaseExpiredHolds).toHaveBeenCalled();
+    expect(find).toHaveBeenCalledWith({
+      date: '2026-06-13',
+      blocking: true,
+      timeBlock: { $in: ['evening', 'full_day'] }
+    });
+  });
+
+  it('checks every block for a full-day request', async () => {
+    const find = jest.spyOn(Booking, 'find').mockReturnValue(result([]));
+
+    await Booking.findConflicts('2026-06-13', 'full_day');
+
+    expect(find.mock.calls[0][0]).not.toHaveProperty('timeBlock');
+  });
+});
+
+describe('Booking.placeHold', () => {
+  it('creates an expiring hold on a free date', async () => {
+    jest.spyOn(Booking, 'find').mockReturnValue(result([]));
+    const create = jest.spyOn(Booking, 'create').mockImplementation(async (fields) => fields);
+    const expiresAt = new Date('2026-05-01T00:00:00.000Z');
+
+    const hold = await Booking.placeHold({ contactId, date: '2026-06-13', timeBlock: 'morning', expiresAt });
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(hold).toMatchObject({ contact: contactId, date: '2026-06-13', timeBlock: 'morning', status: 'hold', holdExpiresAt: expiresAt });
+  });
+
+  it('refuses a date that is already held or booked', async () => {
+    jest.spyOn(Booking, 'find').mockReturnValue(result([entry({ status: 'booked' })]));
+    const create = jest.spyOn(Booking, 'create');
+
+    await expect(Booking.placeHold({ contactId, date: '2026-06-13' }))
+      .rejects.toMatchObject({ statusCode: 409, message: '2026-06-13 (full_day) is already booked' });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an invalid date', async () => {
+    await expect(Booking.placeHold({ contactId, date: 'someday' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('Booking.bookForContact', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(Booking.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Booking, 'releaseForContact').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  it('converts the contact\'s own hold into a booking', async () => {
+    const hold = entry({ contact: contactId, timeBlock: 'evening', holdExpiresAt: new Date() });
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(hold);
+    jest.spyOn(Booking, 'find').mockReturnValue(result([]));
+
+    const booking = await Booking.bookForContact({ _id: contactId }, { date: '2026-06-13' });
+
+    expect(booking).toBe(hold);
+    expect(booking.status).toBe('booked');
+    expect(booking.timeBlock).toBe('evening');
+    expect(booking.holdExpiresAt).toBeUndefined();
+    expect(save).toHaveBeenCalled();
+    expect(Booking.releaseForContact).toHaveBeenCalledWith(contactId, expect.objectContaining({ exceptId: hold._id }));
+  });
+
+  it('refuses a date held for another client', async () => {
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Booking, 'find').mockReturnValue(result([entry({ contact: otherContactId })]));
+
+    await expect(Booking.bookForContact({ _id: contactId }, { date: '2026-06-13' }))
+      .rejects.toMatchObject({ statusCode: 409, message: '2026-06-13 (full_day) is already on hold for another client' });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('requires a date', async () => {
+    await expect(Booking.bookForContact({ _id: contactId }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('Booking.getAvailability', () => {
+  it('reports open, partial, held and booked days', async () => {
+    jest.spyOn(Booking, 'find').mockReturnValue(result([
+      { date: '2026-06-12', timeBlock: 'evening', status: 'hold' },
+      { date: '2026-06-13', timeBlock: 'full_day', status: 'hold' },
+      { date: '2026-06-13', timeBlock: 'morning', status: 'booked' },
+      { date: '2026-06-14', timeBlock: 'full_day', status: 'booked' }
+    ]));
+
+    const days = await Booking.getAvailability('2026-06-11', '2026-06-14');
+
+    expect(days.map(day => [day.date, day.status])).toEqual([
+      ['2026-06-11', 'open'],
+      ['2026-06-12', 'partial'],
+      ['2026-06-13', 'held'],
+      ['2026-06-14', 'booked']
+    ]);
+    expect(days[2].blocks).toEqual({ morning: 'booked', afternoon: 'held', evening: 'held' });
+  });
+});
+
+describe('Booking schema', () => {
+  it('has a unique index on blocking entries per date and block', () => {
+    const index = Booking.schema.indexes().find(([fields]) => fields.date === 1 && fields.timeBlock === 1);
+
+    expect(index[1]).toMatchObject({ unique: true, partialFilterExpression: { blocking: true } });
+  });
+
+  it('rejects malformed dates and unknown blocks', () => {
+    const error = new Booking({ date: '13/06/2026', timeBlock: 'night' }).validateSync();
+
+    expect(error.errors.date).toBeDefined();
+    expect(error.errors.timeBlock).toBeDefined();
+  });
+});
@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Partner from '../src/models/Partner.js';
+import CommissionRule from '../src/models/CommissionRule.js';
+import CommissionEntry from '../src/models/CommissionEntry.js';
+import PayoutRun from '../src/models/PayoutRun.js';
+import {
+  accrueCommission,
+  voidCommission,
+  clawBackCommission,
+  createPayoutRun,
+  markPayoutRunPaid
+} from '../src/utils/commissions.js';
+
+const partnerA = { _id: new mongoose.Types.ObjectId(), code: 'ALPHA', name: 'Alpha Florals', email: 'alpha@example.com' };
+const partnerB = { _id: new mongoose.Types.ObjectId(), code: 'BRAVO', name: 'Bravo Photo', email: 'bravo@example.com' };
+
+const contact = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Jane Client',
+  booked: true,
+  refCode: 'ALPHA',
+  bookingAmount: 10000,
+  ...fields
+});
+
+const entry = (fields = {}) => new CommissionEntry({
+  partner: partnerA._id,
+  refCode: 'ALPHA',
+  calculation: 'percent',
+  rate: 10,
+  bookingAmount: 5000,
+  amount: 500,
+  ...fields
+});
+
+// Chainable query stub resolving to the given value
+const query = (value) => ({
+  sort: () => query(value),
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const saveInPlace = (Model) => jest.spyOn(Model.prototype, 'save').mockImplementation(function() {
+  return Promise.resolve(this);
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  saveInPlace(CommissionEntry);
+  saveInPlace(PayoutRun);
+});
+
+describe('accrueCommission', () => {
+  beforeEach(() => {
+    jest.spyOn(Partner, 'findByCode').mockResolvedValue(partnerA);
+    jest.spyOn(CommissionEntry, 'findOne').mockResolvedValue(null);
+    jest.spyOn(CommissionEntry, 'create').mockImplementation(async (fields) => fields);
+  });
+
+  it('accrues at the volume tier the booking reaches', async () => {
+    jest.spyOn(CommissionRule, 'findForPartner').mockResolvedValue(new CommissionRule({
+      name: 'Planners',
+      calculation: 'percent',
+      value: 10,
+      tiers: [{ minBookings: 3, value: 12 }]
+    }));
+    jest.spyOn(CommissionEntry, 'countBookings').mockResolvedValue(2);
+
+    const accrued = await accrueCommission(contact());
+
+    expect(accrued).toMatchObject({ partner: partnerA._id, refCode: 'ALPHA', rate: 12, bookingCount: 3, amount: 1200 });
+  });
+
+  it('pays a flat amount regardless of the booking total', async () => {
+    jest.spyOn(CommissionRule, 'findForPartner').mockResolvedValue(new CommissionRule({ name: 'Flat', value: 250 }));
+    jest.spyOn(CommissionEntry, 'countBookings').mockResolvedValue(0);
+
+    const accrued = await accrueCommission(contact({ bookingAmount: 18000 }));
+
+    expect(accrued.amount).toBe(250);
+  });
+
+  it('refreshes an open accrual instead of adding another', async () => {
+    const existing = entry();
+    CommissionEntry.findOne.mockResolvedValue(existing);
+
+    const accrued = await accrueCommission(contact({ bookingAmount: 8000 }));
+
+    expect(accrued).toBe(existing);
+    expect(existing.amount).toBe(800);
+    expect(CommissionEntry.create).not.toHaveBeenCalled();
+  });
+
+  it('skips contacts that are not booked or not referred', async () => {
+    expect(await accrueCommission(contact({ booked: false }))).toBeNull();
+    expect(await accrueCommission(contact({ refCode: null }))).toBeNull();
+    expect(Partner.findByCode).not.toHaveBeenCalled();
+  });
+});
+
+describe('voidCommission', () => {
+  it('voids an entry and takes it out of its pending payout run', async () => {
+    const voided = entry({ status: 'approved' });
+    const other = entry({ status: 'approved', amount: 300 });
+    const run = new PayoutRun({
+      periodEnd: new Date(),
+      remittances: [{ partner: partnerA._id, entries: [voided._id, other._id], amount: 800 }]
+    });
+    voided.payoutRun = run._id;
+    jest.spyOn(PayoutRun, 'findOne').mockResolvedValue(run);
+
+    await voidCommission(voided, { reason: 'Booking cancelled' });
+
+    expect(voided.status).toBe('voided');
+    expect(voided.voidReason).toBe('Booking cancelled');
+    expect(voided.payoutRun).toBeNull();
+    expect(run.remittances[0].entries.map(String)).toEqual([String(other._id)]);
+    expect(run.remittances[0].amount).toBe(300);
+  });
+
+  it('refuses paid or already voided entries', async () => {
+    await expect(voidCommission(entry({ status: 'paid' }))).rejects.toMatchObject({ statusCode: 409 });
+    await expect(voidCommission(entry({ status: 'voided' }))).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('clawBackCommission', () => {
+  it('adds an approved negative entry against a paid commission', async () => {
+    const paid = entry({ status: 'paid' });
+    jest.spyOn(CommissionEntry, 'create').mockImplementation(async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+
+    const clawback = await clawBackCommission(paid, { reason: 'Refunded' });
+
+    expect(clawback).toMatchObject({ kind: 'clawback', status: 'approved', amount: -500, reverses: paid._id });
+    expect(clawback.description).toBe('Clawback: Refunded');
+    expect(paid.clawback).toEqual(clawback._id);
+  });
+
+  it('only claws back a paid commission once', async () => {
+    await expect(clawBackCommission(entry({ status: 'approved' }))).rejects.toMatchObject({ statusCode: 409 });
+    await expect(clawBackCommission(entry({ status: 'paid', clawback: new mongoose.Types.ObjectId() })))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('createPayoutRun', () => {
+  beforeEach(() => {
+    jest.spyOn(CommissionEntry, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Partner, 'find').mockReturnValue(query([partnerA, partnerB]));
+    jest.spyOn(PayoutRun, 'create').mockImplementation(async (fields) => fields);
+  });
+
+  it('batches approved entries per partner and carries over partners who owe us', async () => {
+    const alpha = [entry({ amount: 100 }), entry({ amount: 50.5 })];
+    const bravo = [
+      entry({ partner: partnerB._id, refCode: 'BRAVO', amount: 80 }),
+      entry({ partner: partnerB._id, refCode: 'BRAVO', kind: 'clawback', amount: -100 })
+    ];
+    jest.spyOn(CommissionEntry, 'find').mockReturnValue(query([...alpha, ...bravo]));
+
+    const run = await createPayoutRun({ periodEnd: new Date('2026-06-30') });
+
+    expect(run.remittances).toHaveLength(1);
+    expect(run.remittances[0]).toMatchObject({ partner: partnerA._id, name: 'Alpha Florals', code: 'ALPHA', amount: 150.5 });
+    expect(CommissionEntry.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: bravo.map(item => item._id) } },
+      { payoutRun: null }
+    );
+  });
+
+  it('claims only approved, unbatched entries up to the period end', async () => {
+    jest.spyOn(CommissionEntry, 'find').mockReturnValue(query([entry({ amount: 100 })]));
+    const periodEnd = new Date('2026-06-30');
+
+    const run = await createPayoutRun({ periodEnd });
+
+    expect(CommissionEntry.updateMany).toHaveBeenCalledWith(
+      { status: 'approved', payoutRun: null, approvedAt: { $lte: periodEnd } },
+      { payoutRun: run._id }
+    );
+  });
+
+  it('fails when there is nothing to pay', async () => {
+    jest.spyOn(CommissionEntry, 'find').mockReturnValue(query([]));
+
+    await expect(createPayoutRun()).rejects.toMatchObject({ statusCode: 400 });
+    expect(PayoutRun.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('markPayoutRunPaid', () => {
+  it('marks the run and its entries paid with the partners\' references', async () => {
+    jest.spyOn(CommissionEntry, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const run = new PayoutRun({ periodEnd: new Date(), remittances: [{ partner: partnerA._id, entries: [], amount: 150 }] });
+    const paidAt = new Date('2026-07-01');
+
+    await markPayoutRunPaid(run, { paidAt, references: { [partnerA._id.toString()]: 'ACH-42' } });
+
+    expect(CommissionEntry.updateMany).toHaveBeenCalledWith(
+      { payoutRun: run._id, status: 'approved' },
+      { status: 'paid', paidAt }
+    );
+    expect(run.status).toBe('paid');
+    expect(run.remittances[0].reference).toBe('ACH-42');
+  });
+
+  it('refuses a run that is no longer pending', async () => {
+    const run = new PayoutRun({ periodEnd: new Date(), status: 'paid' });
+
+    await expect(markPayoutRunPaid(run)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
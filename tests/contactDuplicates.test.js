@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import Contact from '../src/models/Contact.js';
+
+// Query stub that resolves to the given records after .sort().limit()
+const result = (records) => {
+  const query = Promise.resolve(records);
+  query.sort = () => query;
+  query.limit = () => query;
+  return query;
+};
+
+const contact = (fields) => new Contact({ name: 'Jane Client', email: 'jane@example.com', ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Contact.findLikelyDuplicate', () => {
+  it('looks up exact email and phone matches without the name window', async () => {
+    const earlier = contact({ phone: '352-555-0199' });
+    earlier.normalizedEmail = 'jane@example.com';
+    const find = jest.spyOn(Contact, 'find').mockReturnValue(result([earlier]));
+
+    const duplicate = await Contact.findLikelyDuplicate({ email: 'Jane@Example.com', phone: '(352) 555-0199', name: 'Jane' });
+
+    expect(duplicate).toEqual({ contact: earlier, reason: 'email' });
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(find.mock.calls[0][0].$or).toEqual([
+      { normalizedEmail: 'jane@example.com' },
+      { email: 'jane@example.com' },
+      { phoneDigits: '3525550199' }
+    ]);
+  });
+
+  it('reports a phone match when the email differs', async () => {
+    const earlier = contact({ email: 'other@example.com', phone: '352-555-0199' });
+    earlier.phoneDigits = '3525550199';
+    jest.spyOn(Contact, 'find').mockReturnValue(result([earlier]));
+
+    const duplicate = await Contact.findLikelyDuplicate({ email: 'jane@example.com', phone: '352.555.0199', name: 'Jane' });
+
+    expect(duplicate.reason).toBe('phone');
+  });
+
+  it('falls back to similar names among recent leads', async () => {
+    const recent = contact({ name: 'Jane Clients', email: 'jc@example.com' });
+    const find = jest.spyOn(Contact, 'find')
+      .mockReturnValueOnce(result([]))
+      .mockReturnValueOnce(result([contact({ name: 'Bob Builder' }), recent]));
+
+    const duplicate = await Contact.findLikelyDuplicate({ email: 'jane@example.com', name: 'Jane Client' });
+
+    expect(duplicate).toEqual({ contact: recent, reason: 'name' });
+    expect(find.mock.calls[1][0]).not.toHaveProperty('$or');
+  });
+
+  it('returns the primary contact for a known duplicate', async () => {
+    const primary = contact({});
+    const copy = contact({ duplicateOf: primary._id });
+    jest.spyOn(Contact, 'find').mockReturnValue(result([copy]));
+    jest.spyOn(Contact, 'findById').mockResolvedValue(primary);
+
+    const duplicate = await Contact.findLikelyDuplicate({ email: 'jane@example.com', name: 'Jane' });
+
+    expect(duplicate.contact).toBe(primary);
+  });
+});
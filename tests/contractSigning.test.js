@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../src/server.js';
+import Contract from '../src/models/Contract.js';
+import Contact from '../src/models/Contact.js';
+import Settings from '../src/models/Settings.js';
+import Booking from '../src/models/Booking.js';
+import { STORAGE_DIR, DOCUMENTS_SUBDIR } from '../src/utils/documents.js';
+import { createContractToken } from '../src/utils/contractNotifications.js';
+
+const CONTENT_HASH = 'a'.repeat(64);
+// Just the PNG file header, which is all the signature check looks at
+const SIGNATURE = `data:image/png;base64,${Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString('base64')}`;
+
+const contact = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Jane Client',
+  email: 'jane@example.com',
+  save: jest.fn()
+};
+
+let contract;
+
+const sign = () => request(app)
+  .post(`/api/contracts/public/${createContractToken(contract)}/sign`)
+  .send({ name: 'Jane Client', signature: SIGNATURE, agree: 'true', contentHash: CONTENT_HASH });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  contract = {
+    _id: new mongoose.Types.ObjectId(),
+    number: 'CT-0001',
+    status: 'sent',
+    isSignable: true,
+    contentHash: CONTENT_HASH,
+    contact: contact._id,
+    eventDate: '2026-06-13',
+    timeBlock: 'full_day',
+    total: 8000,
+    logAudit: jest.fn(),
+    save: jest.fn()
+  };
+  jest.spyOn(Contract, 'findById').mockResolvedValue(contract);
+  jest.spyOn(Contact, 'findById').mockResolvedValue(contact);
+  jest.spyOn(Booking, 'checkBookable').mockResolvedValue({});
+  jest.spyOn(Booking, 'bookForContact');
+});
+
+afterAll(() => {
+  fs.rmSync(path.join(STORAGE_DIR, DOCUMENTS_SUBDIR, contact._id.toString()), { recursive: true, force: true });
+});
+
+describe('signContract', () => {
+  it('reports a date taken since the contract was sent without accepting the signature', async () => {
+    const clash = new Error('2026-06-13 (full_day) is already booked for another client');
+    clash.statusCode = 409;
+    Booking.checkBookable.mockRejectedValue(clash);
+
+    const res = await sign();
+
+    expect(res.status).toBe(409);
+    expect(contract.clientSignature).toBeUndefined();
+    expect(contract.save).not.toHaveBeenCalled();
+  });
+
+  it('leaves the date unbooked when the signed contract cannot be stored', async () => {
+    jest.spyOn(Settings, 'getByCategory').mockRejectedValue(new Error('Database unavailable'));
+
+    const res = await sign();
+
+    expect(res.status).toBe(500);
+    expect(contract.save).not.toHaveBeenCalled();
+    expect(Booking.bookForContact).not.toHaveBeenCalled();
+    expect(contact.save).not.toHaveBeenCalled();
+  });
+});
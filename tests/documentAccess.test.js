@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../src/server.js';
+import Document from '../src/models/Document.js';
+import { STORAGE_DIR, DOCUMENTS_SUBDIR, resolveDocumentPath, createDocumentToken } from '../src/utils/documents.js';
+
+const contactId = new mongoose.Types.ObjectId().toString();
+const contactDir = path.join(STORAGE_DIR, DOCUMENTS_SUBDIR, contactId);
+const PDF = '%PDF-1.4 private invoice for Jane Client';
+
+const document = new Document({
+  contact: contactId,
+  type: 'invoice',
+  version: 1,
+  number: 'INV-0001',
+  filePath: path.posix.join(DOCUMENTS_SUBDIR, contactId, 'invoice-v1.pdf')
+});
+
+beforeAll(() => {
+  fs.mkdirSync(contactDir, { recursive: true });
+  fs.writeFileSync(path.join(contactDir, 'invoice-v1.pdf'), PDF);
+});
+
+afterAll(() => {
+  fs.rmSync(contactDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generated documents', () => {
+  it.each([
+    `/uploads/documents/${contactId}/invoice-v1.pdf`,
+    `/uploads/%64ocuments/${contactId}/invoice-v1.pdf`,
+    `/uploads//documents/${contactId}/invoice-v1.pdf`,
+    `/uploads/../storage/documents/${contactId}/invoice-v1.pdf`,
+    `/storage/documents/${contactId}/invoice-v1.pdf`
+  ])('are not served statically at %s', async (url) => {
+    const res = await request(app).get(url);
+
+    expect(res.headers['content-type']).not.toMatch(/pdf/);
+    expect(res.text || '').not.toContain(PDF);
+  });
+
+  it('are served through a signed link', async () => {
+    jest.spyOn(Document, 'findById').mockResolvedValue(document);
+
+    const res = await request(app).get(`/api/documents/public/${createDocumentToken(document)}`).buffer(true);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['cache-control']).toBe('private, no-store');
+    expect(res.body.toString()).toBe(PDF);
+  });
+
+  it('are refused with a bad link', async () => {
+    const res = await request(app).get('/api/documents/public/not-a-token');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('must live under the private documents folder', () => {
+    expect(resolveDocumentPath(document)).toBe(path.join(contactDir, 'invoice-v1.pdf'));
+    expect(() => resolveDocumentPath({ filePath: '../uploads/gallery/photo.jpg' })).toThrow('Invalid document path');
+    expect(() => resolveDocumentPath({ filePath: 'documents/../../package.json' })).toThrow('Invalid document path');
+  });
+});
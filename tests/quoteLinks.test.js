@@ -0,0 +1,44 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../src/server.js';
+import Quote from '../src/models/Quote.js';
+import { createQuoteToken } from '../src/utils/quoteNotifications.js';
+
+// A sent quote whose contact has since been deleted
+const orphanedQuote = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  contact: null,
+  status: 'sent',
+  sentVersion: 1,
+  save: jest.fn()
+});
+
+let quote;
+let token;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  quote = orphanedQuote();
+  token = createQuoteToken(quote);
+  jest.spyOn(Quote, 'findById').mockReturnValue({ populate: () => Promise.resolve(quote) });
+});
+
+describe('quote links for a deleted contact', () => {
+  it('are reported as invalid when viewed', async () => {
+    const res = await request(app).get(`/api/quotes/public/${token}`);
+
+    expect(res.status).toBe(404);
+    expect(quote.save).not.toHaveBeenCalled();
+  });
+
+  it('can no longer be accepted or declined', async () => {
+    const accepted = await request(app).post(`/api/quotes/public/${token}/accept`).send({ name: 'Jane Client' });
+    const declined = await request(app).post(`/api/quotes/public/${token}/decline`).send({});
+
+    expect(accepted.status).toBe(404);
+    expect(declined.status).toBe(404);
+    expect(quote.status).toBe('sent');
+    expect(quote.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import Contact from '../src/models/Contact.js';
+import Settings from '../src/models/Settings.js';
+import { screenReferral, buildReferralHold, isReferralHeld } from '../src/utils/referralFraud.js';
+
+const partner = {
+  code: 'ALPHA',
+  type: 'planner',
+  email: 'alpha@example.com',
+  phone: '(352) 555-0100',
+  application: { ipAddress: '203.0.113.9' }
+};
+
+const lead = {
+  email: 'jane@example.com',
+  phone: '352-555-0199',
+  ipAddress: '198.51.100.7',
+  userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X)',
+  visitorId: 'visitor-1'
+};
+
+// Answer each screening count by the kind of query it is
+const stubCounts = ({ sameIp = 0, sameUserAgent = 0, burst = 0 } = {}) => {
+  return jest.spyOn(Contact, 'countDocuments').mockImplementation(async (query) => {
+    if (query.$and) return sameUserAgent;
+    if (query.ipAddress) return sameIp;
+    return burst;
+  });
+};
+
+const rulesOf = (flags) => flags.map(flag => flag.rule);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Settings, 'getByCategory').mockResolvedValue({});
+});
+
+describe('screenReferral', () => {
+  it('passes a lead with nothing in common with the partner or other leads', async () => {
+    stubCounts();
+
+    expect(await screenReferral(partner, lead)).toEqual([]);
+  });
+
+  it('flags leads submitted with the partner\'s own details', async () => {
+    stubCounts();
+
+    const flags = await screenReferral(partner, {
+      ...lead,
+      email: 'Alpha@Example.com',
+      phone: '352.555.0100',
+      ipAddress: '203.0.113.9'
+    });
+
+    expect(rulesOf(flags)).toEqual(['partner_email', 'partner_phone', 'partner_ip']);
+  });
+
+  it('flags other leads for the partner from the same IP address', async () => {
+    stubCounts({ sameIp: 2 });
+
+    const flags = await screenReferral(partner, lead);
+
+    expect(rulesOf(flags)).toEqual(['repeated_ip']);
+    expect(Contact.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+      ipAddress: lead.ipAddress,
+      email: { $ne: lead.email }
+    }));
+  });
+
+  it('flags a shared browser at the threshold only together with a shared IP or visitor cookie', async () => {
+    stubCounts({ sameUserAgent: 2 });
+
+    const flags = await screenReferral(partner, lead);
+
+    expect(rulesOf(flags)).toEqual(['repeated_user_agent']);
+    const [query] = Contact.countDocuments.mock.calls.find(([call]) => call.$and);
+    expect(query.$and[1]).toEqual({
+      userAgent: lead.userAgent,
+      $or: [{ ipAddress: lead.ipAddress }, { visitorId: lead.visitorId }]
+    });
+  });
+
+  it('leaves the browser alone below the threshold', async () => {
+    stubCounts({ sameUserAgent: 1 });
+
+    expect(await screenReferral(partner, lead)).toEqual([]);
+  });
+
+  it('does not compare browsers without an IP address or visitor cookie', async () => {
+    stubCounts({ sameUserAgent: 10 });
+
+    const flags = await screenReferral(partner, { ...lead, ipAddress: undefined, visitorId: undefined });
+
+    expect(flags).toEqual([]);
+    expect(Contact.countDocuments.mock.calls.some(([query]) => query.$and)).toBe(false);
+  });
+
+  it('flags a burst of leads for the partner', async () => {
+    stubCounts({ burst: 4 });
+
+    const flags = await screenReferral(partner, lead);
+
+    expect(rulesOf(flags)).toEqual(['burst']);
+    expect(flags[0].detail).toBe('5 leads for this partner within 60 minutes');
+  });
+
+  it('uses the thresholds from settings', async () => {
+    Settings.getByCategory.mockResolvedValue({ fraudBurstCount: 10, fraudUserAgentThreshold: 2 });
+    stubCounts({ sameUserAgent: 1, burst: 4 });
+
+    const flags = await screenReferral(partner, lead);
+
+    expect(rulesOf(flags)).toEqual(['repeated_user_agent']);
+  });
+});
+
+describe('buildReferralHold', () => {
+  it('holds the credit back for review', () => {
+    const flags = [{ rule: 'burst', detail: '5 leads' }];
+
+    const hold = buildReferralHold(partner, flags);
+
+    expect(hold).toMatchObject({
+      refSource: null,
+      refCode: null,
+      referralReview: { status: 'held', code: 'ALPHA', partnerType: 'planner', flags }
+    });
+    expect(isReferralHeld(hold)).toBe(true);
+  });
+});
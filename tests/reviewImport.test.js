@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import Review from '../src/models/Review.js';
+import { detectReviewSource, parseReviewExport, importExternalReviews } from '../src/utils/reviewImport.js';
+
+const googleExport = {
+  reviews: [
+    {
+      name: 'accounts/1/locations/2/reviews/g-1',
+      reviewer: { displayName: 'Maria Lopez' },
+      starRating: 'FIVE',
+      comment: 'Stunning venue. The staff thought of everything.',
+      createTime: '2026-03-14T18:22:05Z'
+    },
+    {
+      reviewId: 'g-2',
+      reviewer: { isAnonymous: true },
+      starRating: 'FOUR',
+      comment: '(Translated by Google) Beautiful place\n\n(Original)\nLugar precioso',
+      createTime: '2026-04-02T10:00:00Z',
+      updateTime: '2026-04-03T10:00:00Z'
+    }
+  ]
+};
+
+const facebookExport = [
+  {
+    timestamp: 1775000000,
+    recommendation_type: 'positive',
+    reviewer: { name: 'JosÃ© Ruiz' },
+    review_text: 'Great barn for our reception!'
+  }
+];
+
+const item = (fields = {}) => ({
+  externalId: 'g-1',
+  reviewerName: 'Maria Lopez',
+  rating: 5,
+  rawRating: 'FIVE',
+  text: 'Stunning venue. The staff thought of everything.',
+  createdAt: new Date('2026-03-14T18:22:05Z'),
+  updatedAt: null,
+  ...fields
+});
+
+const now = new Date('2026-05-01T00:00:00Z');
+
+let save;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Review, 'find').mockResolvedValue([]);
+  save = jest.spyOn(Review.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+describe('parseReviewExport', () => {
+  it('reads a Google takeout file', () => {
+    const [first, second] = parseReviewExport(googleExport, 'google');
+
+    expect(first).toMatchObject({ externalId: 'g-1', reviewerName: 'Maria Lopez', rating: 5 });
+    expect(second).toMatchObject({ externalId: 'g-2', reviewerName: 'Anonymous', rating: 4, text: 'Lugar precioso' });
+  });
+
+  it('reads a Facebook account download, fixing its text encoding', () => {
+    const [entry] = parseReviewExport(facebookExport, 'facebook');
+
+    expect(entry).toMatchObject({
+      externalId: expect.stringMatching(/_1775000000000$/),
+      reviewerName: 'José Ruiz',
+      rating: 5,
+      rawRating: 'positive'
+    });
+  });
+
+  it('rejects unknown sources and files without reviews', () => {
+    expect(() => parseReviewExport(googleExport, 'website')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => parseReviewExport({ places: [] }, 'google')).toThrow('No google reviews found in the file');
+  });
+
+  it('detects the source from the file', () => {
+    expect(detectReviewSource(googleExport)).toBe('google');
+    expect(detectReviewSource(facebookExport)).toBe('facebook');
+    expect(detectReviewSource({ reviews: [] })).toBeNull();
+  });
+});
+
+describe('importExternalReviews', () => {
+  it('creates new reviews with a title from the first sentence', async () => {
+    const report = await importExternalReviews([item()], { source: 'google', now });
+
+    expect(report).toMatchObject({ total: 1, created: 1, updated: 0, skipped: 0, errors: 0 });
+    expect(save).toHaveBeenCalledTimes(1);
+    const created = save.mock.contexts[0];
+    expect(created).toMatchObject({ source: 'google', status: 'approved', title: 'Stunning venue.', clientName: 'Maria Lopez' });
+    expect(created.external).toMatchObject({ id: 'g-1', importedAt: now });
+    expect(report.results[0]).toMatchObject({ action: 'created', reviewId: created._id });
+  });
+
+  it('skips entries repeated in the file', async () => {
+    const report = await importExternalReviews([item(), item()], { source: 'google', now });
+
+    expect(report).toMatchObject({ created: 1, skipped: 1 });
+    expect(report.results[1]).toMatchObject({ action: 'skipped', reason: 'Duplicate entry in the file' });
+  });
+
+  it('matches earlier imports on the source\'s review ID', async () => {
+    const earlier = new Review({ source: 'google', eventType: 'other', 'external.id': 'g-1' });
+    earlier.set({
+      clientName: 'Maria Lopez',
+      rating: 5,
+      title: 'Stunning venue.',
+      review: 'Stunning venue. The staff thought of everything.',
+      'external.rating': 'FIVE'
+    });
+    Review.find.mockResolvedValue([earlier]);
+
+    const unchanged = await importExternalReviews([item()], { source: 'google', now });
+    expect(unchanged.results[0]).toMatchObject({ action: 'skipped', reason: 'Already imported and unchanged', reviewId: earlier._id });
+    expect(Review.find).toHaveBeenCalledWith({ source: 'google', 'external.id': { $in: ['g-1'] } });
+
+    const edited = await importExternalReviews([item({ rating: 4, rawRating: 'FOUR' })], { source: 'google', now });
+    expect(edited).toMatchObject({ created: 0, updated: 1 });
+    expect(earlier.rating).toBe(4);
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports problems without stopping the import', async () => {
+    const report = await importExternalReviews([
+      item({ externalId: undefined }),
+      item({ externalId: 'g-2', rating: null }),
+      item({ externalId: 'g-3', text: '' }),
+      item({ externalId: 'g-4' })
+    ], { source: 'google', now });
+
+    expect(report).toMatchObject({ created: 1, skipped: 1, errors: 2 });
+    expect(report.results.map(result => result.reason)).toEqual([
+      'Missing review ID',
+      'Missing or unrecognised rating',
+      'Rating without review text',
+      undefined
+    ]);
+  });
+
+  it('validates everything but writes nothing on a dry run', async () => {
+    const validate = jest.spyOn(Review.prototype, 'validate');
+
+    const report = await importExternalReviews([item(), item({ externalId: 'g-2' })], { source: 'google', dryRun: true, now });
+
+    expect(report).toMatchObject({ dryRun: true, created: 2, errors: 0 });
+    expect(report.results[0].reviewId).toBeUndefined();
+    expect(validate).toHaveBeenCalledTimes(2);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('reports reviews that fail validation on a dry run', async () => {
+    const report = await importExternalReviews(
+      [item({ text: 'x'.repeat(2100) }), item({ externalId: 'g-2', reviewerName: ' ' })],
+      { source: 'google', dryRun: true, now }
+    );
+
+    expect(report.results[0]).toMatchObject({ action: 'created', reason: 'Review text shortened to 2000 characters' });
+    expect(report.results[1].action).toBe('error');
+    expect(report.errors).toBe(1);
+  });
+});
@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Review from '../src/models/Review.js';
+import Contact from '../src/models/Contact.js';
+import Booking from '../src/models/Booking.js';
+import Settings, { defaultSettings } from '../src/models/Settings.js';
+import {
+  scoreReview,
+  moderateReview,
+  getModerationRules,
+  fingerprintText
+} from '../src/utils/reviewModeration.js';
+
+// Query stub that resolves to the given records, with or without .select().lean()
+const result = (records) => {
+  const query = Promise.resolve(records);
+  query.select = () => query;
+  query.lean = () => Promise.resolve(records);
+  return query;
+};
+
+const defaultRules = () => Object.fromEntries(
+  Object.entries(defaultSettings.reviewModeration).map(([key, config]) => [key, structuredClone(config.value)])
+);
+
+const CLEAN_TEXT = 'The team made our day easy and the barn looked beautiful at sunset.';
+
+const review = (fields = {}) => new Review({
+  clientName: 'Jane Client',
+  clientEmail: 'jane@example.com',
+  eventType: 'wedding',
+  eventDate: new Date('2026-06-13T00:00:00.000Z'),
+  rating: 5,
+  title: 'Lovely venue',
+  review: CLEAN_TEXT,
+  ipAddress: '198.51.100.7',
+  ...fields
+});
+
+let rules;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  rules = defaultRules();
+  jest.spyOn(Review, 'exists').mockResolvedValue(null);
+  jest.spyOn(Review, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(Contact, 'find').mockReturnValue(result([]));
+  jest.spyOn(Booking, 'find').mockReturnValue(result([]));
+});
+
+describe('scoreReview', () => {
+  it('approves a clean review sent through an invitation', async () => {
+    const scored = await scoreReview(review({ verified: true }), rules);
+
+    expect(scored).toMatchObject({ score: 0, verdict: 'approve' });
+    expect(scored.reasons).toEqual([
+      expect.objectContaining({ rule: 'bookingMatch', points: -20 })
+    ]);
+  });
+
+  it('never approves an unverified review on its own', async () => {
+    const scored = await scoreReview(review(), rules);
+
+    expect(scored).toMatchObject({ score: 10, verdict: 'review' });
+  });
+
+  it('credits a reviewer whose event date matches their booking', async () => {
+    Contact.find.mockReturnValue(result([{ _id: new mongoose.Types.ObjectId() }]));
+    Booking.find.mockReturnValue(result([{ date: '2026-06-13' }]));
+
+    const scored = await scoreReview(review({ review: `${CLEAN_TEXT} Visit www.example.com` }), rules);
+
+    expect(scored.score).toBe(10);
+    expect(scored.reasons.map(reason => [reason.rule, reason.points])).toEqual([['links', 20], ['bookingMatch', -10]]);
+  });
+
+  it('adds risk when the event date doesn\'t match the booking', async () => {
+    Contact.find.mockReturnValue(result([{ _id: new mongoose.Types.ObjectId() }]));
+    Booking.find.mockReturnValue(result([{ date: '2026-09-19' }]));
+
+    const scored = await scoreReview(review(), rules);
+
+    expect(scored.score).toBe(25);
+  });
+
+  it('auto-approves verified reviews up to the approve threshold', async () => {
+    // Short (15) and shouting (20), less 20 for the invitation
+    const shouting = review({ verified: true, title: 'BEST DAY EVER', review: 'ABSOLUTELY AMAZING!!!' });
+
+    expect(await scoreReview(shouting, rules)).toMatchObject({ score: 15, verdict: 'approve' });
+
+    rules.autoApproveMaxScore = 14;
+    expect(await scoreReview(shouting, rules)).toMatchObject({ score: 15, verdict: 'review' });
+  });
+
+  it('rejects at the reject threshold', async () => {
+    // Unknown reviewer (10), profanity (40) and a link (20)
+    const spam = review({ review: `${CLEAN_TEXT} Shit deals at www.example.com` });
+
+    expect(await scoreReview(spam, rules)).toMatchObject({ score: 70, verdict: 'reject' });
+
+    rules.autoRejectMinScore = 71;
+    expect(await scoreReview(spam, rules)).toMatchObject({ score: 70, verdict: 'review' });
+  });
+
+  it('catches profanity behind character swaps and custom words', async () => {
+    rules.profanity.words = ['Scam'];
+
+    const scored = await scoreReview(review({ title: 'Total $h1t', review: `${CLEAN_TEXT} What a scam.` }), rules);
+
+    expect(scored.reasons[0]).toMatchObject({ rule: 'profanity', points: 40, detail: 'Contains profanity (2 words)' });
+  });
+
+  it('caps link points and flags copied text and busy senders', async () => {
+    Review.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    Review.countDocuments.mockResolvedValue(2);
+    const links = 'a.com b.com c.com d.com';
+
+    const scored = await scoreReview(review({ review: `${CLEAN_TEXT} ${links}`, moderation: { fingerprint: 'abc' } }), rules);
+
+    expect(scored.reasons.map(reason => [reason.rule, reason.points])).toEqual([
+      ['links', 60],
+      ['duplicateText', 50],
+      ['velocity', 30],
+      ['bookingMatch', 10]
+    ]);
+    expect(scored.score).toBe(100);
+  });
+
+  it('skips disabled rules', async () => {
+    rules.bookingMatch.enabled = false;
+
+    expect(await scoreReview(review(), rules)).toMatchObject({ score: 0, reasons: [] });
+    expect(Contact.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('moderateReview', () => {
+  it('publishes a verified review that passes', async () => {
+    const moderated = await moderateReview(review({ verified: true }), rules);
+
+    expect(moderated.status).toBe('approved');
+    expect(moderated.moderation).toMatchObject({ score: 0, verdict: 'approve', autoAction: 'approved' });
+    expect(moderated.moderation.fingerprint).toBe(fingerprintText(CLEAN_TEXT));
+  });
+
+  it('rejects a risky review with a note explaining why', async () => {
+    const moderated = await moderateReview(review({ review: `${CLEAN_TEXT} Shit deals at www.example.com` }), rules);
+
+    expect(moderated.status).toBe('rejected');
+    expect(moderated.adminNotes).toBe(
+      'Automatically rejected (risk 70): Contains profanity (1 word); Contains 1 link(s); No booking on file for this email'
+    );
+  });
+
+  it('leaves the review pending for an admin in between', async () => {
+    const moderated = await moderateReview(review(), rules);
+
+    expect(moderated.status).toBe('pending');
+    expect(moderated.moderation.verdict).toBe('review');
+    expect(moderated.moderation.autoAction).toBeNull();
+  });
+
+  it('only fingerprints the text when moderation is off', async () => {
+    rules.enabled = false;
+
+    const moderated = await moderateReview(review({ verified: true }), rules);
+
+    expect(moderated.status).toBe('pending');
+    expect(moderated.moderation.fingerprint).toBe(fingerprintText(CLEAN_TEXT));
+    expect(moderated.moderation.score).toBeUndefined();
+  });
+});
+
+describe('getModerationRules', () => {
+  it('falls back to the default for missing or invalid settings', async () => {
+    jest.spyOn(Settings, 'getByCategory').mockResolvedValue({
+      autoRejectMinScore: 60,
+      links: { enabled: true, pointsPerLink: 'lots' }
+    });
+
+    const loaded = await getModerationRules();
+
+    expect(loaded.autoRejectMinScore).toBe(60);
+    expect(loaded.links).toEqual(defaultSettings.reviewModeration.links.value);
+    expect(loaded.autoApproveMaxScore).toBe(15);
+  });
+});
+
+describe('fingerprintText', () => {
+  it('ignores case, punctuation and spacing', () => {
+    expect(fingerprintText('Great  venue!')).toBe(fingerprintText('great venue'));
+    expect(fingerprintText('Great venue')).not.toBe(fingerprintText('Great venues'));
+  });
+});
@@ -0,0 +1,49 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Review from '../src/models/Review.js';
+
+const adminId = new mongoose.Types.ObjectId();
+const otherAdminId = new mongoose.Types.ObjectId();
+
+const review = () => new Review({
+  clientName: 'Jane Client',
+  clientEmail: 'jane@example.com',
+  eventType: 'wedding',
+  eventDate: new Date('2026-06-13'),
+  rating: 5,
+  title: 'Lovely venue',
+  review: 'The team made our day easy and the barn looked beautiful.'
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Review.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+describe('review responses', () => {
+  it('keep the earlier wording when edited', async () => {
+    const reviewed = review();
+
+    await reviewed.setResponse('Thank you!', adminId);
+    await reviewed.setResponse('Thank you, Jane!', otherAdminId);
+
+    expect(reviewed.response.body).toBe('Thank you, Jane!');
+    expect(reviewed.response.history.map(edit => [edit.body, edit.editedBy])).toEqual([['Thank you!', otherAdminId]]);
+  });
+
+  it('stay on record with their history when removed', async () => {
+    const reviewed = review();
+    await reviewed.setResponse('Thank you!', adminId);
+    await reviewed.setResponse('Thank you, Jane!', adminId);
+
+    await reviewed.removeResponse(otherAdminId);
+
+    expect(reviewed.response).toBeUndefined();
+    expect(reviewed.removedResponses).toHaveLength(1);
+    expect(reviewed.removedResponses[0]).toMatchObject({ body: 'Thank you, Jane!', author: adminId, removedBy: otherAdminId });
+    expect(reviewed.removedResponses[0].history.map(edit => edit.body)).toEqual(['Thank you!']);
+    expect(reviewed.removedResponses[0].removedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,54 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../src/server.js';
+import Admin from '../src/models/Admin.js';
+import Settings from '../src/models/Settings.js';
+import { generateToken } from '../src/middleware/auth.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const admin = { _id: new mongoose.Types.ObjectId(), id: 'admin-1', email: 'admin@example.com', role: 'admin', isActive: true };
+
+let token;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(Admin, 'findById').mockReturnValue({ select: () => Promise.resolve(admin) });
+  jest.spyOn(Settings, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Settings, 'setSetting').mockImplementation(async (category, key, value) => ({ category, key, value }));
+  token = generateToken(admin.id);
+});
+
+const put = (url, body) => request(app).put(url).set('Authorization', `Bearer ${token}`).send(body);
+
+describe('settings without a stored row', () => {
+  it('are checked against the default\'s type', async () => {
+    const res = await put('/api/settings/referrals/attributionWindowDays', { value: 'abc' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Value must be a number');
+    expect(Settings.setSetting).not.toHaveBeenCalled();
+  });
+
+  it('are checked against the default\'s range', async () => {
+    const res = await put('/api/settings', { settings: { referrals: { attributionWindowDays: 400, fraudBurstCount: 10 } } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { category: 'referrals', key: 'attributionWindowDays', error: 'Value must be at most 365' }
+    ]);
+    expect(res.body.data.updatedSettings.referrals).toEqual({ fraudBurstCount: 10 });
+  });
+
+  it('are stored with the default\'s metadata when valid', async () => {
+    const res = await put('/api/settings/referrals/attributionWindowDays', { value: 45 });
+
+    expect(res.status).toBe(200);
+    expect(Settings.setSetting).toHaveBeenCalledWith('referrals', 'attributionWindowDays', 45, admin.id, expect.objectContaining({
+      type: 'number',
+      validation: { min: 1, max: 365 }
+    }));
+  });
+});